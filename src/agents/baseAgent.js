@@ -7,6 +7,25 @@ import {
 } from '@langchain/core/messages';
 import { modelConfig } from '../config/modelConfig.js';
 import { agentConfig } from '../config/agentConfig.js';
+import { seasonResolver } from '../services/seasonResolver.js';
+import { classifyStatus, STATUS_CATEGORIES } from '../config/statusTaxonomy.js';
+import { compactToolResult } from '../utils/toolOutput.js';
+
+// Fallback tool-loop budget for agents without maxToolSteps in agentConfig
+const DEFAULT_MAX_TOOL_STEPS = 5;
+
+// Fallback size of one tool result in the conversation, for agents without
+// maxToolResultChars in agentConfig
+const DEFAULT_MAX_TOOL_RESULT_CHARS = 2000;
+
+const FORMATTING_REQUIREMENTS =
+  'IMPORTANT FORMATTING REQUIREMENTS: Use clean, plain text formatting with NO markdown. NEVER use asterisks (**) for bold, NEVER use hashtags (###) for headers, NEVER use hyphens (-) for bullet points. Use simple colons (:) for labels and plain text formatting that is UI-friendly. Do not leave the response empty.';
+
+// Sent after a tool step while the model may still call more tools
+const CONTINUE_INSTRUCTION = `If the tool results above are not enough to answer (for example you looked up an ID and now need the data for it), call the next tool you need. Otherwise provide a comprehensive analysis and answer to the user's question. ${FORMATTING_REQUIREMENTS}`;
+
+// Sent once the tool budget is spent or the model starts repeating calls
+const FINAL_ANSWER_INSTRUCTION = `Based on the tool results above, provide a comprehensive analysis and answer to the user's question. Do not call any more tools. ${FORMATTING_REQUIREMENTS}`;
 
 export class BaseF1Agent {
   constructor(agentId, tools = []) {
@@ -53,13 +72,31 @@ Remember: You are an expert in ${
     } analysis. Leverage your specialized knowledge to provide authoritative F1 insights.`;
   }
 
+  // Fill the season/date placeholders in agent prompts and append the
+  // resolved season context for this query
+  applySeasonContext(systemPrompt, seasonResolution) {
+    const currentSeason = parseInt(seasonResolution.currentSeason);
+    const prompt = (systemPrompt || '')
+      .replace(/{{DATE}}/g, new Date().toISOString().split('T')[0])
+      .replace(/{{CURRENT_SEASON}}/g, String(currentSeason))
+      .replace(/{{LAST_SEASON}}/g, String(currentSeason - 1))
+      .replace(
+        /{{LAST_COMPLETED_SEASON}}/g,
+        seasonResolution.lastCompletedSeason,
+      );
+
+    return `${prompt}\n\n${seasonResolver.formatForPrompt(seasonResolution)}`;
+  }
+
   // Lazy initialization of model to ensure environment variables are loaded
   get model() {
     if (!this._model) {
       this._model = modelConfig.getModelInstance({
+        provider: this.config.provider,
         model: this.config.model,
         temperature: this.config.temperature,
         maxTokens: this.config.maxTokens,
+        ...this.config.providerOptions,
       });
 
       // Bind tools using LangChain's bindTools method (correct approach)
@@ -79,8 +116,15 @@ Remember: You are an expert in ${
       const startTime = Date.now();
       console.log(`🏁 ${this.config.name} processing: "${query}"`);
 
+      // Resolve "this year", "last season", "the previous race"... against the live calendar
+      const seasonResolution =
+        context.seasonResolution || (await seasonResolver.resolve(query));
+
       // Prepare messages
-      const systemPrompt = await this.getSystemPrompt();
+      const systemPrompt = this.applySeasonContext(
+        await this.getSystemPrompt(),
+        seasonResolution,
+      );
       const messages = [new SystemMessage(systemPrompt)];
 
       // Add conversation history if available (TFL pattern)
@@ -105,21 +149,29 @@ Remember: You are an expert in ${
 
         if (clarification.context === 'year_clarification') {
           // User is responding to a year clarification request
+          const yearResolution = seasonResolver.resolveWithContext(
+            clarification.yearResponse,
+            seasonResolution,
+          );
+          const explicitYear =
+            clarification.yearResponse?.match(/\b(19|20)\d{2}\b/)?.[0];
+          const interpretedYear = yearResolution.season || explicitYear;
+          const yearInstruction = interpretedYear
+            ? `Their response "${clarification.yearResponse}" means the ${interpretedYear} season.`
+            : `Interpret their year response ("this year" / "current season" = ${seasonResolution.currentSeason}, "last year" = ${parseInt(seasonResolution.currentSeason) - 1}, explicit years as stated).`;
+
           const contextMessage = `CONTEXT: The user previously asked "${clarification.originalQuery}" and you asked for year clarification. They responded with "${clarification.yearResponse}". 
 
 INSTRUCTIONS:
-1. Interpret their year response (e.g., "this year" = 2024, "current season" = 2024, "last year" = 2023)
-2. Answer their original question using that interpreted year
-3. If they said "this year" or "current season", use 2024
-4. If they said "last year", use 2023
-5. If they specified a specific year like "2023", use that year
+1. ${yearInstruction}
+2. Answer their original question using that year
 
 Answer the original question: "${clarification.originalQuery}" for the year you determined from "${clarification.yearResponse}".`;
 
           messages.push(new HumanMessage(contextMessage));
         } else {
           // User query needs year clarification
-          const contextMessage = `INSTRUCTION: The user asked about "${query}" but didn't specify a year. Ask them which year they're referring to. Current year is 2024. Be helpful and direct.`;
+          const contextMessage = `INSTRUCTION: The user asked about "${query}" but didn't specify a year. Ask them which year they're referring to. The current season is ${seasonResolution.currentSeason}. Be helpful and direct.`;
           messages.push(new HumanMessage(contextMessage));
         }
       }
@@ -133,118 +185,109 @@ Answer the original question: "${clarification.originalQuery}" for the year you
       // Add the current user query
       messages.push(new HumanMessage(query));
 
-      // Invoke the model
-      const response = await this.model.invoke(messages);
-
-      // Handle tool calls if the model requested them
-      let finalResponse = response;
-      let toolCallResults = [];
+      // Optional stream handler supplied by the streaming workflow
+      const onStreamEvent =
+        typeof context.onStreamEvent === 'function'
+          ? context.onStreamEvent
+          : null;
 
-      if (response.tool_calls && response.tool_calls.length > 0) {
+      // Invoke the model
+      let finalResponse = await this.invokeModel(messages, onStreamEvent);
+
+      // Iterative tool loop (ReAct): keep executing tool calls and feeding the
+      // results back until the model answers, repeats itself or runs out of steps
+      const maxToolSteps = this.config.maxToolSteps || DEFAULT_MAX_TOOL_STEPS;
+      const conversation = [...messages];
+      const toolCallResults = [];
+      const toolTrace = [];
+      const completedCalls = new Map(); // call signature -> tool call result
+      let toolSteps = 0;
+      let stopReason = 'answered';
+
+      while (finalResponse.tool_calls && finalResponse.tool_calls.length > 0) {
+        toolSteps++;
         console.log(
-          `🔧 ${this.config.name} making ${response.tool_calls.length} tool call(s)`,
+          `🔧 ${this.config.name} step ${toolSteps}/${maxToolSteps}: making ${finalResponse.tool_calls.length} tool call(s)`,
         );
 
-        // Execute tool calls
-        for (const toolCall of response.tool_calls) {
-          try {
-            // Find the tool by name
-            const tool = this.tools.find((t) => t.name === toolCall.name);
-            if (!tool) {
-              console.warn(`⚠️ Tool ${toolCall.name} not found`);
-              toolCallResults.push({
-                toolName: toolCall.name,
-                args: toolCall.args,
-                error: `Tool ${toolCall.name} not found`,
-              });
-              continue;
-            }
-
-            console.log(
-              `🔧 Calling tool: ${toolCall.name} with args:`,
-              toolCall.args,
-            );
-            const toolResult = await tool.invoke(toolCall.args);
-            toolCallResults.push({
-              toolName: toolCall.name,
-              args: toolCall.args,
-              result: toolResult,
-            });
-
-            console.log(`✅ Tool ${toolCall.name} completed successfully`);
-          } catch (toolError) {
-            console.error(
-              `❌ Tool ${toolCall.name} failed:`,
-              toolError.message,
-            );
-            console.error(`Tool error stack:`, toolError.stack);
-            toolCallResults.push({
+        const toolMessages = [];
+        let repeatedCalls = 0;
+
+        for (const toolCall of finalResponse.tool_calls) {
+          const signature = this.getToolCallSignature(toolCall);
+          const previous = completedCalls.get(signature);
+
+          if (previous) {
+            // Identical call already made - reuse the earlier result
+            console.warn(`⚠️ Repeated tool call detected: ${toolCall.name}`);
+            repeatedCalls++;
+            toolTrace.push({
+              step: toolSteps,
               toolName: toolCall.name,
               args: toolCall.args,
-              error: toolError.message,
+              status: 'repeated',
             });
-          }
-        }
-
-        // Create tool messages for each tool call result
-        const toolMessages = [];
-        for (let i = 0; i < response.tool_calls.length; i++) {
-          const toolCall = response.tool_calls[i];
-          const toolResult = toolCallResults[i];
-
-          if (toolResult && !toolResult.error) {
-            // Truncate large tool results to prevent context overflow
-            let toolContent =
-              typeof toolResult.result === 'string'
-                ? toolResult.result
-                : JSON.stringify(toolResult.result);
-
-            // Limit tool result content to prevent context overflow
-            if (toolContent.length > 2000) {
-              toolContent =
-                toolContent.substring(0, 2000) + '... [content truncated]';
-              console.log(
-                `📝 Truncated large tool result for ${toolCall.name}`,
-              );
-            }
-
-            toolMessages.push(
-              new ToolMessage({
-                content: toolContent,
-                tool_call_id: toolCall.id,
-              }),
-            );
-          } else if (toolResult && toolResult.error) {
             toolMessages.push(
               new ToolMessage({
-                content: `Error: ${toolResult.error}`,
+                content: `Note: this exact call was already made earlier. Reuse its result instead of calling again.\n${this.formatToolContent(previous)}`,
                 tool_call_id: toolCall.id,
               }),
             );
+            continue;
           }
-        }
 
-        // If we got tool results, make another call to the model with the results
-        if (toolMessages.length > 0) {
-          // Add explicit instruction for final response with formatting guidelines
-          const finalInstruction = new HumanMessage(
-            "Based on the tool results above, provide a comprehensive analysis and answer to the user's question. IMPORTANT FORMATTING REQUIREMENTS: Use clean, plain text formatting with NO markdown. NEVER use asterisks (**) for bold, NEVER use hashtags (###) for headers, NEVER use hyphens (-) for bullet points. Use simple colons (:) for labels and plain text formatting that is UI-friendly. Do not leave the response empty.",
+          const toolResult = await this.executeToolCall(
+            toolCall,
+            onStreamEvent,
+          );
+          completedCalls.set(signature, toolResult);
+          toolCallResults.push(toolResult);
+          toolTrace.push({
+            step: toolSteps,
+            toolName: toolCall.name,
+            args: toolCall.args,
+            status: toolResult.error ? 'error' : 'success',
+            duration: toolResult.duration,
+            ...(toolResult.error && { error: toolResult.error }),
+          });
+          toolMessages.push(
+            new ToolMessage({
+              content: this.formatToolContent(toolResult),
+              tool_call_id: toolCall.id,
+            }),
           );
+        }
+
+        conversation.push(finalResponse, ...toolMessages);
 
-          const toolMessagesInput = [
-            ...messages,
-            response,
-            ...toolMessages,
-            finalInstruction,
-          ];
-
-          // Get final response from model with tool results
-          finalResponse = await this.model.invoke(toolMessagesInput);
-          console.log(
-            `🔍 Final response content length: ${
-              finalResponse.content?.length || 0
-            }`,
+        // Stop looping when the model only repeats itself or the budget is spent
+        if (repeatedCalls === finalResponse.tool_calls.length) {
+          stopReason = 'repeated_calls';
+        } else if (toolSteps >= maxToolSteps) {
+          stopReason = 'max_steps';
+        }
+
+        const instruction =
+          stopReason === 'answered'
+            ? CONTINUE_INSTRUCTION
+            : FINAL_ANSWER_INSTRUCTION;
+
+        // Get the next response from the model with the tool results
+        finalResponse = await this.invokeModel(
+          [...conversation, new HumanMessage(instruction)],
+          onStreamEvent,
+        );
+        console.log(
+          `🔍 Step ${toolSteps} response content length: ${
+            finalResponse.content?.length || 0
+          }`,
+        );
+
+        if (stopReason !== 'answered') {
+          console.warn(
+            `⚠️ ${this.config.name} stopped tool loop: ${stopReason}`,
           );
+          break;
         }
       }
 
@@ -353,6 +396,10 @@ Answer the original question: "${clarification.originalQuery}" for the year you
             model: this.config.model,
             temperature: this.config.temperature,
             toolsUsed: toolCallResults.length,
+            toolSteps,
+            stopReason,
+            toolTrace,
+            seasonResolution,
             fallbackUsed: true,
           },
         };
@@ -371,6 +418,10 @@ Answer the original question: "${clarification.originalQuery}" for the year you
           model: this.config.model,
           temperature: this.config.temperature,
           toolsUsed: toolCallResults.length,
+          toolSteps,
+          stopReason,
+          toolTrace,
+          seasonResolution,
         },
       };
     } catch (error) {
@@ -388,6 +439,116 @@ Answer the original question: "${clarification.originalQuery}" for the year you
     }
   }
 
+  // Execute a single tool call, never throwing so the loop can continue
+  async executeToolCall(toolCall, onStreamEvent = null) {
+    const tool = this.tools.find((t) => t.name === toolCall.name);
+    if (!tool) {
+      console.warn(`⚠️ Tool ${toolCall.name} not found`);
+      return {
+        toolName: toolCall.name,
+        args: toolCall.args,
+        error: `Tool ${toolCall.name} not found`,
+        duration: 0,
+      };
+    }
+
+    const toolStartTime = Date.now();
+    try {
+      console.log(
+        `🔧 Calling tool: ${toolCall.name} with args:`,
+        toolCall.args,
+      );
+      onStreamEvent?.('tool_start', {
+        agentId: this.agentId,
+        toolName: toolCall.name,
+        args: toolCall.args,
+      });
+      const toolResult = await tool.invoke(toolCall.args);
+      const duration = Date.now() - toolStartTime;
+
+      console.log(`✅ Tool ${toolCall.name} completed successfully`);
+      onStreamEvent?.('tool_end', {
+        agentId: this.agentId,
+        toolName: toolCall.name,
+        success: true,
+        duration,
+      });
+
+      return {
+        toolName: toolCall.name,
+        args: toolCall.args,
+        result: toolResult,
+        duration,
+      };
+    } catch (toolError) {
+      console.error(`❌ Tool ${toolCall.name} failed:`, toolError.message);
+      console.error(`Tool error stack:`, toolError.stack);
+      onStreamEvent?.('tool_end', {
+        agentId: this.agentId,
+        toolName: toolCall.name,
+        success: false,
+        error: toolError.message,
+      });
+
+      return {
+        toolName: toolCall.name,
+        args: toolCall.args,
+        error: toolError.message,
+        duration: Date.now() - toolStartTime,
+      };
+    }
+  }
+
+  // Stable identity for a tool call, used to detect repeated identical calls
+  getToolCallSignature(toolCall) {
+    const args = toolCall.args || {};
+    const sortedArgs = Object.keys(args)
+      .sort()
+      .reduce((sorted, key) => ({ ...sorted, [key]: args[key] }), {});
+    return `${toolCall.name}:${JSON.stringify(sortedArgs)}`;
+  }
+
+  // Convert a tool call result into ToolMessage content
+  formatToolContent(toolResult) {
+    if (toolResult.error) {
+      return `Error: ${toolResult.error}`;
+    }
+
+    // Limit tool result content to prevent context overflow
+    const { content, compacted } = compactToolResult(
+      toolResult.result,
+      this.config.maxToolResultChars || DEFAULT_MAX_TOOL_RESULT_CHARS,
+    );
+    if (compacted) {
+      console.log(`📝 Compacted large tool result for ${toolResult.toolName}`);
+    }
+
+    return content;
+  }
+
+  // Invoke the model, streaming answer tokens when a stream handler is given
+  async invokeModel(messages, onStreamEvent = null) {
+    if (!onStreamEvent) {
+      return await this.model.invoke(messages);
+    }
+
+    let aggregated = null;
+    const stream = await this.model.stream(messages);
+    for await (const chunk of stream) {
+      aggregated = aggregated ? aggregated.concat(chunk) : chunk;
+
+      // Tool-call chunks carry no answer text, only emit real content
+      if (typeof chunk.content === 'string' && chunk.content.length > 0) {
+        onStreamEvent('token', {
+          agentId: this.agentId,
+          token: chunk.content,
+        });
+      }
+    }
+
+    return aggregated || new AIMessage('');
+  }
+
   // Format F1 data for context
   formatF1DataContext(f1Data) {
     const contextParts = [];
@@ -434,7 +595,7 @@ Answer the original question: "${clarification.originalQuery}" for the year you
         race.Results.slice(0, 10).forEach((result) => {
           const driver = `${result.Driver?.givenName} ${result.Driver?.familyName}`;
           const team = result.Constructor?.name;
-          const time = result.Time?.time || result.status;
+          const time = result.Time?.time || this.describeStatus(result);
           contextParts.push(
             `${result.position}. ${driver} (${team}) - ${time}`,
           );
@@ -460,6 +621,14 @@ Answer the original question: "${clarification.originalQuery}" for the year you
     return contextParts.join('\n') || 'No specific F1 data context';
   }
 
+  // Status with its reliability category, e.g. "Engine (Mechanical failure)"
+  describeStatus(result) {
+    const category = classifyStatus(result.status, result.positionText);
+    return category === 'finished'
+      ? result.status
+      : `${result.status} (${STATUS_CATEGORIES[category]})`;
+  }
+
   // Calculate confidence based on query and response
   calculateConfidence(query, response) {
     let confidence = 0.7; // Base confidence
@@ -527,8 +696,10 @@ Error details: ${error.message}`;
       specializations: this.config.specialization,
       keywords: this.config.keywords,
       model: this.config.model,
+      provider: this.config.provider || modelConfig.provider,
       temperature: this.config.temperature,
       tools: this.tools.length,
+      maxToolSteps: this.config.maxToolSteps || DEFAULT_MAX_TOOL_STEPS,
     };
   }
 }
@@ -1,12 +1,24 @@
 import { BaseF1Agent } from './baseAgent.js';
-import { standingsToolsLangGraph } from '../tools/langGraphTools.js';
+import {
+  standingsToolsLangGraph,
+  predictionToolsLangGraph,
+  scoringToolsLangGraph,
+} from '../tools/langGraphTools.js';
 import { promptLoader } from '../prompts/index.js';
 import StandingsTools from '../tools/standingsTools.js';
+import { championshipSimulator } from '../services/championshipSimulator.js';
+import { titleScenarioCalculator } from '../services/titleScenarioCalculator.js';
 
 export class ChampionshipAgent extends BaseF1Agent {
   constructor() {
-    super('championship', standingsToolsLangGraph);
+    super('championship', [
+      ...standingsToolsLangGraph,
+      ...predictionToolsLangGraph,
+      ...scoringToolsLangGraph,
+    ]);
     this.standingsTools = new StandingsTools();
+    this.simulator = championshipSimulator;
+    this.scenarioCalculator = titleScenarioCalculator;
   }
 
   // Load system prompt from prompts folder
@@ -72,15 +84,22 @@ export class ChampionshipAgent extends BaseF1Agent {
     }
   }
 
-  async predictChampionship(season = 'current') {
+  async predictChampionship(season = 'current', options = {}) {
     try {
-      const [driverStandings, constructorStandings] = await Promise.all([
+      const [
+        driverStandings,
+        constructorStandings,
+        simulation,
+        titleScenarios,
+      ] = await Promise.all([
         season === 'current'
           ? this.standingsTools.getCurrentDriverStandings()
           : this.standingsTools.getDriverStandings(season),
         season === 'current'
           ? this.standingsTools.getCurrentConstructorStandings()
           : this.standingsTools.getConstructorStandings(season),
+        this.runSimulation(season, options),
+        this.calculateTitleScenarios(season),
       ]);
 
       return {
@@ -88,10 +107,13 @@ export class ChampionshipAgent extends BaseF1Agent {
         predictions: this.generateChampionshipPredictions(
           driverStandings,
           constructorStandings,
+          simulation,
         ),
+        simulation,
         scenarios: this.generateChampionshipScenarios(
           driverStandings,
           constructorStandings,
+          titleScenarios,
         ),
         analysis: this.generatePredictionAnalysis(
           driverStandings,
@@ -104,6 +126,32 @@ export class ChampionshipAgent extends BaseF1Agent {
     }
   }
 
+  // Monte Carlo title odds; null lets predictions fall back to the points gap
+  async runSimulation(season, options = {}) {
+    try {
+      return await this.simulator.simulateSeason(season, options);
+    } catch (error) {
+      console.error(
+        `Championship simulation failed for ${season}:`,
+        error.message,
+      );
+      return null;
+    }
+  }
+
+  // Elimination and clinch arithmetic; null when the calendar is unavailable
+  async calculateTitleScenarios(season = 'current') {
+    try {
+      return await this.scenarioCalculator.calculate(season);
+    } catch (error) {
+      console.error(
+        `Title scenario calculation failed for ${season}:`,
+        error.message,
+      );
+      return null;
+    }
+  }
+
   async compareChampionships(seasons) {
     try {
       const championshipData = await Promise.all(
@@ -159,6 +207,15 @@ export class ChampionshipAgent extends BaseF1Agent {
         context.f1Data = { ...context.f1Data, ...currentData };
       }
 
+      if (championshipInfo.isTitleMath) {
+        const titleScenarios = await this.calculateTitleScenarios(
+          championshipInfo.season || 'current',
+        );
+        if (titleScenarios) {
+          context.f1Data = { ...context.f1Data, titleScenarios };
+        }
+      }
+
       // Process with enhanced context
       return await super.processQuery(query, context);
     } catch (error) {
@@ -187,10 +244,18 @@ export class ChampionshipAgent extends BaseF1Agent {
       queryLower.includes('forecast') ||
       queryLower.includes('who will win');
 
+    // "Can X still win", "what does X need to clinch"
+    const isTitleMath =
+      queryLower.includes('clinch') ||
+      queryLower.includes('eliminat') ||
+      queryLower.includes('still win') ||
+      queryLower.includes('mathematically');
+
     return {
       season,
       isCurrent,
       isPrediction,
+      isTitleMath,
     };
   }
 
@@ -327,14 +392,21 @@ export class ChampionshipAgent extends BaseF1Agent {
     ];
   }
 
-  generateChampionshipPredictions(driverStandings, constructorStandings) {
+  generateChampionshipPredictions(
+    driverStandings,
+    constructorStandings,
+    simulation = null,
+  ) {
     if (!driverStandings || !constructorStandings)
       return 'Insufficient data for predictions';
 
     return {
-      driverFavorite: this.predictDriverChampion(driverStandings),
-      constructorFavorite:
-        this.predictConstructorChampion(constructorStandings),
+      driverFavorite: this.predictDriverChampion(driverStandings, simulation),
+      constructorFavorite: this.predictConstructorChampion(
+        constructorStandings,
+        simulation,
+      ),
+      method: simulation ? 'monte-carlo' : 'points-gap',
       confidence: this.calculatePredictionConfidence(
         driverStandings,
         constructorStandings,
@@ -343,10 +415,27 @@ export class ChampionshipAgent extends BaseF1Agent {
     };
   }
 
-  predictDriverChampion(standings) {
+  predictDriverChampion(standings, simulation = null) {
     if (!standings.DriverStandings || standings.DriverStandings.length === 0)
       return null;
 
+    const favorite = simulation?.drivers?.[0];
+    if (favorite) {
+      const standing = standings.DriverStandings.find(
+        (entry) => entry.Driver?.driverId === favorite.driverId,
+      );
+      return {
+        driver: favorite.name,
+        constructor: standing?.Constructors?.[0]?.name,
+        probability: favorite.titleProbability,
+        expectedPoints: favorite.expectedPoints,
+        reasoning: this.generatePredictionReasoning(
+          null,
+          favorite.titleProbability,
+        ),
+      };
+    }
+
     const leader = standings.DriverStandings[0];
     const secondPlace = standings.DriverStandings[1];
 
@@ -363,13 +452,26 @@ export class ChampionshipAgent extends BaseF1Agent {
     };
   }
 
-  predictConstructorChampion(standings) {
+  predictConstructorChampion(standings, simulation = null) {
     if (
       !standings.ConstructorStandings ||
       standings.ConstructorStandings.length === 0
     )
       return null;
 
+    const favorite = simulation?.constructors?.[0];
+    if (favorite) {
+      return {
+        constructor: favorite.name,
+        probability: favorite.titleProbability,
+        expectedPoints: favorite.expectedPoints,
+        reasoning: this.generatePredictionReasoning(
+          null,
+          favorite.titleProbability,
+        ),
+      };
+    }
+
     const leader = standings.ConstructorStandings[0];
     const secondPlace = standings.ConstructorStandings[1];
 
@@ -386,7 +488,7 @@ export class ChampionshipAgent extends BaseF1Agent {
   }
 
   calculateWinProbability(gap, type) {
-    // Simplified probability calculation based on points gap
+    // Points-gap heuristic, only used when the simulation is unavailable
     if (gap >= 100) return 95;
     if (gap >= 75) return 85;
     if (gap >= 50) return 75;
@@ -428,7 +530,40 @@ export class ChampionshipAgent extends BaseF1Agent {
     ];
   }
 
-  generateChampionshipScenarios(driverStandings, constructorStandings) {
+  generateChampionshipScenarios(
+    driverStandings,
+    constructorStandings,
+    titleScenarios = null,
+  ) {
+    if (titleScenarios) {
+      const byStatus = (entries, status) =>
+        entries
+          .filter((entry) => entry.status === status)
+          .map((entry) => entry.name);
+
+      return {
+        pointsAvailable: titleScenarios.pointsAvailable,
+        remainingRaces: titleScenarios.remainingRaces,
+        remainingSprints: titleScenarios.remainingSprints,
+        drivers: {
+          stillInContention: titleScenarios.drivers
+            .filter((driver) => driver.status !== 'eliminated')
+            .map((driver) => driver.name),
+          eliminated: byStatus(titleScenarios.drivers, 'eliminated'),
+          champion: byStatus(titleScenarios.drivers, 'champion')[0] || null,
+        },
+        constructors: {
+          stillInContention: titleScenarios.constructors
+            .filter((constructor) => constructor.status !== 'eliminated')
+            .map((constructor) => constructor.name),
+          eliminated: byStatus(titleScenarios.constructors, 'eliminated'),
+          champion:
+            byStatus(titleScenarios.constructors, 'champion')[0] || null,
+        },
+        nextRound: titleScenarios.nextRound,
+      };
+    }
+
     return {
       bestCase: 'Best case scenario for championship leader',
       worstCase: 'Worst case scenario that could change championship',
@@ -2,6 +2,7 @@ import { BaseF1Agent } from './baseAgent.js';
 import { circuitToolsLangGraph } from '../tools/langGraphTools.js';
 import { promptLoader } from '../prompts/index.js';
 import CircuitTools from '../tools/circuitTools.js';
+import { overtakingAnalytics } from '../services/overtakingAnalytics.js';
 
 export class CircuitAnalysisAgent extends BaseF1Agent {
   constructor() {
@@ -27,11 +28,16 @@ export class CircuitAnalysisAgent extends BaseF1Agent {
   // Circuit-specific analysis methods
   async analyzeCircuit(circuitId) {
     try {
-      const [circuitDetails, circuitResults, lapRecords] = await Promise.all([
-        this.circuitTools.getCircuitById(circuitId),
-        this.circuitTools.getCircuitResults(circuitId, 10),
-        this.circuitTools.getCircuitLapRecords(circuitId),
-      ]);
+      const [circuitDetails, circuitResults, lapRecords, overtaking] =
+        await Promise.all([
+          this.circuitTools.getCircuitById(circuitId),
+          this.circuitTools.getCircuitResults(circuitId, 10),
+          this.circuitTools.getCircuitLapRecords(circuitId),
+          // Overtaking data is optional, the rest of the analysis stands without it
+          overtakingAnalytics
+            .getCircuitOvertaking(circuitId)
+            .catch(() => null),
+        ]);
 
       return {
         circuit: circuitDetails,
@@ -41,6 +47,7 @@ export class CircuitAnalysisAgent extends BaseF1Agent {
           circuitDetails,
           circuitResults,
           lapRecords,
+          overtaking,
         ),
       };
     } catch (error) {
@@ -142,7 +149,7 @@ export class CircuitAnalysisAgent extends BaseF1Agent {
     return { circuitId: null, circuitName: null };
   }
 
-  generateCircuitAnalysis(circuit, results, lapRecords) {
+  generateCircuitAnalysis(circuit, results, lapRecords, overtaking = null) {
     if (!circuit) return 'Circuit data not available';
 
     const analysis = {
@@ -152,7 +159,7 @@ export class CircuitAnalysisAgent extends BaseF1Agent {
         length: circuit.length || 'Not specified',
         url: circuit.url,
       },
-      characteristics: this.analyzeCircuitCharacteristics(circuit),
+      characteristics: this.analyzeCircuitCharacteristics(circuit, overtaking),
       performance: this.analyzePerformanceData(results, lapRecords),
       historicalContext: this.generateHistoricalContext(results),
     };
@@ -160,12 +167,12 @@ export class CircuitAnalysisAgent extends BaseF1Agent {
     return analysis;
   }
 
-  analyzeCircuitCharacteristics(circuit) {
+  analyzeCircuitCharacteristics(circuit, overtaking = null) {
     // This would be enhanced with more detailed circuit data
     return {
       type: this.categorizeCircuit(circuit),
       difficulty: this.assessDifficulty(circuit),
-      overtakingOpportunities: this.assessOvertaking(circuit),
+      ...this.assessOvertaking(overtaking),
     };
   }
 
@@ -191,13 +198,22 @@ export class CircuitAnalysisAgent extends BaseF1Agent {
     return 'Medium';
   }
 
-  assessOvertaking(circuit) {
-    const name = circuit.circuitName?.toLowerCase() || '';
-
-    if (name.includes('monaco')) return 'Very Limited';
-    if (name.includes('monza') || name.includes('bahrain')) return 'Good';
+  // Rated from how closely recent finishing orders followed the grid
+  assessOvertaking(overtaking) {
+    if (!overtaking?.difficulty) {
+      return { overtakingOpportunities: 'Unknown' };
+    }
 
-    return 'Moderate';
+    return {
+      overtakingOpportunities: overtaking.difficulty.rating,
+      overtakingIndex: {
+        index: overtaking.difficulty.index,
+        races: overtaking.races,
+        period: overtaking.period,
+        averagePlacesGained: overtaking.averagePlacesGained,
+        winsFromOutsideFrontRow: overtaking.winsFromOutsideFrontRow,
+      },
+    };
   }
 
   analyzePerformanceData(results, lapRecords) {
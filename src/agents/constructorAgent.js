@@ -1,11 +1,19 @@
 import { BaseF1Agent } from './baseAgent.js';
-import { constructorToolsLangGraph } from '../tools/langGraphTools.js';
+import {
+  constructorToolsLangGraph,
+  pitstopToolsLangGraph,
+  strategyToolsLangGraph,
+} from '../tools/langGraphTools.js';
 import { promptLoader } from '../prompts/index.js';
 import ConstructorTools from '../tools/constructorTools.js';
 
 export class ConstructorAnalysisAgent extends BaseF1Agent {
   constructor() {
-    super('constructor', constructorToolsLangGraph);
+    super('constructor', [
+      ...constructorToolsLangGraph,
+      ...pitstopToolsLangGraph,
+      ...strategyToolsLangGraph,
+    ]);
     this.constructorTools = new ConstructorTools();
   }
 
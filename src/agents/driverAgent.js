@@ -3,6 +3,10 @@ import { driverToolsLangGraph } from '../tools/langGraphTools.js';
 import { promptLoader } from '../prompts/index.js';
 import DriverTools from '../tools/driverTools.js';
 
+// Ergast qualifying results are complete from this season; earlier poles
+// are read from grid slot 1
+const QUALIFYING_COMPLETE_FROM = 2003;
+
 export class DriverPerformanceAgent extends BaseF1Agent {
   constructor() {
     super('driver', driverToolsLangGraph);
@@ -38,6 +42,7 @@ export class DriverPerformanceAgent extends BaseF1Agent {
       let driverWins = null;
       let driverStandings = null;
       let constructorHistory = null;
+      let driverPoles = null;
 
       try {
         driverWins = await this.driverTools.getDriverWins(driverId);
@@ -65,17 +70,25 @@ export class DriverPerformanceAgent extends BaseF1Agent {
         );
       }
 
+      try {
+        driverPoles = await this.driverTools.getDriverPoles(driverId);
+      } catch (error) {
+        console.warn(`Could not fetch poles for ${driverId}:`, error.message);
+      }
+
       return {
         driver: driverDetails,
         recentResults: driverResults,
         wins: driverWins,
         standings: driverStandings,
         constructors: constructorHistory,
+        poles: driverPoles,
         analysis: this.generateDriverAnalysis(
           driverDetails,
           driverResults,
           driverWins,
           driverStandings,
+          driverPoles,
         ),
       };
     } catch (error) {
@@ -84,13 +97,26 @@ export class DriverPerformanceAgent extends BaseF1Agent {
     }
   }
 
-  async compareDrivers(driverIds) {
+  async compareDrivers(driverIds, season = null) {
     try {
       const driverData = await Promise.all(
         driverIds.map((id) => this.analyzeDriver(id)),
       );
 
+      // A shared season gives a like-for-like head-to-head sample
+      if (season) {
+        await Promise.all(
+          driverData.map(async (data, index) => {
+            data.recentResults = await this.driverTools.getDriverSeasonResults(
+              driverIds[index],
+              season,
+            );
+          }),
+        );
+      }
+
       return {
+        season,
         drivers: driverData,
         comparison: this.generateDriverComparison(driverData),
       };
@@ -132,14 +158,19 @@ export class DriverPerformanceAgent extends BaseF1Agent {
 
   async analyzeDriverCircuitPerformance(driverId, circuitId) {
     try {
-      const circuitPerformance =
-        await this.driverTools.getDriverCircuitPerformance(driverId, circuitId);
+      const [circuitPerformance, driverPoles] = await Promise.all([
+        this.driverTools.getDriverCircuitPerformance(driverId, circuitId),
+        this.driverTools.getDriverPoles(driverId),
+      ]);
 
       return {
         driverId,
         circuitId,
         performance: circuitPerformance,
-        analysis: this.generateCircuitPerformanceAnalysis(circuitPerformance),
+        analysis: this.generateCircuitPerformanceAnalysis(
+          circuitPerformance,
+          driverPoles,
+        ),
       };
     } catch (error) {
       console.error(
@@ -155,8 +186,17 @@ export class DriverPerformanceAgent extends BaseF1Agent {
     try {
       // Extract driver information from query
       const driverInfo = this.extractDriverFromQuery(query);
-
-      if (driverInfo.driverId) {
+      const driverIds = this.extractDriversFromQuery(query);
+
+      if (driverIds.length >= 2) {
+        // Comparison queries get computed head-to-head data
+        const seasonMatch = query.match(/\b(19|20)\d{2}\b/);
+        const comparisonData = await this.compareDrivers(
+          driverIds,
+          seasonMatch ? seasonMatch[0] : null,
+        );
+        context.f1Data = { ...context.f1Data, ...comparisonData };
+      } else if (driverInfo.driverId) {
         // Fetch relevant driver data
         const driverData = await this.analyzeDriver(driverInfo.driverId);
         context.f1Data = { ...context.f1Data, ...driverData };
@@ -172,7 +212,31 @@ export class DriverPerformanceAgent extends BaseF1Agent {
 
   // Helper methods
   extractDriverFromQuery(query) {
-    const driverMappings = {
+    const driverMappings = this.getDriverMappings();
+
+    const queryLower = query.toLowerCase();
+    for (const [name, id] of Object.entries(driverMappings)) {
+      if (queryLower.includes(name)) {
+        return { driverId: id, driverName: name };
+      }
+    }
+
+    return { driverId: null, driverName: null };
+  }
+
+  // Every known driver mentioned, in query order
+  extractDriversFromQuery(query) {
+    const queryLower = query.toLowerCase();
+    return Object.entries(this.getDriverMappings())
+      .map(([name, id]) => ({ id, index: queryLower.indexOf(name) }))
+      .filter(({ index }) => index !== -1)
+      .sort((a, b) => a.index - b.index)
+      .map(({ id }) => id)
+      .filter((id, index, ids) => ids.indexOf(id) === index);
+  }
+
+  getDriverMappings() {
+    return {
       hamilton: 'hamilton',
       verstappen: 'max_verstappen',
       leclerc: 'leclerc',
@@ -189,18 +253,9 @@ export class DriverPerformanceAgent extends BaseF1Agent {
       clark: 'clark',
       fangio: 'fangio',
     };
-
-    const queryLower = query.toLowerCase();
-    for (const [name, id] of Object.entries(driverMappings)) {
-      if (queryLower.includes(name)) {
-        return { driverId: id, driverName: name };
-      }
-    }
-
-    return { driverId: null, driverName: null };
   }
 
-  generateDriverAnalysis(driver, results, wins, standings) {
+  generateDriverAnalysis(driver, results, wins, standings, poles = null) {
     if (!driver) return 'Driver data not available';
 
     const analysis = {
@@ -211,19 +266,19 @@ export class DriverPerformanceAgent extends BaseF1Agent {
         permanentNumber: driver.permanentNumber,
         url: driver.url,
       },
-      careerStats: this.calculateCareerStats(results, wins, standings),
-      performance: this.analyzePerformancePatterns(results),
+      careerStats: this.calculateCareerStats(results, wins, standings, poles),
+      performance: this.analyzePerformancePatterns(results, poles),
       achievements: this.categorizeAchievements(wins, standings),
     };
 
     return analysis;
   }
 
-  calculateCareerStats(results, wins, standings) {
+  calculateCareerStats(results, wins, standings, poleRaces = null) {
     const totalRaces = results.length;
     const totalWins = wins.length;
     const podiums = this.countPodiums(results);
-    const poles = this.countPoles(results);
+    const poles = this.countPoles(results, poleRaces);
     const fastestLaps = this.countFastestLaps(results);
 
     return {
@@ -231,6 +286,7 @@ export class DriverPerformanceAgent extends BaseF1Agent {
       totalWins,
       podiums,
       poles,
+      polesSource: this.describePoleSource(results),
       fastestLaps,
       winRate:
         totalRaces > 0 ? ((totalWins / totalRaces) * 100).toFixed(1) : '0.0',
@@ -246,11 +302,31 @@ export class DriverPerformanceAgent extends BaseF1Agent {
     }).length;
   }
 
-  countPoles(results) {
-    return results.filter((race) => {
-      const grid = race.Results?.[0]?.grid;
-      return grid && parseInt(grid) === 1;
-    }).length;
+  // Pole is the qualifying result, not grid slot 1, which penalties change.
+  // Null when qualifying poles are needed but were not fetched
+  countPoles(results, poleRaces = null) {
+    const covered = (race) => parseInt(race.season) >= QUALIFYING_COMPLETE_FROM;
+    if (!poleRaces && results.some(covered)) return null;
+
+    const poles = new Set(
+      (poleRaces || []).map((race) => `${race.season}-${race.round}`),
+    );
+    return results.filter((race) =>
+      covered(race)
+        ? poles.has(`${race.season}-${race.round}`)
+        : parseInt(race.Results?.[0]?.grid) === 1,
+    ).length;
+  }
+
+  describePoleSource(results) {
+    const fromGrid = results.filter(
+      (race) => parseInt(race.season) < QUALIFYING_COMPLETE_FROM,
+    ).length;
+    if (fromGrid === 0) return 'qualifying';
+    if (fromGrid === results.length) {
+      return 'grid slot 1 (no complete qualifying data)';
+    }
+    return `qualifying from ${QUALIFYING_COMPLETE_FROM}, grid slot 1 before`;
   }
 
   countFastestLaps(results) {
@@ -259,7 +335,7 @@ export class DriverPerformanceAgent extends BaseF1Agent {
     }).length;
   }
 
-  analyzePerformancePatterns(results) {
+  analyzePerformancePatterns(results, poleRaces = null) {
     if (!results || results.length === 0)
       return 'No performance data available';
 
@@ -271,7 +347,7 @@ export class DriverPerformanceAgent extends BaseF1Agent {
       recentForm: this.assessRecentForm(recentResults),
       averagePosition: avgPosition,
       consistency: consistency,
-      strengths: this.identifyStrengths(results),
+      strengths: this.identifyStrengths(results, poleRaces),
       weaknesses: this.identifyWeaknesses(results),
     };
   }
@@ -330,7 +406,7 @@ export class DriverPerformanceAgent extends BaseF1Agent {
     return 'Below Average';
   }
 
-  identifyStrengths(results) {
+  identifyStrengths(results, poleRaces = null) {
     // Simplified strength identification
     const podiums = this.countPodiums(results);
     const totalRaces = results.length;
@@ -340,7 +416,8 @@ export class DriverPerformanceAgent extends BaseF1Agent {
     const strengths = [];
 
     if (podiums / totalRaces > 0.3) strengths.push('Podium Finisher');
-    if (this.countPoles(results) > totalRaces * 0.2)
+    const poles = this.countPoles(results, poleRaces);
+    if (poles !== null && poles > totalRaces * 0.2)
       strengths.push('Qualifying Specialist');
     if (this.countFastestLaps(results) > totalRaces * 0.1)
       strengths.push('Pace Setter');
@@ -415,28 +492,339 @@ export class DriverPerformanceAgent extends BaseF1Agent {
       : 'Unable to determine';
   }
 
+  // Result rows are one driver per race (Ergast RaceTable entries)
+  isClassified(result) {
+    if (!result) return false;
+    if (result.positionText !== undefined) {
+      return /^\d+$/.test(result.positionText);
+    }
+    return (
+      Boolean(result.status) &&
+      (result.status.includes('Finished') || result.status.includes('+'))
+    );
+  }
+
+  average(values, digits = 2) {
+    if (values.length === 0) return null;
+    const avg = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return parseFloat(avg.toFixed(digits));
+  }
+
+  percentage(count, total) {
+    return total > 0 ? parseFloat(((count / total) * 100).toFixed(1)) : 0;
+  }
+
+  // Core per-driver metrics shared by comparison, season and circuit views.
+  // poleRaces are the driver's qualifying poles (see countPoles)
+  summarizeRaceResults(races = [], poleRaces = null) {
+    const rows = races
+      .map((race) => ({ race, result: race.Results?.[0] }))
+      .filter(({ result }) => result);
+
+    const finishes = rows
+      .filter(({ result }) => this.isClassified(result))
+      .map(({ result }) => parseInt(result.position));
+    const grids = rows
+      .map(({ result }) => parseInt(result.grid))
+      .filter((grid) => grid > 0);
+    // Grid slot minus finishing position: positive means places gained
+    const gains = rows
+      .filter(
+        ({ result }) => this.isClassified(result) && parseInt(result.grid) > 0,
+      )
+      .map(({ result }) => parseInt(result.grid) - parseInt(result.position));
+
+    const starts = rows.length;
+    const points = rows.reduce(
+      (sum, { result }) => sum + (parseFloat(result.points) || 0),
+      0,
+    );
+    const dnfs = starts - finishes.length;
+
+    return {
+      starts,
+      wins: finishes.filter((position) => position === 1).length,
+      podiums: finishes.filter((position) => position <= 3).length,
+      poles: this.countPoles(races, poleRaces),
+      polesSource: this.describePoleSource(races),
+      startsFromPole: grids.filter((grid) => grid === 1).length,
+      fastestLaps: rows.filter(({ result }) => result.FastestLap?.rank === '1')
+        .length,
+      points,
+      pointsPerStart: starts > 0 ? parseFloat((points / starts).toFixed(2)) : 0,
+      averageFinish: this.average(finishes),
+      averageGrid: this.average(grids),
+      averagePositionsGained: this.average(gains),
+      dnfs,
+      dnfRate: this.percentage(dnfs, starts),
+      bestFinish: finishes.length > 0 ? Math.min(...finishes) : null,
+    };
+  }
+
+  // Circuits ranked by average finish, at least `minStarts` visits
+  findBestCircuits(races = [], limit = 3, minStarts = 2) {
+    const byCircuit = {};
+
+    races.forEach((race) => {
+      const circuitId = race.Circuit?.circuitId;
+      if (!circuitId || !race.Results?.[0]) return;
+      byCircuit[circuitId] = byCircuit[circuitId] || {
+        circuitId,
+        circuitName: race.Circuit?.circuitName,
+        races: [],
+      };
+      byCircuit[circuitId].races.push(race);
+    });
+
+    const circuits = Object.values(byCircuit).map((circuit) => {
+      const stats = this.summarizeRaceResults(circuit.races);
+      return {
+        circuitId: circuit.circuitId,
+        circuitName: circuit.circuitName,
+        starts: stats.starts,
+        wins: stats.wins,
+        podiums: stats.podiums,
+        averageFinish: stats.averageFinish,
+      };
+    });
+
+    const eligible = circuits.filter(
+      (circuit) =>
+        circuit.starts >= minStarts && circuit.averageFinish !== null,
+    );
+
+    return (eligible.length > 0 ? eligible : circuits)
+      .filter((circuit) => circuit.averageFinish !== null)
+      .sort((a, b) => a.averageFinish - b.averageFinish || b.wins - a.wins)
+      .slice(0, limit);
+  }
+
+  // Races both drivers started, keyed by season/round
+  calculateHeadToHead(racesA = [], racesB = []) {
+    const key = (race) => `${race.season}-${race.round}`;
+    const resultsB = new Map(
+      racesB.map((race) => [key(race), race.Results?.[0]]),
+    );
+
+    const h2h = {
+      sharedRaces: 0,
+      aheadA: 0,
+      aheadB: 0,
+      bothRetired: 0,
+      qualifyingAheadA: 0,
+      qualifyingAheadB: 0,
+    };
+
+    racesA.forEach((race) => {
+      const resultA = race.Results?.[0];
+      const resultB = resultsB.get(key(race));
+      if (!resultA || !resultB) return;
+
+      h2h.sharedRaces++;
+      const classifiedA = this.isClassified(resultA);
+      const classifiedB = this.isClassified(resultB);
+
+      if (!classifiedA && !classifiedB) {
+        h2h.bothRetired++;
+      } else if (
+        classifiedA &&
+        (!classifiedB ||
+          parseInt(resultA.position) < parseInt(resultB.position))
+      ) {
+        h2h.aheadA++;
+      } else {
+        h2h.aheadB++;
+      }
+
+      const gridA = parseInt(resultA.grid);
+      const gridB = parseInt(resultB.grid);
+      if (gridA > 0 && gridB > 0) {
+        if (gridA < gridB) h2h.qualifyingAheadA++;
+        else h2h.qualifyingAheadB++;
+      }
+    });
+
+    return h2h;
+  }
+
   generateDriverComparison(driverData) {
+    const drivers = driverData
+      .filter((data) => data?.driver)
+      .map((data) => {
+        const races = data.recentResults || [];
+        return {
+          driverId: data.driver.driverId,
+          name: `${data.driver.givenName} ${data.driver.familyName}`,
+          racesAnalysed: races.length,
+          seasons: [...new Set(races.map((race) => race.season))],
+          ...this.summarizeRaceResults(races, data.poles),
+          bestCircuits: this.findBestCircuits(races),
+          races,
+        };
+      });
+
+    const headToHead = [];
+    for (let i = 0; i < drivers.length; i++) {
+      for (let j = i + 1; j < drivers.length; j++) {
+        const h2h = this.calculateHeadToHead(
+          drivers[i].races,
+          drivers[j].races,
+        );
+        headToHead.push({
+          drivers: [drivers[i].driverId, drivers[j].driverId],
+          sharedRaces: h2h.sharedRaces,
+          raceAhead: {
+            [drivers[i].driverId]: h2h.aheadA,
+            [drivers[j].driverId]: h2h.aheadB,
+          },
+          bothRetired: h2h.bothRetired,
+          gridAhead: {
+            [drivers[i].driverId]: h2h.qualifyingAheadA,
+            [drivers[j].driverId]: h2h.qualifyingAheadB,
+          },
+        });
+      }
+    }
+
+    const leaderBy = (metric, lowerIsBetter = false) => {
+      const ranked = drivers
+        .filter((driver) => driver[metric] !== null)
+        .sort((a, b) =>
+          lowerIsBetter ? a[metric] - b[metric] : b[metric] - a[metric],
+        );
+      return ranked[0]?.driverId || null;
+    };
+
     return {
-      totalDrivers: driverData.length,
-      comparison: 'Detailed driver comparison analysis would be generated here',
-      summary: `Comparing ${driverData.length} drivers across career statistics, performance metrics, and achievements`,
+      totalDrivers: drivers.length,
+      drivers: drivers.map(({ races: _races, ...driver }) => driver),
+      headToHead,
+      leaders: {
+        wins: leaderBy('wins'),
+        podiums: leaderBy('podiums'),
+        poles: leaderBy('poles'),
+        pointsPerStart: leaderBy('pointsPerStart'),
+        averageFinish: leaderBy('averageFinish', true),
+        dnfRate: leaderBy('dnfRate', true),
+        averagePositionsGained: leaderBy('averagePositionsGained'),
+      },
+      summary: `Comparing ${drivers.length} drivers over ${drivers
+        .map((driver) => `${driver.racesAnalysed} races (${driver.name})`)
+        .join(', ')}`,
     };
   }
 
   generateSeasonAnalysis(results, standings, qualifying) {
+    const races = results || [];
+    const standing = standings?.[0]?.DriverStandings?.[0];
+
+    let cumulativePoints = 0;
+    const progression = races.map((race) => {
+      const result = race.Results?.[0];
+      cumulativePoints += parseFloat(result?.points) || 0;
+      return {
+        round: parseInt(race.round),
+        raceName: race.raceName,
+        grid: parseInt(result?.grid) || null,
+        position: this.isClassified(result) ? parseInt(result.position) : null,
+        status: result?.status,
+        points: parseFloat(result?.points) || 0,
+        cumulativePoints,
+      };
+    });
+
+    // Qualifying position vs race finish, matched by round
+    const qualifyingByRound = new Map(
+      (qualifying || []).map((race) => [
+        race.round,
+        parseInt(race.QualifyingResults?.[0]?.position),
+      ]),
+    );
+    const qualifyingPositions = [...qualifyingByRound.values()].filter(
+      (position) => !isNaN(position),
+    );
+    const qualifyingVsRace = races
+      .map((race) => {
+        const result = race.Results?.[0];
+        const qualified = qualifyingByRound.get(race.round);
+        if (!this.isClassified(result) || !qualified) return null;
+        return qualified - parseInt(result.position);
+      })
+      .filter((delta) => delta !== null);
+
+    const scored = progression.filter((race) => race.position !== null);
+
+    const poleRaces = (qualifying || []).filter(
+      (race) => race.QualifyingResults?.[0]?.position === '1',
+    );
+
     return {
-      summary:
-        'Season performance analysis based on race results, standings, and qualifying data',
-      performance: 'Performance trends and highlights from the season',
-      insights: "Key insights about the driver's season performance",
+      ...this.summarizeRaceResults(races, qualifying ? poleRaces : null),
+      championship: standing
+        ? {
+            position: parseInt(standing.position),
+            points: parseFloat(standing.points),
+            wins: parseInt(standing.wins),
+            constructor: standing.Constructors?.[0]?.name,
+          }
+        : null,
+      qualifying: {
+        sessions: qualifyingPositions.length,
+        averagePosition: this.average(qualifyingPositions),
+        bestPosition:
+          qualifyingPositions.length > 0
+            ? Math.min(...qualifyingPositions)
+            : null,
+        q3Appearances: (qualifying || []).filter(
+          (race) => race.QualifyingResults?.[0]?.Q3,
+        ).length,
+        // Positive: finishes ahead of where the driver qualified
+        averageRaceDelta: this.average(qualifyingVsRace),
+      },
+      bestResult: scored.length
+        ? scored.reduce((best, race) =>
+            race.position < best.position ? race : best,
+          )
+        : null,
+      worstResult: scored.length
+        ? scored.reduce((worst, race) =>
+            race.position > worst.position ? race : worst,
+          )
+        : null,
+      consistency: this.calculateConsistency(races),
+      progression,
     };
   }
 
-  generateCircuitPerformanceAnalysis(performance) {
+  generateCircuitPerformanceAnalysis(performance, poleRaces = null) {
+    const races = performance || [];
+    if (races.length === 0) return 'No results at this circuit';
+
+    const history = races.map((race) => {
+      const result = race.Results?.[0];
+      return {
+        season: race.season,
+        round: parseInt(race.round),
+        grid: parseInt(result?.grid) || null,
+        position: this.isClassified(result) ? parseInt(result.position) : null,
+        status: result?.status,
+        points: parseFloat(result?.points) || 0,
+      };
+    });
+    const finishes = history.filter((race) => race.position !== null);
+    const best = finishes.reduce(
+      (top, race) => (!top || race.position < top.position ? race : top),
+      null,
+    );
+
     return {
-      summary: 'Circuit-specific performance analysis',
-      strengths: 'Identified strengths at this circuit',
-      patterns: 'Performance patterns and trends at this venue',
+      circuit: races[0].Circuit?.circuitName,
+      ...this.summarizeRaceResults(races, poleRaces),
+      bestResult: best
+        ? { season: best.season, position: best.position }
+        : null,
+      lastResult: history[history.length - 1],
+      history,
     };
   }
 }
@@ -1,6 +1,7 @@
 import { ChatOpenAI } from '@langchain/openai';
 import { SystemMessage, HumanMessage } from '@langchain/core/messages';
 import { modelConfig } from '../config/modelConfig.js';
+import { routingConfig } from '../config/agentConfig.js';
 
 /**
  * F1 Router Agent - Simplified following TFL pattern
@@ -11,6 +12,7 @@ class F1RouterAgent {
     this.model = 'gpt-4o';
     this.temperature = 0;
     this.maxTokens = 50;
+    this.provider = routingConfig.provider;
   }
 
   async processQuery(query, sharedLLM = null, context = {}) {
@@ -27,14 +29,22 @@ class F1RouterAgent {
     };
   }
 
-  async routeQuery(query, sharedLLM = null) {
-    const llm =
-      sharedLLM ||
-      modelConfig.getModelInstance({
+  // Router's own model, created on first use
+  getModel() {
+    if (!this.llm) {
+      this.llm = modelConfig.getModelInstance({
+        provider: this.provider,
         model: this.model,
         temperature: this.temperature,
         maxTokens: this.maxTokens,
       });
+    }
+    return this.llm;
+  }
+
+  async routeQuery(query, sharedLLM = null) {
+    // A routing provider override wins over the workflow's shared model
+    const llm = this.provider || !sharedLLM ? this.getModel() : sharedLLM;
 
     const prompt = this.getRouterPrompt().replace('{{query}}', query);
 
@@ -1,14 +1,31 @@
 import { BaseF1Agent } from './baseAgent.js';
-import { standingsToolsLangGraph } from '../tools/langGraphTools.js';
+import {
+  standingsToolsLangGraph,
+  scoringToolsLangGraph,
+  ratingToolsLangGraph,
+  analyticsToolsLangGraph,
+} from '../tools/langGraphTools.js';
 import { promptLoader } from '../prompts/index.js';
 import StandingsTools from '../tools/standingsTools.js';
 import SeasonTools from '../tools/seasonTools.js';
+import { pointsRescorer } from '../services/pointsRescorer.js';
+import { eloRatingEngine } from '../services/eloRatingEngine.js';
+
+const FIRST_SEASON = 1950;
+const FIRST_CONSTRUCTORS_SEASON = 1958;
 
 export class HistoricalDataAgent extends BaseF1Agent {
   constructor() {
-    super('historical', standingsToolsLangGraph);
+    super('historical', [
+      ...standingsToolsLangGraph,
+      ...scoringToolsLangGraph,
+      ...ratingToolsLangGraph,
+      ...analyticsToolsLangGraph,
+    ]);
     this.standingsTools = new StandingsTools();
     this.seasonTools = new SeasonTools();
+    this.pointsRescorer = pointsRescorer;
+    this.eloRatingEngine = eloRatingEngine;
   }
 
   // Load system prompt from prompts folder
@@ -133,16 +150,23 @@ export class HistoricalDataAgent extends BaseF1Agent {
     }
   }
 
-  async generateAllTimeRankings(category, criteria = 'championships') {
+  async generateAllTimeRankings(
+    category,
+    criteria = 'championships',
+    options = {},
+  ) {
     try {
       let rankingData;
 
       switch (category) {
         case 'drivers':
-          rankingData = await this.generateDriverRankings(criteria);
+          rankingData = await this.generateDriverRankings(criteria, options);
           break;
         case 'constructors':
-          rankingData = await this.generateConstructorRankings(criteria);
+          rankingData = await this.generateConstructorRankings(
+            criteria,
+            options,
+          );
           break;
         default:
           throw new Error(`Unknown ranking category: ${category}`);
@@ -179,6 +203,17 @@ export class HistoricalDataAgent extends BaseF1Agent {
         context.f1Data = { ...context.f1Data, ...decadeData };
       }
 
+      if (historicalInfo.rescore) {
+        // "Who would have won 2008 under today's points system?"
+        const rescored = await this.rescoreSeason(
+          historicalInfo.rescore.season,
+          historicalInfo.rescore.system,
+        );
+        if (rescored) {
+          context.f1Data = { ...context.f1Data, rescoredSeason: rescored };
+        }
+      }
+
       // Process with enhanced context
       return await super.processQuery(query, context);
     } catch (error) {
@@ -187,6 +222,18 @@ export class HistoricalDataAgent extends BaseF1Agent {
     }
   }
 
+  async rescoreSeason(season, system = 'current') {
+    try {
+      return await this.pointsRescorer.rescoreSeason(season, system);
+    } catch (error) {
+      console.error(
+        `Error re-scoring ${season} under ${system}:`,
+        error.message,
+      );
+      return null;
+    }
+  }
+
   // Helper methods
   extractHistoricalFromQuery(query) {
     const queryLower = query.toLowerCase();
@@ -228,6 +275,7 @@ export class HistoricalDataAgent extends BaseF1Agent {
       years: yearMatches ? yearMatches.map((y) => parseInt(y)) : [],
       era,
       decades,
+      rescore: this.extractRescoreRequest(queryLower, yearMatches || []),
       isHistorical:
         queryLower.includes('historical') ||
         queryLower.includes('all time') ||
@@ -235,6 +283,22 @@ export class HistoricalDataAgent extends BaseF1Agent {
     };
   }
 
+  // "2008 under today's points", "1988 with the 2010 points system"
+  extractRescoreRequest(queryLower, years) {
+    const mentionsScoring =
+      /points? (system|rules|scoring)|scoring system|re-?scor/.test(
+        queryLower,
+      ) || /under (today'?s|current|modern) points/.test(queryLower);
+    if (!mentionsScoring || years.length === 0) return null;
+
+    const systemYear = queryLower.match(
+      /\b(?:under|with|using)(?: the)? ((?:19|20)\d{2})(?:'s)? (?:points|scoring|rules)/,
+    );
+    const season = years.find((year) => year !== systemYear?.[1]) || years[0];
+
+    return { season, system: systemYear ? systemYear[1] : 'current' };
+  }
+
   generateEraAnalysis(eraData, startYear, endYear) {
     if (!eraData || eraData.length === 0) return 'Era data not available';
 
@@ -435,29 +499,266 @@ export class HistoricalDataAgent extends BaseF1Agent {
     };
   }
 
+  // Inclusive season list, clamped to the championship's history
+  getSeasonRange(startYear, endYear) {
+    const currentYear = new Date().getFullYear();
+    const start = Math.max(parseInt(startYear) || FIRST_SEASON, FIRST_SEASON);
+    const end = Math.min(parseInt(endYear) || currentYear, currentYear);
+
+    const seasons = [];
+    for (let year = start; year <= end; year++) {
+      seasons.push(String(year));
+    }
+    return seasons;
+  }
+
+  sumPoints(standings) {
+    return standings.reduce(
+      (total, standing) => total + (parseFloat(standing.points) || 0),
+      0,
+    );
+  }
+
+  share(value, total) {
+    return total > 0 ? parseFloat(((value / total) * 100).toFixed(1)) : null;
+  }
+
   async trackDriverEvolution(driverId, startYear, endYear) {
-    // Implementation would track driver performance over time
+    const seasons = this.getSeasonRange(startYear, endYear);
+    const standings = await Promise.all(
+      seasons.map((season) =>
+        this.seasonTools.getSeasonDriverStandings(season),
+      ),
+    );
+
+    let name = null;
+    const timeline = [];
+    seasons.forEach((season, index) => {
+      const table = standings[index]?.DriverStandings || [];
+      const entry = table.find((row) => row.Driver?.driverId === driverId);
+      if (!entry) return;
+
+      name = `${entry.Driver.givenName} ${entry.Driver.familyName}`;
+      const points = parseFloat(entry.points) || 0;
+      timeline.push({
+        season,
+        position: parseInt(entry.position) || null,
+        points,
+        wins: parseInt(entry.wins) || 0,
+        constructors: (entry.Constructors || []).map((c) => c.name),
+        // Share of every point scored that season, comparable across eras
+        pointsShare: this.share(points, this.sumPoints(table)),
+        pointsVsChampion: this.share(points, parseFloat(table[0]?.points)),
+        champion: entry.position === '1',
+      });
+    });
+
+    const teamChanges = timeline
+      .filter(
+        (season, index) =>
+          index > 0 &&
+          season.constructors.join() !==
+            timeline[index - 1].constructors.join(),
+      )
+      .map((season) => ({
+        season: season.season,
+        from: timeline[timeline.indexOf(season) - 1].constructors,
+        to: season.constructors,
+      }));
+
+    const positions = timeline
+      .map((season) => season.position)
+      .filter((position) => position !== null);
+
     return {
-      performance: 'Driver performance evolution over the specified period',
-      milestones: 'Key career milestones and achievements',
-      context: 'Competitive context and team changes',
+      driverId,
+      name,
+      seasonsCovered: timeline.length,
+      timeline,
+      teamChanges,
+      totals: {
+        championships: timeline.filter((season) => season.champion).length,
+        wins: timeline.reduce((total, season) => total + season.wins, 0),
+        points: timeline.reduce((total, season) => total + season.points, 0),
+        bestPosition: positions.length ? Math.min(...positions) : null,
+        averagePosition: positions.length
+          ? parseFloat(
+              (
+                positions.reduce((total, position) => total + position, 0) /
+                positions.length
+              ).toFixed(1),
+            )
+          : null,
+      },
+      peakSeason: timeline.reduce(
+        (peak, season) =>
+          !peak || season.pointsShare > peak.pointsShare ? season : peak,
+        null,
+      ),
     };
   }
 
   async trackConstructorEvolution(constructorId, startYear, endYear) {
+    const seasons = this.getSeasonRange(startYear, endYear);
+    const [constructorTables, driverTables] = await Promise.all([
+      Promise.all(
+        seasons.map((season) =>
+          this.seasonTools.getSeasonConstructorStandings(season),
+        ),
+      ),
+      Promise.all(
+        seasons.map((season) =>
+          this.seasonTools.getSeasonDriverStandings(season),
+        ),
+      ),
+    ]);
+
+    let name = null;
+    const timeline = [];
+    seasons.forEach((season, index) => {
+      const table = constructorTables[index]?.ConstructorStandings || [];
+      const entry = table.find(
+        (row) => row.Constructor?.constructorId === constructorId,
+      );
+      // Driver line-up also covers seasons before the constructors' title (1958)
+      const drivers = (driverTables[index]?.DriverStandings || [])
+        .filter((row) =>
+          (row.Constructors || []).some(
+            (c) => c.constructorId === constructorId,
+          ),
+        )
+        .map((row) => `${row.Driver?.givenName} ${row.Driver?.familyName}`);
+
+      if (!entry && drivers.length === 0) return;
+
+      const points = parseFloat(entry?.points) || 0;
+      name = entry?.Constructor?.name || name;
+      timeline.push({
+        season,
+        position: entry ? parseInt(entry.position) || null : null,
+        points: entry ? points : null,
+        wins: entry ? parseInt(entry.wins) || 0 : null,
+        pointsShare: entry ? this.share(points, this.sumPoints(table)) : null,
+        champion: entry?.position === '1',
+        drivers,
+      });
+    });
+
+    const lineupChanges = timeline
+      .map((season, index) => {
+        if (index === 0) return null;
+        const previous = timeline[index - 1].drivers;
+        const joined = season.drivers.filter((d) => !previous.includes(d));
+        const left = previous.filter((d) => !season.drivers.includes(d));
+        return joined.length || left.length
+          ? { season: season.season, joined, left }
+          : null;
+      })
+      .filter(Boolean);
+
+    const ranked = timeline.filter((season) => season.position !== null);
+
     return {
-      performance:
-        'Constructor performance evolution over the specified period',
-      technical: 'Technical development and innovation',
-      competitive: 'Competitive position changes over time',
+      constructorId,
+      name,
+      seasonsCovered: timeline.length,
+      timeline,
+      lineupChanges,
+      totals: {
+        championships: timeline.filter((season) => season.champion).length,
+        wins: ranked.reduce((total, season) => total + season.wins, 0),
+        bestPosition: ranked.length
+          ? Math.min(...ranked.map((season) => season.position))
+          : null,
+      },
+      peakSeason: ranked.reduce(
+        (peak, season) =>
+          !peak || season.pointsShare > peak.pointsShare ? season : peak,
+        null,
+      ),
     };
   }
 
   async trackCircuitEvolution(circuitId, startYear, endYear) {
+    const seasons = this.getSeasonRange(startYear, endYear);
+    const winners = await Promise.all(
+      seasons.map((season) => this.seasonTools.getSeasonWinners(season)),
+    );
+
+    const races = winners
+      .flat()
+      .filter((race) => race.Circuit?.circuitId === circuitId)
+      .map((race) => {
+        const winner = race.Results?.[0];
+        const grid = parseInt(winner?.grid) || null;
+        return {
+          season: race.season,
+          round: parseInt(race.round),
+          raceName: race.raceName,
+          winner: `${winner?.Driver?.givenName} ${winner?.Driver?.familyName}`,
+          winnerId: winner?.Driver?.driverId,
+          constructor: winner?.Constructor?.name,
+          grid,
+          // Grid slot 1, not the qualifying pole when a grid penalty applied
+          wonFromGridSlot1: grid === 1,
+        };
+      });
+
+    const conversion = (list) => ({
+      races: list.length,
+      wins: list.filter((race) => race.wonFromGridSlot1).length,
+      rate: this.share(
+        list.filter((race) => race.wonFromGridSlot1).length,
+        list.length,
+      ),
+    });
+
+    const byDecade = {};
+    races.forEach((race) => {
+      const decade = `${Math.floor(parseInt(race.season) / 10) * 10}s`;
+      byDecade[decade] = byDecade[decade] || [];
+      byDecade[decade].push(race);
+    });
+
+    const countBy = (key) =>
+      Object.entries(
+        races.reduce((counts, race) => {
+          counts[race[key]] = (counts[race[key]] || 0) + 1;
+          return counts;
+        }, {}),
+      )
+        .map(([value, wins]) => ({ [key]: value, wins }))
+        .sort((a, b) => b.wins - a.wins);
+
     return {
-      modifications: 'Circuit modifications and layout changes',
-      lapTimes: 'Lap time evolution and technology impact',
-      safety: 'Safety improvements and incident patterns',
+      circuitId,
+      circuitName:
+        winners.flat().find((race) => race.Circuit?.circuitId === circuitId)
+          ?.Circuit?.circuitName || null,
+      racesHeld: races.length,
+      timeline: races,
+      winsFromGridSlot1: {
+        overall: conversion(races),
+        byDecade: Object.entries(byDecade).map(([decade, list]) => ({
+          decade,
+          ...conversion(list),
+        })),
+      },
+      averageWinningGrid:
+        races.filter((race) => race.grid).length > 0
+          ? parseFloat(
+              (
+                races
+                  .filter((race) => race.grid)
+                  .reduce((total, race) => total + race.grid, 0) /
+                races.filter((race) => race.grid).length
+              ).toFixed(1),
+            )
+          : null,
+      mostWins: {
+        drivers: countBy('winner').slice(0, 5),
+        constructors: countBy('constructor').slice(0, 5),
+      },
     };
   }
 
@@ -469,19 +770,132 @@ export class HistoricalDataAgent extends BaseF1Agent {
     };
   }
 
-  async generateDriverRankings(criteria) {
-    return {
-      methodology: `Driver rankings based on ${criteria}`,
-      topDrivers: 'All-time top drivers with era-adjusted metrics',
-      context: 'Historical context for ranking methodology',
-    };
+  async generateDriverRankings(criteria, options = {}) {
+    if (criteria === 'elo') {
+      // Precomputed ratings: options.mode 'all' | 'teammates', options.metric 'peak' | 'average' | 'final'
+      return this.eloRatingEngine.getRankings({
+        mode: options.mode,
+        metric: options.metric,
+        limit: options.limit,
+        minRaces: options.minRaces,
+      });
+    }
+
+    const seasons = this.getSeasonRange(options.startYear, options.endYear);
+    const tables = await Promise.all(
+      seasons.map((season) =>
+        this.seasonTools.getSeasonDriverStandings(season),
+      ),
+    );
+
+    const drivers = {};
+    tables.forEach((table) => {
+      const rows = table?.DriverStandings || [];
+      const totalPoints = this.sumPoints(rows);
+
+      rows.forEach((row) => {
+        const driverId = row.Driver?.driverId;
+        if (!driverId) return;
+        drivers[driverId] = drivers[driverId] || {
+          driverId,
+          name: `${row.Driver.givenName} ${row.Driver.familyName}`,
+          seasons: 0,
+          championships: 0,
+          wins: 0,
+          top3: 0,
+          pointsShareTotal: 0,
+        };
+
+        const driver = drivers[driverId];
+        const position = parseInt(row.position);
+        driver.seasons++;
+        driver.wins += parseInt(row.wins) || 0;
+        if (position === 1) driver.championships++;
+        if (position <= 3) driver.top3++;
+        driver.pointsShareTotal +=
+          this.share(parseFloat(row.points) || 0, totalPoints) || 0;
+      });
+    });
+
+    return this.rankEntries(Object.values(drivers), criteria, seasons, options);
+  }
+
+  async generateConstructorRankings(criteria, options = {}) {
+    const seasons = this.getSeasonRange(
+      Math.max(parseInt(options.startYear) || 0, FIRST_CONSTRUCTORS_SEASON),
+      options.endYear,
+    );
+    const tables = await Promise.all(
+      seasons.map((season) =>
+        this.seasonTools.getSeasonConstructorStandings(season),
+      ),
+    );
+
+    const constructors = {};
+    tables.forEach((table) => {
+      const rows = table?.ConstructorStandings || [];
+      const totalPoints = this.sumPoints(rows);
+
+      rows.forEach((row) => {
+        const constructorId = row.Constructor?.constructorId;
+        if (!constructorId) return;
+        constructors[constructorId] = constructors[constructorId] || {
+          constructorId,
+          name: row.Constructor.name,
+          seasons: 0,
+          championships: 0,
+          wins: 0,
+          top3: 0,
+          pointsShareTotal: 0,
+        };
+
+        const constructor = constructors[constructorId];
+        const position = parseInt(row.position);
+        constructor.seasons++;
+        constructor.wins += parseInt(row.wins) || 0;
+        if (position === 1) constructor.championships++;
+        if (position <= 3) constructor.top3++;
+        constructor.pointsShareTotal +=
+          this.share(parseFloat(row.points) || 0, totalPoints) || 0;
+      });
+    });
+
+    return this.rankEntries(
+      Object.values(constructors),
+      criteria,
+      seasons,
+      options,
+    );
   }
 
-  async generateConstructorRankings(criteria) {
+  // Sort season aggregates by the requested criterion
+  rankEntries(entries, criteria, seasons, options = {}) {
+    const sortKeys = {
+      championships: ['championships', 'wins'],
+      wins: ['wins', 'championships'],
+      top3: ['top3', 'championships'],
+      seasons: ['seasons', 'wins'],
+      // Mean share of each season's points: evens out points-system changes
+      pointsShare: ['averagePointsShare', 'championships'],
+    };
+    const keys = sortKeys[criteria] || sortKeys.championships;
+
+    const ranked = entries
+      .map(({ pointsShareTotal, ...entry }) => ({
+        ...entry,
+        averagePointsShare: parseFloat(
+          (pointsShareTotal / entry.seasons).toFixed(1),
+        ),
+      }))
+      .sort((a, b) => b[keys[0]] - a[keys[0]] || b[keys[1]] - a[keys[1]])
+      .slice(0, options.limit || 20)
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+
     return {
-      methodology: `Constructor rankings based on ${criteria}`,
-      topConstructors: 'All-time top constructors with era-adjusted metrics',
-      context: 'Historical context for ranking methodology',
+      criteria: sortKeys[criteria] ? criteria : 'championships',
+      period: `${seasons[0]}-${seasons[seasons.length - 1]}`,
+      seasonsCovered: seasons.length,
+      rankings: ranked,
     };
   }
 
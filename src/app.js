@@ -4,7 +4,9 @@ import { modelConfig } from './config/modelConfig.js';
 import { F1Workflow } from './workflows/f1Workflow.js';
 import { F1ChatMemory } from './memory/f1ChatMemory.js';
 import { agentFactory } from './agents/agentFactory.js';
+import { f1StateGraph } from './graph/f1StateGraph.js';
 import { MonitoringMiddleware } from './middleware/monitoring.js';
+import { isFeatureEnabled } from './config/apiConfig.js';
 
 /**
  * F1 Sequential Agents App - Following TFL Pattern
@@ -35,6 +37,9 @@ class F1App {
         maxTokens: 2000,
       });
 
+      // Initialize conversation memory store
+      await this.memory.initialize();
+
       // Initialize agents
       await agentFactory.initialize();
       this.agents = {
@@ -103,9 +108,11 @@ class F1App {
     this.app.get('/metrics', this.monitoring.metricsEndpoint());
 
     // Main query processing endpoint
+    // mode: 'single' (default linear workflow), 'multi' (force the multi-agent
+    // graph) or 'auto' (multi-agent graph decides per query)
     this.app.post('/query', async (req, res) => {
       try {
-        const { query, threadId, userContext } = req.body;
+        const { query, threadId, userContext, mode = 'single', agents } = req.body;
 
         if (!query) {
           return res.status(400).json({
@@ -114,6 +121,26 @@ class F1App {
           });
         }
 
+        if (!['single', 'multi', 'auto'].includes(mode)) {
+          return res.status(400).json({
+            error: 'Invalid mode',
+            message: "mode must be 'single', 'multi' or 'auto'"
+          });
+        }
+
+        if (mode !== 'single') {
+          if (!isFeatureEnabled('multiAgentCollaboration')) {
+            return res.status(501).json({
+              error: 'Multi-agent disabled',
+              message: 'Multi-agent collaboration is not enabled on this server'
+            });
+          }
+
+          return res.json(
+            await this.processMultiAgentQuery(query, { threadId, userContext, mode, agents })
+          );
+        }
+
         console.log(`[F1App] Processing query: "${query}"`);
 
         // Initialize state
@@ -144,13 +171,89 @@ class F1App {
       }
     });
 
+    // Streaming query endpoint (Server-Sent Events)
+    this.app.post('/query/stream', async (req, res) => {
+      const { query, threadId, userContext } = req.body || {};
+
+      if (!isFeatureEnabled('streaming')) {
+        return res.status(501).json({
+          error: 'Streaming disabled',
+          message: 'Streaming responses are not enabled on this server'
+        });
+      }
+
+      if (!query) {
+        return res.status(400).json({
+          error: 'Query is required',
+          message: 'Please provide a query parameter'
+        });
+      }
+
+      console.log(`[F1App] Streaming query: "${query}"`);
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+
+      // Stop writing once the client goes away
+      let clientClosed = false;
+      res.on('close', () => {
+        clientClosed = true;
+      });
+
+      const sendEvent = (event, data) => {
+        if (clientClosed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      const initialState = {
+        query,
+        threadId: threadId || `f1_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        userContext: userContext || {}
+      };
+
+      sendEvent('start', { threadId: initialState.threadId });
+
+      try {
+        for await (const event of this.workflow.stream(initialState)) {
+          if (clientClosed) break;
+
+          if (event.type === 'complete') {
+            const result = event.data;
+            sendEvent('done', {
+              response: result.agentResponse,
+              threadId: result.threadId,
+              agent: result.selectedAgent,
+              confidence: result.confidence,
+              metadata: result.metadata
+            });
+          } else {
+            sendEvent(event.type, { ...event.data, timestamp: event.timestamp });
+          }
+        }
+      } catch (error) {
+        console.error('[F1App] Streaming query error:', error);
+        sendEvent('error', {
+          error: 'Internal server error',
+          message: 'Failed to process F1 query',
+          details: error.message
+        });
+      } finally {
+        res.end();
+      }
+    });
+
     // Get conversation history
     this.app.get('/conversation/:threadId', async (req, res) => {
       try {
         const { threadId } = req.params;
         const { limit } = req.query;
 
-        const history = this.memory.getConversationHistory(
+        const history = await this.memory.getConversationHistory(
           threadId, 
           limit ? parseInt(limit) : null
         );
@@ -195,6 +298,100 @@ class F1App {
       }
     });
 
+    // Pending human-in-the-loop confirmations for a session
+    this.app.get('/confirmations/:sessionId', (req, res) => {
+      if (!isFeatureEnabled('humanInTheLoop')) {
+        return res.status(501).json({
+          error: 'Confirmations disabled',
+          message: 'Human-in-the-loop confirmations are not enabled on this server'
+        });
+      }
+
+      const { sessionId } = req.params;
+      const confirmations = f1StateGraph.getPendingConfirmations(sessionId);
+
+      res.json({
+        sessionId,
+        confirmations,
+        count: confirmations.length
+      });
+    });
+
+    // Answer a confirmation: confirm, refine (re-run with refinedQuery),
+    // alternative (re-run with alternativeAgent) or cancel
+    this.app.post('/confirmations/:id', async (req, res) => {
+      if (!isFeatureEnabled('humanInTheLoop')) {
+        return res.status(501).json({
+          error: 'Confirmations disabled',
+          message: 'Human-in-the-loop confirmations are not enabled on this server'
+        });
+      }
+
+      try {
+        const { id } = req.params;
+        const { action, refinedQuery, alternativeAgent } = req.body || {};
+
+        if (!['confirm', 'refine', 'alternative', 'cancel'].includes(action)) {
+          return res.status(400).json({
+            error: 'Invalid action',
+            message: "action must be 'confirm', 'refine', 'alternative' or 'cancel'"
+          });
+        }
+
+        if (action === 'refine' && !refinedQuery) {
+          return res.status(400).json({
+            error: 'refinedQuery is required',
+            message: 'Provide the refined query text to re-run'
+          });
+        }
+
+        if (alternativeAgent && !agentFactory.getAvailableAgents().includes(alternativeAgent)) {
+          return res.status(400).json({
+            error: 'Unknown agent',
+            message: `alternativeAgent must be one of: ${agentFactory.getAvailableAgents().join(', ')}`
+          });
+        }
+
+        const result = await f1StateGraph.processConfirmation(id, action, {
+          refinedQuery,
+          alternativeAgent
+        });
+
+        if (!result.success) {
+          const statusCodes = { not_found: 404, already_processed: 409, expired: 410, invalid_action: 400 };
+          return res.status(statusCodes[result.code] || 500).json({
+            error: 'Confirmation failed',
+            message: result.error
+          });
+        }
+
+        // Keep the shared conversation history in step with what the user saw
+        if (result.sessionId && result.response) {
+          if (result.query) {
+            await this.memory.saveMessage(result.sessionId, 'user', result.query, { confirmationAction: action });
+          }
+          await this.memory.saveMessage(result.sessionId, 'assistant', result.response, {
+            agent: result.agentUsed,
+            confidence: result.confidence,
+            confirmationAction: action
+          });
+        }
+
+        res.json({
+          ...result,
+          confirmationId: id,
+          threadId: result.sessionId
+        });
+
+      } catch (error) {
+        console.error('[F1App] Confirmation processing error:', error);
+        res.status(500).json({
+          error: 'Failed to process confirmation',
+          details: error.message
+        });
+      }
+    });
+
     // Get agent info
     this.app.get('/agents', (req, res) => {
       res.json({
@@ -341,7 +538,7 @@ class F1App {
               metadata: step2Result.metadata
             }
           ],
-          conversationHistory: this.memory.getConversationHistory(testThreadId)
+          conversationHistory: await this.memory.getConversationHistory(testThreadId)
         });
 
       } catch (error) {
@@ -365,6 +562,38 @@ class F1App {
     this.app.use(this.monitoring.errorTracking());
   }
 
+  // Run a query through the multi-agent StateGraph orchestrator and record
+  // the exchange in the shared conversation memory
+  async processMultiAgentQuery(query, { threadId, userContext = {}, mode, agents } = {}) {
+    const sessionId = threadId || `f1_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    console.log(`[F1App] Processing ${mode} multi-agent query: "${query}"`);
+
+    const state = await f1StateGraph.processQuery(query, {
+      ...userContext,
+      sessionId,
+      mode,
+      agents: Array.isArray(agents) ? agents : []
+    });
+    const result = f1StateGraph.summarizeResult(state);
+
+    await this.memory.saveMessage(sessionId, 'user', query, { userContext, mode });
+    if (result.response) {
+      await this.memory.saveMessage(sessionId, 'assistant', result.response, {
+        agent: result.agent,
+        confidence: result.confidence,
+        multiAgent: result.multiAgent,
+        agents: result.contributions.map((contribution) => contribution.agent)
+      });
+    }
+
+    return {
+      ...result,
+      threadId: sessionId,
+      mode
+    };
+  }
+
   async start() {
     if (!this.isInitialized) {
       await this.initialize();
@@ -382,10 +611,11 @@ class F1App {
 
   async stop() {
     if (this.server) {
-      return new Promise((resolve) => {
+      await new Promise((resolve) => {
         this.server.close(resolve);
       });
     }
+    await this.memory.close();
   }
 }
 
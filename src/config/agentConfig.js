@@ -4,8 +4,10 @@ export const agentConfig = {
     description: 'Analyzes F1 circuits and track characteristics, lap records, and circuit-specific performance',
     tools: ['circuitTools', 'lapTools', 'raceTools'],
     model: 'gpt-4o',
+    provider: null, // LLM provider override ('openai', 'openai-compatible', 'fake'); null uses apiConfig.llm.provider
     temperature: 0.1,
     maxTokens: 2000,
+    maxToolSteps: 4, // Max ReAct tool-calling rounds per query
     specialization: [
       'Circuit layout and technical specifications',
       'Historical lap records and sector times',
@@ -24,8 +26,10 @@ export const agentConfig = {
     description: 'Analyzes driver performance, statistics, career progression, and head-to-head comparisons',
     tools: ['driverTools', 'standingsTools', 'resultTools'],
     model: 'gpt-4o',
+    provider: null,
     temperature: 0.1,
     maxTokens: 2000,
+    maxToolSteps: 5,
     specialization: [
       'Career statistics and performance trends',
       'Head-to-head driver comparisons',
@@ -44,8 +48,10 @@ export const agentConfig = {
     description: 'Analyzes team performance, technical regulations, constructor championships, and team strategies',
     tools: ['constructorTools', 'standingsTools', 'pitstopTools'],
     model: 'gpt-4o',
+    provider: null,
     temperature: 0.1,
     maxTokens: 2000,
+    maxToolSteps: 5,
     specialization: [
       'Constructor championship analysis',
       'Technical regulation impact assessment',
@@ -64,8 +70,11 @@ export const agentConfig = {
     description: 'Analyzes race outcomes, qualifying sessions, grid positions, and race weekend performance',
     tools: ['raceTools', 'qualifyingTools', 'sprintTools'],
     model: 'gpt-4o',
+    provider: null,
     temperature: 0.1,
     maxTokens: 2000,
+    maxToolSteps: 4,
+    maxToolResultChars: 8000, // Lap-by-lap progression summaries run long
     specialization: [
       'Race result analysis and trends',
       'Qualifying session breakdowns',
@@ -84,8 +93,10 @@ export const agentConfig = {
     description: 'Analyzes championship standings, predictions, points systems, and title fight scenarios',
     tools: ['standingsTools', 'seasonTools', 'historicalTools'],
     model: 'gpt-4o',
+    provider: null,
     temperature: 0.2, // Slightly more creative for predictions
     maxTokens: 2000,
+    maxToolSteps: 5,
     specialization: [
       'Driver and constructor championship analysis',
       'Points system impact assessment',
@@ -104,8 +115,10 @@ export const agentConfig = {
     description: 'Provides multi-season analysis, cross-era comparisons, and historical trend identification',
     tools: ['historicalTools', 'seasonTools', 'allTools'],
     model: 'gpt-4o',
+    provider: null,
     temperature: 0.1,
     maxTokens: 2500, // More tokens for detailed historical analysis
+    maxToolSteps: 6, // Multi-season lookups often chain several calls
     specialization: [
       'Cross-era performance comparisons',
       'Regulation change impact analysis',
@@ -122,6 +135,9 @@ export const agentConfig = {
 
 // Agent routing configuration
 export const routingConfig = {
+  // LLM provider for F1RouterAgent; null uses apiConfig.llm.provider
+  provider: null,
+
   // Confidence thresholds for agent selection
   highConfidence: 0.8,
   mediumConfidence: 0.6,
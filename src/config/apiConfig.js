@@ -6,6 +6,13 @@ export const apiConfig = {
     retries: 3,
     retryDelay: 1000,
     cacheTTL: parseInt(process.env.F1_API_CACHE_TTL) || 300,
+    mode: process.env.F1_API_MODE || 'live', // 'live', 'record' or 'replay'
+    fixturesDir: process.env.F1_API_FIXTURES_DIR || './tests/fixtures/ergast',
+    // fetchAllPages: rows per request and the most pages one call may follow
+    pagination: {
+      pageSize: 100,
+      maxPages: parseInt(process.env.F1_API_MAX_PAGES) || 30
+    },
     rateLimit: {
       requestsPerSecond: 10,
       burstLimit: 20
@@ -30,6 +37,7 @@ export const apiConfig = {
   // Database Configuration
   database: {
     url: process.env.DATABASE_URL || 'sqlite:./f1_agent_memory.db',
+    memoryStore: process.env.MEMORY_STORE || 'sqlite', // 'sqlite' or 'memory'
     options: {
       pool: {
         min: 0,
@@ -40,6 +48,14 @@ export const apiConfig = {
   },
 
   // OpenAI Configuration
+  // LLM provider: 'openai', 'openai-compatible' (local/self-hosted) or 'fake' (scripted, offline)
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai',
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY,
+    model: process.env.LLM_MODEL
+  },
+
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
     models: {
@@ -69,10 +85,13 @@ export const apiConfig = {
   // Caching Configuration
   cache: {
     enabled: true,
-    type: 'memory', // Could be 'redis' in production
+    type: process.env.F1_API_CACHE_STORE || 'sqlite', // 'sqlite' or 'memory'
+    url: process.env.F1_API_CACHE_URL || 'sqlite:./f1_api_cache.db',
     defaultTTL: 300, // 5 minutes
-    maxSize: 1000,
+    maxSize: parseInt(process.env.F1_API_CACHE_MAX_SIZE) || 1000,
     categories: {
+      current: parseInt(process.env.F1_API_CACHE_TTL) || 300, // 5 minutes for current season / live endpoints
+      historical: Infinity, // Completed seasons never change
       f1Data: 1800,      // 30 minutes for F1 API data
       analysis: 600,     // 10 minutes for analysis results
       routing: 60,       // 1 minute for routing decisions
@@ -80,6 +99,28 @@ export const apiConfig = {
     }
   },
 
+  // Local data warehouse (full Ergast history in SQLite)
+  warehouse: {
+    enabled: process.env.F1_WAREHOUSE === 'true', // Serve tool requests from the warehouse when it has the data
+    url: process.env.F1_WAREHOUSE_URL || 'sqlite:./f1_warehouse.db',
+    pageSize: 100, // Rows per Ergast request while ingesting (Jolpica maximum)
+    // Read-only SQL analytics over the warehouse
+    query: {
+      defaultRows: 200,
+      maxRows: 1000,
+      timeoutMs: parseInt(process.env.F1_WAREHOUSE_QUERY_TIMEOUT) || 5000
+    }
+  },
+
+  // Driver rating (Elo) engine
+  ratings: {
+    store: process.env.RATINGS_STORE || 'sqlite', // 'sqlite' or 'memory'
+    url: process.env.RATINGS_DB_URL || 'sqlite:./f1_ratings.db',
+    initialRating: 1500,
+    kFactor: parseFloat(process.env.RATINGS_K_FACTOR) || 32,
+    provisionalRaces: 10 // Ratings from fewer races are flagged as provisional
+  },
+
   // Monitoring and Logging
   monitoring: {
     enabled: true,
@@ -137,7 +178,7 @@ export const apiConfig = {
     humanInTheLoop: true,
     multiAgentCollaboration: true,
     conversationMemory: true,
-    streaming: false, // To be implemented later
+    streaming: true,
     analytics: true,
     caching: true,
     fallbackModels: true
@@ -180,12 +221,17 @@ if (process.env.NODE_ENV === 'production') {
   // Test overrides
   apiConfig.monitoring.enabled = false;
   apiConfig.cache.enabled = false;
+  apiConfig.cache.type = process.env.F1_API_CACHE_STORE || 'memory';
+  apiConfig.database.memoryStore = process.env.MEMORY_STORE || 'memory';
+  apiConfig.ratings.store = process.env.RATINGS_STORE || 'memory';
+  apiConfig.warehouse.enabled = false;
   apiConfig.openai.defaultSettings.timeout = 5000;
+  apiConfig.llm.provider = process.env.LLM_PROVIDER || 'fake';
 }
 
 // Validation
 function validateConfig() {
-  const required = ['OPENAI_API_KEY'];
+  const required = apiConfig.llm.provider === 'openai' ? ['OPENAI_API_KEY'] : [];
   const missing = required.filter(key => !process.env[key]);
   
   if (missing.length > 0) {
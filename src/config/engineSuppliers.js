@@ -0,0 +1,69 @@
+// Engine supplier by constructor and season (Ergast has no engine data).
+// Rebadged units are listed under their maker: Petronas and Acer as Ferrari,
+// TAG Heuer as Renault, RBPT as Honda, Playlife and Supertec as Supertec.
+// Constructors or seasons not listed come back as null.
+export const engineSuppliers = {
+  ferrari: [[1950, 2026, 'Ferrari']],
+  mercedes: [[1954, 1955, 'Mercedes'], [2010, 2026, 'Mercedes']],
+  mclaren: [
+    [1984, 1987, 'TAG-Porsche'], [1988, 1992, 'Honda'], [1993, 1993, 'Ford'], [1994, 1994, 'Peugeot'],
+    [1995, 2014, 'Mercedes'], [2015, 2017, 'Honda'], [2018, 2020, 'Renault'], [2021, 2026, 'Mercedes']
+  ],
+  williams: [
+    [1984, 1987, 'Honda'], [1988, 1988, 'Judd'], [1989, 1997, 'Renault'], [1998, 1998, 'Mecachrome'],
+    [1999, 1999, 'Supertec'], [2000, 2005, 'BMW'], [2006, 2006, 'Cosworth'], [2007, 2009, 'Toyota'],
+    [2010, 2011, 'Cosworth'], [2012, 2013, 'Renault'], [2014, 2026, 'Mercedes']
+  ],
+  red_bull: [
+    [2005, 2005, 'Cosworth'], [2006, 2006, 'Ferrari'], [2007, 2018, 'Renault'], [2019, 2025, 'Honda'],
+    [2026, 2026, 'Red Bull Ford']
+  ],
+  toro_rosso: [
+    [2006, 2006, 'Cosworth'], [2007, 2013, 'Ferrari'], [2014, 2015, 'Renault'], [2016, 2016, 'Ferrari'],
+    [2017, 2017, 'Renault'], [2018, 2019, 'Honda']
+  ],
+  alphatauri: [[2020, 2023, 'Honda']],
+  rb: [[2024, 2025, 'Honda'], [2026, 2026, 'Red Bull Ford']],
+  renault: [[1977, 1985, 'Renault'], [2002, 2011, 'Renault'], [2016, 2020, 'Renault']],
+  lotus_f1: [[2012, 2014, 'Renault'], [2015, 2015, 'Mercedes']],
+  alpine: [[2021, 2025, 'Renault'], [2026, 2026, 'Mercedes']],
+  benetton: [[1995, 1997, 'Renault'], [1998, 2000, 'Supertec'], [2001, 2001, 'Renault']],
+  force_india: [[2008, 2008, 'Ferrari'], [2009, 2018, 'Mercedes']],
+  racing_point: [[2019, 2020, 'Mercedes']],
+  aston_martin: [[2021, 2025, 'Mercedes'], [2026, 2026, 'Honda']],
+  jordan: [[2000, 2000, 'Mugen-Honda'], [2001, 2002, 'Honda'], [2003, 2004, 'Ford'], [2005, 2005, 'Toyota']],
+  mf1: [[2006, 2006, 'Toyota']],
+  spyker_mf1: [[2006, 2006, 'Toyota']],
+  spyker: [[2007, 2007, 'Ferrari']],
+  sauber: [[1997, 2005, 'Ferrari'], [2011, 2018, 'Ferrari'], [2024, 2025, 'Ferrari']],
+  bmw_sauber: [[2006, 2009, 'BMW'], [2010, 2010, 'Ferrari']],
+  alfa: [[2019, 2023, 'Ferrari']],
+  audi: [[2026, 2026, 'Audi']],
+  haas: [[2016, 2026, 'Ferrari']],
+  cadillac: [[2026, 2026, 'Ferrari']],
+  bar: [[1999, 1999, 'Supertec'], [2000, 2005, 'Honda']],
+  honda: [[2006, 2008, 'Honda']],
+  brawn: [[2009, 2009, 'Mercedes']],
+  toyota: [[2002, 2009, 'Toyota']],
+  super_aguri: [[2006, 2008, 'Honda']],
+  jaguar: [[2000, 2004, 'Cosworth']],
+  stewart: [[1997, 1999, 'Ford']],
+  arrows: [[2000, 2000, 'Supertec'], [2001, 2001, 'Asiatech'], [2002, 2002, 'Cosworth']],
+  prost: [[2000, 2000, 'Peugeot'], [2001, 2001, 'Ferrari']],
+  minardi: [[2000, 2001, 'Ford'], [2002, 2002, 'Asiatech'], [2003, 2005, 'Cosworth']],
+  lotus_racing: [[2010, 2010, 'Cosworth']],
+  team_lotus: [[2011, 2011, 'Renault']],
+  caterham: [[2012, 2014, 'Renault']],
+  virgin: [[2010, 2011, 'Cosworth']],
+  marussia: [[2012, 2013, 'Cosworth'], [2014, 2015, 'Ferrari']],
+  manor: [[2015, 2015, 'Ferrari'], [2016, 2016, 'Mercedes']],
+  hrt: [[2010, 2012, 'Cosworth']]
+};
+
+export const getEngineSupplier = (constructorId, season) => {
+  const year = parseInt(season);
+  const stint = (engineSuppliers[constructorId] || []).find(([from, to]) => year >= from && year <= to);
+  return stint ? stint[2] : null;
+};
+
+export default engineSuppliers;
@@ -1,4 +1,5 @@
-import { ChatOpenAI } from '@langchain/openai';
+import { apiConfig } from './apiConfig.js';
+import { createChatModel, getAvailableProviders } from '../providers/index.js';
 
 class ModelConfig {
   constructor() {
@@ -8,6 +9,7 @@ class ModelConfig {
       fallback: 'gpt-3.5-turbo',
     };
     this.currentModel = this.models.primary;
+    this.provider = apiConfig.llm.provider;
 
     // Debug: Check if env vars are loaded
     console.log('🔍 Debug - Environment check:', {
@@ -21,7 +23,9 @@ class ModelConfig {
 
     this.apiKey = process.env.OPENAI_API_KEY;
 
-    if (!this.apiKey) {
+    if (this.provider !== 'openai') {
+      console.log(`🔌 Using LLM provider: ${this.provider}`);
+    } else if (!this.apiKey) {
       console.warn('⚠️  OPENAI_API_KEY not found in environment variables');
     } else {
       console.log('✅ OpenAI API key loaded successfully');
@@ -42,7 +46,10 @@ class ModelConfig {
     return false;
   }
 
+  // options.provider picks the backend ('openai', 'openai-compatible', 'fake');
+  // falls back to apiConfig.llm.provider
   getModelInstance(options = {}) {
+    const { provider, ...modelOptions } = options;
     const defaultOptions = {
       model: this.currentModel,
       temperature: 0.1,
@@ -50,21 +57,9 @@ class ModelConfig {
       timeout: 60000,
     };
 
-    const finalOptions = { ...defaultOptions, ...options };
+    const finalOptions = { ...defaultOptions, ...modelOptions };
 
-    // Always check for current API key (in case env vars loaded after constructor)
-    const currentApiKey = process.env.OPENAI_API_KEY;
-
-    if (!currentApiKey) {
-      throw new Error(
-        'OpenAI API key is required. Please set OPENAI_API_KEY environment variable.',
-      );
-    }
-
-    return new ChatOpenAI({
-      ...finalOptions,
-      openAIApiKey: currentApiKey,
-    });
+    return createChatModel(provider || this.provider, finalOptions);
   }
 
   // Specialized model instances for different agents
@@ -119,10 +114,10 @@ class ModelConfig {
         },
       ]);
 
-      console.log('✅ OpenAI connection test successful');
+      console.log(`✅ ${this.provider} connection test successful`);
       return true;
     } catch (error) {
-      console.error('❌ OpenAI connection test failed:', error.message);
+      console.error(`❌ ${this.provider} connection test failed:`, error.message);
       return false;
     }
   }
@@ -132,6 +127,8 @@ class ModelConfig {
     return {
       current: this.currentModel,
       available: this.models,
+      provider: this.provider,
+      providers: getAvailableProviders(),
       hasApiKey: !!this.apiKey,
     };
   }
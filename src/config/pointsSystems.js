@@ -0,0 +1,216 @@
+// Drivers' championship scoring by season.
+// droppedScores: { best: n } counts a driver's n best results;
+// { halves: [...] } splits the calendar after the first half's `races`
+// (ceil(races / 2) when not given, which matches 1967-1978) and counts
+// either `best` results or all but `drop` results in each half.
+export const pointsSystems = [
+  {
+    id: '1950',
+    name: '1950-1953 (8-6-4-3-2, fastest lap, best 4)',
+    seasons: [1950, 1953],
+    race: [8, 6, 4, 3, 2],
+    sprint: [],
+    fastestLap: 1,
+    fastestLapMaxPosition: null,
+    droppedScores: { best: 4 }
+  },
+  {
+    id: '1954',
+    name: '1954-1957 (8-6-4-3-2, fastest lap, best 5)',
+    seasons: [1954, 1957],
+    race: [8, 6, 4, 3, 2],
+    sprint: [],
+    fastestLap: 1,
+    fastestLapMaxPosition: null,
+    droppedScores: { best: 5 }
+  },
+  {
+    id: '1958',
+    name: '1958 (8-6-4-3-2, fastest lap, best 6)',
+    seasons: [1958, 1958],
+    race: [8, 6, 4, 3, 2],
+    sprint: [],
+    fastestLap: 1,
+    fastestLapMaxPosition: null,
+    droppedScores: { best: 6 }
+  },
+  {
+    id: '1959',
+    name: '1959 (8-6-4-3-2, fastest lap, best 5)',
+    seasons: [1959, 1959],
+    race: [8, 6, 4, 3, 2],
+    sprint: [],
+    fastestLap: 1,
+    fastestLapMaxPosition: null,
+    droppedScores: { best: 5 }
+  },
+  {
+    id: '1960',
+    name: '1960 (8-6-4-3-2-1, best 6)',
+    seasons: [1960, 1960],
+    race: [8, 6, 4, 3, 2, 1],
+    sprint: [],
+    fastestLap: 0,
+    droppedScores: { best: 6 }
+  },
+  {
+    id: '1961',
+    name: '1961-1962 (9-6-4-3-2-1, best 5)',
+    seasons: [1961, 1962],
+    race: [9, 6, 4, 3, 2, 1],
+    sprint: [],
+    fastestLap: 0,
+    droppedScores: { best: 5 }
+  },
+  {
+    id: '1963',
+    name: '1963-1965 (9-6-4-3-2-1, best 6)',
+    seasons: [1963, 1965],
+    race: [9, 6, 4, 3, 2, 1],
+    sprint: [],
+    fastestLap: 0,
+    droppedScores: { best: 6 }
+  },
+  {
+    id: '1966',
+    name: '1966 (9-6-4-3-2-1, best 5)',
+    seasons: [1966, 1966],
+    race: [9, 6, 4, 3, 2, 1],
+    sprint: [],
+    fastestLap: 0,
+    droppedScores: { best: 5 }
+  },
+  {
+    id: '1967',
+    name: '1967-1978 (9-6-4-3-2-1, worst result dropped in each half)',
+    seasons: [1967, 1978],
+    race: [9, 6, 4, 3, 2, 1],
+    sprint: [],
+    fastestLap: 0,
+    droppedScores: { halves: [{ drop: 1 }, { drop: 1 }] }
+  },
+  {
+    id: '1979',
+    name: '1979 (9-6-4-3-2-1, best 4 in each half)',
+    seasons: [1979, 1979],
+    race: [9, 6, 4, 3, 2, 1],
+    sprint: [],
+    fastestLap: 0,
+    droppedScores: { halves: [{ races: 7, best: 4 }, { best: 4 }] }
+  },
+  {
+    id: '1980',
+    name: '1980 (9-6-4-3-2-1, best 5 in each half)',
+    seasons: [1980, 1980],
+    race: [9, 6, 4, 3, 2, 1],
+    sprint: [],
+    fastestLap: 0,
+    droppedScores: { halves: [{ races: 7, best: 5 }, { best: 5 }] }
+  },
+  {
+    id: '1981',
+    name: '1981-1990 (9-6-4-3-2-1, best 11)',
+    seasons: [1981, 1990],
+    race: [9, 6, 4, 3, 2, 1],
+    sprint: [],
+    fastestLap: 0,
+    droppedScores: { best: 11 }
+  },
+  {
+    id: '1991',
+    name: '1991-2002 (10-6-4-3-2-1)',
+    seasons: [1991, 2002],
+    race: [10, 6, 4, 3, 2, 1],
+    sprint: [],
+    fastestLap: 0,
+    droppedScores: null
+  },
+  {
+    id: '2003',
+    name: '2003-2009 (10-8-6-5-4-3-2-1)',
+    seasons: [2003, 2009],
+    race: [10, 8, 6, 5, 4, 3, 2, 1],
+    sprint: [],
+    fastestLap: 0,
+    droppedScores: null
+  },
+  {
+    id: '2010',
+    name: '2010-2018 (25-18-15-12-10-8-6-4-2-1)',
+    seasons: [2010, 2018],
+    race: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
+    sprint: [],
+    fastestLap: 0,
+    droppedScores: null,
+    // Double points at the 2014 finale
+    doublePointsFinale: [2014]
+  },
+  {
+    id: '2019',
+    name: '2019-2020 (25-18-15-12-10-8-6-4-2-1, fastest lap in the top 10)',
+    seasons: [2019, 2020],
+    race: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
+    sprint: [],
+    fastestLap: 1,
+    fastestLapMaxPosition: 10,
+    droppedScores: null
+  },
+  {
+    id: '2021',
+    name: '2021 (25-18-15-12-10-8-6-4-2-1, fastest lap, sprint 3-2-1)',
+    seasons: [2021, 2021],
+    race: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
+    sprint: [3, 2, 1],
+    fastestLap: 1,
+    fastestLapMaxPosition: 10,
+    droppedScores: null
+  },
+  {
+    id: '2022',
+    name: '2022-2024 (25-18-15-12-10-8-6-4-2-1, fastest lap, sprint 8-1)',
+    seasons: [2022, 2024],
+    race: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
+    sprint: [8, 7, 6, 5, 4, 3, 2, 1],
+    fastestLap: 1,
+    fastestLapMaxPosition: 10,
+    droppedScores: null
+  },
+  {
+    id: '2025',
+    name: '2025 onwards (25-18-15-12-10-8-6-4-2-1, sprint 8-1)',
+    seasons: [2025, null],
+    race: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
+    sprint: [8, 7, 6, 5, 4, 3, 2, 1],
+    fastestLap: 0,
+    droppedScores: null
+  }
+];
+
+/**
+ * Scoring system in force for a season; 'current' and unknown future
+ * seasons use the latest system
+ */
+export const getPointsSystemForSeason = (season) => {
+  const year = parseInt(season);
+  if (isNaN(year)) return pointsSystems[pointsSystems.length - 1];
+
+  return (
+    pointsSystems.find(
+      ({ seasons: [from, to] }) => year >= from && (to === null || year <= to)
+    ) || (year < pointsSystems[0].seasons[0] ? pointsSystems[0] : pointsSystems[pointsSystems.length - 1])
+  );
+};
+
+/**
+ * Look up a system by id ("2010"), by any season it covered ("2008"),
+ * or "current"
+ */
+export const getPointsSystem = (idOrSeason = 'current') => {
+  const key = String(idOrSeason).toLowerCase();
+  if (key === 'current' || key === 'today' || key === 'latest') {
+    return pointsSystems[pointsSystems.length - 1];
+  }
+  return pointsSystems.find((system) => system.id === key) || getPointsSystemForSeason(key);
+};
+
+export default pointsSystems;
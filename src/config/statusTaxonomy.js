@@ -0,0 +1,55 @@
+// Ergast finishing statuses grouped for reliability analysis.
+// Statuses not listed fall back to the keyword patterns, then to 'other'.
+export const STATUS_CATEGORIES = {
+  finished: 'Classified finish',
+  mechanical: 'Mechanical failure',
+  accident: 'Accident / driver error',
+  disqualified: 'Disqualified',
+  did_not_start: 'Did not start',
+  other: 'Other retirement'
+};
+
+const statuses = {
+  finished: ['Finished', 'Lapped'],
+  accident: [
+    'Accident', 'Collision', 'Collision damage', 'Spun off', 'Fatal accident', 'Damage', 'Debris'
+  ],
+  disqualified: ['Disqualified', 'Excluded', 'Underweight'],
+  did_not_start: [
+    'Did not qualify', 'Did not prequalify', 'Did not start', 'Withdrew', '107% Rule', 'Not restarted'
+  ],
+  other: [
+    'Retired', 'Not classified', 'Illness', 'Injured', 'Injury', 'Eye injury', 'Driver unwell', 'Physical',
+    'Safety concerns', 'Safety', 'Puncture'
+  ]
+};
+
+// Anything that sounds like a part of the car is a mechanical failure
+const MECHANICAL_PATTERN =
+  /engine|gearbox|transmission|clutch|hydraulic|electric|radiator|suspension|brake|differential|overheat|mechanical|tyre|wheel|driveshaft|halfshaft|fuel|water|oil|throttle|steering|technical|electronic|wing|exhaust|fire|pneumatic|handling|bearing|launch|power|vibration|ignition|drivetrain|battery|stalled|crankshaft|alternator|belt|injection|distributor|turbo|joint|spark|axle|magneto|supercharger|\bers\b|cooling|chassis|seat|undertray|track rod|misfire|refuel|rig|pump|pipe|leak|pressure/i;
+const ACCIDENT_PATTERN = /accident|collision|spun|crash|contact/i;
+
+const exact = new Map(
+  Object.entries(statuses).flatMap(([category, names]) => names.map((name) => [name.toLowerCase(), category]))
+);
+
+/**
+ * Category for a result's status. positionText settles the cases the
+ * status alone does not ('D' disqualified, 'E' excluded, 'W' withdrawn,
+ * 'F' failed to qualify).
+ */
+export const classifyStatus = (status, positionText = null) => {
+  if (positionText === 'D' || positionText === 'E') return 'disqualified';
+  if (positionText === 'W' || positionText === 'F') return 'did_not_start';
+
+  const text = String(status || '').trim();
+  if (/^\+\d+ Laps?$/i.test(text)) return 'finished';
+
+  const known = exact.get(text.toLowerCase());
+  if (known) return known;
+  if (ACCIDENT_PATTERN.test(text)) return 'accident';
+  if (MECHANICAL_PATTERN.test(text)) return 'mechanical';
+  return 'other';
+};
+
+export default classifyStatus;
@@ -70,6 +70,65 @@ const F1StateAnnotation = Annotation.Root({
     reducer: (current, update) => update ?? current,
     default: () => null
   }),
+
+  // Session identity used by conversation memory and confirmations
+  sessionId: Annotation({
+    reducer: (current, update) => update ?? current,
+    default: () => null
+  }),
+
+  userId: Annotation({
+    reducer: (current, update) => update ?? current,
+    default: () => null
+  }),
+
+  // Caller overrides: 'auto' lets the graph decide, 'single' / 'multi' force a path
+  requestedMode: Annotation({
+    reducer: (current, update) => update ?? current,
+    default: () => 'auto'
+  }),
+
+  requestedAgents: Annotation({
+    reducer: (current, update) => update ?? current,
+    default: () => []
+  }),
+
+  validationResult: Annotation({
+    reducer: (current, update) => update ?? current,
+    default: () => null
+  }),
+
+  synthesis: Annotation({
+    reducer: (current, update) => update ?? current,
+    default: () => null
+  }),
+
+  finalAgentResponse: Annotation({
+    reducer: (current, update) => update ?? current,
+    default: () => null
+  }),
+
+  // Human-in-the-loop confirmation state
+  pendingResponse: Annotation({
+    reducer: (current, update) => update ?? current,
+    default: () => null
+  }),
+
+  confirmationRequest: Annotation({
+    reducer: (current, update) => update ?? current,
+    default: () => null
+  }),
+
+  awaitingConfirmation: Annotation({
+    reducer: (current, update) => update ?? current,
+    default: () => false
+  }),
+
+  // Set when re-running a query the user already answered a confirmation for
+  skipConfirmation: Annotation({
+    reducer: (current, update) => update ?? current,
+    default: () => false
+  }),
   
   metadata: Annotation({
     reducer: (current, update) => ({
@@ -108,6 +167,11 @@ export const stateHelpers = {
       history: context.history || []
     },
     errorState: null,
+    sessionId: context.sessionId || null,
+    userId: context.userId || null,
+    requestedMode: context.mode || 'auto',
+    requestedAgents: context.agents || [],
+    skipConfirmation: context.skipConfirmation || false,
     metadata: {
       timestamp: new Date().toISOString(),
       processingTime: null,
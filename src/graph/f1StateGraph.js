@@ -189,6 +189,16 @@ class F1StateGraphOrchestrator {
 
     try {
       const query = state.queryAnalysis.originalQuery;
+
+      // A single explicitly requested agent bypasses keyword routing
+      const requested = (state.requestedAgents || []).filter(agentId =>
+        this.agentFactory.getAvailableAgents().includes(agentId)
+      );
+      if (requested.length === 1 && state.requestedMode !== 'multi') {
+        console.log(`✅ Using requested agent ${requested[0]}`);
+        return stateHelpers.addRouting(state, requested[0], 1.0, []);
+      }
+
       const routing = await this.agentFactory.routeQuery(query);
       
       const updatedState = stateHelpers.addRouting(
@@ -214,8 +224,11 @@ class F1StateGraphOrchestrator {
     const complexity = state.queryAnalysis.complexity;
     const confidence = state.agentConfidence;
 
-    // Determine if multi-agent approach is needed
-    const isMultiAgent = this.shouldUseMultiAgentApproach(query, complexity, confidence);
+    // Determine if multi-agent approach is needed (callers can force either path)
+    const isMultiAgent =
+      state.requestedMode === 'multi' ||
+      (state.requestedMode !== 'single' &&
+        this.shouldUseMultiAgentApproach(query, complexity, confidence));
     
     return {
       ...state,
@@ -340,7 +353,7 @@ class F1StateGraphOrchestrator {
         agentContributions: results.map(r => ({
           agent: r.agentId,
           confidence: r.confidence,
-          keyInsights: r.analysis?.slice(0, 100) || 'No analysis available'
+          keyInsights: (r.analysis || r.response)?.slice(0, 100) || 'No analysis available'
         })),
         overallConfidence: this.calculateOverallConfidence(results),
         timestamp: new Date().toISOString()
@@ -393,10 +406,12 @@ class F1StateGraphOrchestrator {
       }
 
       // Check if human confirmation is needed
-      const needsConfirmation = this.confirmationWorkflow.shouldRequestConfirmation(
-        state.queryAnalysis,
-        agentResponse
-      );
+      const needsConfirmation =
+        !state.skipConfirmation &&
+        this.confirmationWorkflow.shouldRequestConfirmation(
+          state.queryAnalysis,
+          agentResponse
+        );
 
       if (needsConfirmation) {
         console.log('⚠️  Response requires human confirmation');
@@ -626,16 +641,32 @@ class F1StateGraphOrchestrator {
   }
 
   selectMultipleAgents(state) {
-    const query = state.queryAnalysis.originalQuery;
+    const available = this.agentFactory.getAvailableAgents();
+
+    // Explicitly requested agents win
+    const requested = (state.requestedAgents || []).filter(agentId => available.includes(agentId));
+    if (requested.length > 0) {
+      return [...new Set(requested)];
+    }
+
     const primaryAgent = state.selectedAgent;
     const alternatives = state.routingHistory[state.routingHistory.length - 1]?.alternatives || [];
+    const entities = state.queryAnalysis.extractedEntities || {};
     
     // Always include primary agent
     const agents = [primaryAgent];
+
+    // Driver and team comparisons need both specialists
+    if (entities.drivers?.length > 0 && !agents.includes('driver')) {
+      agents.push('driver');
+    }
+    if (entities.constructors?.length > 0 && !agents.includes('constructor')) {
+      agents.push('constructor');
+    }
     
     // Add top alternatives if confidence is reasonable
     alternatives.forEach(alt => {
-      if (alt.confidence > 0.3 && agents.length < 3) {
+      if (alt.confidence > 0.3 && agents.length < 3 && !agents.includes(alt.agentId)) {
         agents.push(alt.agentId);
       }
     });
@@ -649,10 +680,10 @@ class F1StateGraphOrchestrator {
 Original Query: ${queryAnalysis.originalQuery}
 
 Agent Results:
-${results.map(result => `
+${results.filter(result => result.success !== false).map(result => `
 Agent: ${result.agentId}
 Confidence: ${result.confidence}
-Analysis: ${result.analysis || 'No analysis provided'}
+Analysis: ${result.analysis || result.response || 'No analysis provided'}
 `).join('\n')}
 
 Please provide a comprehensive, coherent response that combines the best insights from all agents. Focus on:
@@ -688,27 +719,63 @@ Keep the response engaging and informative while maintaining technical accuracy.
   // Human-in-the-Loop Methods
   async processConfirmation(confirmationId, userAction, additionalData = {}) {
     try {
+      // Look the confirmation up first - processing removes it
+      const pending = this.confirmationWorkflow.pendingConfirmations.get(confirmationId);
+      const sessionId = pending?.sessionId || null;
+      const userId = pending?.userId || null;
+
       const result = await this.confirmationWorkflow.processConfirmation(
         confirmationId, 
         userAction, 
         additionalData
       );
-      
-      if (result.success && result.action === 'confirmed') {
+
+      if (!result.success) {
+        return result;
+      }
+
+      if (result.action === 'confirmed' && sessionId) {
         // User confirmed - deliver the response
-        const sessionId = this.getSessionFromConfirmation(confirmationId);
-        if (sessionId) {
-          // Add confirmed response to memory
-          const aiMessage = new AIMessage(result.response);
-          this.conversationMemory.addMessage(sessionId, aiMessage, {
-            agentUsed: result.agentUsed,
-            confidence: result.confidence,
-            confirmed: true
-          });
-        }
+        const aiMessage = new AIMessage(result.response);
+        this.conversationMemory.addMessage(sessionId, aiMessage, {
+          agentUsed: result.agentUsed,
+          confidence: result.confidence,
+          confirmed: true
+        });
       }
-      
-      return result;
+
+      // Refine re-runs with the new wording, alternative with another agent
+      let rerunContext = null;
+      if (result.action === 'refine') {
+        rerunContext = { query: result.refinedQuery };
+      } else if (result.action === 'alternative') {
+        rerunContext = { query: result.query, mode: 'single', agents: [result.alternativeAgent] };
+      }
+
+      if (rerunContext) {
+        const { query, ...context } = rerunContext;
+        console.log(`🔁 Re-running query after ${result.action}: "${query}"`);
+
+        const state = await this.processQuery(query, {
+          ...context,
+          sessionId,
+          userId,
+          skipConfirmation: true
+        });
+        const rerun = this.summarizeResult(state);
+
+        return {
+          ...result,
+          sessionId,
+          query,
+          response: rerun.response,
+          agentUsed: rerun.agent,
+          confidence: rerun.confidence,
+          result: rerun
+        };
+      }
+
+      return { ...result, sessionId };
     } catch (error) {
       console.error('Confirmation processing error:', error);
       return { success: false, error: error.message };
@@ -731,12 +798,6 @@ Keep the response engaging and informative while maintaining technical accuracy.
     return this.confirmationWorkflow.getPendingConfirmations(sessionId);
   }
 
-  getSessionFromConfirmation(confirmationId) {
-    // Helper method to get session ID from confirmation ID
-    const confirmation = this.confirmationWorkflow.pendingConfirmations.get(confirmationId);
-    return confirmation?.sessionId || null;
-  }
-
   // Public methods
   async processQuery(query, context = {}) {
     if (!this.initialized) {
@@ -772,6 +833,46 @@ Keep the response engaging and informative while maintaining technical accuracy.
     }
   }
 
+  // Flatten a final graph state into the shape returned over HTTP. Only an
+  // AI message can stand in for the answer - on the error path the last
+  // message is the user's own question
+  summarizeResult(state) {
+    const lastMessage = state.messages?.[state.messages.length - 1];
+    const finalResponse = state.finalAgentResponse;
+    const response =
+      finalResponse?.response || (lastMessage instanceof AIMessage ? lastMessage.content : null) || null;
+    const missing = !response && !state.awaitingConfirmation;
+
+    return {
+      response,
+      agent: finalResponse?.agentUsed || state.selectedAgent,
+      confidence: finalResponse?.confidence ?? state.agentConfidence,
+      multiAgent: !!state.isMultiAgent,
+      contributions: (state.multiAgentResults || []).map(result => ({
+        agent: result.agentId,
+        success: result.success !== false,
+        confidence: result.confidence,
+        response: result.response || result.analysis || null,
+        processingTime: result.processingTime,
+        toolsUsed: result.metadata?.toolsUsed || 0,
+        ...(result.error && { error: result.error })
+      })),
+      synthesis: state.synthesis
+        ? {
+          combinedInsights: state.synthesis.combinedInsights,
+          overallConfidence: state.synthesis.overallConfidence
+        }
+        : null,
+      awaitingConfirmation: !!state.awaitingConfirmation,
+      confirmationRequest: state.confirmationRequest || null,
+      error: state.errorState?.message || (missing ? 'No agent produced a response' : null),
+      metadata: {
+        ...state.metadata,
+        routing: state.routingHistory?.[state.routingHistory.length - 1] || null
+      }
+    };
+  }
+
   getGraphStructure() {
     return {
       nodes: [
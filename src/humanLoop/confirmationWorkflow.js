@@ -45,7 +45,7 @@ export class ConfirmationWorkflow {
       confirmationId,
       sessionId,
       userId,
-      query: queryAnalysis.query,
+      query: queryAnalysis.query || queryAnalysis.originalQuery,
       agentResponse,
       queryAnalysis,
       status: 'pending',
@@ -56,10 +56,10 @@ export class ConfirmationWorkflow {
 
     this.pendingConfirmations.set(confirmationId, confirmationData);
 
-    // Set timeout for auto-rejection
+    // Set timeout for auto-rejection (unref'd so it never holds the process open)
     setTimeout(() => {
       this.timeoutConfirmation(confirmationId);
-    }, this.confirmationTimeout);
+    }, this.confirmationTimeout).unref?.();
 
     return this.formatConfirmationRequest(confirmationData);
   }
@@ -118,16 +118,16 @@ export class ConfirmationWorkflow {
     const confirmation = this.pendingConfirmations.get(confirmationId);
     
     if (!confirmation) {
-      return { success: false, error: 'Confirmation not found or expired' };
+      return { success: false, code: 'not_found', error: 'Confirmation not found or expired' };
     }
 
     if (confirmation.status !== 'pending') {
-      return { success: false, error: 'Confirmation already processed' };
+      return { success: false, code: 'already_processed', error: 'Confirmation already processed' };
     }
 
     // Check if expired
     if (new Date() > new Date(confirmation.expiresAt)) {
-      return { success: false, error: 'Confirmation has expired' };
+      return { success: false, code: 'expired', error: 'Confirmation has expired' };
     }
 
     confirmation.status = 'processed';
@@ -150,7 +150,7 @@ export class ConfirmationWorkflow {
         result = await this.handleCancelAction(confirmation);
         break;
       default:
-        result = { success: false, error: 'Invalid action' };
+        result = { success: false, code: 'invalid_action', error: 'Invalid action' };
     }
 
     // Clean up processed confirmation
@@ -182,6 +182,7 @@ export class ConfirmationWorkflow {
     return {
       success: true,
       action: 'refine',
+      originalQuery: confirmation.query,
       refinedQuery,
       message: 'Query refined. Please resubmit the refined query.',
       suggestions: this.generateRefinementSuggestions(confirmation.queryAnalysis)
@@ -197,6 +198,7 @@ export class ConfirmationWorkflow {
     return {
       success: true,
       action: 'alternative',
+      query: confirmation.query,
       alternativeAgent,
       message: `Trying alternative approach with ${alternativeAgent} agent`,
       originalResponse: confirmation.agentResponse
@@ -219,12 +221,13 @@ export class ConfirmationWorkflow {
    */
   generateRefinementSuggestions(queryAnalysis) {
     const suggestions = [];
+    const entities = this.getEntities(queryAnalysis);
     
-    if (queryAnalysis.entities.drivers.length > 2) {
+    if (entities.drivers.length > 2) {
       suggestions.push('Consider focusing on 1-2 specific drivers for more detailed analysis');
     }
     
-    if (queryAnalysis.entities.years.length > 3) {
+    if (entities.years.length > 3) {
       suggestions.push('Try narrowing down to a specific season or timeframe');
     }
     
@@ -314,18 +317,28 @@ export class ConfirmationWorkflow {
    * Check if query is historical comparison
    */
   isHistoricalComparison(queryAnalysis) {
-    if (!queryAnalysis || !queryAnalysis.entities || !queryAnalysis.entities.years) {
-      return false;
-    }
+    const { years } = this.getEntities(queryAnalysis);
     
-    const hasMultipleEras = queryAnalysis.entities.years.length > 1;
-    const yearSpan = queryAnalysis.entities.years.length > 1 
-      ? Math.max(...queryAnalysis.entities.years) - Math.min(...queryAnalysis.entities.years)
+    const hasMultipleEras = years.length > 1;
+    const yearSpan = years.length > 1 
+      ? Math.max(...years) - Math.min(...years)
       : 0;
     
     return hasMultipleEras && yearSpan > 10;
   }
 
+  /**
+   * Normalise entities from the validator (entities.years) and the
+   * StateGraph analysis (extractedEntities.seasons)
+   */
+  getEntities(queryAnalysis) {
+    const entities = queryAnalysis?.entities || queryAnalysis?.extractedEntities || {};
+    return {
+      drivers: entities.drivers || [],
+      years: (entities.years || entities.seasons || []).map(Number)
+    };
+  }
+
   /**
    * Get confirmation statistics
    */
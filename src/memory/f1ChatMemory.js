@@ -1,11 +1,66 @@
+import { createConversationStore } from './stores/index.js';
+
 /**
  * F1 Chat Memory System - Following TFL Pattern
  * Handles conversation context for F1 queries
+ * Active threads are cached in memory and written through to a pluggable
+ * store (in-memory or SQLite, see apiConfig.database.memoryStore)
  */
 class F1ChatMemory {
-  constructor() {
-    this.conversations = new Map(); // threadId -> conversation data
+  constructor(options = {}) {
+    this.conversations = new Map(); // threadId -> conversation data (cache)
     this.maxMessages = 50;
+    this.store = options.store || createConversationStore(options.storeType);
+    this.storeReady = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Prepare the storage backend (runs migrations for SQLite)
+   */
+  async initialize() {
+    if (!this.storeReady) {
+      this.storeReady = this.store.initialize();
+    }
+    return this.storeReady;
+  }
+
+  /**
+   * Queue a store write so writes land in the order they were made
+   */
+  enqueueWrite(operation) {
+    this.writeQueue = this.writeQueue
+      .then(() => this.initialize())
+      .then(operation)
+      .catch((error) => {
+        console.error('[F1ChatMemory] Store write failed:', error.message);
+      });
+    return this.writeQueue;
+  }
+
+  /**
+   * Wait for all queued store writes to finish
+   */
+  async flush() {
+    await this.writeQueue;
+  }
+
+  /**
+   * Load a thread from the store into the cache if it isn't there yet
+   */
+  async ensureLoaded(threadId) {
+    if (this.conversations.has(threadId)) {
+      return this.conversations.get(threadId);
+    }
+
+    await this.initialize();
+    await this.flush();
+
+    const stored = await this.store.loadConversation(threadId);
+    if (stored && !this.conversations.has(threadId)) {
+      this.conversations.set(threadId, stored);
+    }
+    return this.conversations.get(threadId) || null;
   }
 
   /**
@@ -28,6 +83,9 @@ class F1ChatMemory {
         createdAt: new Date().toISOString(),
         lastActivity: new Date().toISOString()
       });
+
+      const conversation = this.conversations.get(threadId);
+      this.enqueueWrite(() => this.store.saveConversation(conversation));
     }
     return this.conversations.get(threadId);
   }
@@ -57,10 +115,21 @@ class F1ChatMemory {
     this.updateConversationContext(conversation, role, content, metadata);
 
     // Manage memory size
-    if (conversation.messages.length > this.maxMessages) {
+    const truncated = conversation.messages.length > this.maxMessages;
+    if (truncated) {
       this.truncateConversation(conversation);
     }
 
+    // Persist the message, context and any truncation
+    const keepCount = conversation.messages.length;
+    this.enqueueWrite(async () => {
+      await this.store.saveConversation(conversation);
+      await this.store.appendMessage(threadId, messageEntry);
+      if (truncated) {
+        await this.store.trimMessages(threadId, keepCount);
+      }
+    });
+
     return messageEntry;
   }
 
@@ -146,8 +215,8 @@ class F1ChatMemory {
   /**
    * Get conversation history for a session
    */
-  getConversationHistory(threadId, limit = null) {
-    const conversation = this.conversations.get(threadId);
+  async getConversationHistory(threadId, limit = null) {
+    const conversation = await this.ensureLoaded(threadId);
     if (!conversation) return null;
 
     const messages = limit ? conversation.messages.slice(-limit) : conversation.messages;
@@ -167,8 +236,8 @@ class F1ChatMemory {
   /**
    * Get conversation context for agent decision making
    */
-  getRelevantContext(threadId, currentQuery) {
-    const conversation = this.conversations.get(threadId);
+  async getRelevantContext(threadId, currentQuery) {
+    const conversation = await this.ensureLoaded(threadId);
     if (!conversation) return null;
 
     const recentMessages = conversation.messages.slice(-10);
@@ -263,50 +332,70 @@ class F1ChatMemory {
   }
 
   /**
-   * Save message (simplified version for in-memory storage)
+   * Save message and wait until it is persisted
    */
   async saveMessage(threadId, role, content, metadata = {}) {
-    return this.addMessage(threadId, role, content, metadata);
+    await this.ensureLoaded(threadId);
+    const messageEntry = this.addMessage(threadId, role, content, metadata);
+    await this.flush();
+    return messageEntry;
   }
 
   /**
    * Create conversation
    */
   async createConversation(threadId) {
-    return this.initializeSession(threadId);
+    await this.ensureLoaded(threadId);
+    const conversation = this.initializeSession(threadId);
+    await this.flush();
+    return conversation;
   }
 
   /**
    * Delete conversation
    */
   async deleteConversation(threadId) {
-    const existed = this.conversations.has(threadId);
-    this.conversations.delete(threadId);
-    return existed;
+    const cached = this.conversations.delete(threadId);
+    await this.initialize();
+    await this.flush();
+    const stored = await this.store.deleteConversation(threadId);
+    return cached || stored;
   }
 
   /**
    * Health check
    */
   async healthCheck() {
-    return true;
+    await this.initialize();
+    return this.store.healthCheck();
   }
 
   /**
    * Get stats
    */
-  getStats() {
-    const totalConversations = this.conversations.size;
-    const totalMessages = Array.from(this.conversations.values())
-      .reduce((sum, conv) => sum + conv.messages.length, 0);
-    
+  async getStats() {
+    await this.initialize();
+    await this.flush();
+    const { type, totalConversations, totalMessages } = await this.store.getStats();
+
     return {
+      store: type,
+      cachedConversations: this.conversations.size,
       totalConversations,
       totalMessages,
       averageMessagesPerConversation: totalConversations > 0 ? 
         Math.round(totalMessages / totalConversations) : 0
     };
   }
+
+  /**
+   * Flush pending writes and close the store
+   */
+  async close() {
+    await this.flush();
+    await this.store.close();
+    this.storeReady = null;
+  }
 }
 
 export { F1ChatMemory };
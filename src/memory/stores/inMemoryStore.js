@@ -0,0 +1,112 @@
+/**
+ * In-Memory Conversation Store
+ * Process-local storage backend for F1ChatMemory (lost on restart)
+ */
+class InMemoryConversationStore {
+  constructor() {
+    this.type = 'memory';
+    this.conversations = new Map(); // threadId -> serialized conversation
+  }
+
+  /**
+   * Nothing to set up for in-memory storage
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Load a conversation with its messages
+   */
+  async loadConversation(threadId) {
+    const stored = this.conversations.get(threadId);
+    if (!stored) return null;
+
+    return {
+      ...stored,
+      messages: stored.messages.map((message) => ({ ...message })),
+      context: {
+        ...stored.context,
+        mentionedDrivers: new Set(stored.context.mentionedDrivers),
+        mentionedCircuits: new Set(stored.context.mentionedCircuits),
+        mentionedSeasons: new Set(stored.context.mentionedSeasons)
+      }
+    };
+  }
+
+  /**
+   * Insert or update thread metadata and extracted context
+   */
+  async saveConversation(conversation) {
+    const existing = this.conversations.get(conversation.threadId);
+
+    this.conversations.set(conversation.threadId, {
+      threadId: conversation.threadId,
+      userId: conversation.userId,
+      createdAt: conversation.createdAt,
+      lastActivity: conversation.lastActivity,
+      messages: existing ? existing.messages : [],
+      context: {
+        ...conversation.context,
+        activeTopics: [...conversation.context.activeTopics],
+        queryHistory: [...conversation.context.queryHistory],
+        mentionedDrivers: Array.from(conversation.context.mentionedDrivers),
+        mentionedCircuits: Array.from(conversation.context.mentionedCircuits),
+        mentionedSeasons: Array.from(conversation.context.mentionedSeasons)
+      }
+    });
+  }
+
+  /**
+   * Append a message to a conversation
+   */
+  async appendMessage(threadId, messageEntry) {
+    const stored = this.conversations.get(threadId);
+    if (stored) {
+      stored.messages.push({ ...messageEntry });
+    }
+  }
+
+  /**
+   * Drop all but the most recent messages of a conversation
+   */
+  async trimMessages(threadId, keepCount) {
+    const stored = this.conversations.get(threadId);
+    if (stored) {
+      stored.messages = stored.messages.slice(-keepCount);
+    }
+  }
+
+  /**
+   * Delete a conversation
+   */
+  async deleteConversation(threadId) {
+    return this.conversations.delete(threadId);
+  }
+
+  /**
+   * Get stats
+   */
+  async getStats() {
+    const totalMessages = Array.from(this.conversations.values())
+      .reduce((sum, conv) => sum + conv.messages.length, 0);
+
+    return {
+      type: this.type,
+      totalConversations: this.conversations.size,
+      totalMessages
+    };
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    return true;
+  }
+
+  async close() {}
+}
+
+export { InMemoryConversationStore };
+export default InMemoryConversationStore;
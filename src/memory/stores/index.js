@@ -0,0 +1,20 @@
+import { apiConfig } from '../../config/apiConfig.js';
+import { InMemoryConversationStore } from './inMemoryStore.js';
+import { SqliteConversationStore } from './sqliteStore.js';
+
+/**
+ * Conversation store factory
+ * Picks the backend from apiConfig.database.memoryStore ('memory' | 'sqlite')
+ */
+export function createConversationStore(type = apiConfig.database.memoryStore) {
+  switch (type) {
+    case 'sqlite':
+      return new SqliteConversationStore({ url: apiConfig.database.url });
+    case 'memory':
+      return new InMemoryConversationStore();
+    default:
+      throw new Error(`Unknown conversation store type: ${type}. Use 'memory' or 'sqlite'.`);
+  }
+}
+
+export { InMemoryConversationStore, SqliteConversationStore };
@@ -0,0 +1,46 @@
+/**
+ * Schema migrations for the SQLite conversation store
+ * Append new entries with a higher version - never edit an applied one
+ */
+export const memoryMigrations = [
+  {
+    version: 1,
+    name: 'create_conversation_tables',
+    up: `
+      CREATE TABLE conversations (
+        thread_id TEXT PRIMARY KEY,
+        user_id TEXT,
+        created_at TEXT NOT NULL,
+        last_activity TEXT NOT NULL,
+        last_agent TEXT,
+        active_topics TEXT NOT NULL DEFAULT '[]',
+        query_history TEXT NOT NULL DEFAULT '[]'
+      );
+
+      CREATE TABLE messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        thread_id TEXT NOT NULL REFERENCES conversations(thread_id) ON DELETE CASCADE,
+        role TEXT NOT NULL,
+        content TEXT,
+        metadata TEXT NOT NULL DEFAULT '{}',
+        timestamp TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_messages_thread ON messages(thread_id, id);
+    `
+  },
+  {
+    version: 2,
+    name: 'create_conversation_entities',
+    up: `
+      CREATE TABLE conversation_entities (
+        thread_id TEXT NOT NULL REFERENCES conversations(thread_id) ON DELETE CASCADE,
+        entity_type TEXT NOT NULL CHECK (entity_type IN ('driver', 'circuit', 'season')),
+        value TEXT NOT NULL,
+        PRIMARY KEY (thread_id, entity_type, value)
+      );
+    `
+  }
+];
+
+export default memoryMigrations;
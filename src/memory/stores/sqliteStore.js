@@ -0,0 +1,215 @@
+import { SqliteDatabase } from '../../utils/sqliteDatabase.js';
+import { memoryMigrations } from './migrations.js';
+
+/**
+ * SQLite Conversation Store
+ * Persists threads, messages and extracted context across restarts
+ */
+
+// Conversation context Set fields and their entity_type in conversation_entities
+const ENTITY_FIELDS = {
+  mentionedDrivers: 'driver',
+  mentionedCircuits: 'circuit',
+  mentionedSeasons: 'season'
+};
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+class SqliteConversationStore {
+  constructor(options = {}) {
+    this.type = 'sqlite';
+    this.database = new SqliteDatabase(options.url);
+    this.initialized = false;
+  }
+
+  /**
+   * Open the database and apply pending migrations
+   */
+  async initialize() {
+    if (this.initialized) return true;
+
+    await this.database.open();
+    const applied = await this.database.migrate(memoryMigrations, 'memory_migrations');
+    console.log(`💾 SQLite conversation store ready at ${this.database.filename} (${applied} new migrations)`);
+
+    this.initialized = true;
+    return true;
+  }
+
+  /**
+   * Load a conversation with its messages and context
+   */
+  async loadConversation(threadId) {
+    const row = await this.database.get(
+      'SELECT * FROM conversations WHERE thread_id = ?',
+      [threadId]
+    );
+    if (!row) return null;
+
+    const [messageRows, entityRows] = await Promise.all([
+      this.database.all(
+        'SELECT role, content, metadata, timestamp FROM messages WHERE thread_id = ? ORDER BY id',
+        [threadId]
+      ),
+      this.database.all(
+        'SELECT entity_type, value FROM conversation_entities WHERE thread_id = ?',
+        [threadId]
+      )
+    ]);
+
+    const context = {
+      activeTopics: parseJson(row.active_topics, []),
+      mentionedDrivers: new Set(),
+      mentionedCircuits: new Set(),
+      mentionedSeasons: new Set(),
+      lastAgent: row.last_agent,
+      queryHistory: parseJson(row.query_history, [])
+    };
+
+    for (const [field, entityType] of Object.entries(ENTITY_FIELDS)) {
+      entityRows
+        .filter((entity) => entity.entity_type === entityType)
+        .forEach((entity) => context[field].add(entity.value));
+    }
+
+    return {
+      threadId: row.thread_id,
+      userId: row.user_id,
+      messages: messageRows.map((message) => ({
+        role: message.role,
+        content: message.content,
+        timestamp: message.timestamp,
+        metadata: parseJson(message.metadata, {})
+      })),
+      context,
+      createdAt: row.created_at,
+      lastActivity: row.last_activity
+    };
+  }
+
+  /**
+   * Insert or update thread metadata and extracted context
+   */
+  async saveConversation(conversation) {
+    const { context } = conversation;
+
+    await this.database.transaction(async (db) => {
+      await db.run(
+        `INSERT INTO conversations
+           (thread_id, user_id, created_at, last_activity, last_agent, active_topics, query_history)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(thread_id) DO UPDATE SET
+           user_id = COALESCE(excluded.user_id, conversations.user_id),
+           last_activity = excluded.last_activity,
+           last_agent = excluded.last_agent,
+           active_topics = excluded.active_topics,
+           query_history = excluded.query_history`,
+        [
+          conversation.threadId,
+          conversation.userId,
+          conversation.createdAt,
+          conversation.lastActivity,
+          context.lastAgent,
+          JSON.stringify(context.activeTopics),
+          JSON.stringify(context.queryHistory)
+        ]
+      );
+
+      // Entity sets only ever grow, so inserting new values is enough
+      for (const [field, entityType] of Object.entries(ENTITY_FIELDS)) {
+        for (const value of context[field]) {
+          await db.run(
+            `INSERT OR IGNORE INTO conversation_entities (thread_id, entity_type, value)
+             VALUES (?, ?, ?)`,
+            [conversation.threadId, entityType, String(value)]
+          );
+        }
+      }
+    });
+  }
+
+  /**
+   * Append a message to a conversation
+   */
+  async appendMessage(threadId, messageEntry) {
+    await this.database.run(
+      `INSERT INTO messages (thread_id, role, content, metadata, timestamp)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        threadId,
+        messageEntry.role,
+        messageEntry.content,
+        JSON.stringify(messageEntry.metadata || {}),
+        messageEntry.timestamp
+      ]
+    );
+  }
+
+  /**
+   * Drop all but the most recent messages of a conversation
+   */
+  async trimMessages(threadId, keepCount) {
+    await this.database.run(
+      `DELETE FROM messages
+       WHERE thread_id = ?
+         AND id NOT IN (
+           SELECT id FROM messages WHERE thread_id = ? ORDER BY id DESC LIMIT ?
+         )`,
+      [threadId, threadId, keepCount]
+    );
+  }
+
+  /**
+   * Delete a conversation (messages and entities cascade)
+   */
+  async deleteConversation(threadId) {
+    const { changes } = await this.database.run(
+      'DELETE FROM conversations WHERE thread_id = ?',
+      [threadId]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Get stats
+   */
+  async getStats() {
+    const [conversations, messages] = await Promise.all([
+      this.database.get('SELECT COUNT(*) AS count FROM conversations'),
+      this.database.get('SELECT COUNT(*) AS count FROM messages')
+    ]);
+
+    return {
+      type: this.type,
+      totalConversations: conversations.count,
+      totalMessages: messages.count
+    };
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    try {
+      await this.database.get('SELECT 1');
+      return true;
+    } catch (error) {
+      console.error('SQLite conversation store health check failed:', error.message);
+      return false;
+    }
+  }
+
+  async close() {
+    await this.database.close();
+    this.initialized = false;
+  }
+}
+
+export { SqliteConversationStore };
+export default SqliteConversationStore;
@@ -2,6 +2,9 @@
  * Monitoring and Observability Middleware for F1 Sequential Agents
  */
 
+import { apiConfig } from '../config/apiConfig.js';
+import { getMissingFixtures } from '../tools/fixtureStore.js';
+
 export class MonitoringMiddleware {
   constructor() {
     this.requestCount = 0;
@@ -101,6 +104,11 @@ export class MonitoringMiddleware {
         agents: {
           available: ['raceResults', 'circuit', 'driver', 'constructor', 'championship', 'historical'],
           status: 'operational'
+        },
+        f1Api: {
+          mode: apiConfig.f1Api.mode,
+          // Replay runs are only deterministic if nothing fell through to a miss
+          ...(apiConfig.f1Api.mode === 'replay' && { missingFixtures: getMissingFixtures() })
         }
       });
     };
@@ -0,0 +1,36 @@
+import { apiConfig } from '../config/apiConfig.js';
+import { createOpenAIModel, createOpenAICompatibleModel } from './openaiProvider.js';
+import { ScriptedChatModel } from './scriptedChatModel.js';
+
+/**
+ * LLM provider registry
+ * Each provider turns model options into a LangChain chat model
+ */
+const providers = {
+  openai: createOpenAIModel,
+  'openai-compatible': (options) =>
+    createOpenAICompatibleModel({
+      baseUrl: apiConfig.llm.baseUrl,
+      apiKey: apiConfig.llm.apiKey,
+      ...options,
+      // Local servers rarely serve the gpt-* names used in agentConfig
+      ...(apiConfig.llm.model && { model: apiConfig.llm.model }),
+    }),
+  fake: (options) => new ScriptedChatModel(options),
+};
+
+export function getAvailableProviders() {
+  return Object.keys(providers);
+}
+
+export function createChatModel(provider = apiConfig.llm.provider, options = {}) {
+  const factory = providers[provider];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider: ${provider}. Available: ${getAvailableProviders().join(', ')}`,
+    );
+  }
+  return factory(options);
+}
+
+export { ScriptedChatModel };
@@ -0,0 +1,40 @@
+import { ChatOpenAI } from '@langchain/openai';
+
+/**
+ * OpenAI chat models - the hosted API or any OpenAI-compatible endpoint
+ * (Ollama, vLLM, LM Studio, llama.cpp server...)
+ */
+
+export function createOpenAIModel(options = {}) {
+  const { apiKey, baseUrl, ...modelOptions } = options;
+  const currentApiKey = apiKey || process.env.OPENAI_API_KEY;
+
+  if (!currentApiKey) {
+    throw new Error(
+      'OpenAI API key is required. Please set OPENAI_API_KEY environment variable.',
+    );
+  }
+
+  return new ChatOpenAI({
+    ...modelOptions,
+    openAIApiKey: currentApiKey,
+    ...(baseUrl && { configuration: { baseURL: baseUrl } }),
+  });
+}
+
+export function createOpenAICompatibleModel(options = {}) {
+  const { apiKey, baseUrl, ...modelOptions } = options;
+
+  if (!baseUrl) {
+    throw new Error(
+      'A base URL is required for the openai-compatible provider. Please set LLM_BASE_URL.',
+    );
+  }
+
+  return new ChatOpenAI({
+    ...modelOptions,
+    // Most local servers ignore the key but the client requires one
+    openAIApiKey: apiKey || 'not-needed',
+    configuration: { baseURL: baseUrl },
+  });
+}
@@ -0,0 +1,120 @@
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage, AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+
+/**
+ * Scripted Chat Model
+ * Deterministic offline stand-in for a chat model. Replies come from, in order:
+ *   1. script  - queued responses, consumed one per call
+ *   2. rules   - { match: string | RegExp, response } checked against the last message
+ *   3. defaultResponse
+ * A response is a string, { content, tool_calls: [{ name, args, id? }] },
+ * or a function (messages) => response.
+ */
+class ScriptedChatModel extends BaseChatModel {
+  constructor(fields = {}) {
+    super(fields);
+    this.script = [...(fields.script || [])];
+    this.rules = fields.rules || [];
+    this.defaultResponse = fields.defaultResponse ?? 'OK';
+    this.boundTools = [];
+    this.calls = []; // messages received per call, for assertions
+  }
+
+  _llmType() {
+    return 'scripted';
+  }
+
+  // Tool schemas are only recorded - scripted responses decide the tool calls
+  bindTools(tools) {
+    this.boundTools = tools;
+    return this;
+  }
+
+  // Queue more responses after construction
+  enqueue(...responses) {
+    this.script.push(...responses);
+    return this;
+  }
+
+  nextResponse(messages) {
+    this.calls.push(messages);
+
+    if (this.script.length > 0) {
+      return this.toMessage(this.script.shift(), messages);
+    }
+
+    const lastContent = String(messages[messages.length - 1]?.content ?? '');
+    const rule = this.rules.find(({ match }) =>
+      match instanceof RegExp
+        ? match.test(lastContent)
+        : lastContent.toLowerCase().includes(String(match).toLowerCase())
+    );
+
+    return this.toMessage(rule ? rule.response : this.defaultResponse, messages);
+  }
+
+  toMessage(response, messages) {
+    if (typeof response === 'function') {
+      return this.toMessage(response(messages), messages);
+    }
+    if (response instanceof AIMessage) {
+      return response;
+    }
+    if (typeof response === 'string') {
+      return new AIMessage({ content: response });
+    }
+
+    const callNumber = this.calls.length;
+    return new AIMessage({
+      content: response?.content || '',
+      tool_calls: (response?.tool_calls || []).map((toolCall, index) => ({
+        name: toolCall.name,
+        args: toolCall.args || {},
+        id: toolCall.id || `call_${callNumber}_${index}`,
+        type: 'tool_call'
+      }))
+    });
+  }
+
+  async _generate(messages) {
+    const message = this.nextResponse(messages);
+    return {
+      generations: [{ text: typeof message.content === 'string' ? message.content : '', message }]
+    };
+  }
+
+  // Streams text word by word; tool calls arrive in a single chunk
+  async *_streamResponseChunks(messages, options, runManager) {
+    const message = this.nextResponse(messages);
+    const content = typeof message.content === 'string' ? message.content : '';
+
+    if (message.tool_calls?.length > 0) {
+      yield new ChatGenerationChunk({
+        text: content,
+        message: new AIMessageChunk({
+          content,
+          tool_call_chunks: message.tool_calls.map((toolCall, index) => ({
+            name: toolCall.name,
+            args: JSON.stringify(toolCall.args),
+            id: toolCall.id,
+            index,
+            type: 'tool_call_chunk'
+          }))
+        })
+      });
+      return;
+    }
+
+    for (const piece of content.match(/\S+\s*|\s+/g) || ['']) {
+      yield new ChatGenerationChunk({
+        text: piece,
+        message: new AIMessageChunk({ content: piece })
+      });
+      await runManager?.handleLLMNewToken(piece);
+    }
+  }
+}
+
+export { ScriptedChatModel };
+export default ScriptedChatModel;
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * F1 Warehouse Ingestion
+ * Loads the Ergast dataset into the local SQLite warehouse. Only races not
+ * yet ingested are fetched, so run it again after each race weekend.
+ *
+ * Usage: npm run warehouse:ingest -- [--season=2024 | --from=1950 --to=2025]
+ *        [--skip=lap_times,pit_stops] [--force] [--status]
+ * Set F1_WAREHOUSE=true for the tools to read from it.
+ */
+
+import 'dotenv/config';
+import { getSharedWarehouse, WarehouseIngestor, WAREHOUSE_PARTS } from '../services/warehouse/index.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((arg) => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value ?? true];
+  })
+);
+
+const warehouse = getSharedWarehouse();
+
+try {
+  if (args.status) {
+    console.log(JSON.stringify(await warehouse.getStatus(), null, 2));
+  } else {
+    const skip = typeof args.skip === 'string' ? args.skip.split(',') : [];
+    const unknown = skip.filter((part) => !WAREHOUSE_PARTS.includes(part));
+    if (unknown.length) {
+      throw new Error(`Unknown part(s) to skip: ${unknown.join(', ')}. Use ${WAREHOUSE_PARTS.join(', ')}.`);
+    }
+
+    const summary = await new WarehouseIngestor(warehouse).ingest({
+      fromSeason: args.season || args.from,
+      toSeason: args.season || args.to,
+      include: WAREHOUSE_PARTS.filter((part) => !skip.includes(part)),
+      force: Boolean(args.force)
+    });
+    console.log(JSON.stringify(summary, null, 2));
+    if (summary.stoppedAt) process.exitCode = 1;
+  }
+} catch (error) {
+  console.error('❌ Warehouse ingestion failed:', error.message);
+  process.exitCode = 1;
+}
+
+await warehouse.close();
+process.exit(process.exitCode || 0);
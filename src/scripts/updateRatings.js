@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Elo Ratings Update
+ * Rates every race not yet in the rating store, oldest first. Safe to stop
+ * and re-run: progress is saved after each race.
+ *
+ * Usage: npm run ratings:update -- [--mode=all|teammates|both] [--max-races=N] [--reset]
+ */
+
+import 'dotenv/config';
+import { eloRatingEngine, RATING_MODES } from '../services/eloRatingEngine.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((arg) => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value ?? true];
+  })
+);
+
+const modes = !args.mode || args.mode === 'both' ? RATING_MODES : [args.mode];
+const maxRaces = args['max-races'] ? parseInt(args['max-races']) : undefined;
+
+try {
+  for (const mode of modes) {
+    if (args.reset) {
+      await eloRatingEngine.reset(mode);
+      console.log(`🧹 Cleared ${mode} ratings`);
+    }
+
+    const summary = await eloRatingEngine.update({ mode, maxRaces });
+    console.log(JSON.stringify(summary, null, 2));
+  }
+  await eloRatingEngine.store.close();
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Ratings update failed:', error.message);
+  process.exit(1);
+}
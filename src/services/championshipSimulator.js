@@ -0,0 +1,306 @@
+import SeasonTools from '../tools/seasonTools.js';
+import StandingsTools from '../tools/standingsTools.js';
+import RaceTools from '../tools/raceTools.js';
+import { seasonResolver } from './seasonResolver.js';
+import { pointsRescorer } from './pointsRescorer.js';
+import { getPointsSystemForSeason } from '../config/pointsSystems.js';
+
+const DEFAULT_ITERATIONS = 5000;
+const MAX_ITERATIONS = 20000;
+const DEFAULT_RECENT_RACES = 5;
+// Share of simulated finishes drawn uniformly instead of from recent form
+const DEFAULT_NOISE = 0.15;
+
+/**
+ * Deterministic PRNG so a seeded run can be reproduced
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const toPercentage = (count, total) => Math.round((count / total) * 1000) / 10;
+
+/**
+ * Championship Simulator
+ * Monte Carlo completion of a season: every remaining race and sprint is
+ * simulated from each driver's recent finishing distribution and scored
+ * with the points system (fastest-lap bonus included), giving title
+ * probabilities for drivers and teams. Level points go to countback: wins
+ * so far plus simulated race finishes.
+ */
+class ChampionshipSimulator {
+  constructor(options = {}) {
+    this.seasonTools = options.seasonTools || new SeasonTools();
+    this.standingsTools = options.standingsTools || new StandingsTools();
+    this.raceTools = options.raceTools || new RaceTools();
+    this.resolver = options.seasonResolver || seasonResolver;
+    // null scores each season with the system it actually used
+    this.pointsSystem = options.pointsSystem || null;
+    this.noise = options.noise ?? DEFAULT_NOISE;
+  }
+
+  /**
+   * Fetch standings, remaining calendar and recent form, then simulate
+   */
+  async simulateSeason(season = 'current', options = {}) {
+    const input = await this.buildSimulationInput(season, options);
+    return this.simulate(input, options);
+  }
+
+  async buildSimulationInput(season = 'current', options = {}) {
+    const now = options.now || new Date();
+    const recentRaces = options.recentRaces ?? DEFAULT_RECENT_RACES;
+    const resolvedSeason =
+      season === 'current'
+        ? (await this.resolver.getSeasonContext(now)).currentSeason
+        : String(season);
+
+    const [races, driverStandings, constructorStandings] = await Promise.all([
+      this.seasonTools.getSeasonRaces(resolvedSeason),
+      this.standingsTools.getDriverStandings(resolvedSeason),
+      this.standingsTools.getConstructorStandings(resolvedSeason)
+    ]);
+
+    if (!driverStandings?.DriverStandings?.length) {
+      throw new Error(`No driver standings available for ${resolvedSeason}`);
+    }
+
+    const completedRaces = races.filter((race) => this.resolver.isRaceCompleted(race, now));
+    const remainingRaces = races.filter((race) => !this.resolver.isRaceCompleted(race, now));
+
+    const recentResults = await Promise.all(
+      completedRaces
+        .slice(-recentRaces)
+        .map((race) => this.raceTools.getRaceResults(resolvedSeason, race.round))
+    );
+
+    return {
+      season: resolvedSeason,
+      drivers: driverStandings.DriverStandings.map((standing) => ({
+        driverId: standing.Driver?.driverId,
+        name: `${standing.Driver?.givenName} ${standing.Driver?.familyName}`,
+        constructorId: standing.Constructors?.[standing.Constructors.length - 1]?.constructorId,
+        points: parseFloat(standing.points) || 0,
+        wins: parseInt(standing.wins) || 0,
+        position: parseInt(standing.position) || null
+      })),
+      constructors: (constructorStandings?.ConstructorStandings || []).map((standing) => ({
+        constructorId: standing.Constructor?.constructorId,
+        name: standing.Constructor?.name,
+        points: parseFloat(standing.points) || 0,
+        wins: parseInt(standing.wins) || 0
+      })),
+      remainingRaces: remainingRaces.length,
+      remainingSprints: remainingRaces.filter((race) => race.Sprint).length,
+      remainingRounds: remainingRaces.map((race) => ({
+        round: race.round,
+        raceName: race.raceName,
+        date: race.date,
+        sprint: Boolean(race.Sprint)
+      })),
+      form: this.buildFinishingDistributions(recentResults.filter(Boolean))
+    };
+  }
+
+  /**
+   * driverId -> recent finishing positions, null for a non-classified finish
+   */
+  buildFinishingDistributions(raceResults) {
+    const form = {};
+
+    raceResults.forEach((race) => {
+      (race.Results || []).forEach((result) => {
+        const driverId = result.Driver?.driverId;
+        if (!driverId) return;
+
+        const classified = /^\d+$/.test(result.positionText ?? result.position);
+        form[driverId] = form[driverId] || [];
+        form[driverId].push(classified ? parseInt(result.position) : null);
+      });
+    });
+
+    return form;
+  }
+
+  /**
+   * Run the Monte Carlo completion on prepared input
+   */
+  simulate(input, options = {}) {
+    const iterations = Math.min(
+      Math.max(parseInt(options.iterations) || DEFAULT_ITERATIONS, 1),
+      MAX_ITERATIONS
+    );
+    const random = options.seed !== undefined ? createRandom(options.seed) : Math.random;
+    const pointsSystem =
+      options.pointsSystem || this.pointsSystem || getPointsSystemForSeason(input.season);
+    const noise = options.noise ?? this.noise;
+
+    const drivers = input.drivers.filter((driver) => driver.driverId);
+    const fieldSize = drivers.length;
+    const distributions = drivers.map((driver) =>
+      input.form?.[driver.driverId]?.length
+        ? input.form[driver.driverId]
+        : [driver.position || fieldSize]
+    );
+
+    // Constructors without a standings row (e.g. pre-season) still need a slot
+    const constructors = [...input.constructors];
+    drivers.forEach((driver) => {
+      if (driver.constructorId && !constructors.some((c) => c.constructorId === driver.constructorId)) {
+        constructors.push({ constructorId: driver.constructorId, name: driver.constructorId, points: 0 });
+      }
+    });
+    const constructorIndex = new Map(constructors.map((c, index) => [c.constructorId, index]));
+    const driverTeams = drivers.map((driver) => constructorIndex.get(driver.constructorId));
+
+    const driverTitles = new Array(fieldSize).fill(0);
+    const driverPointsTotal = new Array(fieldSize).fill(0);
+    const constructorTitles = new Array(constructors.length).fill(0);
+    const constructorPointsTotal = new Array(constructors.length).fill(0);
+
+    const fastestLap = pointsSystem.fastestLap || 0;
+    const sessions = [
+      ...new Array(input.remainingSprints || 0).fill({ table: pointsSystem.sprint, race: false }),
+      ...new Array(input.remainingRaces || 0).fill({ table: pointsSystem.race, race: true })
+    ];
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      const driverPoints = drivers.map((driver) => driver.points);
+      const constructorPoints = constructors.map((constructor) => constructor.points);
+      // Race finishes for countback, seeded with the wins already taken
+      const driverFinishes = drivers.map((driver) => new Array(driver.wins || 0).fill(1));
+      const constructorFinishes = constructors.map((constructor) => new Array(constructor.wins || 0).fill(1));
+
+      const award = (driverIndex, points) => {
+        driverPoints[driverIndex] += points;
+        if (driverTeams[driverIndex] !== undefined) {
+          constructorPoints[driverTeams[driverIndex]] += points;
+        }
+      };
+
+      sessions.forEach(({ table, race }) => {
+        const order = this.simulateSession(distributions, fieldSize, noise, random);
+        order.forEach((driverIndex, finishIndex) => {
+          if (race) {
+            driverFinishes[driverIndex].push(finishIndex + 1);
+            if (driverTeams[driverIndex] !== undefined) {
+              constructorFinishes[driverTeams[driverIndex]].push(finishIndex + 1);
+            }
+          }
+          if (table[finishIndex]) award(driverIndex, table[finishIndex]);
+        });
+
+        if (race && fastestLap) {
+          const fastest = this.pickFastestLap(order, pointsSystem.fastestLapMaxPosition, random);
+          if (fastest !== null) award(fastest, fastestLap);
+        }
+      });
+
+      driverPoints.forEach((points, index) => (driverPointsTotal[index] += points));
+      constructorPoints.forEach((points, index) => (constructorPointsTotal[index] += points));
+      driverTitles[this.pickChampion(driverPoints, driverFinishes, random)]++;
+      if (constructors.length > 0) {
+        constructorTitles[this.pickChampion(constructorPoints, constructorFinishes, random)]++;
+      }
+    }
+
+    const maxPointsAvailable =
+      (input.remainingRaces || 0) * (pointsSystem.race[0] + fastestLap) +
+      (input.remainingSprints || 0) * (pointsSystem.sprint[0] || 0);
+
+    return {
+      season: input.season,
+      iterations,
+      remainingRaces: input.remainingRaces || 0,
+      remainingSprints: input.remainingSprints || 0,
+      remainingRounds: input.remainingRounds || [],
+      maxPointsAvailable,
+      drivers: drivers
+        .map((driver, index) => ({
+          driverId: driver.driverId,
+          name: driver.name,
+          constructorId: driver.constructorId,
+          currentPoints: driver.points,
+          expectedPoints: Math.round((driverPointsTotal[index] / iterations) * 10) / 10,
+          titleProbability: toPercentage(driverTitles[index], iterations),
+          recentForm: input.form?.[driver.driverId] || []
+        }))
+        .sort((a, b) => b.titleProbability - a.titleProbability || b.expectedPoints - a.expectedPoints),
+      constructors: constructors
+        .map((constructor, index) => ({
+          constructorId: constructor.constructorId,
+          name: constructor.name,
+          currentPoints: constructor.points,
+          expectedPoints: Math.round((constructorPointsTotal[index] / iterations) * 10) / 10,
+          titleProbability: toPercentage(constructorTitles[index], iterations)
+        }))
+        .sort((a, b) => b.titleProbability - a.titleProbability || b.expectedPoints - a.expectedPoints),
+      model: {
+        recentRaces: options.recentRaces ?? DEFAULT_RECENT_RACES,
+        noise,
+        pointsSystem: pointsSystem.id || 'custom',
+        seed: options.seed ?? null
+      }
+    };
+  }
+
+  /**
+   * One session: sample a finish per driver and return driver indexes in
+   * finishing order, with non-classified finishes at the back
+   */
+  simulateSession(distributions, fieldSize, noise, random) {
+    const samples = distributions.map((distribution, driverIndex) => {
+      let position;
+      if (random() < noise) {
+        position = 1 + Math.floor(random() * fieldSize);
+      } else {
+        position = distribution[Math.floor(random() * distribution.length)] ?? Infinity;
+      }
+      // Random tie-break between drivers who sampled the same position
+      return { driverIndex, position, tieBreak: random() };
+    });
+
+    return samples
+      .sort((a, b) => a.position - b.position || a.tieBreak - b.tieBreak)
+      .filter((sample) => Number.isFinite(sample.position))
+      .map((sample) => sample.driverIndex);
+  }
+
+  /**
+   * Fastest-lap bonus: any classified finisher, or only those inside
+   * maxPosition where the points system limits it. null when nobody qualifies
+   */
+  pickFastestLap(order, maxPosition, random) {
+    const eligible = maxPosition ? order.slice(0, maxPosition) : order;
+    return eligible.length ? eligible[Math.floor(random() * eligible.length)] : null;
+  }
+
+  /**
+   * Most points, then countback on race finishes; a tie that survives
+   * countback is drawn at random
+   */
+  pickChampion(points, finishes, random) {
+    const best = Math.max(...points);
+    const leaders = points.reduce((indexes, value, index) => {
+      if (value === best) indexes.push(index);
+      return indexes;
+    }, []);
+    if (leaders.length === 1) return leaders[0];
+
+    const ranked = leaders.sort((a, b) => pointsRescorer.compareCountback(finishes[a], finishes[b]));
+    const tied = ranked.filter((index) => pointsRescorer.compareCountback(finishes[index], finishes[ranked[0]]) === 0);
+    return tied[Math.floor(random() * tied.length)];
+  }
+}
+
+// Export singleton instance
+export const championshipSimulator = new ChampionshipSimulator();
+export { ChampionshipSimulator };
+export default championshipSimulator;
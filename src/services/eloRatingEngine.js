@@ -0,0 +1,334 @@
+import SeasonTools from '../tools/seasonTools.js';
+import RaceTools from '../tools/raceTools.js';
+import { seasonResolver } from './seasonResolver.js';
+import { createRatingStore } from './ratings/index.js';
+import { apiConfig } from '../config/apiConfig.js';
+import { classifyStatus } from '../config/statusTaxonomy.js';
+
+const FIRST_SEASON = 1950;
+export const RATING_MODES = ['all', 'teammates'];
+export const RATING_METRICS = ['peak', 'average', 'final'];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const raceKey = (season, round) => `${parseInt(season)}-${parseInt(round)}`;
+
+/**
+ * Elo Rating Engine
+ * Every race since 1950 is scored as a set of pairwise finishing contests:
+ * each driver plays everyone else in the field (or only their teammates in
+ * 'teammates' mode, which removes the car from the comparison). Ratings are
+ * relative to the drivers raced at the time, so eras are compared through
+ * the drivers whose careers overlap them. Races are processed in order and
+ * persisted, so an update resumes from the last race it stored.
+ */
+class EloRatingEngine {
+  constructor(options = {}) {
+    this.seasonTools = options.seasonTools || new SeasonTools();
+    this.raceTools = options.raceTools || new RaceTools();
+    this.resolver = options.seasonResolver || seasonResolver;
+    this.store = options.store || createRatingStore();
+    this.initialRating = options.initialRating ?? apiConfig.ratings.initialRating;
+    this.kFactor = options.kFactor ?? apiConfig.ratings.kFactor;
+    this.provisionalRaces = options.provisionalRaces ?? apiConfig.ratings.provisionalRaces;
+    this.states = new Map(); // mode -> { ratings, processed }
+    this.updates = new Map(); // mode -> running update promise
+  }
+
+  validateMode(mode) {
+    if (!RATING_MODES.includes(mode)) {
+      throw new Error(`Unknown rating mode: ${mode}. Use ${RATING_MODES.join(' or ')}.`);
+    }
+    return mode;
+  }
+
+  /**
+   * Ratings and processed races for a mode, loaded from the store once
+   */
+  async loadState(mode) {
+    if (!this.states.has(mode)) {
+      this.states.set(
+        mode,
+        (async () => {
+          const [records, processed] = await Promise.all([
+            this.store.loadRatings(mode),
+            this.store.loadProcessedRaces(mode)
+          ]);
+          return {
+            ratings: new Map(records.map((record) => [record.driverId, record])),
+            processed: new Set(processed.map((race) => raceKey(race.season, race.round)))
+          };
+        })()
+      );
+    }
+    return this.states.get(mode);
+  }
+
+  /**
+   * Process every completed race not yet rated, oldest first. Stops at the
+   * first race whose results cannot be fetched so no gaps are left behind.
+   * Concurrent calls for the same mode share one run.
+   */
+  async update(options = {}) {
+    const mode = this.validateMode(options.mode || 'all');
+    if (!this.updates.has(mode)) {
+      this.updates.set(
+        mode,
+        this.runUpdate(mode, options).finally(() => this.updates.delete(mode))
+      );
+    }
+    return this.updates.get(mode);
+  }
+
+  async runUpdate(mode, options = {}) {
+    const now = options.now || new Date();
+    const maxRaces = options.maxRaces ?? Infinity;
+    const fromSeason = parseInt(options.fromSeason) || FIRST_SEASON;
+    const toSeason =
+      parseInt(options.toSeason) || parseInt((await this.resolver.getSeasonContext(now)).currentSeason);
+    const state = await this.loadState(mode);
+    let processed = 0;
+    let stoppedAt = null;
+
+    console.log(`📈 Updating ${mode} Elo ratings (${fromSeason}-${toSeason})`);
+
+    for (let season = fromSeason; season <= toSeason && !stoppedAt; season++) {
+      const races = (await this.seasonTools.getSeasonRaces(String(season)))
+        .filter((race) => this.resolver.isRaceCompleted(race, now))
+        .sort((a, b) => parseInt(a.round) - parseInt(b.round));
+
+      if (races.length === 0 && season < toSeason) {
+        stoppedAt = { season, round: null, reason: 'calendar unavailable' };
+        break;
+      }
+
+      for (const race of races) {
+        if (state.processed.has(raceKey(season, race.round))) continue;
+        if (processed >= maxRaces) {
+          stoppedAt = { season, round: parseInt(race.round), reason: 'race limit reached' };
+          break;
+        }
+
+        const result = await this.raceTools.getRaceResults(String(season), race.round);
+        if (!result?.Results?.length) {
+          stoppedAt = { season, round: parseInt(race.round), reason: 'results unavailable' };
+          break;
+        }
+
+        await this.processRace(mode, state, { season, round: parseInt(race.round) }, result.Results);
+        processed++;
+      }
+    }
+
+    if (stoppedAt) {
+      console.warn(`⚠️ Elo update (${mode}) stopped at ${stoppedAt.season} round ${stoppedAt.round ?? '-'}: ${stoppedAt.reason}`);
+    }
+    console.log(`✅ Elo update (${mode}) rated ${processed} races`);
+
+    return {
+      mode,
+      racesProcessed: processed,
+      complete: !stoppedAt,
+      stoppedAt,
+      coverage: this.getCoverage(state)
+    };
+  }
+
+  /**
+   * Rate one race and persist the changed drivers
+   */
+  async processRace(mode, state, race, results) {
+    const entrants = results
+      .filter((result) => result.Driver?.driverId && parseInt(result.position))
+      // Non-qualifiers and withdrawals never raced, so they play no contests
+      .filter((result) => classifyStatus(result.status, result.positionText) !== 'did_not_start')
+      .map((result) => ({
+        driverId: result.Driver.driverId,
+        name: `${result.Driver.givenName} ${result.Driver.familyName}`,
+        constructorId: result.Constructor?.constructorId,
+        position: parseInt(result.position),
+        classified: /^\d+$/.test(result.positionText ?? result.position)
+      }))
+      // Shared drives in the 1950s list a driver more than once: keep the best car
+      .filter((entrant, index, all) => all.findIndex((other) => other.driverId === entrant.driverId) === index);
+
+    const deltas = this.calculateDeltas(
+      entrants.map((entrant) => ({
+        ...entrant,
+        rating: state.ratings.get(entrant.driverId)?.rating ?? this.initialRating
+      })),
+      mode
+    );
+
+    const records = [];
+    const history = [];
+    deltas.forEach((delta, driverId) => {
+      const entrant = entrants.find((candidate) => candidate.driverId === driverId);
+      const previous = state.ratings.get(driverId);
+      const record = previous ? { ...previous } : {
+        driverId,
+        name: entrant.name,
+        rating: this.initialRating,
+        peakRating: this.initialRating,
+        peakSeason: null,
+        peakRound: null,
+        ratingSum: 0,
+        races: 0,
+        firstSeason: race.season,
+        lastSeason: race.season
+      };
+
+      record.name = entrant.name;
+      record.rating += delta;
+      record.ratingSum += record.rating;
+      record.races++;
+      record.lastSeason = race.season;
+      // Peaks only count once the rating has settled
+      if (record.races >= this.provisionalRaces && (record.peakSeason === null || record.rating > record.peakRating)) {
+        record.peakRating = record.rating;
+        record.peakSeason = race.season;
+        record.peakRound = race.round;
+      }
+
+      records.push(record);
+      history.push({ driverId, season: race.season, round: race.round, rating: record.rating });
+    });
+
+    // Cached state only changes once the race is stored
+    await this.store.saveRace(mode, race, records, history);
+    records.forEach((record) => state.ratings.set(record.driverId, record));
+    state.processed.add(raceKey(race.season, race.round));
+  }
+
+  /**
+   * Rating change per driver from pre-race ratings. Each driver's K is
+   * shared across their contests so field size does not scale the swing;
+   * two non-classified drivers are not compared.
+   */
+  calculateDeltas(entrants, mode = 'all') {
+    const scores = new Map();
+
+    for (let i = 0; i < entrants.length; i++) {
+      for (let j = i + 1; j < entrants.length; j++) {
+        const a = entrants[i];
+        const b = entrants[j];
+        if (!a.classified && !b.classified) continue;
+        if (mode === 'teammates' && (!a.constructorId || a.constructorId !== b.constructorId)) continue;
+
+        const expectedA = 1 / (1 + Math.pow(10, (b.rating - a.rating) / 400));
+        const scoreA = a.position < b.position ? 1 : 0;
+        [
+          [a.driverId, scoreA - expectedA],
+          [b.driverId, expectedA - scoreA]
+        ].forEach(([driverId, surprise]) => {
+          const total = scores.get(driverId) || { surprise: 0, contests: 0 };
+          total.surprise += surprise;
+          total.contests++;
+          scores.set(driverId, total);
+        });
+      }
+    }
+
+    const deltas = new Map();
+    scores.forEach(({ surprise, contests }, driverId) => {
+      deltas.set(driverId, (this.kFactor / contests) * surprise);
+    });
+    return deltas;
+  }
+
+  getCoverage(state) {
+    const races = [...state.processed]
+      .map((key) => key.split('-').map(Number))
+      .sort(([seasonA, roundA], [seasonB, roundB]) => seasonA - seasonB || roundA - roundB);
+
+    return {
+      racesRated: races.length,
+      driversRated: state.ratings.size,
+      firstRace: races[0] ? { season: races[0][0], round: races[0][1] } : null,
+      lastRace: races.length
+        ? { season: races[races.length - 1][0], round: races[races.length - 1][1] }
+        : null
+    };
+  }
+
+  /**
+   * All-time table by peak, career-average or career-end rating
+   */
+  async getRankings(options = {}) {
+    const mode = this.validateMode(options.mode || 'all');
+    const metric = options.metric || 'peak';
+    if (!RATING_METRICS.includes(metric)) {
+      throw new Error(`Unknown rating metric: ${metric}. Use ${RATING_METRICS.join(', ')}.`);
+    }
+    const limit = options.limit || 20;
+    const minRaces = options.minRaces ?? this.provisionalRaces;
+    const state = await this.loadState(mode);
+
+    const rankings = [...state.ratings.values()]
+      .filter((record) => record.races >= minRaces)
+      .map((record) => this.describeRecord(record))
+      .sort((a, b) => {
+        const key = { peak: 'peakRating', average: 'averageRating', final: 'careerEndRating' }[metric];
+        return (b[key] ?? -Infinity) - (a[key] ?? -Infinity);
+      })
+      .slice(0, limit)
+      .map((driver, index) => ({ rank: index + 1, ...driver }));
+
+    const coverage = this.getCoverage(state);
+    return {
+      mode,
+      metric,
+      minRaces,
+      coverage,
+      rankings,
+      notes: coverage.racesRated === 0 ? ['No races rated yet - run the ratings update first'] : []
+    };
+  }
+
+  describeRecord(record) {
+    return {
+      driverId: record.driverId,
+      name: record.name,
+      peakRating: record.peakSeason !== null ? round1(record.peakRating) : null,
+      peakSeason: record.peakSeason,
+      peakRound: record.peakRound,
+      averageRating: record.races > 0 ? round1(record.ratingSum / record.races) : null,
+      careerEndRating: round1(record.rating),
+      races: record.races,
+      seasons: `${record.firstSeason}-${record.lastSeason}`,
+      provisional: record.races < this.provisionalRaces
+    };
+  }
+
+  /**
+   * A driver's rating after every race they were rated in
+   */
+  async getDriverHistory(driverId, mode = 'all') {
+    this.validateMode(mode);
+    const state = await this.loadState(mode);
+    const record = state.ratings.get(driverId);
+    if (!record) {
+      throw new Error(`No ${mode} rating found for driver ${driverId}`);
+    }
+
+    const history = await this.store.getHistory(mode, driverId);
+    return {
+      mode,
+      ...this.describeRecord(record),
+      history: history.map((entry) => ({ ...entry, rating: round1(entry.rating) }))
+    };
+  }
+
+  /**
+   * Drop a mode's ratings so the next update rebuilds them from scratch
+   */
+  async reset(mode = 'all') {
+    this.validateMode(mode);
+    await this.store.reset(mode);
+    this.states.delete(mode);
+  }
+}
+
+// Export singleton instance
+export const eloRatingEngine = new EloRatingEngine();
+export { EloRatingEngine };
+export default eloRatingEngine;
@@ -0,0 +1,349 @@
+import RaceTools from '../tools/raceTools.js';
+import SeasonTools from '../tools/seasonTools.js';
+import CircuitTools from '../tools/circuitTools.js';
+import { seasonResolver } from './seasonResolver.js';
+import { classifyStatus } from '../config/statusTaxonomy.js';
+
+export const OVERTAKING_GROUPS = ['race', 'driver', 'constructor', 'circuit'];
+const MAX_SEASONS = 10;
+// Recent races used for a circuit's difficulty index, since layouts and cars change
+const CIRCUIT_WINDOW = 10;
+// Fewer finishers than this says nothing about the running order
+const MIN_FINISHERS = 5;
+// Difficulty index (grid-vs-finish rank correlation x 100) bands, hardest first
+const DIFFICULTY_BANDS = [
+  [80, 'Very Limited'],
+  [70, 'Limited'],
+  [55, 'Moderate'],
+  [-Infinity, 'Good']
+];
+
+const round2 = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Ranks starting at 1, ties sharing the average of their ranks
+const rank = (values) => {
+  const sorted = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let start = 0;
+  while (start < sorted.length) {
+    let end = start;
+    while (end + 1 < sorted.length && sorted[end + 1].value === sorted[start].value) end++;
+    for (let i = start; i <= end; i++) ranks[sorted[i].index] = (start + end) / 2 + 1;
+    start = end + 1;
+  }
+  return ranks;
+};
+
+// Spearman rank correlation: 1 means everyone finished where they started
+const rankCorrelation = (xs, ys) => {
+  if (xs.length < MIN_FINISHERS) return null;
+  const [rx, ry] = [rank(xs), rank(ys)];
+  const [mx, my] = [mean(rx), mean(ry)];
+  let [covariance, vx, vy] = [0, 0, 0];
+  rx.forEach((x, i) => {
+    covariance += (x - mx) * (ry[i] - my);
+    vx += (x - mx) ** 2;
+    vy += (ry[i] - my) ** 2;
+  });
+  return vx && vy ? covariance / Math.sqrt(vx * vy) : null;
+};
+
+export const rateDifficulty = (correlation) => {
+  if (correlation === null) return null;
+  const index = Math.round(Math.max(0, correlation) * 100);
+  return { index, rating: DIFFICULTY_BANDS.find(([floor]) => index >= floor)[1] };
+};
+
+/**
+ * Overtaking Analytics
+ * Grid-to-finish movement: net positions gained per race, driver,
+ * constructor or circuit, gains from outside the top 10, wins from outside
+ * the front row, and a circuit overtaking difficulty index built from how
+ * closely the finishing order followed the grid
+ */
+class OvertakingAnalytics {
+  constructor(options = {}) {
+    this.raceTools = options.raceTools || new RaceTools();
+    this.seasonTools = options.seasonTools || new SeasonTools();
+    this.circuitTools = options.circuitTools || new CircuitTools();
+    this.resolver = options.seasonResolver || seasonResolver;
+  }
+
+  async analyzeRace(season, round) {
+    const race = await this.raceTools.getRaceResults(season, round);
+    if (!race?.Results?.length) {
+      throw new Error(`No results found for ${season} round ${round}`);
+    }
+
+    const entries = this.toEntries(race);
+    return {
+      ...this.summarizeRace(race, entries),
+      drivers: entries.map(({ driverId, driverName, constructorName, grid, start, finish, positionsGained, status }) => ({
+        driverId,
+        name: driverName,
+        constructor: constructorName,
+        grid,
+        start,
+        finish,
+        positionsGained,
+        status
+      })),
+      notes: this.notes()
+    };
+  }
+
+  async analyze(options = {}) {
+    const groupBy = options.groupBy || 'driver';
+    if (!OVERTAKING_GROUPS.includes(groupBy)) {
+      throw new Error(`Unknown grouping: ${groupBy}. Use ${OVERTAKING_GROUPS.join(', ')}.`);
+    }
+
+    const { fromSeason, toSeason } = await this.resolveSeasons(options);
+    const races = [];
+    for (let season = fromSeason; season <= toSeason; season++) {
+      races.push(...(await this.seasonTools.getSeasonResults(String(season))));
+    }
+    if (races.length === 0) {
+      throw new Error(`No results found for ${fromSeason}-${toSeason}`);
+    }
+
+    const raceEntries = races.map((race) => ({ race, entries: this.toEntries(race) }));
+    const filtered = raceEntries
+      .flatMap(({ entries }) => entries)
+      .filter(
+        (entry) =>
+          (!options.driverId || entry.driverId === options.driverId) &&
+          (!options.constructorId || entry.constructorId === options.constructorId)
+      );
+
+    let groups;
+    if (groupBy === 'race') {
+      groups = raceEntries.map(({ race, entries }) => this.summarizeRace(race, entries));
+    } else if (groupBy === 'circuit') {
+      groups = this.groupCircuits(raceEntries).sort(
+        (a, b) => (b.difficulty?.index ?? -1) - (a.difficulty?.index ?? -1) || b.races - a.races
+      );
+    } else {
+      groups = this.groupEntries(filtered, groupBy).sort(
+        (a, b) => b.netPositionsGained - a.netPositionsGained || b.starts - a.starts
+      );
+    }
+
+    return {
+      seasons: fromSeason === toSeason ? String(fromSeason) : `${fromSeason}-${toSeason}`,
+      groupBy,
+      overall: this.summarizeEntries(filtered),
+      groups: groups.slice(0, options.limit || undefined),
+      notes: this.notes()
+    };
+  }
+
+  /**
+   * Difficulty index for one circuit from its most recent races
+   */
+  async getCircuitOvertaking(circuitId, options = {}) {
+    const races = await this.circuitTools.getRecentCircuitResults(circuitId, {
+      races: options.races || CIRCUIT_WINDOW,
+      fromSeason: options.fromSeason,
+      toSeason: options.toSeason
+    });
+    if (races.length === 0) {
+      throw new Error(`No races found at ${circuitId} for that period`);
+    }
+
+    const [circuit] = this.groupCircuits(
+      races.map((race) => ({ race, entries: this.toEntries(race) })),
+      { history: true }
+    );
+    return {
+      ...circuit,
+      period: `${races[0].season}-${races[races.length - 1].season}`,
+      notes: this.notes()
+    };
+  }
+
+  async resolveSeasons(options) {
+    if (options.season) {
+      const season =
+        options.season === 'current'
+          ? parseInt((await this.resolver.getSeasonContext()).currentSeason)
+          : parseInt(options.season);
+      return { fromSeason: season, toSeason: season };
+    }
+
+    const toSeason =
+      parseInt(options.toSeason) || parseInt((await this.resolver.getSeasonContext()).currentSeason);
+    const fromSeason = parseInt(options.fromSeason) || toSeason;
+    if (fromSeason > toSeason) {
+      throw new Error(`fromSeason ${fromSeason} is after toSeason ${toSeason}`);
+    }
+    if (toSeason - fromSeason + 1 > MAX_SEASONS) {
+      throw new Error(`Overtaking ranges are limited to ${MAX_SEASONS} seasons`);
+    }
+    return { fromSeason, toSeason };
+  }
+
+  /**
+   * One entry per starter: where they lined up and how many places they
+   * made up by the flag (null when not classified)
+   */
+  toEntries(race) {
+    const starters = (race.Results || []).filter(
+      (result) => classifyStatus(result.status, result.positionText) !== 'did_not_start'
+    );
+
+    return starters.map((result) => {
+      const grid = parseInt(result.grid) || null;
+      // A pit-lane start counts as starting from the back
+      const start = grid || starters.length;
+      const finish = /^\d+$/.test(result.positionText ?? result.position ?? '') ? parseInt(result.position) : null;
+      return {
+        season: race.season,
+        round: race.round,
+        raceName: race.raceName,
+        driverId: result.Driver?.driverId,
+        driverName: `${result.Driver?.givenName} ${result.Driver?.familyName}`,
+        constructorId: result.Constructor?.constructorId,
+        constructorName: result.Constructor?.name,
+        grid,
+        start,
+        finish,
+        positionsGained: finish === null ? null : start - finish,
+        status: result.status
+      };
+    });
+  }
+
+  summarizeRace(race, entries) {
+    const finishers = entries.filter((entry) => entry.finish !== null);
+    const winner = finishers.find((entry) => entry.finish === 1);
+    const climber = [...finishers].sort((a, b) => b.positionsGained - a.positionsGained)[0];
+    const correlation = rankCorrelation(
+      finishers.map((entry) => entry.start),
+      finishers.map((entry) => entry.finish)
+    );
+
+    return {
+      season: race.season,
+      round: race.round,
+      raceName: race.raceName,
+      circuitId: race.Circuit?.circuitId,
+      starters: entries.length,
+      finishers: finishers.length,
+      gridFinishCorrelation: round2(correlation),
+      placesGained: finishers.reduce((sum, entry) => sum + Math.max(0, entry.positionsGained), 0),
+      averageMovement: round2(mean(finishers.map((entry) => Math.abs(entry.positionsGained)))),
+      winner: winner ? { name: winner.driverName, grid: winner.grid } : null,
+      biggestGain:
+        climber?.positionsGained > 0
+          ? { name: climber.driverName, start: climber.start, finish: climber.finish, positionsGained: climber.positionsGained }
+          : null
+    };
+  }
+
+  groupEntries(entries, groupBy) {
+    const keyOf = {
+      driver: (entry) => [entry.driverId, entry.driverName],
+      constructor: (entry) => [entry.constructorId, entry.constructorName]
+    }[groupBy];
+
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const [key, name] = keyOf(entry);
+      if (!groups.has(key)) groups.set(key, { key, name, entries: [] });
+      groups.get(key).entries.push(entry);
+    });
+
+    return [...groups.values()].map(({ key, name, entries: groupEntries }) => ({
+      key,
+      name,
+      ...this.summarizeEntries(groupEntries)
+    }));
+  }
+
+  /**
+   * Net and average gains, gains from outside the top 10, wins from
+   * outside the front row and the best single climb
+   */
+  summarizeEntries(entries) {
+    const finished = entries.filter((entry) => entry.finish !== null);
+    const fromBack = finished.filter((entry) => entry.start > 10);
+    const best = [...finished].sort((a, b) => b.positionsGained - a.positionsGained)[0];
+
+    return {
+      starts: entries.length,
+      finishes: finished.length,
+      netPositionsGained: finished.reduce((sum, entry) => sum + entry.positionsGained, 0),
+      averageGain: round2(mean(finished.map((entry) => entry.positionsGained))),
+      outsideTop10: {
+        finishes: fromBack.length,
+        averageGain: round2(mean(fromBack.map((entry) => entry.positionsGained)))
+      },
+      winsFromOutsideFrontRow: finished.filter((entry) => entry.finish === 1 && entry.start > 2).length,
+      bestGain:
+        best?.positionsGained > 0
+          ? {
+              season: best.season,
+              round: best.round,
+              raceName: best.raceName,
+              start: best.start,
+              finish: best.finish,
+              positionsGained: best.positionsGained
+            }
+          : null
+    };
+  }
+
+  groupCircuits(raceEntries, { history = false } = {}) {
+    const circuits = new Map();
+    raceEntries.forEach(({ race, entries }) => {
+      const circuitId = race.Circuit?.circuitId;
+      if (!circuits.has(circuitId)) {
+        circuits.set(circuitId, { circuitId, circuitName: race.Circuit?.circuitName, races: [] });
+      }
+      circuits.get(circuitId).races.push(this.summarizeRace(race, entries));
+    });
+
+    return [...circuits.values()].map(({ circuitId, circuitName, races }) => {
+      const correlations = races.map((race) => race.gridFinishCorrelation).filter((value) => value !== null);
+      const winnerGrids = races.map((race) => race.winner?.grid).filter((grid) => grid !== undefined);
+      return {
+        circuitId,
+        circuitName,
+        races: races.length,
+        difficulty: rateDifficulty(mean(correlations)),
+        averageCorrelation: round2(mean(correlations)),
+        averagePlacesGained: round2(mean(races.map((race) => race.placesGained))),
+        winsFromPole: winnerGrids.filter((grid) => grid === 1).length,
+        winsFromOutsideFrontRow: winnerGrids.filter((grid) => grid === null || grid > 2).length,
+        ...(history
+          ? {
+              history: races.map(({ season, round, raceName, gridFinishCorrelation, placesGained, winner, biggestGain }) => ({
+                season,
+                round,
+                raceName,
+                gridFinishCorrelation,
+                placesGained,
+                winner,
+                biggestGain
+              }))
+            }
+          : {})
+      };
+    });
+  }
+
+  notes() {
+    return [
+      'Positions gained are grid slot minus finishing position for classified finishers, so they include places inherited from retirements',
+      'Pit-lane starters count as starting from the back',
+      'Difficulty index is the grid-vs-finish rank correlation x 100: higher means the order changed less'
+    ];
+  }
+}
+
+// Export singleton instance
+export const overtakingAnalytics = new OvertakingAnalytics();
+export { OvertakingAnalytics };
+export default overtakingAnalytics;
@@ -0,0 +1,230 @@
+import SeasonTools from '../tools/seasonTools.js';
+import RaceTools from '../tools/raceTools.js';
+import StandingsTools from '../tools/standingsTools.js';
+import { getPointsSystem, getPointsSystemForSeason } from '../config/pointsSystems.js';
+
+// Ergast only records fastest laps from 2004
+const FASTEST_LAP_DATA_FROM = 2004;
+
+/**
+ * Points Rescorer
+ * Re-scores a season's drivers' championship under any points system in
+ * the registry, including fastest-lap bonuses, sprints, double-points
+ * finales and dropped scores
+ */
+class PointsRescorer {
+  constructor(options = {}) {
+    this.seasonTools = options.seasonTools || new SeasonTools();
+    this.raceTools = options.raceTools || new RaceTools();
+    this.standingsTools = options.standingsTools || new StandingsTools();
+  }
+
+  /**
+   * "Who would have won <season> under <system>?"
+   */
+  async rescoreSeason(season, system = 'current') {
+    const [seasonData, actualStandings] = await Promise.all([
+      this.loadSeasonResults(season),
+      this.standingsTools.getDriverStandings(season)
+    ]);
+
+    if (seasonData.races.length === 0) {
+      throw new Error(`No race results available for ${season}`);
+    }
+
+    return this.rescore(seasonData, getPointsSystem(system), actualStandings);
+  }
+
+  /**
+   * Race (and sprint) classifications for every completed round
+   */
+  async loadSeasonResults(season) {
+    const calendar = await this.seasonTools.getSeasonRaces(season);
+
+    const rounds = await Promise.all(
+      calendar.map(async (race) => {
+        const [raceResult, sprintResult] = await Promise.all([
+          this.raceTools.getRaceResults(season, race.round),
+          race.Sprint ? this.raceTools.getSprintResults(season, race.round) : null
+        ]);
+        if (!raceResult?.Results?.length) return null;
+
+        return {
+          round: parseInt(race.round),
+          raceName: race.raceName,
+          results: this.normalizeResults(raceResult.Results),
+          sprint: sprintResult?.SprintResults?.length
+            ? this.normalizeResults(sprintResult.SprintResults)
+            : null
+        };
+      })
+    );
+
+    return { season: String(season), races: rounds.filter(Boolean) };
+  }
+
+  normalizeResults(results) {
+    return results.map((result) => ({
+      driverId: result.Driver?.driverId,
+      name: `${result.Driver?.givenName} ${result.Driver?.familyName}`,
+      constructor: result.Constructor?.name,
+      position: /^\d+$/.test(result.positionText ?? result.position) ? parseInt(result.position) : null,
+      fastestLap: result.FastestLap?.rank === '1'
+    }));
+  }
+
+  /**
+   * Score prepared season results with a points system
+   */
+  rescore(seasonData, system, actualStandings = null) {
+    const year = parseInt(seasonData.season);
+    const races = [...seasonData.races].sort((a, b) => a.round - b.round);
+    const finalRound = races[races.length - 1]?.round;
+    const doubleFinale = system.doublePointsFinale?.includes(year);
+    const hasFastestLapData = year >= FASTEST_LAP_DATA_FROM;
+    const drivers = new Map();
+
+    const entry = (result) => {
+      if (!drivers.has(result.driverId)) {
+        drivers.set(result.driverId, {
+          driverId: result.driverId,
+          name: result.name,
+          constructor: result.constructor,
+          roundPoints: new Array(races.length).fill(0),
+          finishes: []
+        });
+      }
+      return drivers.get(result.driverId);
+    };
+
+    races.forEach((race, raceIndex) => {
+      const multiplier = doubleFinale && race.round === finalRound ? 2 : 1;
+
+      race.results.forEach((result) => {
+        if (!result.driverId) return;
+        const driver = entry(result);
+        let points = result.position ? system.race[result.position - 1] || 0 : 0;
+
+        if (
+          system.fastestLap &&
+          hasFastestLapData &&
+          result.fastestLap &&
+          result.position &&
+          (!system.fastestLapMaxPosition || result.position <= system.fastestLapMaxPosition)
+        ) {
+          points += system.fastestLap;
+        }
+
+        driver.roundPoints[raceIndex] += points * multiplier;
+        driver.constructor = result.constructor || driver.constructor;
+        if (result.position) driver.finishes.push(result.position);
+      });
+
+      (race.sprint || []).forEach((result) => {
+        if (!result.driverId || !result.position) return;
+        entry(result).roundPoints[raceIndex] += system.sprint[result.position - 1] || 0;
+      });
+    });
+
+    const actualByDriver = new Map(
+      (actualStandings?.DriverStandings || []).map((standing) => [
+        standing.Driver?.driverId,
+        { position: parseInt(standing.position), points: parseFloat(standing.points) }
+      ])
+    );
+
+    const standings = [...drivers.values()]
+      .map((driver) => {
+        const grossPoints = driver.roundPoints.reduce((total, points) => total + points, 0);
+        return {
+          driverId: driver.driverId,
+          name: driver.name,
+          constructor: driver.constructor,
+          points: this.applyDroppedScores(driver.roundPoints, system.droppedScores),
+          grossPoints,
+          wins: driver.finishes.filter((position) => position === 1).length,
+          finishes: driver.finishes,
+          actualPosition: actualByDriver.get(driver.driverId)?.position ?? null,
+          actualPoints: actualByDriver.get(driver.driverId)?.points ?? null
+        };
+      })
+      .sort((a, b) => b.points - a.points || this.compareCountback(a.finishes, b.finishes))
+      .map(({ finishes: _finishes, ...driver }, index) => ({
+        position: index + 1,
+        ...driver,
+        positionChange: driver.actualPosition ? driver.actualPosition - (index + 1) : null
+      }));
+
+    const actualChampion = standings.find((driver) => driver.actualPosition === 1) || null;
+    const notes = [];
+    if (system.fastestLap && !hasFastestLapData) {
+      notes.push(`Fastest-lap data is not available before ${FASTEST_LAP_DATA_FROM}; the bonus point was not applied`);
+    }
+    if (races.some((race) => race.sprint) && system.sprint.length === 0) {
+      notes.push('This system awards no sprint points; sprint results were ignored');
+    }
+    notes.push('Half points for shortened races and shared drives are not modelled');
+
+    const seasonSystem = getPointsSystemForSeason(year);
+    return {
+      season: seasonData.season,
+      system: { id: system.id, name: system.name },
+      actualSystem: { id: seasonSystem.id, name: seasonSystem.name },
+      racesScored: races.length,
+      champion: standings[0] || null,
+      actualChampion,
+      championChanged: Boolean(actualChampion && standings[0]?.driverId !== actualChampion.driverId),
+      standings,
+      notes
+    };
+  }
+
+  /**
+   * Points that count towards the title once dropped scores are removed
+   */
+  applyDroppedScores(roundPoints, droppedScores) {
+    const countBest = (points, best) =>
+      [...points]
+        .sort((a, b) => b - a)
+        .slice(0, Math.max(best, 0))
+        .reduce((total, value) => total + value, 0);
+
+    if (!droppedScores) {
+      return roundPoints.reduce((total, points) => total + points, 0);
+    }
+
+    if (droppedScores.best) {
+      return countBest(roundPoints, droppedScores.best);
+    }
+
+    if (droppedScores.halves) {
+      const split = droppedScores.halves[0]?.races ?? Math.ceil(roundPoints.length / 2);
+      return [roundPoints.slice(0, split), roundPoints.slice(split)].reduce((total, half, index) => {
+        const rule = droppedScores.halves[index] || {};
+        const best = rule.best ?? half.length - (rule.drop || 0);
+        return total + countBest(half, best);
+      }, 0);
+    }
+
+    return roundPoints.reduce((total, points) => total + points, 0);
+  }
+
+  /**
+   * Countback: most wins, then most second places, and so on
+   */
+  compareCountback(finishesA, finishesB) {
+    const maxPosition = Math.max(0, ...finishesA, ...finishesB);
+    for (let position = 1; position <= maxPosition; position++) {
+      const difference =
+        finishesB.filter((finish) => finish === position).length -
+        finishesA.filter((finish) => finish === position).length;
+      if (difference !== 0) return difference;
+    }
+    return 0;
+  }
+}
+
+// Export singleton instance
+export const pointsRescorer = new PointsRescorer();
+export { PointsRescorer };
+export default pointsRescorer;
@@ -0,0 +1,396 @@
+import RaceTools from '../tools/raceTools.js';
+import SeasonTools from '../tools/seasonTools.js';
+import { parseRaceTime, toSeconds, median } from '../utils/raceTime.js';
+import { classifyStatus } from '../config/statusTaxonomy.js';
+
+const SESSIONS = ['Q1', 'Q2', 'Q3'];
+
+const round3 = (value) => (value === null || value === undefined ? null : Math.round(value * 1000) / 1000);
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+const isClassified = (result) => /^\d+$/.test(result?.positionText ?? result?.position ?? '');
+
+/**
+ * Qualifying Analytics
+ * Parses Q1/Q2/Q3 lap times into gaps to pole (seconds and percent), the
+ * stage each driver was knocked out in, the cut-off margins, teammate gaps
+ * and qualifying-to-finish deltas, per session or across a season, plus
+ * pole-to-win conversion by circuit
+ */
+class QualifyingAnalytics {
+  constructor(options = {}) {
+    this.raceTools = options.raceTools || new RaceTools();
+    this.seasonTools = options.seasonTools || new SeasonTools();
+  }
+
+  async analyzeSession(season, round) {
+    const [qualifying, race] = await Promise.all([
+      this.raceTools.getQualifyingResults(season, round),
+      this.raceTools.getRaceResults(season, round)
+    ]);
+    if (!qualifying?.QualifyingResults?.length) {
+      throw new Error(`No qualifying results found for ${season} round ${round}`);
+    }
+
+    return this.buildSession(qualifying, race);
+  }
+
+  /**
+   * One qualifying session measured against pole and against the race
+   */
+  buildSession(qualifying, race = null) {
+    const raceResults = new Map((race?.Results || []).map((result) => [result.Driver?.driverId, result]));
+    // A pit-lane start (grid 0) counts as starting from the back, as in the overtaking metrics
+    const starters = (race?.Results || []).filter(
+      (result) => classifyStatus(result.status, result.positionText) !== 'did_not_start'
+    ).length;
+    const format = ['Q3', 'Q2'].find((session) =>
+      qualifying.QualifyingResults.some((result) => result[session] !== undefined)
+    );
+
+    const entries = qualifying.QualifyingResults.map((result) => {
+      const times = Object.fromEntries(SESSIONS.map((session) => [session, parseRaceTime(result[session])]));
+      const laps = Object.values(times).filter((time) => time !== null);
+      return {
+        driverId: result.Driver.driverId,
+        name: `${result.Driver.givenName} ${result.Driver.familyName}`,
+        constructorId: result.Constructor?.constructorId,
+        constructor: result.Constructor?.name,
+        position: parseInt(result.position),
+        times,
+        best: laps.length ? Math.min(...laps) : null,
+        // Deepest session the driver took part in
+        stage: format ? [...SESSIONS].reverse().find((session) => result[session] !== undefined) || 'Q1' : null
+      };
+    });
+
+    const pole = entries.find((entry) => entry.position === 1) || entries[0];
+    const poleLap = pole.times[this.lastTimedSession(pole)] ?? null;
+    const drivers = entries.map((entry) => {
+      const { session: gapSession, gap, reference } = this.gapToPole(entry, pole, entries);
+      const raceResult = raceResults.get(entry.driverId);
+      const grid = parseInt(raceResult?.grid);
+      const pitLaneStart = grid === 0;
+      const start = pitLaneStart ? starters : grid || null;
+
+      return {
+        driverId: entry.driverId,
+        name: entry.name,
+        constructor: entry.constructor,
+        position: entry.position,
+        q1: toSeconds(entry.times.Q1),
+        q2: toSeconds(entry.times.Q2),
+        q3: toSeconds(entry.times.Q3),
+        bestLap: toSeconds(entry.best),
+        gapToPole: toSeconds(gap),
+        gapToPolePercent: gap === null ? null : round3((gap / reference) * 100),
+        gapSession,
+        eliminatedIn: entry.stage === 'Q3' ? null : entry.stage,
+        reachedQ3: format === 'Q3' ? entry.stage === 'Q3' : null,
+        progression: {
+          q1ToQ2: this.improvement(entry.times.Q1, entry.times.Q2),
+          q2ToQ3: this.improvement(entry.times.Q2, entry.times.Q3)
+        },
+        race: raceResult
+          ? {
+              grid: grid || null,
+              pitLaneStart,
+              gridChange: start ? start - entry.position : null,
+              finish: isClassified(raceResult) ? parseInt(raceResult.position) : null,
+              status: raceResult.status,
+              // Positive when the driver finished ahead of where they qualified
+              positionsGained: isClassified(raceResult) ? entry.position - parseInt(raceResult.position) : null
+            }
+          : null
+      };
+    });
+
+    return {
+      season: qualifying.season,
+      round: qualifying.round,
+      raceName: qualifying.raceName,
+      format: format === 'Q3' ? 'knockout (Q1/Q2/Q3)' : format === 'Q2' ? 'two sessions' : 'single session',
+      pole: { driverId: pole.driverId, name: pole.name, time: toSeconds(poleLap) },
+      cutoffs: format === 'Q3' ? this.getCutoffs(entries) : [],
+      drivers,
+      teammateGaps: this.getTeammateGaps(entries),
+      notes: [
+        'Gaps compare laps from the same part of qualifying: a driver\'s last timed part against the pole sitter\'s lap in it (gapSession), so a wet Q3 does not flatter those knocked out earlier',
+        'gridChange is the grid slot minus the qualifying position (penalties); a pit-lane start counts as the back of the grid'
+      ]
+    };
+  }
+
+  // Deepest part of qualifying the driver set a time in
+  lastTimedSession(entry) {
+    return [...SESSIONS].reverse().find((session) => entry.times[session] !== null) || null;
+  }
+
+  /**
+   * Gap in the driver's last timed part of qualifying, to the pole sitter's
+   * lap in that part (or the fastest lap of it if pole set no time there)
+   */
+  gapToPole(entry, pole, entries) {
+    const session = this.lastTimedSession(entry);
+    if (!session) return { session: null, gap: null, reference: null };
+
+    const times = entries.map((candidate) => candidate.times[session]).filter((time) => time !== null);
+    const reference = pole.times[session] ?? Math.min(...times);
+    return { session, gap: entry.times[session] - reference, reference };
+  }
+
+  // Negative when the later session was faster
+  improvement(from, to) {
+    return from !== null && to !== null ? toSeconds(to - from) : null;
+  }
+
+  /**
+   * The slowest car through and the fastest car out of Q1 and Q2
+   */
+  getCutoffs(entries) {
+    return ['Q1', 'Q2']
+      .map((session) => {
+        const next = SESSIONS[SESSIONS.indexOf(session) + 1];
+        const timed = entries.filter((entry) => entry.times[session] !== null);
+        const through = timed.filter((entry) => SESSIONS.indexOf(entry.stage) >= SESSIONS.indexOf(next));
+        const out = timed.filter((entry) => entry.stage === session);
+        if (!through.length || !out.length) return null;
+
+        const lastThrough = through.reduce((slowest, entry) =>
+          entry.times[session] > slowest.times[session] ? entry : slowest
+        );
+        const firstOut = out.reduce((fastest, entry) => (entry.times[session] < fastest.times[session] ? entry : fastest));
+        return {
+          session,
+          lastThrough: { driverId: lastThrough.driverId, time: toSeconds(lastThrough.times[session]) },
+          firstOut: { driverId: firstOut.driverId, time: toSeconds(firstOut.times[session]) },
+          margin: toSeconds(firstOut.times[session] - lastThrough.times[session])
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Teammates compared in the last session both set a time in
+   */
+  getTeammateGaps(entries) {
+    const teams = new Map();
+    entries.forEach((entry) => {
+      if (!teams.has(entry.constructorId)) teams.set(entry.constructorId, []);
+      teams.get(entry.constructorId).push(entry);
+    });
+
+    const gaps = [];
+    teams.forEach((teamEntries) => {
+      for (let i = 0; i < teamEntries.length; i++) {
+        for (let j = i + 1; j < teamEntries.length; j++) {
+          const session = [...SESSIONS]
+            .reverse()
+            .find((candidate) => teamEntries[i].times[candidate] !== null && teamEntries[j].times[candidate] !== null);
+          if (!session) continue;
+
+          const [faster, slower] = [teamEntries[i], teamEntries[j]].sort((a, b) => a.times[session] - b.times[session]);
+          const gap = slower.times[session] - faster.times[session];
+          gaps.push({
+            constructor: faster.constructor,
+            faster: { driverId: faster.driverId, name: faster.name },
+            slower: { driverId: slower.driverId, name: slower.name },
+            session,
+            gap: toSeconds(gap),
+            gapPercent: round3((gap / faster.times[session]) * 100)
+          });
+        }
+      }
+    });
+    return gaps.sort((a, b) => a.gap - b.gap);
+  }
+
+  /**
+   * Every qualifying session of a season rolled up per driver
+   */
+  async analyzeSeason(season, options = {}) {
+    const [qualifying, results] = await Promise.all([
+      this.seasonTools.getSeasonQualifying(season),
+      this.seasonTools.getSeasonResults(season)
+    ]);
+    if (qualifying.length === 0) {
+      throw new Error(`No qualifying results found for ${season}`);
+    }
+
+    const racesByRound = new Map(results.map((race) => [race.round, race]));
+    const sessions = qualifying
+      .sort((a, b) => parseInt(a.round) - parseInt(b.round))
+      .map((session) => this.buildSession(session, racesByRound.get(session.round)));
+
+    const drivers = new Map();
+    sessions.forEach((session) => {
+      session.drivers.forEach((driver) => {
+        if (!drivers.has(driver.driverId)) {
+          drivers.set(driver.driverId, { driverId: driver.driverId, name: driver.name, rounds: [] });
+        }
+        const teammateGap = session.teammateGaps.find(
+          (pair) => pair.faster.driverId === driver.driverId || pair.slower.driverId === driver.driverId
+        );
+        const fasterThanTeammate = teammateGap?.faster.driverId === driver.driverId;
+        drivers.get(driver.driverId).rounds.push({
+          round: session.round,
+          raceName: session.raceName,
+          constructor: driver.constructor,
+          position: driver.position,
+          gapToPole: driver.gapToPole,
+          gapToPolePercent: driver.gapToPolePercent,
+          eliminatedIn: driver.eliminatedIn,
+          // Negative when ahead of the teammate
+          teammateGap: teammateGap ? (fasterThanTeammate ? -teammateGap.gap : teammateGap.gap) : null,
+          teammate: teammateGap ? (fasterThanTeammate ? teammateGap.slower : teammateGap.faster).driverId : null,
+          finish: driver.race?.finish ?? null,
+          positionsGained: driver.race?.positionsGained ?? null
+        });
+      });
+    });
+
+    const summaries = [...drivers.values()]
+      .filter((driver) => !options.driverId || driver.driverId === options.driverId)
+      .map((driver) => this.summarizeDriver(driver, Boolean(options.driverId)))
+      .sort((a, b) => (a.medianGapToPolePercent ?? Infinity) - (b.medianGapToPolePercent ?? Infinity));
+    if (options.driverId && summaries.length === 0) {
+      throw new Error(`Driver ${options.driverId} did not qualify for any ${season} race`);
+    }
+
+    return {
+      season: String(season),
+      sessions: sessions.length,
+      format: sessions[sessions.length - 1].format,
+      drivers: summaries,
+      notes: [
+        'Gaps to pole and to the teammate are medians, so one bad session does not dominate',
+        'positionsGained compares the finish with the qualifying position, for classified finishes only'
+      ]
+    };
+  }
+
+  summarizeDriver(driver, includeRounds) {
+    const values = (key) => driver.rounds.map((round) => round[key]).filter((value) => value !== null);
+    const teammateGaps = values('teammateGap');
+    const eliminated = (stage) => driver.rounds.filter((round) => round.eliminatedIn === stage).length;
+
+    return {
+      driverId: driver.driverId,
+      name: driver.name,
+      sessions: driver.rounds.length,
+      poles: driver.rounds.filter((round) => round.position === 1).length,
+      averagePosition: round3(mean(values('position'))),
+      medianGapToPolePercent: round3(median(values('gapToPolePercent'))),
+      eliminated: { Q1: eliminated('Q1'), Q2: eliminated('Q2') },
+      teammate: teammateGaps.length
+        ? {
+            ahead: teammateGaps.filter((gap) => gap < 0).length,
+            behind: teammateGaps.filter((gap) => gap > 0).length,
+            medianGap: round3(median(teammateGaps))
+          }
+        : null,
+      averagePositionsGained: round3(mean(values('positionsGained'))),
+      ...(includeRounds ? { rounds: driver.rounds } : {})
+    };
+  }
+
+  /**
+   * How often the pole sitter won, per circuit. Pole is the qualifying pole
+   * where qualifying results exist and the grid slot 1 starter before that
+   */
+  async getPoleConversion(options = {}) {
+    const fromSeason = parseInt(options.fromSeason) || 1950;
+    const toSeason = parseInt(options.toSeason) || Infinity;
+    const [gridStarts, qualifyingPoles, winners] = await Promise.all([
+      this.raceTools.getPoleStartResults(options.circuitId),
+      this.raceTools.getPoleQualifyingResults(options.circuitId),
+      this.raceTools.getWinnerResults(options.circuitId)
+    ]);
+
+    const byRace = (races) => new Map(races.map((race) => [`${race.season}/${race.round}`, race]));
+    const gridByRace = byRace(gridStarts);
+    const poleByRace = byRace(qualifyingPoles);
+    const winnerByRace = byRace(winners);
+
+    // Only races that have been run: a qualifying pole alone may be this weekend's
+    const races = [...new Set([...gridByRace.keys(), ...winnerByRace.keys()])]
+      .map((key) => ({ key, race: gridByRace.get(key) || winnerByRace.get(key) }))
+      .filter(({ race }) => parseInt(race.season) >= fromSeason && parseInt(race.season) <= toSeason)
+      .sort((a, b) => a.race.season - b.race.season || a.race.round - b.race.round);
+    if (races.length === 0) {
+      throw new Error(`No races found${options.circuitId ? ` at ${options.circuitId}` : ''} for that period`);
+    }
+
+    const circuits = new Map();
+    const history = races.map(({ key, race }) => {
+      const pole = poleByRace.get(key)?.QualifyingResults?.[0];
+      const gridStart = gridByRace.get(key)?.Results?.[0];
+      const winner = winnerByRace.get(key)?.Results?.[0];
+      const sitter = pole || gridStart;
+      const driverId = sitter?.Driver?.driverId;
+      // The pole sitter's own result: known when they started from slot 1 or won
+      const result = [gridStart, winner].find((candidate) => candidate && candidate.Driver?.driverId === driverId);
+
+      const circuitId = race.Circuit?.circuitId;
+      if (!circuits.has(circuitId)) {
+        circuits.set(circuitId, { circuitId, circuitName: race.Circuit?.circuitName, races: [] });
+      }
+      const row = {
+        season: race.season,
+        raceName: race.raceName,
+        poleSitter: sitter ? `${sitter.Driver.givenName} ${sitter.Driver.familyName}` : null,
+        poleSource: pole ? 'qualifying' : 'grid slot 1',
+        finish: isClassified(result) ? parseInt(result.position) : null,
+        status: result?.status ?? null,
+        won: winner ? Boolean(driverId) && winner.Driver?.driverId === driverId : result?.position === '1'
+      };
+      circuits.get(circuitId).races.push(row);
+      return row;
+    });
+
+    const describeSource = (rows) => {
+      const firstQualifying = rows.find((race) => race.poleSource === 'qualifying');
+      if (!firstQualifying) return 'grid slot 1';
+      if (rows.every((race) => race.poleSource === 'qualifying')) return 'qualifying';
+      return `qualifying from ${firstQualifying.season}, grid slot 1 before`;
+    };
+
+    const describe = (circuit) => {
+      const wins = circuit.races.filter((race) => race.won).length;
+      return {
+        circuitId: circuit.circuitId,
+        circuitName: circuit.circuitName,
+        races: circuit.races.length,
+        poleWins: wins,
+        conversionRate: round3((wins / circuit.races.length) * 100),
+        poleSource: describeSource(circuit.races),
+        ...(options.circuitId ? { history: circuit.races } : {})
+      };
+    };
+
+    const rows = [...circuits.values()]
+      .map(describe)
+      .filter((circuit) => circuit.races >= (options.minRaces || 1))
+      .sort((a, b) => b.conversionRate - a.conversionRate || b.races - a.races);
+    const totalWins = history.filter((race) => race.won).length;
+
+    return {
+      period: `${history[0].season}-${history[history.length - 1].season}`,
+      overall: {
+        races: history.length,
+        poleWins: totalWins,
+        conversionRate: round3((totalWins / history.length) * 100),
+        poleSource: describeSource(history)
+      },
+      circuits: options.limit ? rows.slice(0, options.limit) : rows,
+      notes: [
+        'Pole is the qualifying pole where qualifying results exist (from 1994) and the grid slot 1 starter before that; poleSource says which',
+        'finish and status are null when the pole sitter started elsewhere after a grid penalty and did not win'
+      ]
+    };
+  }
+}
+
+// Export singleton instance
+export const qualifyingAnalytics = new QualifyingAnalytics();
+export { QualifyingAnalytics };
+export default qualifyingAnalytics;
@@ -0,0 +1,297 @@
+import RaceTools from '../tools/raceTools.js';
+import { parseRaceTime, toSeconds } from '../utils/raceTime.js';
+import { classifyStatus } from '../config/statusTaxonomy.js';
+
+const FIRST_LAP_TIMES_SEASON = 1996;
+// Classified finishers: everything else ended the race early
+const FINISHED_STATUS = /^(Finished|\+\d+ Laps?)$/;
+
+const places = (count) => `${count} place${count === 1 ? '' : 's'}`;
+
+/**
+ * Lap time, running position and cumulative race time per driver per lap,
+ * plus the running order at the end of every lap
+ */
+export const reconstructLaps = (laps) => {
+  const drivers = new Map();
+  const order = new Map();
+
+  [...laps]
+    .sort((a, b) => parseInt(a.number) - parseInt(b.number))
+    .forEach((lap) => {
+      const number = parseInt(lap.number);
+      const positions = new Map();
+
+      (lap.Timings || []).forEach((timing) => {
+        if (!drivers.has(timing.driverId)) drivers.set(timing.driverId, new Map());
+        const driverLaps = drivers.get(timing.driverId);
+        const millis = parseRaceTime(timing.time);
+        const previous = driverLaps.get(number - 1);
+        // A missing lap breaks the running total
+        const elapsed =
+          millis === null || (number > 1 && previous?.elapsed == null) ? null : (previous?.elapsed || 0) + millis;
+
+        driverLaps.set(number, { millis, position: parseInt(timing.position), elapsed });
+        positions.set(parseInt(timing.position), timing.driverId);
+      });
+
+      order.set(number, positions);
+    });
+
+  return { drivers, order };
+};
+
+/**
+ * Race Progression
+ * Lap-by-lap running order and gaps rebuilt from Ergast lap times: lead
+ * changes, key moments to narrate, lap 1 gains and, on request, a
+ * chart-ready position and gap-to-leader series
+ */
+class RaceProgression {
+  constructor(options = {}) {
+    this.raceTools = options.raceTools || new RaceTools();
+  }
+
+  async getProgression(season, round, options = {}) {
+    const [race, lapData, pitData] = await Promise.all([
+      this.raceTools.getRaceResults(season, round),
+      this.raceTools.getLapTimes(season, round),
+      this.raceTools.getPitstops(season, round)
+    ]);
+
+    if (!race?.Results?.length) {
+      throw new Error(`No results found for ${season} round ${round}`);
+    }
+    const laps = lapData[0]?.Laps || [];
+    if (laps.length === 0) {
+      throw new Error(`No lap data for ${season} round ${round} (Ergast has lap times from ${FIRST_LAP_TIMES_SEASON})`);
+    }
+
+    const timing = reconstructLaps(laps);
+    const totalLaps = Math.max(...timing.order.keys());
+    const lapNumbers = Array.from({ length: totalLaps }, (_, index) => index + 1);
+    const leaders = new Map(lapNumbers.map((lap) => [lap, timing.order.get(lap)?.get(1) || null]));
+    const stopLaps = new Map();
+    (pitData?.PitStops || []).forEach((stop) => {
+      if (!stopLaps.has(stop.driverId)) stopLaps.set(stop.driverId, []);
+      stopLaps.get(stop.driverId).push(parseInt(stop.lap));
+    });
+
+    const starters = race.Results.filter(
+      (result) => classifyStatus(result.status, result.positionText) !== 'did_not_start'
+    ).length;
+    const context = { race, timing, totalLaps, lapNumbers, leaders, stopLaps, starters };
+    const names = new Map(
+      race.Results.map((result) => [result.Driver.driverId, `${result.Driver.givenName} ${result.Driver.familyName}`])
+    );
+    const nameOf = (driverId) => names.get(driverId) || driverId;
+
+    const drivers = race.Results.map((result) => this.describeDriver(result, context));
+    const leadChanges = this.findLeadChanges(context, nameOf);
+    const selected = options.driverIds?.length
+      ? drivers.filter((driver) => options.driverIds.includes(driver.driverId))
+      : drivers;
+
+    // Summary ahead of the per-lap series, which is only built when asked for
+    return {
+      season: String(season),
+      round: String(round),
+      raceName: race.raceName,
+      totalLaps,
+      leadChanges,
+      keyMoments: this.buildKeyMoments(drivers, leadChanges, context, nameOf),
+      drivers: selected,
+      ...(options.includeChart ? { chart: this.buildChart(selected, context) } : {}),
+      notes: [
+        ...(options.includeChart ? ['Chart lap 0 is the starting grid (null for a pit-lane start)'] : []),
+        'Gaps are seconds behind the leader when each car completed that lap, so lapped cars show more than a lap time'
+      ]
+    };
+  }
+
+  // Position and gap to the leader per driver per lap
+  buildChart(drivers, context) {
+    const { timing, lapNumbers } = context;
+    return {
+      laps: [0, ...lapNumbers],
+      series: drivers.map((driver) => ({
+        driverId: driver.driverId,
+        name: driver.name,
+        code: driver.code,
+        positions: [driver.grid, ...lapNumbers.map((lap) => timing.drivers.get(driver.driverId)?.get(lap)?.position ?? null)],
+        gapsToLeader: [null, ...lapNumbers.map((lap) => toSeconds(this.gapToLeader(driver.driverId, lap, context)))]
+      }))
+    };
+  }
+
+  // Time between the leader and a driver completing the same lap
+  gapToLeader(driverId, lap, { timing, leaders }) {
+    const own = timing.drivers.get(driverId)?.get(lap)?.elapsed;
+    const leader = timing.drivers.get(leaders.get(lap))?.get(lap)?.elapsed;
+    return own == null || leader == null ? null : own - leader;
+  }
+
+  gapToCarAhead(driverId, lap, { timing }) {
+    const own = timing.drivers.get(driverId)?.get(lap);
+    const aheadId = own && timing.order.get(lap)?.get(own.position - 1);
+    const ahead = aheadId && timing.drivers.get(aheadId).get(lap)?.elapsed;
+    return own?.elapsed == null || ahead == null ? null : own.elapsed - ahead;
+  }
+
+  describeDriver(result, context) {
+    const { timing, leaders, stopLaps, starters } = context;
+    const driverId = result.Driver.driverId;
+    const driverLaps = timing.drivers.get(driverId) || new Map();
+    const positions = [...driverLaps.values()].map((lap) => lap.position);
+    const grid = parseInt(result.grid) || null;
+    // A pit-lane start counts as starting from the back
+    const startPosition = grid || starters;
+    const lap1 = driverLaps.get(1)?.position ?? null;
+
+    const lastStop = Math.max(...(stopLaps.get(driverId) || []));
+    const afterLap = Number.isFinite(lastStop) ? lastStop + 1 : null;
+    const afterLastStop =
+      afterLap && driverLaps.has(afterLap)
+        ? {
+            lap: afterLap,
+            position: driverLaps.get(afterLap).position,
+            gapToLeader: toSeconds(this.gapToLeader(driverId, afterLap, context)),
+            gapToCarAhead: toSeconds(this.gapToCarAhead(driverId, afterLap, context))
+          }
+        : null;
+
+    return {
+      driverId,
+      name: `${result.Driver.givenName} ${result.Driver.familyName}`,
+      code: result.Driver.code,
+      constructor: result.Constructor?.name,
+      grid,
+      finish: parseInt(result.position),
+      status: result.status,
+      lapsCompleted: driverLaps.size,
+      lap1: lap1 === null ? null : { position: lap1, positionsGained: startPosition - lap1 },
+      lapsLed: [...leaders.values()].filter((leader) => leader === driverId).length,
+      bestPosition: positions.length ? Math.min(...positions) : null,
+      worstPosition: positions.length ? Math.max(...positions) : null,
+      afterLastStop
+    };
+  }
+
+  /**
+   * Every change of leader, including the start, with the likely cause
+   */
+  findLeadChanges(context, nameOf) {
+    const { race, timing, lapNumbers, leaders, stopLaps } = context;
+    const changes = [];
+    let previous = race.Results.find((result) => parseInt(result.grid) === 1)?.Driver.driverId || null;
+
+    lapNumbers.forEach((lap) => {
+      const leader = leaders.get(lap);
+      if (!leader || leader === previous) return;
+
+      let reason = 'on track';
+      if (lap === 1) {
+        reason = 'start';
+      } else if ((stopLaps.get(previous) || []).some((stopLap) => stopLap === lap || stopLap === lap - 1)) {
+        reason = `${nameOf(previous)} pitted`;
+      } else if (previous && !timing.drivers.get(previous)?.has(lap)) {
+        reason = `${nameOf(previous)} retired`;
+      }
+
+      changes.push({
+        lap,
+        leader: { driverId: leader, name: nameOf(leader) },
+        previousLeader: previous ? { driverId: previous, name: nameOf(previous) } : null,
+        reason
+      });
+      previous = leader;
+    });
+
+    return changes;
+  }
+
+  /**
+   * Start, lead changes, retirements and the finish, in lap order
+   */
+  buildKeyMoments(drivers, leadChanges, context, nameOf) {
+    const { timing, totalLaps, leaders } = context;
+    const moments = [];
+
+    const starters = drivers.filter((driver) => driver.lap1);
+    if (starters.length) {
+      const byGain = [...starters].sort((a, b) => b.lap1.positionsGained - a.lap1.positionsGained);
+      const [gainer, loser] = [byGain[0], byGain[byGain.length - 1]];
+      const parts = [`${nameOf(leaders.get(1))} led lap 1`];
+      if (gainer.lap1.positionsGained > 0) {
+        parts.push(`${gainer.name} gained ${places(gainer.lap1.positionsGained)} (P${gainer.grid ?? 'L'} to P${gainer.lap1.position})`);
+      }
+      if (loser.lap1.positionsGained < 0) {
+        parts.push(`${loser.name} lost ${places(-loser.lap1.positionsGained)} (P${loser.grid ?? 'L'} to P${loser.lap1.position})`);
+      }
+      moments.push({ lap: 1, type: 'start', description: parts.join('; ') });
+    }
+
+    leadChanges
+      .filter((change) => change.lap > 1)
+      .forEach((change) => {
+        moments.push({
+          lap: change.lap,
+          type: 'lead_change',
+          description: `${change.leader.name} took the lead from ${change.previousLeader?.name ?? 'the field'} (${change.reason})`
+        });
+      });
+
+    drivers
+      .filter((driver) => driver.status && !FINISHED_STATUS.test(driver.status) && driver.lapsCompleted < totalLaps)
+      .forEach((driver) => {
+        const lastPosition = timing.drivers.get(driver.driverId)?.get(driver.lapsCompleted)?.position;
+        moments.push({
+          lap: driver.lapsCompleted + 1,
+          type: 'retirement',
+          description: `${driver.name} out (${driver.status})${lastPosition ? ` while running P${lastPosition}` : ''}`
+        });
+      });
+
+    const [winner, runnerUp] = drivers;
+    const winnerStop = winner?.afterLastStop;
+    const runnerUpStop = runnerUp?.afterLastStop;
+    if (winnerStop && runnerUpStop) {
+      // Once both front-runners have made their final stop
+      const lap = Math.max(winnerStop.lap, runnerUpStop.lap);
+      const gap = this.gapBetween(runnerUp.driverId, winner.driverId, lap, context);
+      if (gap !== null) {
+        moments.push({
+          lap,
+          type: 'final_stops',
+          description: `After the last stops ${winner.name} was ${gap > 0 ? `${toSeconds(gap)}s ahead of` : `${toSeconds(-gap)}s behind`} ${runnerUp.name}`
+        });
+      }
+    }
+
+    const margin = runnerUp && this.gapBetween(runnerUp.driverId, winner.driverId, totalLaps, context);
+    if (winner) {
+      moments.push({
+        lap: totalLaps,
+        type: 'finish',
+        description:
+          margin != null
+            ? `${winner.name} won by ${toSeconds(margin)}s from ${runnerUp.name}, leading ${winner.lapsLed} of ${totalLaps} laps`
+            : `${winner.name} won, leading ${winner.lapsLed} of ${totalLaps} laps`
+      });
+    }
+
+    return moments.sort((a, b) => a.lap - b.lap);
+  }
+
+  // Positive when driverId is behind otherId at the end of the lap
+  gapBetween(driverId, otherId, lap, { timing }) {
+    const own = timing.drivers.get(driverId)?.get(lap)?.elapsed;
+    const other = timing.drivers.get(otherId)?.get(lap)?.elapsed;
+    return own == null || other == null ? null : own - other;
+  }
+}
+
+// Export singleton instance
+export const raceProgression = new RaceProgression();
+export { RaceProgression };
+export default raceProgression;
@@ -0,0 +1,321 @@
+import RaceTools from '../tools/raceTools.js';
+import { reconstructLaps } from './raceProgression.js';
+import { parseRaceTime, toSeconds, median } from '../utils/raceTime.js';
+
+const FIRST_PIT_STOPS_SEASON = 2011;
+// Field-median lap this much slower than the race's normal pace
+const SAFETY_CAR_SLOWDOWN = 1.2;
+// Cars this close before the first stop are treated as racing each other
+const BATTLE_GAP_MS = 3000;
+// Laps the rival has to respond with their own stop
+const RESPONSE_WINDOW_LAPS = 5;
+// Laps either side of a stop that set the driver's reference pace
+const REFERENCE_LAPS = 5;
+// Laps this far off the driver's median are traffic or incidents
+const OUTLIER_FACTOR = 1.07;
+// Clean laps needed before a stint's pace trend means anything
+const MIN_TREND_LAPS = 5;
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Race Strategy Analyzer
+ * Rebuilds each driver's stints from pit stops and lap times, measures the
+ * time every stop cost against the driver's own pace, flags stops made
+ * under probable safety-car periods (field-wide slowdowns) and finds
+ * undercut and overcut attempts between cars running close together.
+ * Ergast has no tyre data, so stints are defined by stops alone.
+ */
+class RaceStrategyAnalyzer {
+  constructor(options = {}) {
+    this.raceTools = options.raceTools || new RaceTools();
+  }
+
+  async analyzeRace(season, round, options = {}) {
+    const { driverId } = options;
+    const [race, pitData, lapData] = await Promise.all([
+      this.raceTools.getRaceResults(season, round),
+      this.raceTools.getPitstops(season, round),
+      this.raceTools.getLapTimes(season, round)
+    ]);
+
+    if (!race?.Results?.length) {
+      throw new Error(`No results found for ${season} round ${round}`);
+    }
+    const laps = lapData[0]?.Laps || [];
+    if (laps.length === 0 || (!pitData?.PitStops?.length && parseInt(season) < FIRST_PIT_STOPS_SEASON)) {
+      throw new Error(
+        `No lap time and pit stop data for ${season} round ${round} (Ergast has pit stops from ${FIRST_PIT_STOPS_SEASON})`
+      );
+    }
+    if (driverId && !race.Results.some((result) => result.Driver?.driverId === driverId)) {
+      throw new Error(`Driver ${driverId} did not take part in ${season} round ${round}`);
+    }
+
+    const stops = this.indexStops(pitData?.PitStops || []);
+    const timing = reconstructLaps(laps);
+    const safetyCar = this.detectSafetyCar(laps, stops);
+    const names = new Map(
+      race.Results.map((result) => [
+        result.Driver.driverId,
+        { driverId: result.Driver.driverId, name: `${result.Driver.givenName} ${result.Driver.familyName}` }
+      ])
+    );
+
+    const drivers = race.Results
+      .filter((result) => !driverId || result.Driver.driverId === driverId)
+      .map((result) => this.analyzeDriver(result, timing, stops.get(result.Driver.driverId) || [], safetyCar));
+    const battles = this.detectPitBattles(timing, stops, safetyCar, names).filter(
+      (battle) => !driverId || battle.attacker.driverId === driverId || battle.defender.driverId === driverId
+    );
+    const undercuts = battles.filter((battle) => battle.type === 'undercut');
+    const overcuts = battles.filter((battle) => battle.type === 'overcut');
+
+    return {
+      season: String(season),
+      round: String(round),
+      raceName: race.raceName,
+      totalLaps: Math.max(...laps.map((lap) => parseInt(lap.number))),
+      normalLapTime: toSeconds(safetyCar.baseline),
+      safetyCarPeriods: safetyCar.periods,
+      drivers,
+      undercuts,
+      overcuts,
+      summary: {
+        undercutAttempts: undercuts.length,
+        successfulUndercuts: undercuts.filter((battle) => battle.successful).length,
+        overcutAttempts: overcuts.length,
+        successfulOvercuts: overcuts.filter((battle) => battle.successful).length,
+        stopsUnderSafetyCar: drivers.reduce(
+          (total, driver) => total + driver.pitStops.filter((stop) => stop.underSafetyCar).length,
+          0
+        )
+      },
+      notes: [
+        'Stints are split by pit stops only: Ergast has no tyre compound data',
+        'Safety-car periods are inferred from field-wide lap time slowdowns and may also be VSC periods or rain'
+      ]
+    };
+  }
+
+  /**
+   * driverId -> stops in lap order
+   */
+  indexStops(pitStops) {
+    const byDriver = new Map();
+    pitStops.forEach((stop) => {
+      if (!byDriver.has(stop.driverId)) byDriver.set(stop.driverId, []);
+      byDriver.get(stop.driverId).push({
+        stop: parseInt(stop.stop),
+        lap: parseInt(stop.lap),
+        pitLaneMs: parseRaceTime(stop.duration)
+      });
+    });
+    byDriver.forEach((driverStops) => driverStops.sort((a, b) => a.lap - b.lap));
+    return byDriver;
+  }
+
+  /**
+   * Laps where the field's median time is well off the race's normal pace.
+   * Lap 1 and in/out laps are left out of the medians.
+   */
+  detectSafetyCar(laps, stops) {
+    const pitLaps = new Set();
+    stops.forEach((driverStops, driverId) => {
+      driverStops.forEach((stop) => {
+        pitLaps.add(`${driverId}-${stop.lap}`);
+        pitLaps.add(`${driverId}-${stop.lap + 1}`);
+      });
+    });
+
+    const lapMedians = laps
+      .map((lap) => ({
+        lap: parseInt(lap.number),
+        millis: median(
+          (lap.Timings || [])
+            .filter((timing) => !pitLaps.has(`${timing.driverId}-${lap.number}`))
+            .map((timing) => parseRaceTime(timing.time))
+            .filter((millis) => millis !== null)
+        )
+      }))
+      .filter((lap) => lap.lap > 1 && lap.millis !== null)
+      .sort((a, b) => a.lap - b.lap);
+
+    const baseline = median(lapMedians.map((lap) => lap.millis));
+    const slowLaps = new Set();
+    const periods = [];
+
+    lapMedians.forEach(({ lap, millis }) => {
+      if (millis <= baseline * SAFETY_CAR_SLOWDOWN) return;
+      slowLaps.add(lap);
+
+      const slowdown = Math.round((millis / baseline - 1) * 100);
+      const current = periods[periods.length - 1];
+      if (current && current.toLap === lap - 1) {
+        current.toLap = lap;
+        current.maxSlowdownPercent = Math.max(current.maxSlowdownPercent, slowdown);
+      } else {
+        periods.push({ fromLap: lap, toLap: lap, maxSlowdownPercent: slowdown });
+      }
+    });
+
+    const fieldPace = new Map(lapMedians.map(({ lap, millis }) => [lap, millis / baseline]));
+    return { baseline, slowLaps, periods, fieldPace };
+  }
+
+  /**
+   * Stints, per-stop time loss and safety-car timing for one driver
+   */
+  analyzeDriver(result, timing, driverStops, safetyCar) {
+    const driverId = result.Driver.driverId;
+    const driverLaps = timing.drivers.get(driverId) || new Map();
+    const lastLap = driverLaps.size ? Math.max(...driverLaps.keys()) : parseInt(result.laps) || 0;
+    const clean = this.getCleanLaps(driverLaps, driverStops, safetyCar);
+
+    const stints = [];
+    let fromLap = 1;
+    [...driverStops.map((stop) => stop.lap), lastLap].forEach((toLap) => {
+      if (toLap < fromLap) return;
+      const stintLaps = [...clean].filter(([lap]) => lap >= fromLap && lap <= toLap);
+      stints.push({
+        stint: stints.length + 1,
+        fromLap,
+        toLap,
+        laps: toLap - fromLap + 1,
+        averageLapTime: toSeconds(mean(stintLaps.map(([, millis]) => millis))),
+        paceTrendPerLap: stintLaps.length >= MIN_TREND_LAPS ? toSeconds(this.slope(stintLaps)) : null
+      });
+      fromLap = toLap + 1;
+    });
+
+    const pitStops = driverStops.map((stop) => ({
+      stop: stop.stop,
+      lap: stop.lap,
+      pitLaneTime: toSeconds(stop.pitLaneMs),
+      timeLoss: toSeconds(this.getStopTimeLoss(stop, driverLaps, clean, safetyCar)),
+      underSafetyCar: safetyCar.slowLaps.has(stop.lap)
+    }));
+    const losses = pitStops.map((stop) => stop.timeLoss).filter((loss) => loss !== null);
+
+    return {
+      driverId,
+      name: `${result.Driver.givenName} ${result.Driver.familyName}`,
+      constructor: result.Constructor?.name,
+      grid: parseInt(result.grid),
+      finish: parseInt(result.position),
+      status: result.status,
+      strategy: `${driverStops.length}-stop`,
+      stints,
+      pitStops,
+      totalPitTimeLoss: losses.length ? Math.round(losses.reduce((sum, loss) => sum + loss, 0) * 1000) / 1000 : null
+    };
+  }
+
+  /**
+   * Racing laps only: no lap 1, in/out laps, safety-car laps or outliers
+   */
+  getCleanLaps(driverLaps, driverStops, safetyCar) {
+    const pitLaps = new Set(driverStops.flatMap((stop) => [stop.lap, stop.lap + 1]));
+    const candidates = [...driverLaps]
+      .filter(([lap, entry]) => lap > 1 && entry.millis !== null && !pitLaps.has(lap) && !safetyCar.slowLaps.has(lap))
+      .map(([lap, entry]) => [lap, entry.millis]);
+    const typical = median(candidates.map(([, millis]) => millis));
+
+    return new Map(candidates.filter(([, millis]) => millis <= typical * OUTLIER_FACTOR));
+  }
+
+  /**
+   * In-lap plus out-lap against two laps at the driver's pace around the
+   * stop, slowed as much as the field was on those laps (so a stop under
+   * the safety car shows how cheap it was)
+   */
+  getStopTimeLoss(stop, driverLaps, clean, safetyCar) {
+    const inLap = driverLaps.get(stop.lap)?.millis;
+    const outLap = driverLaps.get(stop.lap + 1)?.millis;
+    if (inLap == null || outLap == null) return null;
+
+    const nearby = [...clean].filter(([lap]) => Math.abs(lap - stop.lap) <= REFERENCE_LAPS).map(([, millis]) => millis);
+    const reference = median(nearby.length ? nearby : [...clean.values()]);
+    if (reference === null) return null;
+
+    const expected = [stop.lap, stop.lap + 1].reduce(
+      (total, lap) => total + reference * (safetyCar.fieldPace.get(lap) ?? 1),
+      0
+    );
+    return inLap + outLap - expected;
+  }
+
+  // Least-squares lap time change per lap (ms)
+  slope(points) {
+    const meanLap = mean(points.map(([lap]) => lap));
+    const meanTime = mean(points.map(([, millis]) => millis));
+    const numerator = points.reduce((sum, [lap, millis]) => sum + (lap - meanLap) * (millis - meanTime), 0);
+    const denominator = points.reduce((sum, [lap]) => sum + (lap - meanLap) ** 2, 0);
+    return denominator ? numerator / denominator : null;
+  }
+
+  /**
+   * A car pits while within BATTLE_GAP_MS of the car directly ahead or
+   * behind, and that car responds within RESPONSE_WINDOW_LAPS. Pitting
+   * first from behind is an undercut; staying out from behind is an
+   * overcut. The outcome is read once both cars have done their out-laps.
+   */
+  detectPitBattles(timing, stops, safetyCar, names) {
+    const lapOf = (driverId, lap) => timing.drivers.get(driverId)?.get(lap);
+    const describe = (driverId) => names.get(driverId) || { driverId, name: driverId };
+    const battles = [];
+
+    stops.forEach((driverStops, firstId) => {
+      driverStops.forEach((stop) => {
+        const before = stop.lap - 1;
+        const first = lapOf(firstId, before);
+        if (!first || first.elapsed === null) return;
+
+        [first.position - 1, first.position + 1].forEach((position) => {
+          const rivalId = timing.order.get(before)?.get(position);
+          const rival = rivalId && lapOf(rivalId, before);
+          if (!rival || rival.elapsed === null) return;
+          if (Math.abs(first.elapsed - rival.elapsed) > BATTLE_GAP_MS) return;
+
+          const response = (stops.get(rivalId) || []).find(
+            (rivalStop) => rivalStop.lap > stop.lap && rivalStop.lap <= stop.lap + RESPONSE_WINDOW_LAPS
+          );
+          if (!response) return;
+
+          const type = first.position > rival.position ? 'undercut' : 'overcut';
+          const [attackerId, defenderId] = type === 'undercut' ? [firstId, rivalId] : [rivalId, firstId];
+          const gapAt = (lap) => {
+            const attacker = lapOf(attackerId, lap);
+            const defender = lapOf(defenderId, lap);
+            return attacker?.elapsed != null && defender?.elapsed != null ? attacker.elapsed - defender.elapsed : null;
+          };
+
+          const settledLap = response.lap + 1;
+          const attackerAfter = lapOf(attackerId, settledLap);
+          const defenderAfter = lapOf(defenderId, settledLap);
+
+          battles.push({
+            type,
+            attacker: describe(attackerId),
+            defender: describe(defenderId),
+            pittedFirst: firstId,
+            firstStopLap: stop.lap,
+            responseStopLap: response.lap,
+            // Attacker's time behind the defender (negative once ahead)
+            gapBefore: toSeconds(gapAt(before)),
+            gapAfter: toSeconds(gapAt(settledLap)),
+            successful: attackerAfter && defenderAfter ? attackerAfter.position < defenderAfter.position : null,
+            underSafetyCar: safetyCar.slowLaps.has(stop.lap) || safetyCar.slowLaps.has(response.lap)
+          });
+        });
+      });
+    });
+
+    return battles.sort((a, b) => a.firstStopLap - b.firstStopLap);
+  }
+}
+
+// Export singleton instance
+export const raceStrategyAnalyzer = new RaceStrategyAnalyzer();
+export { RaceStrategyAnalyzer };
+export default raceStrategyAnalyzer;
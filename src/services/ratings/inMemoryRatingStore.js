@@ -0,0 +1,58 @@
+/**
+ * In-Memory Rating Store
+ * Process-local storage for Elo ratings (lost on restart)
+ */
+class InMemoryRatingStore {
+  constructor() {
+    this.type = 'memory';
+    this.modes = new Map(); // mode -> { ratings, history, processed }
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  getMode(mode) {
+    if (!this.modes.has(mode)) {
+      this.modes.set(mode, { ratings: new Map(), history: [], processed: [] });
+    }
+    return this.modes.get(mode);
+  }
+
+  async loadRatings(mode) {
+    return Array.from(this.getMode(mode).ratings.values()).map((record) => ({ ...record }));
+  }
+
+  async loadProcessedRaces(mode) {
+    return this.getMode(mode).processed.map((race) => ({ ...race }));
+  }
+
+  /**
+   * Persist one race: updated driver records, their new ratings and the
+   * processed marker
+   */
+  async saveRace(mode, race, records, history) {
+    const stored = this.getMode(mode);
+    records.forEach((record) => stored.ratings.set(record.driverId, { ...record }));
+    stored.history.push(...history.map((entry) => ({ ...entry })));
+    stored.processed.push({ season: race.season, round: race.round });
+  }
+
+  async getHistory(mode, driverId) {
+    return this.getMode(mode)
+      .history.filter((entry) => entry.driverId === driverId)
+      .sort((a, b) => a.season - b.season || a.round - b.round)
+      .map(({ season, round, rating }) => ({ season, round, rating }));
+  }
+
+  async reset(mode) {
+    this.modes.delete(mode);
+  }
+
+  async close() {
+    return true;
+  }
+}
+
+export { InMemoryRatingStore };
+export default InMemoryRatingStore;
@@ -0,0 +1,20 @@
+import { apiConfig } from '../../config/apiConfig.js';
+import { InMemoryRatingStore } from './inMemoryRatingStore.js';
+import { SqliteRatingStore } from './sqliteRatingStore.js';
+
+/**
+ * Rating store factory
+ * Picks the backend from apiConfig.ratings.store ('memory' | 'sqlite')
+ */
+export function createRatingStore(type = apiConfig.ratings.store) {
+  switch (type) {
+    case 'sqlite':
+      return new SqliteRatingStore({ url: apiConfig.ratings.url });
+    case 'memory':
+      return new InMemoryRatingStore();
+    default:
+      throw new Error(`Unknown rating store type: ${type}. Use 'memory' or 'sqlite'.`);
+  }
+}
+
+export { InMemoryRatingStore, SqliteRatingStore };
@@ -0,0 +1,45 @@
+/**
+ * Schema migrations for the SQLite rating store
+ * Append new entries with a higher version - never edit an applied one
+ */
+export const ratingMigrations = [
+  {
+    version: 1,
+    name: 'create_elo_tables',
+    up: `
+      CREATE TABLE elo_ratings (
+        mode TEXT NOT NULL,
+        driver_id TEXT NOT NULL,
+        name TEXT,
+        rating REAL NOT NULL,
+        peak_rating REAL NOT NULL,
+        peak_season INTEGER,
+        peak_round INTEGER,
+        rating_sum REAL NOT NULL DEFAULT 0,
+        races INTEGER NOT NULL DEFAULT 0,
+        first_season INTEGER,
+        last_season INTEGER,
+        PRIMARY KEY (mode, driver_id)
+      );
+
+      CREATE TABLE elo_rating_history (
+        mode TEXT NOT NULL,
+        driver_id TEXT NOT NULL,
+        season INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        rating REAL NOT NULL,
+        PRIMARY KEY (mode, driver_id, season, round)
+      );
+
+      CREATE TABLE elo_processed_races (
+        mode TEXT NOT NULL,
+        season INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        processed_at INTEGER NOT NULL,
+        PRIMARY KEY (mode, season, round)
+      );
+    `
+  }
+];
+
+export default ratingMigrations;
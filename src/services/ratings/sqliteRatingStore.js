@@ -0,0 +1,135 @@
+import { SqliteDatabase } from '../../utils/sqliteDatabase.js';
+import { ratingMigrations } from './migrations.js';
+
+/**
+ * SQLite Rating Store
+ * Persists Elo ratings, per-race history and processed races so rating
+ * updates resume where the last run stopped
+ */
+class SqliteRatingStore {
+  constructor(options = {}) {
+    this.type = 'sqlite';
+    this.database = new SqliteDatabase(options.url);
+    this.ready = null;
+  }
+
+  /**
+   * Open the database and apply pending migrations (once)
+   */
+  async initialize() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await this.database.open();
+        const applied = await this.database.migrate(ratingMigrations, 'rating_migrations');
+        console.log(`💾 SQLite rating store ready at ${this.database.filename} (${applied} new migrations)`);
+        return true;
+      })();
+    }
+    return this.ready;
+  }
+
+  async loadRatings(mode) {
+    await this.initialize();
+    const rows = await this.database.all('SELECT * FROM elo_ratings WHERE mode = ?', [mode]);
+
+    return rows.map((row) => ({
+      driverId: row.driver_id,
+      name: row.name,
+      rating: row.rating,
+      peakRating: row.peak_rating,
+      peakSeason: row.peak_season,
+      peakRound: row.peak_round,
+      ratingSum: row.rating_sum,
+      races: row.races,
+      firstSeason: row.first_season,
+      lastSeason: row.last_season
+    }));
+  }
+
+  async loadProcessedRaces(mode) {
+    await this.initialize();
+    return this.database.all(
+      'SELECT season, round FROM elo_processed_races WHERE mode = ? ORDER BY season, round',
+      [mode]
+    );
+  }
+
+  /**
+   * Persist one race atomically: updated driver records, their new
+   * ratings and the processed marker
+   */
+  async saveRace(mode, race, records, history) {
+    await this.initialize();
+
+    await this.database.transaction(async (db) => {
+      for (const record of records) {
+        await db.run(
+          `INSERT INTO elo_ratings (mode, driver_id, name, rating, peak_rating, peak_season, peak_round,
+             rating_sum, races, first_season, last_season)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT(mode, driver_id) DO UPDATE SET
+             name = excluded.name,
+             rating = excluded.rating,
+             peak_rating = excluded.peak_rating,
+             peak_season = excluded.peak_season,
+             peak_round = excluded.peak_round,
+             rating_sum = excluded.rating_sum,
+             races = excluded.races,
+             last_season = excluded.last_season`,
+          [
+            mode,
+            record.driverId,
+            record.name,
+            record.rating,
+            record.peakRating,
+            record.peakSeason,
+            record.peakRound,
+            record.ratingSum,
+            record.races,
+            record.firstSeason,
+            record.lastSeason
+          ]
+        );
+      }
+
+      for (const entry of history) {
+        await db.run(
+          `INSERT OR REPLACE INTO elo_rating_history (mode, driver_id, season, round, rating)
+           VALUES (?, ?, ?, ?, ?)`,
+          [mode, entry.driverId, entry.season, entry.round, entry.rating]
+        );
+      }
+
+      await db.run(
+        'INSERT OR REPLACE INTO elo_processed_races (mode, season, round, processed_at) VALUES (?, ?, ?, ?)',
+        [mode, race.season, race.round, Date.now()]
+      );
+    });
+  }
+
+  async getHistory(mode, driverId) {
+    await this.initialize();
+    return this.database.all(
+      `SELECT season, round, rating FROM elo_rating_history
+       WHERE mode = ? AND driver_id = ? ORDER BY season, round`,
+      [mode, driverId]
+    );
+  }
+
+  async reset(mode) {
+    await this.initialize();
+    await this.database.transaction(async (db) => {
+      await db.run('DELETE FROM elo_ratings WHERE mode = ?', [mode]);
+      await db.run('DELETE FROM elo_rating_history WHERE mode = ?', [mode]);
+      await db.run('DELETE FROM elo_processed_races WHERE mode = ?', [mode]);
+    });
+  }
+
+  async close() {
+    await this.database.close();
+    this.ready = null;
+  }
+}
+
+export { SqliteRatingStore };
+export default SqliteRatingStore;
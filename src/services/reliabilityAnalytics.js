@@ -0,0 +1,158 @@
+import SeasonTools from '../tools/seasonTools.js';
+import { seasonResolver } from './seasonResolver.js';
+import { classifyStatus, STATUS_CATEGORIES } from '../config/statusTaxonomy.js';
+import { getEngineSupplier } from '../config/engineSuppliers.js';
+
+export const RELIABILITY_GROUPS = ['driver', 'constructor', 'engine', 'season'];
+// Each season is a few pages of results, so ranges are kept short
+const MAX_SEASONS = 10;
+
+const percent = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : null);
+
+/**
+ * Reliability Analytics
+ * Sorts every result's finishing status into a category (classified finish,
+ * mechanical failure, accident, disqualification, non-start, other) and
+ * aggregates the counts and rates per driver, constructor, engine supplier
+ * or season
+ */
+class ReliabilityAnalytics {
+  constructor(options = {}) {
+    this.seasonTools = options.seasonTools || new SeasonTools();
+    this.resolver = options.seasonResolver || seasonResolver;
+  }
+
+  async analyze(options = {}) {
+    const groupBy = options.groupBy || 'constructor';
+    if (!RELIABILITY_GROUPS.includes(groupBy)) {
+      throw new Error(`Unknown grouping: ${groupBy}. Use ${RELIABILITY_GROUPS.join(', ')}.`);
+    }
+
+    const { fromSeason, toSeason } = await this.resolveSeasons(options);
+    const entries = [];
+    for (let season = fromSeason; season <= toSeason; season++) {
+      entries.push(...this.toEntries(season, await this.seasonTools.getSeasonResults(String(season))));
+    }
+    if (entries.length === 0) {
+      throw new Error(`No results found for ${fromSeason}-${toSeason}`);
+    }
+
+    const filtered = entries.filter(
+      (entry) =>
+        (!options.driverId || entry.driverId === options.driverId) &&
+        (!options.constructorId || entry.constructorId === options.constructorId)
+    );
+    const groups = this.aggregate(filtered, groupBy)
+      .sort((a, b) => (b.rates.finish ?? -1) - (a.rates.finish ?? -1) || b.starts - a.starts)
+      .slice(0, options.limit || undefined);
+
+    return {
+      seasons: fromSeason === toSeason ? String(fromSeason) : `${fromSeason}-${toSeason}`,
+      groupBy,
+      categories: STATUS_CATEGORIES,
+      overall: this.summarize(filtered),
+      groups,
+      notes: [
+        'Rates are per race start; non-starters (DNQ, withdrawn) are counted separately',
+        'Categories come from the recorded status, so a classified car that stopped with a failure counts as mechanical',
+        ...(groupBy === 'engine' ? ['Engine suppliers come from a built-in table; unlisted teams show as Unknown'] : [])
+      ]
+    };
+  }
+
+  async resolveSeasons(options) {
+    if (options.season) {
+      const season =
+        options.season === 'current'
+          ? parseInt((await this.resolver.getSeasonContext()).currentSeason)
+          : parseInt(options.season);
+      return { fromSeason: season, toSeason: season };
+    }
+
+    const toSeason =
+      parseInt(options.toSeason) || parseInt((await this.resolver.getSeasonContext()).currentSeason);
+    const fromSeason = parseInt(options.fromSeason) || toSeason;
+    if (fromSeason > toSeason) {
+      throw new Error(`fromSeason ${fromSeason} is after toSeason ${toSeason}`);
+    }
+    if (toSeason - fromSeason + 1 > MAX_SEASONS) {
+      throw new Error(`Reliability ranges are limited to ${MAX_SEASONS} seasons`);
+    }
+    return { fromSeason, toSeason };
+  }
+
+  toEntries(season, races) {
+    return races.flatMap((race) =>
+      (race.Results || []).map((result) => ({
+        season,
+        round: parseInt(race.round),
+        driverId: result.Driver?.driverId,
+        driverName: `${result.Driver?.givenName} ${result.Driver?.familyName}`,
+        constructorId: result.Constructor?.constructorId,
+        constructorName: result.Constructor?.name,
+        engine: getEngineSupplier(result.Constructor?.constructorId, season),
+        status: result.status,
+        category: classifyStatus(result.status, result.positionText)
+      }))
+    );
+  }
+
+  aggregate(entries, groupBy) {
+    const keyOf = {
+      driver: (entry) => [entry.driverId, entry.driverName],
+      constructor: (entry) => [entry.constructorId, entry.constructorName],
+      engine: (entry) => [entry.engine || 'Unknown', entry.engine || 'Unknown'],
+      season: (entry) => [String(entry.season), String(entry.season)]
+    }[groupBy];
+
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const [key, name] = keyOf(entry);
+      if (!groups.has(key)) groups.set(key, { key, name, entries: [] });
+      groups.get(key).entries.push(entry);
+    });
+
+    return [...groups.values()].map(({ key, name, entries: groupEntries }) => ({
+      key,
+      name,
+      ...this.summarize(groupEntries)
+    }));
+  }
+
+  /**
+   * Category counts, rates per start and the most common failures
+   */
+  summarize(entries) {
+    const counts = Object.fromEntries(Object.keys(STATUS_CATEGORIES).map((category) => [category, 0]));
+    const failures = new Map();
+    entries.forEach((entry) => {
+      counts[entry.category]++;
+      if (entry.category === 'mechanical') {
+        failures.set(entry.status, (failures.get(entry.status) || 0) + 1);
+      }
+    });
+
+    const starts = entries.length - counts.did_not_start;
+    const retirements = counts.mechanical + counts.accident + counts.other;
+    return {
+      starts,
+      counts,
+      rates: {
+        finish: percent(counts.finished, starts),
+        dnf: percent(retirements, starts),
+        mechanicalDnf: percent(counts.mechanical, starts),
+        accidentDnf: percent(counts.accident, starts),
+        disqualified: percent(counts.disqualified, starts)
+      },
+      topFailures: [...failures]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([status, count]) => ({ status, count }))
+    };
+  }
+}
+
+// Export singleton instance
+export const reliabilityAnalytics = new ReliabilityAnalytics();
+export { ReliabilityAnalytics };
+export default reliabilityAnalytics;
@@ -0,0 +1,227 @@
+import SeasonTools from '../tools/seasonTools.js';
+
+// Race weekends are treated as finished this long after the scheduled start
+const RACE_DURATION_MS = 3 * 60 * 60 * 1000;
+const CALENDAR_TTL_MS = 10 * 60 * 1000;
+
+const NUMBER_WORDS = {
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10
+};
+
+// Relative season phrases -> offset from the current season
+const SEASON_PATTERNS = [
+  { pattern: /\b(this|current|present)( current)? (year|season)\b/gi, offset: 0 },
+  { pattern: /\b(last|previous|past) (year|season)\b/gi, offset: -1 },
+  { pattern: /\b(year|season) before last\b/gi, offset: -2 },
+  { pattern: /\bnext (year|season)\b/gi, offset: 1 }
+];
+
+const YEARS_AGO_PATTERN = new RegExp(
+  `\\b(\\d{1,2}|a|${Object.keys(NUMBER_WORDS).join('|')}) (years?|seasons?) ago\\b`,
+  'gi'
+);
+
+// Relative race phrases -> which calendar race they point at
+const RACE_PATTERNS = [
+  { pattern: /\b(the )?(previous|last|latest|most recent) (race|grand prix|gp)\b/gi, target: 'previousRace' },
+  { pattern: /\b(the )?(next|upcoming|coming) (race|grand prix|gp)\b/gi, target: 'nextRace' }
+];
+
+/**
+ * Season Resolver
+ * Works out the current and most recent completed season from the live
+ * calendar and turns year-relative phrases into concrete season/round values
+ */
+class SeasonResolver {
+  constructor(options = {}) {
+    this.seasonTools = options.seasonTools || new SeasonTools();
+    this.calendarTTL = options.calendarTTL ?? CALENDAR_TTL_MS;
+    this.cached = null; // { context, expiresAt }
+  }
+
+  /**
+   * Current season, last completed season and the races either side of now
+   */
+  async getSeasonContext(now = new Date()) {
+    if (this.cached && this.cached.expiresAt > now.getTime()) {
+      return this.cached.context;
+    }
+
+    try {
+      const currentSeason = String(await this.seasonTools.getCurrentSeason());
+      const races = await this.seasonTools.getSeasonRaces(currentSeason);
+
+      const completedRaces = races.filter((race) => this.isRaceCompleted(race, now));
+      const seasonFinished = races.length > 0 && completedRaces.length === races.length;
+      const previousSeason = String(parseInt(currentSeason) - 1);
+
+      let previousRace = completedRaces[completedRaces.length - 1] || null;
+      if (!previousRace) {
+        // Pre-season: the previous race is the last one of the season before
+        const previousRaces = await this.seasonTools.getSeasonRaces(previousSeason);
+        previousRace = previousRaces[previousRaces.length - 1] || null;
+      }
+
+      const context = {
+        currentSeason,
+        lastCompletedSeason: seasonFinished ? currentSeason : previousSeason,
+        seasonInProgress: completedRaces.length > 0 && !seasonFinished,
+        roundsCompleted: completedRaces.length,
+        totalRounds: races.length,
+        previousRace: this.summarizeRace(previousRace),
+        nextRace: this.summarizeRace(races.find((race) => !this.isRaceCompleted(race, now))),
+        resolvedAt: now.toISOString()
+      };
+
+      this.cached = { context, expiresAt: now.getTime() + this.calendarTTL };
+      return context;
+    } catch (error) {
+      console.error('❌ Season resolution failed, falling back to calendar year:', error.message);
+      const year = now.getFullYear();
+      return {
+        currentSeason: String(year),
+        lastCompletedSeason: String(year - 1),
+        seasonInProgress: null,
+        roundsCompleted: null,
+        totalRounds: null,
+        previousRace: null,
+        nextRace: null,
+        resolvedAt: now.toISOString()
+      };
+    }
+  }
+
+  /**
+   * Resolve relative season/race phrases in a query
+   */
+  async resolve(query, now = new Date()) {
+    const seasonContext = await this.getSeasonContext(now);
+    return this.resolveWithContext(query, seasonContext);
+  }
+
+  resolveWithContext(query, seasonContext) {
+    const text = query || '';
+    const currentSeason = parseInt(seasonContext.currentSeason);
+    const references = [];
+
+    for (const { pattern, offset } of SEASON_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        references.push({
+          phrase: match[0],
+          index: match.index,
+          type: 'season',
+          season: String(currentSeason + offset)
+        });
+      }
+    }
+
+    for (const match of text.matchAll(YEARS_AGO_PATTERN)) {
+      const amount = match[1].toLowerCase();
+      const offset = amount === 'a' ? 1 : NUMBER_WORDS[amount] || parseInt(amount);
+      references.push({
+        phrase: match[0],
+        index: match.index,
+        type: 'season',
+        season: String(currentSeason - offset)
+      });
+    }
+
+    for (const { pattern, target } of RACE_PATTERNS) {
+      const race = seasonContext[target];
+      if (!race) continue;
+
+      for (const match of text.matchAll(pattern)) {
+        references.push({
+          phrase: match[0],
+          index: match.index,
+          type: 'race',
+          season: race.season,
+          round: race.round,
+          raceName: race.raceName
+        });
+      }
+    }
+
+    references.sort((a, b) => a.index - b.index);
+    const primary = references[0] || null;
+
+    return {
+      ...seasonContext,
+      references: references.map(({ index: _index, ...reference }) => reference),
+      season: primary?.season || null,
+      round: references.find((reference) => reference.type === 'race')?.round || null
+    };
+  }
+
+  /**
+   * Plain-text block for the agent system prompt
+   */
+  formatForPrompt(resolution) {
+    const lines = [
+      'SEASON CONTEXT (resolved from the live calendar)',
+      `Current season: ${resolution.currentSeason}` +
+        (resolution.totalRounds
+          ? ` (${resolution.roundsCompleted} of ${resolution.totalRounds} rounds completed)`
+          : ''),
+      `Most recent completed season: ${resolution.lastCompletedSeason}`
+    ];
+
+    if (resolution.previousRace) {
+      lines.push(`Previous race: ${this.describeRace(resolution.previousRace)}`);
+    }
+    if (resolution.nextRace) {
+      lines.push(`Next race: ${this.describeRace(resolution.nextRace)}`);
+    }
+
+    if (resolution.references?.length > 0) {
+      lines.push('Resolved references in this query:');
+      resolution.references.forEach((reference) => {
+        const value =
+          reference.type === 'race'
+            ? `${reference.season} round ${reference.round} (${reference.raceName})`
+            : reference.season;
+        lines.push(`— "${reference.phrase}" → ${value}`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+
+  isRaceCompleted(race, now) {
+    const start = new Date(`${race.date}T${race.time || '00:00:00Z'}`);
+    if (isNaN(start.getTime())) return false;
+    return start.getTime() + RACE_DURATION_MS <= now.getTime();
+  }
+
+  summarizeRace(race) {
+    if (!race) return null;
+    return {
+      season: race.season,
+      round: race.round,
+      raceName: race.raceName,
+      date: race.date
+    };
+  }
+
+  describeRace(race) {
+    return `${race.season} round ${race.round} - ${race.raceName} (${race.date})`;
+  }
+
+  clearCache() {
+    this.cached = null;
+  }
+}
+
+// Export singleton instance
+export const seasonResolver = new SeasonResolver();
+export { SeasonResolver };
+export default seasonResolver;
@@ -0,0 +1,300 @@
+import ConstructorTools from '../tools/constructorTools.js';
+import DriverTools from '../tools/driverTools.js';
+
+/**
+ * Teammate Comparison
+ * Head-to-head between drivers sharing a car: qualifying H2H, race H2H
+ * (double DNFs excluded), points share and average grid gap, for one
+ * season or across a driver's career
+ */
+class TeammateComparison {
+  constructor(options = {}) {
+    this.constructorTools = options.constructorTools || new ConstructorTools();
+    this.driverTools = options.driverTools || new DriverTools();
+  }
+
+  /**
+   * Every team (or one team / one driver's team) in a season
+   */
+  async compareSeason(season, options = {}) {
+    const { constructorId, driverId } = options;
+    let constructorIds;
+
+    if (constructorId) {
+      constructorIds = [constructorId];
+    } else if (driverId) {
+      constructorIds = await this.getDriverConstructors(driverId, season);
+    } else {
+      const constructors = await this.constructorTools.getConstructorsBySession(season);
+      constructorIds = constructors.map((constructor) => constructor.constructorId);
+    }
+
+    const teams = await Promise.all(
+      constructorIds.map((id) => this.compareTeamSeason(id, season))
+    );
+
+    return {
+      season: String(season),
+      teams: teams
+        .map((team) => (driverId ? this.focusOnDriver(team, driverId) : team))
+        .filter((team) => team.pairs.length > 0)
+        .map((team) => ({ ...team, pairs: team.pairs.map((pair) => this.formatPair(pair)) }))
+    };
+  }
+
+  /**
+   * A driver against every teammate they have had
+   */
+  async compareCareer(driverId) {
+    const standings = await this.driverTools.getDriverStandings(driverId);
+    const stints = standings.flatMap((list) =>
+      (list.DriverStandings?.[0]?.Constructors || []).map((constructor) => ({
+        season: list.season,
+        constructorId: constructor.constructorId
+      }))
+    );
+
+    if (stints.length === 0) {
+      throw new Error(`No seasons found for driver ${driverId}`);
+    }
+
+    const seasons = await Promise.all(
+      stints.map(async ({ season, constructorId }) =>
+        this.focusOnDriver(await this.compareTeamSeason(constructorId, season), driverId)
+      )
+    );
+
+    const byTeammate = new Map();
+    seasons.forEach((team) => {
+      team.pairs.forEach((pair) => {
+        const teammateId = pair.drivers[1].driverId;
+        if (!byTeammate.has(teammateId)) {
+          byTeammate.set(teammateId, {
+            ...this.emptyPair(pair.drivers[0], pair.drivers[1]),
+            seasons: []
+          });
+        }
+        const total = byTeammate.get(teammateId);
+        total.seasons.push(`${team.season} ${team.constructorName}`);
+        this.mergePair(total, pair);
+      });
+    });
+
+    const teammates = [...byTeammate.values()].map((pair) => ({
+      seasons: pair.seasons,
+      ...this.formatPair(pair)
+    }));
+    const overall = teammates.reduce(
+      (total, pair) => {
+        total.races += pair.races;
+        total.raceWins += pair.race[driverId];
+        total.raceLosses += pair.race[pair.teammate.driverId];
+        total.qualifyingWins += pair.qualifying[driverId];
+        total.qualifyingLosses += pair.qualifying[pair.teammate.driverId];
+        return total;
+      },
+      { races: 0, raceWins: 0, raceLosses: 0, qualifyingWins: 0, qualifyingLosses: 0 }
+    );
+
+    return {
+      driverId,
+      teammateCount: teammates.length,
+      overall,
+      teammates,
+      seasons: seasons
+        .filter((team) => team.pairs.length > 0)
+        .map((team) => ({ ...team, pairs: team.pairs.map((pair) => this.formatPair(pair)) }))
+    };
+  }
+
+  async getDriverConstructors(driverId, season) {
+    const standings = await this.driverTools.getDriverStandings(driverId, season);
+    return (standings[0]?.DriverStandings?.[0]?.Constructors || []).map(
+      (constructor) => constructor.constructorId
+    );
+  }
+
+  /**
+   * Raw pair tallies for one constructor in one season
+   */
+  async compareTeamSeason(constructorId, season) {
+    const [drivers, races, qualifying] = await Promise.all([
+      this.constructorTools.getConstructorDrivers(constructorId, season),
+      this.constructorTools.getConstructorSeasonResults(constructorId, season),
+      this.constructorTools.getConstructorSeasonQualifying(constructorId, season)
+    ]);
+
+    const qualifyingByRound = new Map(
+      qualifying.map((race) => [
+        race.round,
+        new Map(
+          (race.QualifyingResults || []).map((result) => [
+            result.Driver?.driverId,
+            parseInt(result.position)
+          ])
+        )
+      ])
+    );
+    const driverInfo = new Map(
+      drivers.map((driver) => [
+        driver.driverId,
+        { driverId: driver.driverId, name: `${driver.givenName} ${driver.familyName}` }
+      ])
+    );
+
+    const pairs = new Map();
+    races.forEach((race) => {
+      const results = race.Results || [];
+      const roundQualifying = qualifyingByRound.get(race.round);
+
+      // Every combination of cars entered that round (three-car teams included)
+      for (let i = 0; i < results.length; i++) {
+        for (let j = i + 1; j < results.length; j++) {
+          const [first, second] = [results[i], results[j]].sort((a, b) =>
+            a.Driver.driverId.localeCompare(b.Driver.driverId)
+          );
+          const key = `${first.Driver.driverId}|${second.Driver.driverId}`;
+          if (!pairs.has(key)) {
+            pairs.set(
+              key,
+              this.emptyPair(
+                driverInfo.get(first.Driver.driverId) || this.describeDriver(first.Driver),
+                driverInfo.get(second.Driver.driverId) || this.describeDriver(second.Driver)
+              )
+            );
+          }
+          this.scoreRound(pairs.get(key), first, second, roundQualifying);
+        }
+      }
+    });
+
+    return {
+      season: String(season),
+      constructorId,
+      constructorName: races[0]?.Results?.[0]?.Constructor?.name || constructorId,
+      pairs: [...pairs.values()]
+    };
+  }
+
+  describeDriver(driver) {
+    return { driverId: driver.driverId, name: `${driver.givenName} ${driver.familyName}` };
+  }
+
+  emptyPair(driverA, driverB) {
+    return {
+      drivers: [driverA, driverB],
+      races: 0,
+      raceAhead: [0, 0],
+      doubleDnfs: 0,
+      qualifyingAhead: [0, 0],
+      qualifyingFromGrid: 0,
+      points: [0, 0],
+      gridGapTotal: 0,
+      gridGapRaces: 0
+    };
+  }
+
+  scoreRound(pair, resultA, resultB, roundQualifying) {
+    const classified = (result) => /^\d+$/.test(result.positionText ?? result.position);
+    pair.races++;
+    pair.points[0] += parseFloat(resultA.points) || 0;
+    pair.points[1] += parseFloat(resultB.points) || 0;
+
+    if (!classified(resultA) && !classified(resultB)) {
+      pair.doubleDnfs++;
+    } else if (
+      classified(resultA) &&
+      (!classified(resultB) || parseInt(resultA.position) < parseInt(resultB.position))
+    ) {
+      pair.raceAhead[0]++;
+    } else {
+      pair.raceAhead[1]++;
+    }
+
+    const gridA = parseInt(resultA.grid);
+    const gridB = parseInt(resultB.grid);
+    if (gridA > 0 && gridB > 0) {
+      pair.gridGapTotal += gridA - gridB;
+      pair.gridGapRaces++;
+    }
+
+    // Qualifying classification where recorded, otherwise the starting grid
+    let qualiA = roundQualifying?.get(resultA.Driver.driverId);
+    let qualiB = roundQualifying?.get(resultB.Driver.driverId);
+    if (!qualiA || !qualiB) {
+      qualiA = gridA > 0 ? gridA : null;
+      qualiB = gridB > 0 ? gridB : null;
+      if (qualiA && qualiB) pair.qualifyingFromGrid++;
+    }
+    if (qualiA && qualiB) {
+      pair.qualifyingAhead[qualiA < qualiB ? 0 : 1]++;
+    }
+  }
+
+  mergePair(total, pair) {
+    total.races += pair.races;
+    total.doubleDnfs += pair.doubleDnfs;
+    total.qualifyingFromGrid += pair.qualifyingFromGrid;
+    total.gridGapTotal += pair.gridGapTotal;
+    total.gridGapRaces += pair.gridGapRaces;
+    [0, 1].forEach((index) => {
+      total.raceAhead[index] += pair.raceAhead[index];
+      total.qualifyingAhead[index] += pair.qualifyingAhead[index];
+      total.points[index] += pair.points[index];
+    });
+  }
+
+  /**
+   * Keep only pairs involving the driver, with the driver first
+   */
+  focusOnDriver(team, driverId) {
+    return {
+      ...team,
+      pairs: team.pairs
+        .filter((pair) => pair.drivers.some((driver) => driver.driverId === driverId))
+        .map((pair) =>
+          pair.drivers[0].driverId === driverId
+            ? pair
+            : {
+                ...pair,
+                drivers: [pair.drivers[1], pair.drivers[0]],
+                raceAhead: [pair.raceAhead[1], pair.raceAhead[0]],
+                qualifyingAhead: [pair.qualifyingAhead[1], pair.qualifyingAhead[0]],
+                points: [pair.points[1], pair.points[0]],
+                gridGapTotal: -pair.gridGapTotal
+              }
+        )
+    };
+  }
+
+  formatPair(pair) {
+    const [driverA, driverB] = pair.drivers;
+    const totalPoints = pair.points[0] + pair.points[1];
+
+    return {
+      driver: driverA,
+      teammate: driverB,
+      races: pair.races,
+      race: { [driverA.driverId]: pair.raceAhead[0], [driverB.driverId]: pair.raceAhead[1] },
+      doubleDnfs: pair.doubleDnfs,
+      qualifying: {
+        [driverA.driverId]: pair.qualifyingAhead[0],
+        [driverB.driverId]: pair.qualifyingAhead[1]
+      },
+      qualifyingFromGrid: pair.qualifyingFromGrid,
+      points: { [driverA.driverId]: pair.points[0], [driverB.driverId]: pair.points[1] },
+      pointsShare: {
+        [driverA.driverId]: totalPoints > 0 ? Math.round((pair.points[0] / totalPoints) * 1000) / 10 : null,
+        [driverB.driverId]: totalPoints > 0 ? Math.round((pair.points[1] / totalPoints) * 1000) / 10 : null
+      },
+      // Negative: the first driver starts ahead on average
+      averageGridGap:
+        pair.gridGapRaces > 0 ? Math.round((pair.gridGapTotal / pair.gridGapRaces) * 100) / 100 : null
+    };
+  }
+}
+
+// Export singleton instance
+export const teammateComparison = new TeammateComparison();
+export { TeammateComparison };
+export default teammateComparison;
@@ -0,0 +1,343 @@
+import SeasonTools from '../tools/seasonTools.js';
+import StandingsTools from '../tools/standingsTools.js';
+import { seasonResolver } from './seasonResolver.js';
+import { getPointsSystemForSeason } from '../config/pointsSystems.js';
+
+// Leader result combinations listed per points total before truncating
+const MAX_LISTED_RESULTS = 6;
+
+/**
+ * Title Scenario Calculator
+ * Exact title arithmetic: points still available (race, sprint and the
+ * fastest-lap bonus where the season awarded one), who is mathematically
+ * eliminated, and which results clinch the drivers' title at the next round.
+ * Level points are treated as undecided because countback needs wins data
+ * the remaining races have not produced yet.
+ */
+class TitleScenarioCalculator {
+  constructor(options = {}) {
+    this.seasonTools = options.seasonTools || new SeasonTools();
+    this.standingsTools = options.standingsTools || new StandingsTools();
+    this.resolver = options.seasonResolver || seasonResolver;
+  }
+
+  async calculate(season = 'current', options = {}) {
+    const now = options.now || new Date();
+    const resolvedSeason =
+      season === 'current'
+        ? (await this.resolver.getSeasonContext(now)).currentSeason
+        : String(season);
+
+    const [races, driverStandings, constructorStandings] = await Promise.all([
+      this.seasonTools.getSeasonRaces(resolvedSeason),
+      this.standingsTools.getDriverStandings(resolvedSeason),
+      this.standingsTools.getConstructorStandings(resolvedSeason)
+    ]);
+
+    if (!driverStandings?.DriverStandings?.length) {
+      throw new Error(`No driver standings available for ${resolvedSeason}`);
+    }
+
+    return this.analyze({
+      season: resolvedSeason,
+      drivers: driverStandings.DriverStandings.map((standing) => ({
+        id: standing.Driver?.driverId,
+        name: `${standing.Driver?.givenName} ${standing.Driver?.familyName}`,
+        points: parseFloat(standing.points) || 0,
+        wins: parseInt(standing.wins) || 0
+      })),
+      constructors: (constructorStandings?.ConstructorStandings || []).map((standing) => ({
+        id: standing.Constructor?.constructorId,
+        name: standing.Constructor?.name,
+        points: parseFloat(standing.points) || 0,
+        wins: parseInt(standing.wins) || 0
+      })),
+      remainingRounds: races
+        .filter((race) => !this.resolver.isRaceCompleted(race, now))
+        .map((race) => ({
+          round: race.round,
+          raceName: race.raceName,
+          date: race.date,
+          sprint: Boolean(race.Sprint)
+        })),
+      rules: options.rules || this.getScoringRules(resolvedSeason)
+    });
+  }
+
+  /**
+   * Scoring in force for a season, from the points-system registry
+   */
+  getScoringRules(season) {
+    const system = getPointsSystemForSeason(season);
+    return {
+      system: system.id,
+      race: system.race,
+      sprint: system.sprint,
+      fastestLap: system.fastestLap || 0,
+      fastestLapMaxPosition: system.fastestLapMaxPosition || null
+    };
+  }
+
+  /**
+   * Pure calculation on prepared standings, calendar and rules
+   */
+  analyze(input) {
+    const { rules, remainingRounds = [] } = input;
+    const driverMaximum = this.getPointsAvailable(remainingRounds, rules, 1);
+    const constructorMaximum = this.getPointsAvailable(remainingRounds, rules, 2);
+    const nextRound = remainingRounds[0] || null;
+
+    const drivers = this.classifyContenders(input.drivers, driverMaximum);
+    const constructors = this.classifyContenders(input.constructors, constructorMaximum);
+
+    return {
+      season: input.season,
+      remainingRaces: remainingRounds.length,
+      remainingSprints: remainingRounds.filter((round) => round.sprint).length,
+      pointsAvailable: { driver: driverMaximum, constructor: constructorMaximum },
+      rules,
+      drivers,
+      constructors,
+      nextRound: nextRound
+        ? {
+            round: nextRound.round,
+            raceName: nextRound.raceName,
+            date: nextRound.date,
+            sprint: nextRound.sprint,
+            driverClinch: this.buildClinchScenarios(drivers, remainingRounds, rules),
+            constructorClinch: this.buildConstructorClinch(constructors, remainingRounds, rules)
+          }
+        : null
+    };
+  }
+
+  /**
+   * Most points one entrant can still score; a constructor takes the top
+   * two places with its two cars
+   */
+  getPointsAvailable(rounds, rules, cars = 1) {
+    return rounds.reduce((total, round) => total + this.getWeekendMaximum(round, rules, cars), 0);
+  }
+
+  getWeekendMaximum(round, rules, cars = 1) {
+    const sum = (table) => table.slice(0, cars).reduce((total, points) => total + points, 0);
+    return sum(rules.race) + (rules.fastestLap || 0) + (round.sprint ? sum(rules.sprint) : 0);
+  }
+
+  /**
+   * Leader / contender / eliminated against the points still available
+   */
+  classifyContenders(entries, pointsAvailable) {
+    const standings = [...entries].sort((a, b) => b.points - a.points || b.wins - a.wins);
+    const leader = standings[0];
+    const secondPoints = standings[1]?.points ?? 0;
+
+    return standings.map((entry, index) => {
+      const maximumPoints = entry.points + pointsAvailable;
+      const gapToLeader = leader.points - entry.points;
+      let status;
+
+      if (index === 0) {
+        status = entry.points - secondPoints > pointsAvailable ? 'champion' : 'leader';
+      } else if (maximumPoints < leader.points) {
+        status = 'eliminated';
+      } else if (maximumPoints === leader.points) {
+        status = 'countback';
+      } else {
+        status = 'contender';
+      }
+
+      return { ...entry, gapToLeader, maximumPoints, status };
+    });
+  }
+
+  /**
+   * Results at the next round that seal the drivers' title for the leader,
+   * grouped by the points the leader scores that weekend and how many a
+   * rival can still score around the leader's finishing positions
+   */
+  buildClinchScenarios(drivers, rounds, rules) {
+    const leader = drivers[0];
+    if (!leader || leader.status === 'champion') {
+      return { possible: false, alreadyDecided: leader?.status === 'champion', scenarios: [] };
+    }
+
+    const [next, ...after] = rounds;
+    const pointsAfter = this.getPointsAvailable(after, rules, 1);
+    const rivals = drivers.slice(1).filter((driver) => driver.status !== 'eliminated');
+    const outcomes = this.getWeekendOutcomes(next, rules);
+
+    const groups = new Map();
+    outcomes.forEach((outcome) => {
+      const rivalMaximum = this.getRivalMaximum(next, rules, outcome);
+      const key = `${outcome.points}:${rivalMaximum}`;
+      if (!groups.has(key)) groups.set(key, { leaderPoints: outcome.points, rivalMaximum, results: [] });
+      groups.get(key).results.push(outcome.description);
+    });
+
+    const scenarios = [];
+    [...groups.values()]
+      .sort((a, b) => b.leaderPoints - a.leaderPoints || a.rivalMaximum - b.rivalMaximum)
+      .forEach(({ leaderPoints, rivalMaximum, results }) => {
+        const conditions = [];
+        let possible = true;
+
+        rivals.forEach((rival) => {
+          // Leader must finish strictly ahead of everything the rival can still add
+          const allowed = leader.points + leaderPoints - rival.points - pointsAfter - 1;
+          if (allowed < 0) possible = false;
+          else if (allowed < rivalMaximum) {
+            conditions.push(this.describeRivalCondition(rival, allowed, next, rules));
+          }
+        });
+
+        if (!possible) return;
+        scenarios.push({
+          leaderPoints,
+          leaderResults: results.slice(0, MAX_LISTED_RESULTS),
+          moreResults: Math.max(results.length - MAX_LISTED_RESULTS, 0),
+          guaranteed: conditions.length === 0,
+          rivalConditions: conditions
+        });
+      });
+
+    return {
+      possible: scenarios.length > 0,
+      alreadyDecided: false,
+      leader: { id: leader.id, name: leader.name, points: leader.points },
+      pointsAvailableAfter: pointsAfter,
+      scenarios
+    };
+  }
+
+  /**
+   * Most a rival can score at the weekend when the leader already holds
+   * the given sprint place, race place and fastest lap
+   */
+  getRivalMaximum(round, rules, outcome) {
+    const best = (table, takenPosition) =>
+      table.find((points, index) => index + 1 !== takenPosition) || 0;
+
+    const sprint = round.sprint ? best(rules.sprint, outcome.sprintPosition) : 0;
+    const fastestLap = outcome.fastestLap ? 0 : rules.fastestLap || 0;
+    return best(rules.race, outcome.racePosition) + sprint + fastestLap;
+  }
+
+  /**
+   * Every distinct weekend result for one driver: sprint finish, race
+   * finish and fastest lap where it scores
+   */
+  getWeekendOutcomes(round, rules) {
+    const raceOptions = [
+      ...rules.race.map((points, index) => ({ position: index + 1, points })),
+      { position: null, points: 0 }
+    ];
+    const sprintOptions = round.sprint && rules.sprint.length
+      ? [
+          ...rules.sprint.map((points, index) => ({ position: index + 1, points })),
+          { position: null, points: 0 }
+        ]
+      : [null];
+
+    const outcomes = [];
+    sprintOptions.forEach((sprint) => {
+      raceOptions.forEach((race) => {
+        const fastestLapOptions =
+          rules.fastestLap &&
+          race.position &&
+          (!rules.fastestLapMaxPosition || race.position <= rules.fastestLapMaxPosition)
+            ? [false, true]
+            : [false];
+
+        fastestLapOptions.forEach((fastestLap) => {
+          const parts = [];
+          if (sprint) parts.push(`Sprint ${sprint.position ? `P${sprint.position}` : 'outside the points'}`);
+          parts.push(`${sprint ? 'Race ' : ''}${race.position ? `P${race.position}` : 'outside the points'}`);
+          if (fastestLap) parts.push('fastest lap');
+
+          outcomes.push({
+            points: (sprint?.points || 0) + race.points + (fastestLap ? rules.fastestLap : 0),
+            racePosition: race.position,
+            sprintPosition: sprint?.position ?? null,
+            fastestLap,
+            description: parts.join(', ')
+          });
+        });
+      });
+    });
+
+    return outcomes;
+  }
+
+  describeRivalCondition(rival, maxPoints, round, rules) {
+    const condition = { id: rival.id, name: rival.name, maxPoints };
+
+    if (maxPoints === 0) {
+      condition.description = `${rival.name} fails to score`;
+      return condition;
+    }
+
+    if (round.sprint && rules.sprint.length) {
+      condition.description = `${rival.name} scores ${maxPoints} points or fewer across the sprint and race`;
+      return condition;
+    }
+
+    // Highest finish that keeps the rival within the allowance
+    const position = (bonus) => {
+      const index = rules.race.findIndex((points) => points + bonus <= maxPoints);
+      return index === -1 ? rules.race.length + 1 : index + 1;
+    };
+    const describe = (finish) =>
+      finish > rules.race.length ? 'outside the points' : `P${finish} or lower`;
+    condition.finishNoHigherThan = position(0);
+    condition.description = `${rival.name} finishes ${describe(condition.finishNoHigherThan)}`;
+
+    if (rules.fastestLap) {
+      condition.finishNoHigherThanWithFastestLap = position(rules.fastestLap);
+      if (condition.finishNoHigherThanWithFastestLap !== condition.finishNoHigherThan) {
+        condition.description += ` (${describe(condition.finishNoHigherThanWithFastestLap)} if they set the fastest lap)`;
+      }
+    }
+
+    return condition;
+  }
+
+  /**
+   * Whether the constructors' leader can seal the title at the next round,
+   * and the points margin it needs over each rival to do so
+   */
+  buildConstructorClinch(constructors, rounds, rules) {
+    const leader = constructors[0];
+    if (!leader) return { possible: false, alreadyDecided: false, requiredMargins: [] };
+    if (leader.status === 'champion') {
+      return { possible: false, alreadyDecided: true, requiredMargins: [] };
+    }
+
+    const [next, ...after] = rounds;
+    const pointsAfter = this.getPointsAvailable(after, rules, 2);
+    const weekendMaximum = this.getWeekendMaximum(next, rules, 2);
+
+    const requiredMargins = constructors
+      .slice(1)
+      .filter((rival) => rival.status !== 'eliminated')
+      .map((rival) => ({
+        id: rival.id,
+        name: rival.name,
+        // Points the leader must outscore this rival by over the weekend
+        marginNeeded: Math.max(pointsAfter - (leader.points - rival.points) + 1, 0)
+      }));
+
+    return {
+      possible: requiredMargins.every((rival) => rival.marginNeeded <= weekendMaximum),
+      alreadyDecided: false,
+      leader: { id: leader.id, name: leader.name, points: leader.points },
+      pointsAvailableAfter: pointsAfter,
+      requiredMargins
+    };
+  }
+}
+
+// Export singleton instance
+export const titleScenarioCalculator = new TitleScenarioCalculator();
+export { TitleScenarioCalculator };
+export default titleScenarioCalculator;
@@ -0,0 +1,56 @@
+// Ergast path segments; a segment followed by a value filters on it
+export const ERGAST_SEGMENTS = [
+  'seasons',
+  'races',
+  'circuits',
+  'constructors',
+  'drivers',
+  'results',
+  'sprint',
+  'qualifying',
+  'driverStandings',
+  'constructorStandings',
+  'pitstops',
+  'laps',
+  'grid',
+  'fastest',
+  'status'
+];
+
+/**
+ * Split an Ergast endpoint into season, round, filters and the requested
+ * resource (the last segment), e.g. '/2024/drivers/hamilton/results/1' ->
+ * { season: 2024, round: null, resource: 'results',
+ *   filters: { drivers: 'hamilton', results: '1' } }.
+ * Returns null for paths it cannot read, including 'current', 'last' and
+ * 'next', which depend on today's date.
+ */
+export function parseErgastPath(endpoint) {
+  const tokens = String(endpoint || '')
+    .replace(/\.json$/, '')
+    .split('/')
+    .filter(Boolean);
+  const parsed = { season: null, round: null, filters: {}, resource: 'races' };
+  let index = 0;
+
+  if (/^\d{4}$/.test(tokens[index])) {
+    parsed.season = parseInt(tokens[index++]);
+    if (/^\d+$/.test(tokens[index])) {
+      parsed.round = parseInt(tokens[index++]);
+    }
+  }
+
+  while (index < tokens.length) {
+    const segment = tokens[index++];
+    if (!ERGAST_SEGMENTS.includes(segment)) return null;
+
+    parsed.resource = segment;
+    if (index < tokens.length && !ERGAST_SEGMENTS.includes(tokens[index])) {
+      parsed.filters[segment] = decodeURIComponent(tokens[index++]);
+    }
+  }
+
+  return parsed;
+}
+
+export default parseErgastPath;
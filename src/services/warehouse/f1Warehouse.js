@@ -0,0 +1,420 @@
+import { SqliteDatabase } from '../../utils/sqliteDatabase.js';
+import { warehouseMigrations } from './migrations.js';
+
+// Parts of a race weekend tracked in ingested_races
+export const WAREHOUSE_PARTS = ['results', 'qualifying', 'sprint', 'standings', 'pit_stops', 'lap_times'];
+
+// Race weekend sessions kept as JSON on the race row
+const SESSION_KEYS = [
+  'FirstPractice',
+  'SecondPractice',
+  'ThirdPractice',
+  'Qualifying',
+  'Sprint',
+  'SprintQualifying',
+  'SprintShootout'
+];
+
+const toInt = (value) => {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * F1 Warehouse
+ * Normalized SQLite copy of the Ergast dataset: reference tables (seasons,
+ * circuits, drivers, constructors, races), per-race results, qualifying,
+ * sprints, standings, pit stops and lap times, plus a log of what has been
+ * ingested so readers only trust complete data
+ */
+class F1Warehouse {
+  constructor(options = {}) {
+    this.database = new SqliteDatabase(options.url);
+    this.ready = null;
+  }
+
+  /**
+   * Open the database and apply pending migrations (once)
+   */
+  async initialize() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await this.database.open();
+        const applied = await this.database.migrate(warehouseMigrations, 'warehouse_migrations');
+        console.log(`💾 F1 warehouse ready at ${this.database.filename} (${applied} new migrations)`);
+        return true;
+      })();
+    }
+    return this.ready;
+  }
+
+  async all(sql, params = []) {
+    await this.initialize();
+    return this.database.all(sql, params);
+  }
+
+  async get(sql, params = []) {
+    await this.initialize();
+    return this.database.get(sql, params);
+  }
+
+  // Reference data
+
+  async saveSeasons(seasons) {
+    await this.initialize();
+    await this.database.transaction(async (db) => {
+      for (const season of seasons) {
+        await db.run(
+          `INSERT INTO seasons (season, url) VALUES (?, ?)
+           ON CONFLICT(season) DO UPDATE SET url = COALESCE(excluded.url, seasons.url)`,
+          [toInt(season.season), season.url || null]
+        );
+      }
+    });
+  }
+
+  async upsertCircuit(db, circuit) {
+    await db.run(
+      `INSERT INTO circuits (circuit_id, name, locality, country, lat, lng, url)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(circuit_id) DO UPDATE SET
+         name = excluded.name, locality = excluded.locality, country = excluded.country,
+         lat = excluded.lat, lng = excluded.lng, url = excluded.url`,
+      [
+        circuit.circuitId,
+        circuit.circuitName,
+        circuit.Location?.locality || null,
+        circuit.Location?.country || null,
+        circuit.Location?.lat || null,
+        circuit.Location?.long || null,
+        circuit.url || null
+      ]
+    );
+  }
+
+  async upsertDriver(db, driver) {
+    await db.run(
+      `INSERT INTO drivers (driver_id, code, permanent_number, given_name, family_name, date_of_birth, nationality, url)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(driver_id) DO UPDATE SET
+         code = excluded.code, permanent_number = excluded.permanent_number,
+         given_name = excluded.given_name, family_name = excluded.family_name,
+         date_of_birth = excluded.date_of_birth, nationality = excluded.nationality, url = excluded.url`,
+      [
+        driver.driverId,
+        driver.code || null,
+        driver.permanentNumber || null,
+        driver.givenName,
+        driver.familyName,
+        driver.dateOfBirth || null,
+        driver.nationality || null,
+        driver.url || null
+      ]
+    );
+  }
+
+  async upsertConstructor(db, constructor) {
+    await db.run(
+      `INSERT INTO constructors (constructor_id, name, nationality, url)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(constructor_id) DO UPDATE SET
+         name = excluded.name, nationality = excluded.nationality, url = excluded.url`,
+      [constructor.constructorId, constructor.name, constructor.nationality || null, constructor.url || null]
+    );
+  }
+
+  /**
+   * Store a season's calendar (races and their circuits)
+   */
+  async saveCalendar(season, races) {
+    await this.initialize();
+    await this.database.transaction(async (db) => {
+      await db.run('INSERT OR IGNORE INTO seasons (season) VALUES (?)', [season]);
+
+      for (const race of races) {
+        await this.upsertCircuit(db, race.Circuit);
+        const sessions = Object.fromEntries(
+          SESSION_KEYS.filter((key) => race[key]).map((key) => [key, race[key]])
+        );
+        await db.run(
+          `INSERT INTO races (season, round, race_name, circuit_id, date, time, url, sessions)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT(season, round) DO UPDATE SET
+             race_name = excluded.race_name, circuit_id = excluded.circuit_id, date = excluded.date,
+             time = excluded.time, url = excluded.url, sessions = excluded.sessions`,
+          [
+            season,
+            toInt(race.round),
+            race.raceName,
+            race.Circuit.circuitId,
+            race.date || null,
+            race.time || null,
+            race.url || null,
+            Object.keys(sessions).length ? JSON.stringify(sessions) : null
+          ]
+        );
+      }
+    });
+  }
+
+  // Race data - each save replaces the round's rows and logs the part as ingested
+
+  /**
+   * Race or sprint classification (table: 'results' | 'sprint_results')
+   */
+  async saveClassification(table, season, round, results) {
+    const part = table === 'results' ? 'results' : 'sprint';
+    await this.replaceRound(table, part, season, round, async (db) => {
+      for (const result of results) {
+        await this.upsertDriver(db, result.Driver);
+        await this.upsertConstructor(db, result.Constructor);
+        await db.run(
+          `INSERT INTO ${table} (season, round, position, position_text, driver_id, constructor_id, number, points,
+             grid, laps, status, time_millis, time_text, fastest_lap_rank, fastest_lap_lap, fastest_lap_time,
+             fastest_lap_speed, fastest_lap_speed_units)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            season,
+            round,
+            toInt(result.position),
+            result.positionText ?? result.position,
+            result.Driver.driverId,
+            result.Constructor.constructorId,
+            result.number || null,
+            parseFloat(result.points) || 0,
+            toInt(result.grid),
+            toInt(result.laps),
+            result.status || null,
+            toInt(result.Time?.millis),
+            result.Time?.time || null,
+            toInt(result.FastestLap?.rank),
+            toInt(result.FastestLap?.lap),
+            result.FastestLap?.Time?.time || null,
+            result.FastestLap?.AverageSpeed?.speed || null,
+            result.FastestLap?.AverageSpeed?.units || null
+          ]
+        );
+      }
+    });
+  }
+
+  async saveQualifying(season, round, results) {
+    await this.replaceRound('qualifying', 'qualifying', season, round, async (db) => {
+      for (const result of results) {
+        await this.upsertDriver(db, result.Driver);
+        await this.upsertConstructor(db, result.Constructor);
+        await db.run(
+          `INSERT INTO qualifying (season, round, position, driver_id, constructor_id, number, q1, q2, q3)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            season,
+            round,
+            toInt(result.position),
+            result.Driver.driverId,
+            result.Constructor.constructorId,
+            result.number || null,
+            result.Q1 || null,
+            result.Q2 || null,
+            result.Q3 || null
+          ]
+        );
+      }
+    });
+  }
+
+  async savePitStops(season, round, pitStops) {
+    await this.replaceRound('pit_stops', 'pit_stops', season, round, async (db) => {
+      for (const stop of pitStops) {
+        await db.run(
+          `INSERT OR REPLACE INTO pit_stops (season, round, driver_id, stop, lap, time, duration)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [season, round, stop.driverId, toInt(stop.stop), toInt(stop.lap), stop.time || null, stop.duration || null]
+        );
+      }
+    });
+  }
+
+  async saveLapTimes(season, round, laps) {
+    await this.replaceRound('lap_times', 'lap_times', season, round, async (db) => {
+      for (const lap of laps) {
+        for (const timing of lap.Timings || []) {
+          await db.run(
+            `INSERT OR REPLACE INTO lap_times (season, round, driver_id, lap, position, time)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [season, round, timing.driverId, toInt(lap.number), toInt(timing.position), timing.time || null]
+          );
+        }
+      }
+    });
+  }
+
+  /**
+   * Championship tables after a round
+   */
+  async saveStandings(season, round, driverStandings = [], constructorStandings = []) {
+    await this.initialize();
+    await this.database.transaction(async (db) => {
+      await db.run('DELETE FROM driver_standings WHERE season = ? AND round = ?', [season, round]);
+      await db.run('DELETE FROM constructor_standings WHERE season = ? AND round = ?', [season, round]);
+
+      for (const standing of driverStandings) {
+        await this.upsertDriver(db, standing.Driver);
+        await db.run(
+          `INSERT INTO driver_standings (season, round, driver_id, position, position_text, points, wins)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            season,
+            round,
+            standing.Driver.driverId,
+            toInt(standing.position),
+            standing.positionText ?? standing.position ?? null,
+            parseFloat(standing.points) || 0,
+            toInt(standing.wins) || 0
+          ]
+        );
+
+        for (const [sequence, constructor] of (standing.Constructors || []).entries()) {
+          await this.upsertConstructor(db, constructor);
+          await db.run(
+            `INSERT OR IGNORE INTO driver_standing_constructors (season, round, driver_id, constructor_id, sequence)
+             VALUES (?, ?, ?, ?, ?)`,
+            [season, round, standing.Driver.driverId, constructor.constructorId, sequence]
+          );
+        }
+      }
+
+      for (const standing of constructorStandings) {
+        await this.upsertConstructor(db, standing.Constructor);
+        await db.run(
+          `INSERT INTO constructor_standings (season, round, constructor_id, position, position_text, points, wins)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            season,
+            round,
+            standing.Constructor.constructorId,
+            toInt(standing.position),
+            standing.positionText ?? standing.position ?? null,
+            parseFloat(standing.points) || 0,
+            toInt(standing.wins) || 0
+          ]
+        );
+      }
+
+      await this.markIngested(db, season, round, 'standings');
+    });
+  }
+
+  /**
+   * Log a part as ingested without rows (e.g. pit stops before 2011)
+   */
+  async markPartIngested(season, round, part) {
+    await this.initialize();
+    await this.markIngested(this.database, season, round, part);
+  }
+
+  async replaceRound(table, part, season, round, insertRows) {
+    await this.initialize();
+    await this.database.transaction(async (db) => {
+      await db.run(`DELETE FROM ${table} WHERE season = ? AND round = ?`, [season, round]);
+      await insertRows(db);
+      await this.markIngested(db, season, round, part);
+    });
+  }
+
+  async markIngested(db, season, round, part) {
+    if (!WAREHOUSE_PARTS.includes(part)) {
+      throw new Error(`Unknown warehouse part: ${part}`);
+    }
+    await db.run(
+      `INSERT INTO ingested_races (season, round, ${part}, ingested_at) VALUES (?, ?, 1, ?)
+       ON CONFLICT(season, round) DO UPDATE SET ${part} = 1, ingested_at = excluded.ingested_at`,
+      [season, round, new Date().toISOString()]
+    );
+  }
+
+  async markSeason(season, scheduledRaces, complete) {
+    await this.initialize();
+    await this.database.run(
+      `INSERT INTO ingested_seasons (season, scheduled_races, complete, ingested_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(season) DO UPDATE SET
+         scheduled_races = excluded.scheduled_races, complete = excluded.complete, ingested_at = excluded.ingested_at`,
+      [season, scheduledRaces, complete ? 1 : 0, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * round -> ingested parts for a season
+   */
+  async getIngestedRaces(season) {
+    const rows = await this.all('SELECT * FROM ingested_races WHERE season = ?', [season]);
+    return new Map(rows.map((row) => [row.round, row]));
+  }
+
+  /**
+   * Races with their ingestion flags, for freshness checks
+   */
+  async getRaceCoverage(fromSeason, toSeason) {
+    return this.all(
+      `SELECT ra.season, ra.round, ra.date, ra.time, ${WAREHOUSE_PARTS.map((part) => `ir.${part}`).join(', ')}
+       FROM races ra
+       LEFT JOIN ingested_races ir ON ir.season = ra.season AND ir.round = ra.round
+       WHERE ra.season BETWEEN ? AND ?
+       ORDER BY ra.season, ra.round`,
+      [fromSeason, toSeason]
+    );
+  }
+
+  async getIngestedSeasons(fromSeason, toSeason) {
+    const rows = await this.all(
+      'SELECT season FROM ingested_seasons WHERE season BETWEEN ? AND ?',
+      [fromSeason, toSeason]
+    );
+    return new Set(rows.map((row) => row.season));
+  }
+
+  /**
+   * Row counts and the latest ingested race
+   */
+  async getStatus() {
+    const tables = [
+      'seasons',
+      'races',
+      'drivers',
+      'constructors',
+      'circuits',
+      'results',
+      'sprint_results',
+      'qualifying',
+      'driver_standings',
+      'constructor_standings',
+      'pit_stops',
+      'lap_times'
+    ];
+    const counts = {};
+    for (const table of tables) {
+      counts[table] = (await this.get(`SELECT COUNT(*) AS count FROM ${table}`)).count;
+    }
+
+    const latest = await this.get(
+      `SELECT ra.season, ra.round, ra.race_name FROM ingested_races ir
+       JOIN races ra ON ra.season = ir.season AND ra.round = ir.round
+       WHERE ir.results = 1 ORDER BY ra.season DESC, ra.round DESC LIMIT 1`
+    );
+
+    return {
+      file: this.database.filename,
+      counts,
+      latestRace: latest
+        ? { season: latest.season, round: latest.round, raceName: latest.race_name }
+        : null
+    };
+  }
+
+  async close() {
+    await this.database.close();
+    this.ready = null;
+  }
+}
+
+export { F1Warehouse };
+export default F1Warehouse;
@@ -0,0 +1,32 @@
+import { apiConfig } from '../../config/apiConfig.js';
+import { F1Warehouse, WAREHOUSE_PARTS } from './f1Warehouse.js';
+import { WarehouseReader } from './warehouseReader.js';
+import { WarehouseIngestor } from './warehouseIngestor.js';
+
+/**
+ * Warehouse factory
+ * One SQLite warehouse per process, shared by the API client's reader and
+ * the ingestion command
+ */
+export function createWarehouse(url = apiConfig.warehouse.url) {
+  return new F1Warehouse({ url });
+}
+
+let sharedWarehouse = null;
+let sharedReader = null;
+
+export function getSharedWarehouse() {
+  if (!sharedWarehouse) {
+    sharedWarehouse = createWarehouse();
+  }
+  return sharedWarehouse;
+}
+
+export function getSharedWarehouseReader() {
+  if (!sharedReader) {
+    sharedReader = new WarehouseReader(getSharedWarehouse(), { baseUrl: apiConfig.f1Api.baseUrl });
+  }
+  return sharedReader;
+}
+
+export { F1Warehouse, WarehouseReader, WarehouseIngestor, WAREHOUSE_PARTS };
@@ -0,0 +1,200 @@
+/**
+ * Schema migrations for the F1 data warehouse
+ * Append new entries with a higher version - never edit an applied one
+ */
+export const warehouseMigrations = [
+  {
+    version: 1,
+    name: 'create_warehouse_tables',
+    up: `
+      CREATE TABLE seasons (
+        season INTEGER PRIMARY KEY,
+        url TEXT
+      );
+
+      CREATE TABLE circuits (
+        circuit_id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        locality TEXT,
+        country TEXT,
+        lat TEXT,
+        lng TEXT,
+        url TEXT
+      );
+
+      CREATE TABLE drivers (
+        driver_id TEXT PRIMARY KEY,
+        code TEXT,
+        permanent_number TEXT,
+        given_name TEXT NOT NULL,
+        family_name TEXT NOT NULL,
+        date_of_birth TEXT,
+        nationality TEXT,
+        url TEXT
+      );
+
+      CREATE TABLE constructors (
+        constructor_id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        nationality TEXT,
+        url TEXT
+      );
+
+      CREATE TABLE races (
+        season INTEGER NOT NULL REFERENCES seasons(season),
+        round INTEGER NOT NULL,
+        race_name TEXT NOT NULL,
+        circuit_id TEXT NOT NULL REFERENCES circuits(circuit_id),
+        date TEXT,
+        time TEXT,
+        url TEXT,
+        sessions TEXT, -- JSON: practice, qualifying and sprint dates/times as Ergast lists them
+        PRIMARY KEY (season, round)
+      );
+
+      CREATE INDEX idx_races_circuit ON races(circuit_id);
+      CREATE TABLE results (
+        season INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        position INTEGER NOT NULL, -- classification order, including non-finishers
+        position_text TEXT NOT NULL,
+        driver_id TEXT NOT NULL REFERENCES drivers(driver_id),
+        constructor_id TEXT NOT NULL REFERENCES constructors(constructor_id),
+        number TEXT,
+        points REAL NOT NULL DEFAULT 0,
+        grid INTEGER,
+        laps INTEGER,
+        status TEXT,
+        time_millis INTEGER,
+        time_text TEXT,
+        fastest_lap_rank INTEGER,
+        fastest_lap_lap INTEGER,
+        fastest_lap_time TEXT,
+        fastest_lap_speed TEXT,
+        fastest_lap_speed_units TEXT,
+        PRIMARY KEY (season, round, position),
+        FOREIGN KEY (season, round) REFERENCES races(season, round)
+      );
+
+      CREATE INDEX idx_results_driver ON results(driver_id);
+      CREATE INDEX idx_results_constructor ON results(constructor_id);
+
+      CREATE TABLE sprint_results (
+        season INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        position_text TEXT NOT NULL,
+        driver_id TEXT NOT NULL REFERENCES drivers(driver_id),
+        constructor_id TEXT NOT NULL REFERENCES constructors(constructor_id),
+        number TEXT,
+        points REAL NOT NULL DEFAULT 0,
+        grid INTEGER,
+        laps INTEGER,
+        status TEXT,
+        time_millis INTEGER,
+        time_text TEXT,
+        fastest_lap_rank INTEGER,
+        fastest_lap_lap INTEGER,
+        fastest_lap_time TEXT,
+        fastest_lap_speed TEXT,
+        fastest_lap_speed_units TEXT,
+        PRIMARY KEY (season, round, position),
+        FOREIGN KEY (season, round) REFERENCES races(season, round)
+      );
+
+      CREATE TABLE qualifying (
+        season INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        driver_id TEXT NOT NULL REFERENCES drivers(driver_id),
+        constructor_id TEXT NOT NULL REFERENCES constructors(constructor_id),
+        number TEXT,
+        q1 TEXT,
+        q2 TEXT,
+        q3 TEXT,
+        PRIMARY KEY (season, round, position),
+        FOREIGN KEY (season, round) REFERENCES races(season, round)
+      );
+
+      CREATE INDEX idx_qualifying_driver ON qualifying(driver_id);
+
+      CREATE TABLE pit_stops (
+        season INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        driver_id TEXT NOT NULL REFERENCES drivers(driver_id),
+        stop INTEGER NOT NULL,
+        lap INTEGER NOT NULL,
+        time TEXT,
+        duration TEXT,
+        PRIMARY KEY (season, round, driver_id, stop),
+        FOREIGN KEY (season, round) REFERENCES races(season, round)
+      );
+
+      CREATE TABLE lap_times (
+        season INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        driver_id TEXT NOT NULL REFERENCES drivers(driver_id),
+        lap INTEGER NOT NULL,
+        position INTEGER,
+        time TEXT,
+        PRIMARY KEY (season, round, driver_id, lap),
+        FOREIGN KEY (season, round) REFERENCES races(season, round)
+      );
+      -- Standings after each round
+      CREATE TABLE driver_standings (
+        season INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        driver_id TEXT NOT NULL REFERENCES drivers(driver_id),
+        position INTEGER,
+        position_text TEXT,
+        points REAL NOT NULL DEFAULT 0,
+        wins INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (season, round, driver_id)
+      );
+
+      CREATE TABLE driver_standing_constructors (
+        season INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        driver_id TEXT NOT NULL,
+        constructor_id TEXT NOT NULL REFERENCES constructors(constructor_id),
+        sequence INTEGER NOT NULL,
+        PRIMARY KEY (season, round, driver_id, constructor_id),
+        FOREIGN KEY (season, round, driver_id) REFERENCES driver_standings(season, round, driver_id)
+          ON DELETE CASCADE
+      );
+
+      CREATE TABLE constructor_standings (
+        season INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        constructor_id TEXT NOT NULL REFERENCES constructors(constructor_id),
+        position INTEGER,
+        position_text TEXT,
+        points REAL NOT NULL DEFAULT 0,
+        wins INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (season, round, constructor_id)
+      );
+      -- What each race has been ingested with, so reads only trust complete data
+      CREATE TABLE ingested_races (
+        season INTEGER NOT NULL,
+        round INTEGER NOT NULL,
+        results INTEGER NOT NULL DEFAULT 0,
+        qualifying INTEGER NOT NULL DEFAULT 0,
+        sprint INTEGER NOT NULL DEFAULT 0,
+        standings INTEGER NOT NULL DEFAULT 0,
+        pit_stops INTEGER NOT NULL DEFAULT 0,
+        lap_times INTEGER NOT NULL DEFAULT 0,
+        ingested_at TEXT NOT NULL,
+        PRIMARY KEY (season, round)
+      );
+
+      CREATE TABLE ingested_seasons (
+        season INTEGER PRIMARY KEY,
+        scheduled_races INTEGER NOT NULL,
+        complete INTEGER NOT NULL DEFAULT 0, -- every scheduled race ingested
+        ingested_at TEXT NOT NULL
+      );
+    `
+  }
+];
+
+export default warehouseMigrations;
@@ -0,0 +1,176 @@
+import { SqliteDatabase } from '../../utils/sqliteDatabase.js';
+import { apiConfig } from '../../config/apiConfig.js';
+
+// Compact schema for the tool description; keep in step with migrations.js
+export const WAREHOUSE_SCHEMA = `
+seasons(season INTEGER PK, url)
+circuits(circuit_id PK, name, locality, country, lat, lng, url)
+drivers(driver_id PK, code, permanent_number, given_name, family_name, date_of_birth 'YYYY-MM-DD', nationality, url)
+constructors(constructor_id PK, name, nationality, url)
+races(season, round, race_name, circuit_id, date 'YYYY-MM-DD', time, url, sessions JSON) PK(season, round)
+results(season, round, position, position_text, driver_id, constructor_id, number, points, grid, laps, status,
+  time_millis, time_text, fastest_lap_rank, fastest_lap_lap, fastest_lap_time, fastest_lap_speed) PK(season, round, position)
+sprint_results(same columns as results)
+qualifying(season, round, position, driver_id, constructor_id, number, q1, q2, q3) PK(season, round, position)
+driver_standings(season, round, driver_id, position, position_text, points, wins) - standings after the round
+driver_standing_constructors(season, round, driver_id, constructor_id, sequence)
+constructor_standings(season, round, constructor_id, position, position_text, points, wins)
+pit_stops(season, round, driver_id, stop, lap, time, duration) - from 2011
+lap_times(season, round, driver_id, lap, position, time 'm:ss.sss') - from 1996
+ingested_races(season, round, results, qualifying, sprint, standings, pit_stops, lap_times) - 1 when loaded
+Notes: results.position is the classification order for every entrant; a classified finish has a numeric
+position_text ('R' retired, 'D' disqualified, 'W' withdrawn, 'N' not classified, 'E' excluded, 'F' failed to qualify).
+grid 0 means a pit-lane start. Standings are stored for the latest ingested round of each season (the final
+table for finished seasons): join on MAX(round) per season. Join tables on (season, round) and the *_id keys.
+`.trim();
+
+// Statements a read-only query may never contain
+const FORBIDDEN_KEYWORDS =
+  /\b(insert|update|delete|drop|create|alter|attach|detach|pragma|vacuum|reindex|analyze|begin|commit|rollback|savepoint|release|load_extension)\b/i;
+
+/**
+ * Mask string literals, quoted identifiers and comments so keyword checks
+ * only see SQL syntax
+ */
+const maskLiterals = (sql) =>
+  sql
+    .replace(/--[^\n]*/g, ' ')
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/'(?:[^']|'')*'/g, "''")
+    .replace(/"(?:[^"]|"")*"/g, '""')
+    .replace(/`[^`]*`/g, '``')
+    .replace(/\[[^\]]*\]/g, '[]');
+
+/**
+ * SQL Analytics
+ * Runs a single parameterized SELECT against the warehouse on a read-only
+ * connection, with a row cap and a timeout that interrupts the statement.
+ * Queries run one at a time: an interrupt aborts everything running on the
+ * connection, so a timed-out query must not take concurrent ones with it
+ */
+class SqlAnalytics {
+  constructor(options = {}) {
+    this.url = options.url || apiConfig.warehouse.url;
+    this.defaultRows = options.defaultRows || apiConfig.warehouse.query.defaultRows;
+    this.maxRows = options.maxRows || apiConfig.warehouse.query.maxRows;
+    this.timeoutMs = options.timeoutMs || apiConfig.warehouse.query.timeoutMs;
+    this.database = null;
+    this.queryQueue = Promise.resolve();
+  }
+
+  async getDatabase() {
+    if (!this.database) {
+      const database = new SqliteDatabase(this.url, { readOnly: true });
+      try {
+        await database.open();
+      } catch (error) {
+        throw new Error(
+          `F1 warehouse is not available at ${database.filename} (${error.message}). Run "npm run warehouse:ingest" first.`
+        );
+      }
+      this.database = database;
+    }
+    return this.database;
+  }
+
+  /**
+   * Reject anything but one SELECT (or WITH ... SELECT) statement
+   */
+  validate(sql) {
+    if (typeof sql !== 'string' || !sql.trim()) {
+      throw new Error('A SQL query is required');
+    }
+
+    const statement = sql.trim().replace(/;\s*$/, '');
+    const masked = maskLiterals(statement);
+
+    if (masked.includes(';')) {
+      throw new Error('Only a single statement is allowed');
+    }
+    if (!/^\s*(select|with)\b/i.test(masked)) {
+      throw new Error('Only SELECT queries (optionally starting with WITH) are allowed');
+    }
+    const forbidden = masked.match(FORBIDDEN_KEYWORDS);
+    if (forbidden) {
+      throw new Error(`"${forbidden[1].toUpperCase()}" is not allowed in a read-only query`);
+    }
+
+    return statement;
+  }
+
+  async query(sql, params = [], options = {}) {
+    const statement = this.validate(sql);
+    const maxRows = Math.min(Math.max(parseInt(options.maxRows) || this.defaultRows, 1), this.maxRows);
+    const timeoutMs = Math.min(parseInt(options.timeoutMs) || this.timeoutMs, this.timeoutMs);
+    const database = await this.getDatabase();
+
+    const previous = this.queryQueue;
+    let release;
+    this.queryQueue = new Promise((resolve) => {
+      release = resolve;
+    });
+    await previous;
+
+    const started = Date.now();
+    let timer;
+    let pending = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        database.interrupt();
+        reject(new Error(`Query exceeded the ${timeoutMs}ms time limit`));
+      }, timeoutMs);
+    });
+
+    try {
+      // The statement sits on its own lines so a trailing -- comment cannot
+      // swallow the closing paren; one extra row tells us whether the result
+      // was cut off
+      pending = database.all(`SELECT * FROM (\n${statement}\n) LIMIT ${maxRows + 1}`, params);
+      const rows = await Promise.race([pending, timeout]);
+      const truncated = rows.length > maxRows;
+      const returned = truncated ? rows.slice(0, maxRows) : rows;
+
+      return {
+        columns: returned.length ? Object.keys(returned[0]) : [],
+        rows: returned,
+        rowCount: returned.length,
+        truncated,
+        maxRows,
+        elapsedMs: Date.now() - started,
+        dataThrough: await this.getDataThrough(database)
+      };
+    } finally {
+      clearTimeout(timer);
+      // Hold the queue until an interrupted statement has actually stopped
+      if (pending) {
+        pending.then(release, release);
+      } else {
+        release();
+      }
+    }
+  }
+
+  /**
+   * Latest race with results loaded, so answers can state how current they are
+   */
+  async getDataThrough(database) {
+    const latest = await database.get(
+      `SELECT ra.season, ra.round, ra.race_name FROM ingested_races ir
+       JOIN races ra ON ra.season = ir.season AND ra.round = ir.round
+       WHERE ir.results = 1 ORDER BY ra.season DESC, ra.round DESC LIMIT 1`
+    );
+    return latest ? { season: latest.season, round: latest.round, raceName: latest.race_name } : null;
+  }
+
+  async close() {
+    if (this.database) {
+      await this.database.close();
+      this.database = null;
+    }
+  }
+}
+
+// Export singleton instance
+export const sqlAnalytics = new SqlAnalytics();
+export { SqlAnalytics };
+export default sqlAnalytics;
@@ -0,0 +1,246 @@
+import F1ApiClient, { PAGED_TABLES } from '../../tools/f1ApiClient.js';
+import { apiConfig } from '../../config/apiConfig.js';
+import { seasonResolver } from '../seasonResolver.js';
+import { WAREHOUSE_PARTS } from './f1Warehouse.js';
+
+const FIRST_SEASON = 1950;
+// First seasons Ergast has the data for
+const FIRST_CONSTRUCTORS_SEASON = 1958;
+const FIRST_LAP_TIMES_SEASON = 1996;
+const FIRST_PIT_STOPS_SEASON = 2011;
+// Empty responses for races newer than this may just be unpublished yet
+const PUBLICATION_GRACE_MS = 3 * 24 * 60 * 60 * 1000;
+
+/**
+ * Warehouse Ingestor
+ * Copies the Ergast dataset into the warehouse, season by season. Only
+ * races and parts not yet ingested are fetched, so re-running after a race
+ * weekend adds just that weekend. Seasons with several races to load use
+ * Ergast's season-wide endpoints; single races are fetched round by round.
+ */
+class WarehouseIngestor {
+  constructor(warehouse, options = {}) {
+    this.warehouse = warehouse;
+    // Talk to the API directly: no warehouse reads, no cache churn
+    this.f1Client = options.f1Client || new F1ApiClient({ warehouse: null, cacheEnabled: false });
+    this.resolver = options.seasonResolver || seasonResolver;
+    this.pageSize = options.pageSize || apiConfig.warehouse.pageSize;
+    this.retries = options.retries ?? apiConfig.f1Api.retries;
+    this.retryDelay = options.retryDelay ?? apiConfig.f1Api.retryDelay;
+  }
+
+  /**
+   * Ingest seasons fromSeason..toSeason (default: everything up to now).
+   * include limits the parts fetched; force re-fetches ingested races.
+   */
+  async ingest(options = {}) {
+    const now = options.now || new Date();
+    const include = options.include || WAREHOUSE_PARTS;
+    const fromSeason = parseInt(options.fromSeason) || FIRST_SEASON;
+    const toSeason =
+      parseInt(options.toSeason) || parseInt((await this.resolver.getSeasonContext(now)).currentSeason);
+    const summary = { fromSeason, toSeason, seasons: [], requests: 0, stoppedAt: null };
+    this.requests = 0;
+
+    try {
+      const seasons = await this.fetchAll('/seasons', 'SeasonTable');
+      await this.warehouse.saveSeasons(seasons.filter((season) => parseInt(season.season) <= toSeason));
+
+      for (let season = fromSeason; season <= toSeason; season++) {
+        summary.seasons.push(await this.ingestSeason(season, { now, include, force: options.force }));
+      }
+    } catch (error) {
+      // Everything saved so far stays; the next run picks up from here
+      console.error(`❌ Warehouse ingestion stopped: ${error.message}`);
+      summary.stoppedAt = { season: this.currentSeason ?? null, error: error.message };
+    }
+
+    summary.requests = this.requests;
+    summary.status = await this.warehouse.getStatus();
+    return summary;
+  }
+
+  async ingestSeason(season, { now, include, force = false }) {
+    this.currentSeason = season;
+    const calendar = (await this.fetchAll(`/${season}/races`, 'RaceTable')).sort(
+      (a, b) => parseInt(a.round) - parseInt(b.round)
+    );
+    await this.warehouse.saveCalendar(season, calendar);
+
+    const completed = calendar.filter((race) => this.resolver.isRaceCompleted(race, now));
+    const ingested = await this.warehouse.getIngestedRaces(season);
+    const pending = (part) =>
+      completed.filter((race) => force || ingested.get(parseInt(race.round))?.[part] !== 1);
+    const counts = {};
+
+    if (include.includes('results')) {
+      counts.results = await this.ingestSessions(season, 'results', pending('results'), now);
+    }
+    if (include.includes('qualifying')) {
+      counts.qualifying = await this.ingestSessions(season, 'qualifying', pending('qualifying'), now);
+    }
+    if (include.includes('sprint')) {
+      const races = pending('sprint');
+      for (const race of races.filter((candidate) => !candidate.Sprint)) {
+        await this.warehouse.markPartIngested(season, parseInt(race.round), 'sprint');
+      }
+      counts.sprint = await this.ingestSessions(season, 'sprint', races.filter((race) => race.Sprint), now);
+    }
+    if (include.includes('standings')) {
+      counts.standings = await this.ingestStandings(season, completed, pending('standings'));
+    }
+
+    // Pit stops and laps reference drivers, so they need the race's results
+    const withResults = await this.warehouse.getIngestedRaces(season);
+    const raced = (race) => withResults.get(parseInt(race.round))?.results === 1;
+    if (include.includes('pit_stops')) {
+      counts.pit_stops = await this.ingestPerRace(
+        season, 'pit_stops', pending('pit_stops').filter(raced), FIRST_PIT_STOPS_SEASON, now
+      );
+    }
+    if (include.includes('lap_times')) {
+      counts.lap_times = await this.ingestPerRace(
+        season, 'lap_times', pending('lap_times').filter(raced), FIRST_LAP_TIMES_SEASON, now
+      );
+    }
+
+    // Standings are only kept for the latest round
+    const finalIngested = await this.warehouse.getIngestedRaces(season);
+    const isIngested = (race, part) => finalIngested.get(parseInt(race.round))?.[part] === 1;
+    const complete =
+      calendar.length > 0 &&
+      completed.length === calendar.length &&
+      completed.every((race) => include.every((part) => part === 'standings' || isIngested(race, part))) &&
+      (!include.includes('standings') || isIngested(completed[completed.length - 1], 'standings'));
+    await this.warehouse.markSeason(season, calendar.length, complete);
+
+    console.log(`📥 ${season}: ${completed.length}/${calendar.length} races completed, ingested ${JSON.stringify(counts)}`);
+    return { season, scheduledRaces: calendar.length, completedRaces: completed.length, complete, ingested: counts };
+  }
+
+  /**
+   * Race, sprint or qualifying classifications for the pending races
+   */
+  async ingestSessions(season, part, races, now) {
+    if (races.length === 0) return 0;
+
+    const path = { results: 'results', sprint: 'sprint', qualifying: 'qualifying' }[part];
+    const listKey = { results: 'Results', sprint: 'SprintResults', qualifying: 'QualifyingResults' }[part];
+    let byRound;
+
+    if (races.length > 1) {
+      const fetched = await this.fetchAll(`/${season}/${path}`, 'RaceTable');
+      byRound = new Map(fetched.map((race) => [parseInt(race.round), race[listKey] || []]));
+    } else {
+      const fetched = await this.fetchAll(`/${season}/${races[0].round}/${path}`, 'RaceTable');
+      byRound = new Map([[parseInt(races[0].round), fetched[0]?.[listKey] || []]]);
+    }
+
+    let saved = 0;
+    for (const race of races) {
+      const round = parseInt(race.round);
+      const rows = byRound.get(round) || [];
+      if (rows.length === 0 && (part === 'results' || !this.isSettled(race, now))) continue;
+
+      if (part === 'qualifying') {
+        await this.warehouse.saveQualifying(season, round, rows);
+      } else {
+        await this.warehouse.saveClassification(part === 'results' ? 'results' : 'sprint_results', season, round, rows);
+      }
+      saved++;
+    }
+    return saved;
+  }
+
+  /**
+   * Standings after the latest completed round (the only ones a season-wide
+   * standings request reads)
+   */
+  async ingestStandings(season, completed, pending) {
+    const latest = completed[completed.length - 1];
+    if (!latest || !pending.includes(latest)) return 0;
+
+    const round = parseInt(latest.round);
+    const [drivers, constructors] = await Promise.all([
+      this.fetchAll(`/${season}/${round}/driverStandings`, 'StandingsTable'),
+      season >= FIRST_CONSTRUCTORS_SEASON
+        ? this.fetchAll(`/${season}/${round}/constructorStandings`, 'StandingsTable')
+        : []
+    ]);
+
+    await this.warehouse.saveStandings(
+      season,
+      round,
+      drivers[0]?.DriverStandings || [],
+      constructors[0]?.ConstructorStandings || []
+    );
+    return 1;
+  }
+
+  /**
+   * Pit stops or lap times, which Ergast only serves one race at a time
+   */
+  async ingestPerRace(season, part, races, firstSeason, now) {
+    let saved = 0;
+
+    for (const race of races) {
+      const round = parseInt(race.round);
+      if (season < firstSeason) {
+        await this.warehouse.markPartIngested(season, round, part);
+        continue;
+      }
+
+      const path = part === 'pit_stops' ? 'pitstops' : 'laps';
+      const listKey = part === 'pit_stops' ? 'PitStops' : 'Laps';
+      const fetched = await this.fetchAll(`/${season}/${round}/${path}`, 'RaceTable');
+      const rows = fetched[0]?.[listKey] || [];
+      if (rows.length === 0 && !this.isSettled(race, now)) continue;
+
+      if (part === 'pit_stops') {
+        await this.warehouse.savePitStops(season, round, rows);
+      } else {
+        await this.warehouse.saveLapTimes(season, round, rows);
+      }
+      saved++;
+    }
+    return saved;
+  }
+
+  isSettled(race, now) {
+    const start = new Date(`${race.date}T${race.time || '00:00:00Z'}`);
+    return now.getTime() - start.getTime() > PUBLICATION_GRACE_MS;
+  }
+
+  /**
+   * Every page of an Ergast list, merged back into one list
+   */
+  async fetchAll(endpoint, tableKey) {
+    const response = await this.f1Client.fetchAllPages(
+      endpoint,
+      {},
+      {
+        pageSize: this.pageSize,
+        maxPages: Infinity,
+        fetchPage: (path, params) => this.fetchPage(path, params)
+      }
+    );
+    return response?.MRData?.[tableKey]?.[PAGED_TABLES[tableKey].list] || [];
+  }
+
+  async fetchPage(endpoint, params) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        this.requests++;
+        return await this.f1Client.fetchWithCache(endpoint, params);
+      } catch (error) {
+        if (attempt >= this.retries) throw error;
+        const delay = this.retryDelay * 2 ** attempt;
+        console.warn(`⚠️ ${endpoint} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+export { WarehouseIngestor };
+export default WarehouseIngestor;
@@ -0,0 +1,665 @@
+import { parseErgastPath } from './ergastPath.js';
+import { seasonResolver } from '../seasonResolver.js';
+
+const FIRST_SEASON = 1950;
+const DEFAULT_LIMIT = 30; // Ergast's page size when no limit is given
+const MAX_LIMIT = 1000;
+
+const RACE_COLUMNS = `ra.season, ra.round, ra.race_name, ra.date AS race_date, ra.time AS race_time,
+  ra.url AS race_url, ra.sessions, ci.circuit_id, ci.name AS circuit_name, ci.locality, ci.country,
+  ci.lat, ci.lng, ci.url AS circuit_url`;
+const DRIVER_COLUMNS = `d.driver_id, d.code, d.permanent_number, d.given_name, d.family_name,
+  d.date_of_birth, d.nationality AS driver_nationality, d.url AS driver_url`;
+const CONSTRUCTOR_COLUMNS = `c.constructor_id, c.name AS constructor_name,
+  c.nationality AS constructor_nationality, c.url AS constructor_url`;
+
+// Filters each resource can answer; anything else goes to the API
+const SUPPORTED_FILTERS = {
+  results: ['circuits', 'constructors', 'drivers', 'grid', 'results', 'fastest'],
+  sprint: ['circuits', 'constructors', 'drivers', 'grid', 'sprint'],
+  qualifying: ['circuits', 'constructors', 'drivers', 'qualifying'],
+  races: ['circuits', 'constructors', 'drivers'],
+  seasons: ['circuits', 'constructors', 'drivers'],
+  drivers: ['circuits', 'constructors', 'drivers'],
+  constructors: ['circuits', 'constructors', 'drivers'],
+  circuits: ['circuits', 'constructors', 'drivers'],
+  driverStandings: ['drivers', 'constructors', 'driverStandings'],
+  constructorStandings: ['constructors', 'constructorStandings'],
+  pitstops: ['drivers', 'laps', 'pitstops'],
+  laps: ['drivers', 'laps']
+};
+
+/**
+ * Warehouse Reader
+ * Answers Ergast endpoints from the warehouse with Ergast-shaped responses,
+ * so the tool classes work unchanged. Returns null - and the caller goes
+ * to the API - for paths it cannot read or data that is missing or stale
+ * (a completed race that has not been ingested yet).
+ */
+class WarehouseReader {
+  constructor(warehouse, options = {}) {
+    this.warehouse = warehouse;
+    this.resolver = options.seasonResolver || seasonResolver;
+    this.baseUrl = options.baseUrl || 'https://api.jolpi.ca/ergast/f1';
+  }
+
+  async query(endpoint, params = {}, now = new Date()) {
+    const parsed = parseErgastPath(endpoint);
+    if (!parsed || !SUPPORTED_FILTERS[parsed.resource]) return null;
+    if (Object.keys(parsed.filters).some((key) => key !== parsed.resource && !SUPPORTED_FILTERS[parsed.resource].includes(key))) {
+      return null;
+    }
+    // Ergast only serves pit stops and laps for a single race
+    if (['pitstops', 'laps'].includes(parsed.resource) && (!parsed.season || !parsed.round)) {
+      return null;
+    }
+
+    if (!(await this.isCovered(parsed, now))) return null;
+
+    const page = {
+      limit: Math.min(parseInt(params.limit) || DEFAULT_LIMIT, MAX_LIMIT),
+      offset: parseInt(params.offset) || 0
+    };
+
+    let body;
+    switch (parsed.resource) {
+      case 'results':
+      case 'sprint':
+        body = await this.readClassification(parsed, page);
+        break;
+      case 'qualifying':
+        body = await this.readQualifying(parsed, page);
+        break;
+      case 'races':
+        body = await this.readRaces(parsed, page);
+        break;
+      case 'seasons':
+        body = await this.readSeasons(parsed, page);
+        break;
+      case 'drivers':
+      case 'constructors':
+      case 'circuits':
+        body = await this.readReference(parsed, page);
+        break;
+      case 'driverStandings':
+      case 'constructorStandings':
+        body = await this.readStandings(parsed, page);
+        break;
+      case 'pitstops':
+        body = await this.readPitStops(parsed, page);
+        break;
+      case 'laps':
+        body = await this.readLaps(parsed, page);
+        break;
+      default:
+        return null;
+    }
+    if (!body) return null;
+
+    const { total, ...table } = body;
+    return {
+      MRData: {
+        xmlns: '',
+        series: 'f1',
+        url: `${this.baseUrl}${endpoint}.json`,
+        limit: String(page.limit),
+        offset: String(page.offset),
+        total: String(total),
+        ...table
+      }
+    };
+  }
+
+  /**
+   * The part of the dataset a request reads, and whether every completed
+   * race it spans has been ingested
+   */
+  getRequiredPart(parsed) {
+    const filters = Object.keys(parsed.filters).filter((key) => key !== parsed.resource);
+    switch (parsed.resource) {
+      case 'results':
+      case 'drivers':
+      case 'constructors':
+        return 'results';
+      case 'sprint':
+        return 'sprint';
+      case 'qualifying':
+        return 'qualifying';
+      case 'driverStandings':
+      case 'constructorStandings':
+        return 'standings';
+      case 'pitstops':
+        return 'pit_stops';
+      case 'laps':
+        return 'lap_times';
+      default:
+        // races, seasons, circuits: the calendar unless filtered by who raced
+        return filters.some((key) => key === 'drivers' || key === 'constructors') ? 'results' : null;
+    }
+  }
+
+  async isCovered(parsed, now) {
+    const part = this.getRequiredPart(parsed);
+
+    if (parsed.round) {
+      const row = await this.warehouse.get(
+        `SELECT ${part || 'results'} AS done FROM ingested_races WHERE season = ? AND round = ?`,
+        [parsed.season, parsed.round]
+      );
+      if (row?.done === 1) return true;
+      // The calendar entry alone is enough for /{season}/{round}
+      return !part && Boolean(await this.warehouse.get('SELECT 1 FROM races WHERE season = ? AND round = ?', [parsed.season, parsed.round]));
+    }
+
+    const fromSeason = parsed.season || FIRST_SEASON;
+    const toSeason = parsed.season || now.getFullYear();
+    const seasons = await this.warehouse.getIngestedSeasons(fromSeason, toSeason);
+    if (seasons.size < toSeason - fromSeason + 1) return false;
+    if (!part) return true;
+
+    const races = await this.warehouse.getRaceCoverage(fromSeason, toSeason);
+    if (part === 'standings') {
+      // Standings are read from the latest round, which must be current
+      const bySeason = new Map();
+      races
+        .filter((race) => this.resolver.isRaceCompleted(race, now))
+        .forEach((race) => bySeason.set(race.season, race));
+      return [...bySeason.values()].every((race) => race.standings === 1);
+    }
+
+    return races.every((race) => race[part] === 1 || !this.resolver.isRaceCompleted(race, now));
+  }
+
+  // Shared WHERE clauses for season/round and the id filters
+
+  buildConditions(parsed, columns) {
+    const conditions = [];
+    const params = [];
+    const values = { ...parsed.filters, season: parsed.season, round: parsed.round };
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (value === undefined || value === null || !columns[key]) return;
+      conditions.push(columns[key]);
+      params.push(value);
+    });
+
+    return {
+      conditions,
+      params,
+      where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+    };
+  }
+
+  async paginate(sql, params, page) {
+    const { total } = await this.warehouse.get(`SELECT COUNT(*) AS total FROM (${sql})`, params);
+    const rows = await this.warehouse.all(`${sql} LIMIT ? OFFSET ?`, [...params, page.limit, page.offset]);
+    return { total, rows };
+  }
+
+  // Resources
+
+  async readClassification(parsed, page) {
+    const table = parsed.resource === 'sprint' ? 'sprint_results' : 'results';
+    const listKey = parsed.resource === 'sprint' ? 'SprintResults' : 'Results';
+    const { where, params } = this.buildConditions(parsed, {
+      season: 'r.season = ?',
+      round: 'r.round = ?',
+      drivers: 'r.driver_id = ?',
+      constructors: 'r.constructor_id = ?',
+      circuits: 'ra.circuit_id = ?',
+      grid: 'r.grid = ?',
+      results: 'r.position_text = ?',
+      sprint: 'r.position_text = ?',
+      fastest: 'r.fastest_lap_rank = ?'
+    });
+
+    const { total, rows } = await this.paginate(
+      `SELECT r.*, ${RACE_COLUMNS}, ${DRIVER_COLUMNS}, ${CONSTRUCTOR_COLUMNS}
+       FROM ${table} r
+       JOIN races ra ON ra.season = r.season AND ra.round = r.round
+       JOIN circuits ci ON ci.circuit_id = ra.circuit_id
+       JOIN drivers d ON d.driver_id = r.driver_id
+       JOIN constructors c ON c.constructor_id = r.constructor_id
+       ${where}
+       ORDER BY r.season, r.round, r.position`,
+      params,
+      page
+    );
+
+    return {
+      total,
+      RaceTable: {
+        ...this.describeTable(parsed),
+        Races: this.groupByRace(rows, listKey, (row) => this.toResult(row))
+      }
+    };
+  }
+
+  async readQualifying(parsed, page) {
+    const { where, params } = this.buildConditions(parsed, {
+      season: 'q.season = ?',
+      round: 'q.round = ?',
+      drivers: 'q.driver_id = ?',
+      constructors: 'q.constructor_id = ?',
+      circuits: 'ra.circuit_id = ?',
+      qualifying: 'q.position = ?'
+    });
+
+    const { total, rows } = await this.paginate(
+      `SELECT q.*, ${RACE_COLUMNS}, ${DRIVER_COLUMNS}, ${CONSTRUCTOR_COLUMNS}
+       FROM qualifying q
+       JOIN races ra ON ra.season = q.season AND ra.round = q.round
+       JOIN circuits ci ON ci.circuit_id = ra.circuit_id
+       JOIN drivers d ON d.driver_id = q.driver_id
+       JOIN constructors c ON c.constructor_id = q.constructor_id
+       ${where}
+       ORDER BY q.season, q.round, q.position`,
+      params,
+      page
+    );
+
+    return {
+      total,
+      RaceTable: {
+        ...this.describeTable(parsed),
+        Races: this.groupByRace(rows, 'QualifyingResults', (row) => ({
+          number: row.number,
+          position: String(row.position),
+          Driver: this.toDriver(row),
+          Constructor: this.toConstructor(row),
+          ...(row.q1 ? { Q1: row.q1 } : {}),
+          ...(row.q2 ? { Q2: row.q2 } : {}),
+          ...(row.q3 ? { Q3: row.q3 } : {})
+        }))
+      }
+    };
+  }
+
+  async readRaces(parsed, page) {
+    const { where, params } = this.buildConditions(parsed, {
+      season: 'ra.season = ?',
+      round: 'ra.round = ?',
+      circuits: 'ra.circuit_id = ?',
+      drivers: 'EXISTS (SELECT 1 FROM results r WHERE r.season = ra.season AND r.round = ra.round AND r.driver_id = ?)',
+      constructors:
+        'EXISTS (SELECT 1 FROM results r WHERE r.season = ra.season AND r.round = ra.round AND r.constructor_id = ?)'
+    });
+
+    const { total, rows } = await this.paginate(
+      `SELECT ${RACE_COLUMNS}
+       FROM races ra JOIN circuits ci ON ci.circuit_id = ra.circuit_id
+       ${where}
+       ORDER BY ra.season, ra.round`,
+      params,
+      page
+    );
+
+    return {
+      total,
+      RaceTable: { ...this.describeTable(parsed), Races: rows.map((row) => this.toRace(row)) }
+    };
+  }
+
+  async readSeasons(parsed, page) {
+    const { where, params } = this.buildConditions(parsed, {
+      season: 's.season = ?',
+      round: 'EXISTS (SELECT 1 FROM races ra WHERE ra.season = s.season AND ra.round = ?)',
+      circuits: 'EXISTS (SELECT 1 FROM races ra WHERE ra.season = s.season AND ra.circuit_id = ?)',
+      drivers: 'EXISTS (SELECT 1 FROM results r WHERE r.season = s.season AND r.driver_id = ?)',
+      constructors: 'EXISTS (SELECT 1 FROM results r WHERE r.season = s.season AND r.constructor_id = ?)'
+    });
+
+    const { total, rows } = await this.paginate(
+      `SELECT s.season, s.url FROM seasons s ${where} ORDER BY s.season`,
+      params,
+      page
+    );
+
+    return {
+      total,
+      SeasonTable: {
+        Seasons: rows.map((row) => ({ season: String(row.season), ...(row.url ? { url: row.url } : {}) }))
+      }
+    };
+  }
+
+  /**
+   * Drivers, constructors or circuits, optionally narrowed to who or where
+   * raced in a season/round, for a team, with a driver or at a circuit
+   */
+  async readReference(parsed, page) {
+    const { resource, filters } = parsed;
+    const definitions = {
+      drivers: { table: 'drivers d', id: 'd.driver_id', columns: DRIVER_COLUMNS, tableKey: 'DriverTable', listKey: 'Drivers' },
+      constructors: { table: 'constructors c', id: 'c.constructor_id', columns: CONSTRUCTOR_COLUMNS, tableKey: 'ConstructorTable', listKey: 'Constructors' },
+      circuits: {
+        table: 'circuits ci',
+        id: 'ci.circuit_id',
+        columns: 'ci.circuit_id, ci.name AS circuit_name, ci.locality, ci.country, ci.lat, ci.lng, ci.url AS circuit_url',
+        tableKey: 'CircuitTable',
+        listKey: 'Circuits'
+      }
+    };
+    const definition = definitions[resource];
+
+    // Narrowing filters are checked against the races (and results) they appear in
+    const link = {
+      drivers: 'r.driver_id = d.driver_id',
+      constructors: 'r.constructor_id = c.constructor_id',
+      circuits: 'ra.circuit_id = ci.circuit_id'
+    }[resource];
+    const narrowing = [];
+    const params = [];
+    if (parsed.season) {
+      narrowing.push('ra.season = ?');
+      params.push(parsed.season);
+    }
+    if (parsed.round) {
+      narrowing.push('ra.round = ?');
+      params.push(parsed.round);
+    }
+    [
+      ['drivers', 'r.driver_id = ?'],
+      ['constructors', 'r.constructor_id = ?'],
+      ['circuits', 'ra.circuit_id = ?']
+    ].forEach(([key, sql]) => {
+      if (key !== resource && filters[key] !== undefined) {
+        narrowing.push(sql);
+        params.push(filters[key]);
+      }
+    });
+
+    // A circuit narrowed only by season or round comes from the calendar
+    const source =
+      resource === 'circuits' && filters.drivers === undefined && filters.constructors === undefined
+        ? 'races ra'
+        : 'races ra JOIN results r ON r.season = ra.season AND r.round = ra.round';
+    const conditions = [];
+    if (narrowing.length) {
+      conditions.push(`EXISTS (SELECT 1 FROM ${source} WHERE ${link} AND ${narrowing.join(' AND ')})`);
+    }
+    if (filters[resource] !== undefined) {
+      conditions.push(`${definition.id} = ?`);
+      params.push(filters[resource]);
+    }
+
+    const { total, rows } = await this.paginate(
+      `SELECT ${definition.columns} FROM ${definition.table}
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY ${definition.id}`,
+      params,
+      page
+    );
+    // Unknown ids may still exist upstream (e.g. entrants that never started)
+    if (filters[resource] !== undefined && total === 0 && !narrowing.length) return null;
+
+    const toItem = {
+      drivers: (row) => this.toDriver(row),
+      constructors: (row) => this.toConstructor(row),
+      circuits: (row) => this.toCircuit(row)
+    }[resource];
+
+    return {
+      total,
+      [definition.tableKey]: { ...this.describeTable(parsed), [definition.listKey]: rows.map(toItem) }
+    };
+  }
+
+  /**
+   * Standings after a round, after the latest ingested round of a season,
+   * or at the end of every season when no season is given
+   */
+  async readStandings(parsed, page) {
+    const isDriver = parsed.resource === 'driverStandings';
+    const table = isDriver ? 'driver_standings' : 'constructor_standings';
+    const roundCondition = parsed.round
+      ? 's.round = ?'
+      : `s.round = (SELECT MAX(latest.round) FROM ${table} latest WHERE latest.season = s.season)`;
+
+    const { conditions, params } = this.buildConditions({ ...parsed, round: null }, {
+      season: 's.season = ?',
+      drivers: 's.driver_id = ?',
+      constructors: isDriver
+        ? `EXISTS (SELECT 1 FROM driver_standing_constructors dsc
+                   WHERE dsc.season = s.season AND dsc.round = s.round AND dsc.driver_id = s.driver_id
+                   AND dsc.constructor_id = ?)`
+        : 's.constructor_id = ?',
+      driverStandings: 's.position = ?',
+      constructorStandings: 's.position = ?'
+    });
+    conditions.unshift(roundCondition);
+    const allParams = [...(parsed.round ? [parsed.round] : []), ...params];
+
+    const { total, rows } = await this.paginate(
+      isDriver
+        ? `SELECT s.*, ${DRIVER_COLUMNS} FROM driver_standings s
+           JOIN drivers d ON d.driver_id = s.driver_id
+           WHERE ${conditions.join(' AND ')}
+           ORDER BY s.season, s.position IS NULL, s.position`
+        : `SELECT s.*, ${CONSTRUCTOR_COLUMNS} FROM constructor_standings s
+           JOIN constructors c ON c.constructor_id = s.constructor_id
+           WHERE ${conditions.join(' AND ')}
+           ORDER BY s.season, s.position IS NULL, s.position`,
+      allParams,
+      page
+    );
+
+    const constructorsByDriver = isDriver ? await this.getStandingConstructors(rows) : null;
+    const lists = [];
+    rows.forEach((row) => {
+      let list = lists[lists.length - 1];
+      if (!list || list.season !== String(row.season) || list.round !== String(row.round)) {
+        list = { season: String(row.season), round: String(row.round), [isDriver ? 'DriverStandings' : 'ConstructorStandings']: [] };
+        lists.push(list);
+      }
+
+      const standing = {
+        ...(row.position !== null ? { position: String(row.position) } : {}),
+        positionText: row.position_text,
+        points: String(row.points),
+        wins: String(row.wins)
+      };
+      if (isDriver) {
+        standing.Driver = this.toDriver(row);
+        standing.Constructors = constructorsByDriver.get(`${row.season}|${row.round}|${row.driver_id}`) || [];
+        list.DriverStandings.push(standing);
+      } else {
+        standing.Constructor = this.toConstructor(row);
+        list.ConstructorStandings.push(standing);
+      }
+    });
+
+    return {
+      total,
+      StandingsTable: { ...this.describeTable(parsed), StandingsLists: lists }
+    };
+  }
+
+  async getStandingConstructors(rows) {
+    const byDriver = new Map();
+    const keys = [...new Set(rows.map((row) => `${row.season}|${row.round}`))];
+
+    for (const key of keys) {
+      const [season, round] = key.split('|').map(Number);
+      const constructors = await this.warehouse.all(
+        `SELECT dsc.driver_id, ${CONSTRUCTOR_COLUMNS} FROM driver_standing_constructors dsc
+         JOIN constructors c ON c.constructor_id = dsc.constructor_id
+         WHERE dsc.season = ? AND dsc.round = ? ORDER BY dsc.driver_id, dsc.sequence`,
+        [season, round]
+      );
+      constructors.forEach((row) => {
+        const driverKey = `${key}|${row.driver_id}`;
+        if (!byDriver.has(driverKey)) byDriver.set(driverKey, []);
+        byDriver.get(driverKey).push(this.toConstructor(row));
+      });
+    }
+
+    return byDriver;
+  }
+
+  async readPitStops(parsed, page) {
+    const { where, params } = this.buildConditions(parsed, {
+      season: 'p.season = ?',
+      round: 'p.round = ?',
+      drivers: 'p.driver_id = ?',
+      laps: 'p.lap = ?',
+      pitstops: 'p.stop = ?'
+    });
+
+    const { total, rows } = await this.paginate(
+      `SELECT p.*, ${RACE_COLUMNS} FROM pit_stops p
+       JOIN races ra ON ra.season = p.season AND ra.round = p.round
+       JOIN circuits ci ON ci.circuit_id = ra.circuit_id
+       ${where}
+       ORDER BY p.lap, p.time, p.driver_id`,
+      params,
+      page
+    );
+
+    return {
+      total,
+      RaceTable: {
+        ...this.describeTable(parsed),
+        Races: this.groupByRace(rows, 'PitStops', (row) => ({
+          driverId: row.driver_id,
+          lap: String(row.lap),
+          stop: String(row.stop),
+          time: row.time,
+          duration: row.duration
+        }))
+      }
+    };
+  }
+
+  async readLaps(parsed, page) {
+    const { where, params } = this.buildConditions(parsed, {
+      season: 'l.season = ?',
+      round: 'l.round = ?',
+      drivers: 'l.driver_id = ?',
+      laps: 'l.lap = ?'
+    });
+
+    const { total, rows } = await this.paginate(
+      `SELECT l.*, ${RACE_COLUMNS} FROM lap_times l
+       JOIN races ra ON ra.season = l.season AND ra.round = l.round
+       JOIN circuits ci ON ci.circuit_id = ra.circuit_id
+       ${where}
+       ORDER BY l.lap, l.position`,
+      params,
+      page
+    );
+
+    const races = this.groupByRace(rows, 'Laps', (row) => row);
+    races.forEach((race) => {
+      const laps = new Map();
+      race.Laps.forEach((row) => {
+        if (!laps.has(row.lap)) laps.set(row.lap, { number: String(row.lap), Timings: [] });
+        laps.get(row.lap).Timings.push({
+          driverId: row.driver_id,
+          position: row.position !== null ? String(row.position) : null,
+          time: row.time
+        });
+      });
+      race.Laps = [...laps.values()];
+    });
+
+    return { total, RaceTable: { ...this.describeTable(parsed), Races: races } };
+  }
+
+  // Row -> Ergast object mapping
+
+  describeTable(parsed) {
+    return {
+      ...(parsed.season ? { season: String(parsed.season) } : {}),
+      ...(parsed.round ? { round: String(parsed.round) } : {})
+    };
+  }
+
+  groupByRace(rows, listKey, toItem) {
+    const races = [];
+    rows.forEach((row) => {
+      let race = races[races.length - 1];
+      if (!race || race.season !== String(row.season) || race.round !== String(row.round)) {
+        race = { ...this.toRace(row), [listKey]: [] };
+        races.push(race);
+      }
+      race[listKey].push(toItem(row));
+    });
+    return races;
+  }
+
+  toRace(row) {
+    return {
+      season: String(row.season),
+      round: String(row.round),
+      ...(row.race_url ? { url: row.race_url } : {}),
+      raceName: row.race_name,
+      Circuit: this.toCircuit(row),
+      date: row.race_date,
+      ...(row.race_time ? { time: row.race_time } : {}),
+      ...(row.sessions ? JSON.parse(row.sessions) : {})
+    };
+  }
+
+  toCircuit(row) {
+    return {
+      circuitId: row.circuit_id,
+      ...(row.circuit_url ? { url: row.circuit_url } : {}),
+      circuitName: row.circuit_name,
+      Location: { lat: row.lat, long: row.lng, locality: row.locality, country: row.country }
+    };
+  }
+
+  toDriver(row) {
+    return {
+      driverId: row.driver_id,
+      ...(row.permanent_number ? { permanentNumber: row.permanent_number } : {}),
+      ...(row.code ? { code: row.code } : {}),
+      ...(row.driver_url ? { url: row.driver_url } : {}),
+      givenName: row.given_name,
+      familyName: row.family_name,
+      dateOfBirth: row.date_of_birth,
+      nationality: row.driver_nationality
+    };
+  }
+
+  toConstructor(row) {
+    return {
+      constructorId: row.constructor_id,
+      ...(row.constructor_url ? { url: row.constructor_url } : {}),
+      name: row.constructor_name,
+      nationality: row.constructor_nationality
+    };
+  }
+
+  toResult(row) {
+    const result = {
+      number: row.number,
+      position: String(row.position),
+      positionText: row.position_text,
+      points: String(row.points),
+      Driver: this.toDriver(row),
+      Constructor: this.toConstructor(row),
+      grid: row.grid !== null ? String(row.grid) : null,
+      laps: row.laps !== null ? String(row.laps) : null,
+      status: row.status
+    };
+    if (row.time_text) {
+      result.Time = { millis: row.time_millis !== null ? String(row.time_millis) : undefined, time: row.time_text };
+    }
+    if (row.fastest_lap_lap !== null || row.fastest_lap_rank !== null) {
+      result.FastestLap = {
+        ...(row.fastest_lap_rank !== null ? { rank: String(row.fastest_lap_rank) } : {}),
+        lap: row.fastest_lap_lap !== null ? String(row.fastest_lap_lap) : undefined,
+        Time: { time: row.fastest_lap_time },
+        ...(row.fastest_lap_speed
+          ? { AverageSpeed: { units: row.fastest_lap_speed_units, speed: row.fastest_lap_speed } }
+          : {})
+      };
+    }
+    return result;
+  }
+}
+
+export { WarehouseReader };
+export default WarehouseReader;
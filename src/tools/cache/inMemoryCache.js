@@ -0,0 +1,74 @@
+/**
+ * In-Memory API Cache
+ * LRU-bounded Map of Ergast responses (lost on restart)
+ */
+class InMemoryApiCache {
+  constructor(options = {}) {
+    this.type = 'memory';
+    this.maxSize = options.maxSize || 1000;
+    this.entries = new Map(); // key -> entry, oldest access first
+  }
+
+  /**
+   * Nothing to set up for in-memory storage
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Get an entry (expired or not) and mark it as recently used
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    // Re-insert so Map order tracks recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store an entry, evicting the least recently used ones over maxSize
+   */
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxSize) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async getStats() {
+    const byCategory = {};
+    for (const entry of this.entries.values()) {
+      byCategory[entry.category] = (byCategory[entry.category] || 0) + 1;
+    }
+
+    return {
+      type: this.type,
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      byCategory,
+      keys: Array.from(this.entries.keys())
+    };
+  }
+
+  async close() {
+    return true;
+  }
+}
+
+export { InMemoryApiCache };
+export default InMemoryApiCache;
@@ -0,0 +1,32 @@
+import { apiConfig } from '../../config/apiConfig.js';
+import { InMemoryApiCache } from './inMemoryCache.js';
+import { SqliteApiCache } from './sqliteCache.js';
+
+/**
+ * API cache factory
+ * Picks the backend from apiConfig.cache.type ('memory' | 'sqlite')
+ */
+export function createApiCache(type = apiConfig.cache.type) {
+  const maxSize = apiConfig.cache.maxSize;
+
+  switch (type) {
+    case 'sqlite':
+      return new SqliteApiCache({ url: apiConfig.cache.url, maxSize });
+    case 'memory':
+      return new InMemoryApiCache({ maxSize });
+    default:
+      throw new Error(`Unknown API cache type: ${type}. Use 'memory' or 'sqlite'.`);
+  }
+}
+
+// Every F1ApiClient shares one cache so the LRU limit applies process-wide
+let sharedApiCache = null;
+
+export function getSharedApiCache() {
+  if (!sharedApiCache) {
+    sharedApiCache = createApiCache();
+  }
+  return sharedApiCache;
+}
+
+export { InMemoryApiCache, SqliteApiCache };
@@ -0,0 +1,24 @@
+/**
+ * Schema migrations for the SQLite API cache
+ * Append new entries with a higher version - never edit an applied one
+ */
+export const cacheMigrations = [
+  {
+    version: 1,
+    name: 'create_api_cache',
+    up: `
+      CREATE TABLE api_cache (
+        cache_key TEXT PRIMARY KEY,
+        category TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER,
+        last_accessed INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_api_cache_last_accessed ON api_cache (last_accessed);
+    `
+  }
+];
+
+export default cacheMigrations;
@@ -0,0 +1,127 @@
+import { SqliteDatabase } from '../../utils/sqliteDatabase.js';
+import { cacheMigrations } from './migrations.js';
+
+/**
+ * SQLite API Cache
+ * Persists Ergast responses across restarts with an LRU size limit
+ */
+class SqliteApiCache {
+  constructor(options = {}) {
+    this.type = 'sqlite';
+    this.maxSize = options.maxSize || 1000;
+    this.database = new SqliteDatabase(options.url);
+    this.ready = null;
+  }
+
+  /**
+   * Open the database and apply pending migrations (once)
+   */
+  async initialize() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await this.database.open();
+        const applied = await this.database.migrate(cacheMigrations, 'cache_migrations');
+        console.log(`💾 SQLite API cache ready at ${this.database.filename} (${applied} new migrations)`);
+        return true;
+      })();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Get an entry (expired or not) and mark it as recently used
+   */
+  async get(key) {
+    await this.initialize();
+
+    const row = await this.database.get(
+      'SELECT * FROM api_cache WHERE cache_key = ?',
+      [key]
+    );
+    if (!row) return null;
+
+    await this.database.run(
+      'UPDATE api_cache SET last_accessed = ? WHERE cache_key = ?',
+      [Date.now(), key]
+    );
+
+    try {
+      return {
+        category: row.category,
+        data: JSON.parse(row.data),
+        timestamp: row.created_at,
+        expiresAt: row.expires_at
+      };
+    } catch {
+      // Corrupt row - drop it and treat as a miss
+      await this.delete(key);
+      return null;
+    }
+  }
+
+  /**
+   * Store an entry, evicting the least recently used ones over maxSize
+   */
+  async set(key, entry) {
+    await this.initialize();
+
+    await this.database.transaction(async (db) => {
+      await db.run(
+        `INSERT INTO api_cache (cache_key, category, data, created_at, expires_at, last_accessed)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(cache_key) DO UPDATE SET
+           category = excluded.category,
+           data = excluded.data,
+           created_at = excluded.created_at,
+           expires_at = excluded.expires_at,
+           last_accessed = excluded.last_accessed`,
+        [key, entry.category, JSON.stringify(entry.data), entry.timestamp, entry.expiresAt, Date.now()]
+      );
+
+      await db.run(
+        `DELETE FROM api_cache WHERE cache_key IN (
+           SELECT cache_key FROM api_cache ORDER BY last_accessed DESC LIMIT -1 OFFSET ?
+         )`,
+        [this.maxSize]
+      );
+    });
+  }
+
+  async delete(key) {
+    await this.initialize();
+    const result = await this.database.run('DELETE FROM api_cache WHERE cache_key = ?', [key]);
+    return result.changes > 0;
+  }
+
+  async clear() {
+    await this.initialize();
+    await this.database.run('DELETE FROM api_cache');
+  }
+
+  async getStats() {
+    await this.initialize();
+
+    const rows = await this.database.all(
+      'SELECT category, COUNT(*) AS count FROM api_cache GROUP BY category'
+    );
+    const keys = await this.database.all(
+      'SELECT cache_key FROM api_cache ORDER BY last_accessed DESC'
+    );
+
+    return {
+      type: this.type,
+      size: keys.length,
+      maxSize: this.maxSize,
+      byCategory: Object.fromEntries(rows.map((row) => [row.category, row.count])),
+      keys: keys.map((row) => row.cache_key)
+    };
+  }
+
+  async close() {
+    await this.database.close();
+    this.ready = null;
+  }
+}
+
+export { SqliteApiCache };
+export default SqliteApiCache;
@@ -46,6 +46,35 @@ class CircuitTools {
     }
   }
 
+  // Full results of the circuit's most recent races, oldest first. Fetched
+  // season by season from the newest, so only the window is requested
+  async getRecentCircuitResults(circuitId, options = {}) {
+    const count = options.races || 10;
+    const fromSeason = parseInt(options.fromSeason) || 1950;
+    const toSeason = parseInt(options.toSeason) || Infinity;
+
+    try {
+      const seasonsResponse = await this.f1Client.fetchAllPages(`/circuits/${circuitId}/seasons`);
+      const seasons = (this.f1Client.extractData(seasonsResponse, 'SeasonTable')?.Seasons || [])
+        .map((entry) => parseInt(entry.season))
+        .filter((season) => season >= fromSeason && season <= toSeason)
+        .sort((a, b) => a - b)
+        .slice(-count);
+
+      // Each season held at least one race there, so these seasons cover the window
+      const responses = await Promise.all(
+        seasons.map((season) => this.f1Client.fetchAllPages(`/${season}/circuits/${circuitId}/results`))
+      );
+      return responses
+        .flatMap((response) => this.f1Client.extractData(response, 'RaceTable')?.Races || [])
+        .sort((a, b) => a.season - b.season || a.round - b.round)
+        .slice(-count);
+    } catch (error) {
+      console.error(`Error fetching recent results for circuit ${circuitId}:`, error);
+      return [];
+    }
+  }
+
   async getCircuitWinners(circuitId, limit = 10) {
     try {
       const response = await this.f1Client.fetchWithCache(`/circuits/${circuitId}/results/1`, { limit });
@@ -36,9 +36,13 @@ class ConstructorTools {
     }
   }
 
-  async getConstructorResults(constructorId, limit = 50) {
+  // Whole history, or only the most recent `limit` races
+  async getConstructorResults(constructorId, limit = null) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/constructors/${constructorId}/results`, { limit });
+      const endpoint = `/constructors/${constructorId}/results`;
+      const response = limit
+        ? await this.f1Client.fetchRecentPages(endpoint, {}, { count: limit })
+        : await this.f1Client.fetchAllPages(endpoint);
       return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
     } catch (error) {
       console.error(`Error fetching results for constructor ${constructorId}:`, error);
@@ -46,9 +50,10 @@ class ConstructorTools {
     }
   }
 
+  // One row per car per race, so a full season needs more than one page
   async getConstructorSeasonResults(constructorId, season) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/${season}/constructors/${constructorId}/results`);
+      const response = await this.f1Client.fetchAllPages(`/${season}/constructors/${constructorId}/results`);
       return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
     } catch (error) {
       console.error(`Error fetching season results for constructor ${constructorId}:`, error);
@@ -56,9 +61,19 @@ class ConstructorTools {
     }
   }
 
+  async getConstructorSeasonQualifying(constructorId, season) {
+    try {
+      const response = await this.f1Client.fetchAllPages(`/${season}/constructors/${constructorId}/qualifying`);
+      return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
+    } catch (error) {
+      console.error(`Error fetching season qualifying for constructor ${constructorId}:`, error);
+      return [];
+    }
+  }
+
   async getConstructorWins(constructorId) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/constructors/${constructorId}/results/1`);
+      const response = await this.f1Client.fetchAllPages(`/constructors/${constructorId}/results/1`);
       return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
     } catch (error) {
       console.error(`Error fetching wins for constructor ${constructorId}:`, error);
@@ -72,7 +87,7 @@ class ConstructorTools {
         ? `/${season}/constructors/${constructorId}/constructorStandings`
         : `/constructors/${constructorId}/constructorStandings`;
       
-      const response = await this.f1Client.fetchWithCache(endpoint);
+      const response = await this.f1Client.fetchAllPages(endpoint);
       return this.f1Client.extractData(response, 'StandingsTable')?.StandingsLists || [];
     } catch (error) {
       console.error(`Error fetching standings for constructor ${constructorId}:`, error);
@@ -86,7 +101,7 @@ class ConstructorTools {
         ? `/${season}/constructors/${constructorId}/drivers`
         : `/constructors/${constructorId}/drivers`;
       
-      const response = await this.f1Client.fetchWithCache(endpoint);
+      const response = await this.f1Client.fetchAllPages(endpoint);
       return this.f1Client.extractData(response, 'DriverTable')?.Drivers || [];
     } catch (error) {
       console.error(`Error fetching drivers for constructor ${constructorId}:`, error);
@@ -96,7 +111,7 @@ class ConstructorTools {
 
   async getConstructorCircuitPerformance(constructorId, circuitId) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/constructors/${constructorId}/circuits/${circuitId}/results`);
+      const response = await this.f1Client.fetchAllPages(`/constructors/${constructorId}/circuits/${circuitId}/results`);
       return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
     } catch (error) {
       console.error(`Error fetching circuit performance for constructor ${constructorId} at ${circuitId}:`, error);
@@ -106,7 +121,7 @@ class ConstructorTools {
 
   async getConstructorChampionships(constructorId) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/constructors/${constructorId}/constructorStandings/1`);
+      const response = await this.f1Client.fetchAllPages(`/constructors/${constructorId}/constructorStandings/1`);
       return this.f1Client.extractData(response, 'StandingsTable')?.StandingsLists || [];
     } catch (error) {
       console.error(`Error fetching championships for constructor ${constructorId}:`, error);
@@ -116,7 +131,7 @@ class ConstructorTools {
 
   async getConstructorSeasons(constructorId) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/constructors/${constructorId}/seasons`);
+      const response = await this.f1Client.fetchAllPages(`/constructors/${constructorId}/seasons`);
       return this.f1Client.extractData(response, 'SeasonTable')?.Seasons || [];
     } catch (error) {
       console.error(`Error fetching seasons for constructor ${constructorId}:`, error);
@@ -128,9 +143,9 @@ class ConstructorTools {
     try {
       // Get all positions 1, 2, 3
       const [wins, seconds, thirds] = await Promise.all([
-        this.f1Client.fetchWithCache(`/constructors/${constructorId}/results/1`),
-        this.f1Client.fetchWithCache(`/constructors/${constructorId}/results/2`),
-        this.f1Client.fetchWithCache(`/constructors/${constructorId}/results/3`)
+        this.f1Client.fetchAllPages(`/constructors/${constructorId}/results/1`),
+        this.f1Client.fetchAllPages(`/constructors/${constructorId}/results/2`),
+        this.f1Client.fetchAllPages(`/constructors/${constructorId}/results/3`)
       ]);
 
       const allPodiums = [
@@ -150,9 +165,12 @@ class ConstructorTools {
     }
   }
 
-  async getConstructorFastestLaps(constructorId, limit = 20) {
+  async getConstructorFastestLaps(constructorId, limit = null) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/constructors/${constructorId}/fastest/1/results`, { limit });
+      const endpoint = `/constructors/${constructorId}/fastest/1/results`;
+      const response = limit
+        ? await this.f1Client.fetchRecentPages(endpoint, {}, { count: limit })
+        : await this.f1Client.fetchAllPages(endpoint);
       return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
     } catch (error) {
       console.error(`Error fetching fastest laps for constructor ${constructorId}:`, error);
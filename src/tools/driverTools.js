@@ -36,9 +36,13 @@ class DriverTools {
     }
   }
 
-  async getDriverResults(driverId, limit = 50) {
+  // Whole career, or only the most recent `limit` races
+  async getDriverResults(driverId, limit = null) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/drivers/${driverId}/results`, { limit });
+      const endpoint = `/drivers/${driverId}/results`;
+      const response = limit
+        ? await this.f1Client.fetchRecentPages(endpoint, {}, { count: limit })
+        : await this.f1Client.fetchAllPages(endpoint);
       return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
     } catch (error) {
       console.error(`Error fetching results for driver ${driverId}:`, error);
@@ -58,7 +62,7 @@ class DriverTools {
 
   async getDriverWins(driverId) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/drivers/${driverId}/results/1`);
+      const response = await this.f1Client.fetchAllPages(`/drivers/${driverId}/results/1`);
       return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
     } catch (error) {
       console.error(`Error fetching wins for driver ${driverId}:`, error);
@@ -70,9 +74,9 @@ class DriverTools {
     try {
       // Get all positions 1, 2, 3
       const [wins, seconds, thirds] = await Promise.all([
-        this.f1Client.fetchWithCache(`/drivers/${driverId}/results/1`),
-        this.f1Client.fetchWithCache(`/drivers/${driverId}/results/2`),
-        this.f1Client.fetchWithCache(`/drivers/${driverId}/results/3`)
+        this.f1Client.fetchAllPages(`/drivers/${driverId}/results/1`),
+        this.f1Client.fetchAllPages(`/drivers/${driverId}/results/2`),
+        this.f1Client.fetchAllPages(`/drivers/${driverId}/results/3`)
       ]);
 
       const allPodiums = [
@@ -98,7 +102,7 @@ class DriverTools {
         ? `/${season}/drivers/${driverId}/driverStandings`
         : `/drivers/${driverId}/driverStandings`;
       
-      const response = await this.f1Client.fetchWithCache(endpoint);
+      const response = await this.f1Client.fetchAllPages(endpoint);
       return this.f1Client.extractData(response, 'StandingsTable')?.StandingsLists || [];
     } catch (error) {
       console.error(`Error fetching standings for driver ${driverId}:`, error);
@@ -108,7 +112,7 @@ class DriverTools {
 
   async getDriverCircuitPerformance(driverId, circuitId) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/drivers/${driverId}/circuits/${circuitId}/results`);
+      const response = await this.f1Client.fetchAllPages(`/drivers/${driverId}/circuits/${circuitId}/results`);
       return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
     } catch (error) {
       console.error(`Error fetching circuit performance for driver ${driverId} at ${circuitId}:`, error);
@@ -118,7 +122,7 @@ class DriverTools {
 
   async getDriverConstructorHistory(driverId) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/drivers/${driverId}/constructors`);
+      const response = await this.f1Client.fetchAllPages(`/drivers/${driverId}/constructors`);
       return this.f1Client.extractData(response, 'ConstructorTable')?.Constructors || [];
     } catch (error) {
       console.error(`Error fetching constructor history for driver ${driverId}:`, error);
@@ -126,13 +130,15 @@ class DriverTools {
     }
   }
 
-  async getDriverQualifyingResults(driverId, season = null, limit = 30) {
+  async getDriverQualifyingResults(driverId, season = null, limit = null) {
     try {
       const endpoint = season 
         ? `/${season}/drivers/${driverId}/qualifying`
         : `/drivers/${driverId}/qualifying`;
       
-      const response = await this.f1Client.fetchWithCache(endpoint, { limit });
+      const response = limit
+        ? await this.f1Client.fetchRecentPages(endpoint, {}, { count: limit })
+        : await this.f1Client.fetchAllPages(endpoint);
       return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
     } catch (error) {
       console.error(`Error fetching qualifying results for driver ${driverId}:`, error);
@@ -140,9 +146,27 @@ class DriverTools {
     }
   }
 
-  async getDriverFastestLaps(driverId, limit = 20) {
+  // Qualifying sessions the driver topped (Ergast has qualifying results from 1994, complete from 2003)
+  async getDriverPoles(driverId, season = null) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/drivers/${driverId}/fastest/1/results`, { limit });
+      const endpoint = season
+        ? `/${season}/drivers/${driverId}/qualifying/1`
+        : `/drivers/${driverId}/qualifying/1`;
+
+      const response = await this.f1Client.fetchAllPages(endpoint);
+      return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
+    } catch (error) {
+      console.error(`Error fetching poles for driver ${driverId}:`, error);
+      return [];
+    }
+  }
+
+  async getDriverFastestLaps(driverId, limit = null) {
+    try {
+      const endpoint = `/drivers/${driverId}/fastest/1/results`;
+      const response = limit
+        ? await this.f1Client.fetchRecentPages(endpoint, {}, { count: limit })
+        : await this.f1Client.fetchAllPages(endpoint);
       return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
     } catch (error) {
       console.error(`Error fetching fastest laps for driver ${driverId}:`, error);
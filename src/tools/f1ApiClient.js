@@ -1,23 +1,240 @@
 import fetch from 'node-fetch';
+import { apiConfig, getCacheTTL } from '../config/apiConfig.js';
+import { getSharedApiCache } from './cache/index.js';
+import { ErgastFixtureStore } from './fixtureStore.js';
+
+const API_MODES = ['live', 'record', 'replay'];
+
+// Paginated Ergast tables: the list holding the rows, and for races and
+// standings the nested lists a round can be split across pages by
+const PAGED_TABLES = {
+  RaceTable: {
+    list: 'Races',
+    nested: [
+      'Results',
+      'SprintResults',
+      'QualifyingResults',
+      'PitStops',
+      'Laps',
+    ],
+  },
+  StandingsTable: {
+    list: 'StandingsLists',
+    nested: ['DriverStandings', 'ConstructorStandings'],
+  },
+  SeasonTable: { list: 'Seasons', nested: [] },
+  DriverTable: { list: 'Drivers', nested: [] },
+  ConstructorTable: { list: 'Constructors', nested: [] },
+  CircuitTable: { list: 'Circuits', nested: [] },
+  StatusTable: { list: 'Status', nested: [] },
+};
+
+// A lap's timings can straddle two pages
+const mergeLaps = (laps, nextLaps) => {
+  const merged = [...laps];
+  nextLaps.forEach((lap) => {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.number === lap.number) {
+      merged[merged.length - 1] = {
+        ...previous,
+        Timings: [...previous.Timings, ...lap.Timings],
+      };
+    } else {
+      merged.push(lap);
+    }
+  });
+  return merged;
+};
+
+// Append a page's rows, joining a round split across the page boundary.
+// Pages can be cached responses, so rows are copied before they are merged into
+const mergePage = (items, page, nested) => {
+  page.forEach((item) => {
+    const previous = items[items.length - 1];
+    const sameRound =
+      previous &&
+      nested.length > 0 &&
+      previous.season === item.season &&
+      previous.round === item.round;
+    if (!sameRound) {
+      const copy = { ...item };
+      nested.forEach((key) => {
+        if (item[key]) copy[key] = [...item[key]];
+      });
+      items.push(copy);
+      return;
+    }
+    nested.forEach((key) => {
+      if (!item[key]) return;
+      previous[key] =
+        key === 'Laps'
+          ? mergeLaps(previous[key] || [], item[key])
+          : [...(previous[key] || []), ...item[key]];
+    });
+  });
+  return items;
+};
 
 class F1ApiClient {
-  constructor() {
+  constructor(options = {}) {
     this.baseUrl =
       process.env.F1_API_BASE_URL || 'https://api.jolpi.ca/ergast/f1';
-    this.cache = new Map();
-    this.cacheTTL = parseInt(process.env.F1_API_CACHE_TTL) || 300; // 5 minutes default
+    this.cache = options.cache || getSharedApiCache();
+    this.cacheEnabled = options.cacheEnabled ?? apiConfig.cache.enabled;
+
+    // live: API only, record: API + write fixtures, replay: fixtures only
+    this.mode = options.mode || apiConfig.f1Api.mode;
+    if (!API_MODES.includes(this.mode)) {
+      throw new Error(
+        `Unknown F1 API mode: ${this.mode}. Use ${API_MODES.join(', ')}.`,
+      );
+    }
+    this.fixtures = new ErgastFixtureStore({
+      dir: options.fixturesDir || apiConfig.f1Api.fixturesDir,
+    });
+
+    // Local warehouse: a reader instance, or null to always use the API
+    this.warehouseEnabled =
+      options.warehouse === undefined
+        ? apiConfig.warehouse.enabled
+        : Boolean(options.warehouse);
+    this.warehouseReader = options.warehouse || null;
+
     this.requestQueue = [];
     this.isProcessing = false;
     this.rateLimitDelay = 100; // 100ms between requests
   }
 
   async fetchWithCache(endpoint, params = {}) {
+    // Warehouse reads are local, so they skip the rate-limited queue
+    const stored = await this.readWarehouse(endpoint, params);
+    if (stored) return stored;
+
     return new Promise((resolve, reject) => {
       this.requestQueue.push({ endpoint, params, resolve, reject });
       this.processQueue();
     });
   }
 
+  /**
+   * Every page of an endpoint, following MRData.total, merged into one
+   * response. Stops after maxPages so an unexpectedly large list cannot
+   * run away with the rate limit. options.fetchPage replaces the per-page
+   * fetch (the warehouse ingestor adds retries).
+   */
+  async fetchAllPages(endpoint, params = {}, options = {}) {
+    const { pagination } = apiConfig.f1Api;
+    const pageSize = options.pageSize || pagination.pageSize;
+    const maxPages = options.maxPages ?? pagination.maxPages;
+    const fetchPage =
+      options.fetchPage || ((path, query) => this.fetchWithCache(path, query));
+
+    const first = await fetchPage(endpoint, {
+      ...params,
+      limit: pageSize,
+      offset: 0,
+    });
+    const tableKey = Object.keys(first?.MRData || {}).find(
+      (key) => PAGED_TABLES[key],
+    );
+    if (!tableKey) return first;
+
+    const { list, nested } = PAGED_TABLES[tableKey];
+    const total = parseInt(first.MRData.total) || 0;
+    const items = mergePage([], first.MRData[tableKey][list] || [], nested);
+    let offset = pageSize;
+    let pages = 1;
+
+    while (offset < total && pages < maxPages) {
+      const response = await fetchPage(endpoint, {
+        ...params,
+        limit: pageSize,
+        offset,
+      });
+      mergePage(items, response?.MRData?.[tableKey]?.[list] || [], nested);
+      offset += pageSize;
+      pages++;
+    }
+
+    const fetched = Math.min(offset, total);
+    if (fetched < total) {
+      console.warn(
+        `⚠️ ${endpoint}: stopped after ${pages} pages (${fetched} of ${total} rows)`,
+      );
+    }
+
+    return {
+      MRData: {
+        ...first.MRData,
+        limit: String(fetched),
+        offset: '0',
+        [tableKey]: { ...first.MRData[tableKey], [list]: items },
+      },
+    };
+  }
+
+  /**
+   * Only the last options.count rows (races, for race tables) of an
+   * endpoint: one single-row request reads MRData.total, then pages are
+   * fetched backwards from the end until enough complete rows are merged.
+   * A maxPages stop therefore drops the oldest rows, never the newest.
+   */
+  async fetchRecentPages(endpoint, params = {}, options = {}) {
+    const { pagination } = apiConfig.f1Api;
+    const pageSize = options.pageSize || pagination.pageSize;
+    const maxPages = options.maxPages ?? pagination.maxPages;
+    const count = options.count;
+    const fetchPage =
+      options.fetchPage || ((path, query) => this.fetchWithCache(path, query));
+
+    const probe = await fetchPage(endpoint, { ...params, limit: 1, offset: 0 });
+    const tableKey = Object.keys(probe?.MRData || {}).find(
+      (key) => PAGED_TABLES[key],
+    );
+    if (!tableKey) return probe;
+
+    const { list, nested } = PAGED_TABLES[tableKey];
+    const total = parseInt(probe.MRData.total) || 0;
+    let items = [];
+    let end = total;
+    let pages = 0;
+
+    // The oldest merged row may be cut at a page edge, so stop one row past count
+    while (end > 0 && pages < maxPages && items.length <= count) {
+      const offset = Math.max(end - pageSize, 0);
+      const response = await fetchPage(endpoint, {
+        ...params,
+        limit: end - offset,
+        offset,
+      });
+      const page = mergePage(
+        [],
+        response?.MRData?.[tableKey]?.[list] || [],
+        nested,
+      );
+      items = mergePage(page, items, nested);
+      end = offset;
+      pages++;
+    }
+
+    if (end > 0 && items.length <= count) {
+      console.warn(
+        `⚠️ ${endpoint}: stopped after ${pages} pages (${total - end} of ${total} rows)`,
+      );
+    }
+
+    // Rows before `end` were not fetched, so the oldest merged row may be partial
+    const recent = (end > 0 ? items.slice(1) : items).slice(-count);
+    return {
+      MRData: {
+        ...probe.MRData,
+        limit: String(recent.length),
+        offset: String(end),
+        [tableKey]: { ...probe.MRData[tableKey], [list]: recent },
+      },
+    };
+  }
+
   async processQueue() {
     if (this.isProcessing || this.requestQueue.length === 0) {
       return;
@@ -53,15 +270,20 @@ class F1ApiClient {
     }`;
     const cacheKey = `${endpoint}_${JSON.stringify(params)}`;
 
-    // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTTL * 1000) {
-        console.log(`Cache hit for: ${endpoint}`);
-        return cached.data;
-      } else {
-        this.cache.delete(cacheKey);
-      }
+    if (this.mode === 'replay') {
+      return this.replayRequest(endpoint, params);
+    }
+
+    // Check cache first - expired entries are kept as a rate-limit fallback.
+    // Record mode skips it so every response reaches the fixtures
+    const cached =
+      this.mode === 'record' ? null : await this.readCache(cacheKey);
+    if (
+      cached &&
+      (cached.expiresAt === null || Date.now() < cached.expiresAt)
+    ) {
+      console.log(`Cache hit for: ${endpoint} (${cached.category})`);
+      return cached.data;
     }
 
     try {
@@ -86,7 +308,9 @@ class F1ApiClient {
         if (response.status === 400) {
           // Bad request - often means invalid endpoint
           console.warn(`Invalid API endpoint: ${endpoint}`);
-          return { MRData: { total: '0' } }; // Return empty but valid response
+          const emptyResponse = { MRData: { total: '0' } }; // Return empty but valid response
+          await this.recordFixture(endpoint, params, emptyResponse);
+          return emptyResponse;
         }
         throw new Error(`HTTP error! status: ${response.status}`);
       }
@@ -94,10 +318,8 @@ class F1ApiClient {
       const data = await response.json();
 
       // Cache the response
-      this.cache.set(cacheKey, {
-        data,
-        timestamp: Date.now(),
-      });
+      await this.writeCache(cacheKey, endpoint, data);
+      await this.recordFixture(endpoint, params, data);
 
       // Reset rate limit delay on success
       this.rateLimitDelay = Math.max(this.rateLimitDelay * 0.8, 100);
@@ -107,11 +329,11 @@ class F1ApiClient {
       console.error(`F1 API error for ${endpoint}:`, error.message);
 
       // For rate limiting, return cached data if available
-      if (error.message.includes('429') && this.cache.has(cacheKey)) {
+      if (error.message.includes('429') && cached) {
         console.log(
           `Returning stale cache for rate-limited request: ${endpoint}`,
         );
-        return this.cache.get(cacheKey).data;
+        return cached.data;
       }
 
       throw new Error(
@@ -120,24 +342,126 @@ class F1ApiClient {
     }
   }
 
+  // Live mode only: record and replay must see real API responses
+  async readWarehouse(endpoint, params = {}) {
+    if (!this.warehouseEnabled || this.mode !== 'live') return null;
+
+    try {
+      if (!this.warehouseReader) {
+        // Loaded on first use: the warehouse reader depends on tools that
+        // import this client
+        const { getSharedWarehouseReader } =
+          await import('../services/warehouse/index.js');
+        this.warehouseReader = getSharedWarehouseReader();
+      }
+
+      const data = await this.warehouseReader.query(endpoint, params);
+      if (data) console.log(`Warehouse hit for: ${endpoint}`);
+      return data;
+    } catch (error) {
+      // Like the cache, a warehouse failure falls through to the API
+      console.warn(`F1 warehouse read failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Serve a request from recorded fixtures only - a miss is an error, never a fetch
+  async replayRequest(endpoint, params = {}) {
+    const data = await this.fixtures.read(endpoint, params);
+    if (data === null) {
+      const fixturePath = this.fixtures.markMissing(endpoint, params);
+      const error = new Error(
+        `No recorded fixture for ${endpoint} ${JSON.stringify(params)} ` +
+          `(expected ${fixturePath}). ` +
+          'Run with F1_API_MODE=record to capture it.',
+      );
+      error.code = 'FIXTURE_MISSING';
+      throw error;
+    }
+
+    console.log(`Replaying fixture for: ${endpoint}`);
+    return data;
+  }
+
+  async recordFixture(endpoint, params, data) {
+    if (this.mode !== 'record') return;
+
+    try {
+      const fixturePath = await this.fixtures.write(endpoint, params, data);
+      console.log(`Recorded fixture: ${fixturePath}`);
+    } catch (error) {
+      console.warn(
+        `Failed to record fixture for ${endpoint}: ${error.message}`,
+      );
+    }
+  }
+
   // Helper method to extract the main data from Ergast response
   extractData(response, dataType) {
     return response?.MRData?.[dataType] || [];
   }
 
+  // Pick the cache category for an endpoint: completed seasons never
+  // change, current season and live endpoints expire quickly
+  getCachePolicy(endpoint) {
+    let category = 'f1Data';
+
+    if (/^\/current(\/|$)/.test(endpoint)) {
+      category = 'current';
+    } else {
+      const seasonMatch = endpoint.match(/^\/(\d{4})(\/|$)/);
+      if (seasonMatch) {
+        category =
+          parseInt(seasonMatch[1]) < new Date().getFullYear()
+            ? 'historical'
+            : 'current';
+      }
+    }
+
+    return { category, ttl: getCacheTTL(category) };
+  }
+
+  // Cache failures should never fail the request - fall through to the API
+  async readCache(cacheKey) {
+    if (!this.cacheEnabled) return null;
+
+    try {
+      return await this.cache.get(cacheKey);
+    } catch (error) {
+      console.warn(`F1 API cache read failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async writeCache(cacheKey, endpoint, data) {
+    if (!this.cacheEnabled) return;
+
+    const { category, ttl } = this.getCachePolicy(endpoint);
+    const timestamp = Date.now();
+
+    try {
+      await this.cache.set(cacheKey, {
+        category,
+        data,
+        timestamp,
+        expiresAt: Number.isFinite(ttl) ? timestamp + ttl * 1000 : null,
+      });
+    } catch (error) {
+      console.warn(`F1 API cache write failed: ${error.message}`);
+    }
+  }
+
   // Clear cache manually if needed
-  clearCache() {
-    this.cache.clear();
+  async clearCache() {
+    await this.cache.clear();
     console.log('F1 API cache cleared');
   }
 
   // Get cache stats
-  getCacheStats() {
-    return {
-      size: this.cache.size,
-      keys: Array.from(this.cache.keys()),
-    };
+  async getCacheStats() {
+    return this.cache.getStats();
   }
 }
 
+export { PAGED_TABLES };
 export default F1ApiClient;
@@ -0,0 +1,71 @@
+import { promises as fs } from 'fs';
+import { dirname, join, resolve } from 'path';
+
+// Fixtures replay mode asked for but did not find, across every client
+const missingFixtures = new Set();
+
+export function getMissingFixtures() {
+  return [...missingFixtures];
+}
+
+/**
+ * Ergast Fixture Store
+ * Recorded API responses on disk, one JSON file per endpoint + params,
+ * used by F1ApiClient record/replay modes
+ */
+class ErgastFixtureStore {
+  constructor(options = {}) {
+    this.dir = resolve(process.cwd(), options.dir || './tests/fixtures/ergast');
+  }
+
+  /**
+   * /2023/5/results + { limit: 10 } -> <dir>/2023/5/results__limit-10.json
+   */
+  getFixturePath(endpoint, params = {}) {
+    const segments = endpoint
+      .split('/')
+      .filter(Boolean)
+      .map((segment) => segment.replace(/[^a-zA-Z0-9_-]/g, '_'));
+
+    const paramSuffix = Object.keys(params)
+      .sort()
+      .map((key) => `${key}-${params[key]}`.replace(/[^a-zA-Z0-9_-]/g, '_'))
+      .join('_');
+
+    const fileName = `${segments.pop() || 'index'}${paramSuffix ? `__${paramSuffix}` : ''}.json`;
+    return join(this.dir, ...segments, fileName);
+  }
+
+  /**
+   * Recorded response data, or null when nothing was recorded
+   */
+  async read(endpoint, params = {}) {
+    try {
+      const contents = await fs.readFile(this.getFixturePath(endpoint, params), 'utf8');
+      return JSON.parse(contents).data;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Remember a replay miss so health checks and test runs can fail on it
+  markMissing(endpoint, params = {}) {
+    const fixturePath = this.getFixturePath(endpoint, params);
+    missingFixtures.add(fixturePath);
+    return fixturePath;
+  }
+
+  async write(endpoint, params, data) {
+    const fixturePath = this.getFixturePath(endpoint, params);
+    await fs.mkdir(dirname(fixturePath), { recursive: true });
+    await fs.writeFile(
+      fixturePath,
+      `${JSON.stringify({ endpoint, params, recordedAt: new Date().toISOString(), data }, null, 2)}\n`,
+    );
+    return fixturePath;
+  }
+}
+
+export { ErgastFixtureStore };
+export default ErgastFixtureStore;
@@ -5,6 +5,19 @@ import DriverTools from './driverTools.js';
 import ConstructorTools from './constructorTools.js';
 import RaceTools from './raceTools.js';
 import StandingsTools from './standingsTools.js';
+import { championshipSimulator } from '../services/championshipSimulator.js';
+import { titleScenarioCalculator } from '../services/titleScenarioCalculator.js';
+import { pointsRescorer } from '../services/pointsRescorer.js';
+import { teammateComparison } from '../services/teammateComparison.js';
+import { raceStrategyAnalyzer } from '../services/raceStrategyAnalyzer.js';
+import { raceProgression } from '../services/raceProgression.js';
+import { reliabilityAnalytics, RELIABILITY_GROUPS } from '../services/reliabilityAnalytics.js';
+import { qualifyingAnalytics } from '../services/qualifyingAnalytics.js';
+import { overtakingAnalytics, OVERTAKING_GROUPS } from '../services/overtakingAnalytics.js';
+import { eloRatingEngine, RATING_MODES, RATING_METRICS } from '../services/eloRatingEngine.js';
+import { sqlAnalytics, WAREHOUSE_SCHEMA } from '../services/warehouse/sqlAnalytics.js';
+import { pointsSystems, getPointsSystem } from '../config/pointsSystems.js';
+import { classifyStatus } from '../config/statusTaxonomy.js';
 
 // Initialize tool instances
 const circuitTools = new CircuitTools();
@@ -57,6 +70,28 @@ export const getCircuitResultsToolLangGraph = tool(
   }
 );
 
+export const getCircuitOvertakingToolLangGraph = tool(
+  async ({ circuitId, fromSeason, toSeason, races }) => {
+    try {
+      return await overtakingAnalytics.getCircuitOvertaking(circuitId, { fromSeason, toSeason, races });
+    } catch (error) {
+      console.error('Error rating circuit overtaking:', error);
+      return { error: error.message };
+    }
+  },
+  {
+    name: 'get_circuit_overtaking',
+    description:
+      'Overtaking difficulty of a circuit from its recent races: a 0-100 index from how closely the finishing order followed the grid (higher is harder to pass) with a rating, average places gained, wins from pole and from outside the front row, and race-by-race history.',
+    schema: z.object({
+      circuitId: z.string().describe('Circuit identifier (e.g., "monaco")'),
+      fromSeason: z.string().optional().describe('First season to include (e.g., "2022")'),
+      toSeason: z.string().optional().describe('Last season to include'),
+      races: z.number().int().min(1).optional().describe('Most recent races to use (default 10)')
+    })
+  }
+);
+
 // Driver-related tools
 export const getDriversToolLangGraph = tool(
   async ({ season }) => {
@@ -100,7 +135,7 @@ export const getDriverResultsToolLangGraph = tool(
     schema: z.object({
       driverId: z.string().describe('Driver identifier (e.g., "hamilton")'),
       season: z.string().optional().describe('Season year (e.g., "2024")'),
-      limit: z.number().optional().default(50).describe('Maximum number of results to return')
+      limit: z.number().optional().describe('Only the most recent N races; omit for the full career')
     })
   }
 );
@@ -148,7 +183,7 @@ export const getConstructorResultsToolLangGraph = tool(
     schema: z.object({
       constructorId: z.string().describe('Constructor identifier (e.g., "mercedes")'),
       season: z.string().optional().describe('Season year (e.g., "2024")'),
-      limit: z.number().optional().default(50).describe('Maximum number of results to return')
+      limit: z.number().optional().describe('Only the most recent N races; omit for the full team history')
     })
   }
 );
@@ -198,6 +233,257 @@ export const getQualifyingResultsToolLangGraph = tool(
   }
 );
 
+export const getSprintResultsToolLangGraph = tool(
+  async ({ season, round }) => {
+    return await raceTools.getSprintResults(season, round);
+  },
+  {
+    name: 'get_sprint_results',
+    description: 'Get sprint race results for a specific race weekend by season and round number',
+    schema: z.object({
+      season: z.string().describe('Season year (e.g., "2024")'),
+      round: z.string().describe('Round number (e.g., "1", "2", etc.)')
+    })
+  }
+);
+
+// Qualifying analysis tools
+export const getQualifyingAnalysisToolLangGraph = tool(
+  async ({ season, round, driverId }) => {
+    try {
+      if (round) {
+        return await qualifyingAnalytics.analyzeSession(season, round);
+      }
+      return await qualifyingAnalytics.analyzeSeason(season, { driverId });
+    } catch (error) {
+      console.error('Error analyzing qualifying:', error);
+      return { error: error.message };
+    }
+  },
+  {
+    name: 'get_qualifying_analysis',
+    description:
+      'Qualifying analysis. With a round: gap to pole in seconds and percent, Q1/Q2/Q3 times and progression, the stage each driver was eliminated in, cut-off margins, teammate gaps and qualifying-vs-finish deltas. Without a round: the season rolled up per driver (poles, median gap to pole, eliminations, teammate record, average places gained in the race).',
+    schema: z.object({
+      season: z.string().describe('Season year (e.g., "2024")'),
+      round: z.string().optional().describe('Round number for a single session (e.g., "5")'),
+      driverId: z.string().optional().describe('Season view only: one driver with their round-by-round detail (e.g., "leclerc")')
+    })
+  }
+);
+
+export const getPoleConversionToolLangGraph = tool(
+  async ({ circuitId, fromSeason, toSeason, minRaces, limit }) => {
+    try {
+      return await qualifyingAnalytics.getPoleConversion({ circuitId, fromSeason, toSeason, minRaces, limit });
+    } catch (error) {
+      console.error('Error calculating pole conversion:', error);
+      return { error: error.message };
+    }
+  },
+  {
+    name: 'get_pole_conversion',
+    description:
+      'Pole-to-win conversion: how often the pole sitter won, per circuit (qualifying pole from 1994, grid slot 1 before). Give a circuitId for that circuit\'s full pole history, or omit it to rank circuits.',
+    schema: z.object({
+      circuitId: z.string().optional().describe('Circuit identifier (e.g., "monaco")'),
+      fromSeason: z.string().optional().describe('First season to include (e.g., "2014")'),
+      toSeason: z.string().optional().describe('Last season to include'),
+      minRaces: z.number().int().min(1).optional().describe('Only rank circuits with at least this many races'),
+      limit: z.number().int().min(1).optional().describe('Number of circuits to return')
+    })
+  }
+);
+
+// Lap time tools
+export const getLapTimesToolLangGraph = tool(
+  async ({ season, round, lap }) => {
+    return await raceTools.getLapTimes(season, round, lap);
+  },
+  {
+    name: 'get_lap_times',
+    description: 'Get lap-by-lap timings and positions for a race. Optionally limit to a single lap number.',
+    schema: z.object({
+      season: z.string().describe('Season year (e.g., "2024")'),
+      round: z.string().describe('Round number (e.g., "1", "2", etc.)'),
+      lap: z.string().optional().describe('Lap number (e.g., "1")')
+    })
+  }
+);
+
+export const getDriverLapsToolLangGraph = tool(
+  async ({ season, round, driverId }) => {
+    return await raceTools.getDriverLaps(season, round, driverId);
+  },
+  {
+    name: 'get_driver_laps',
+    description: 'Get every lap time and running position for one driver in a race',
+    schema: z.object({
+      season: z.string().describe('Season year (e.g., "2024")'),
+      round: z.string().describe('Round number (e.g., "1", "2", etc.)'),
+      driverId: z.string().describe('Driver identifier (e.g., "norris")')
+    })
+  }
+);
+
+export const getRaceProgressionToolLangGraph = tool(
+  async ({ season, round, driverIds, includeChart }) => {
+    try {
+      return await raceProgression.getProgression(season, round, { driverIds, includeChart });
+    } catch (error) {
+      console.error('Error reconstructing race progression:', error);
+      return { error: error.message };
+    }
+  },
+  {
+    name: 'get_race_progression',
+    description:
+      'Lap-by-lap race reconstruction (1996 onwards): lead changes with their cause, key moments (start, lead changes, retirements, final stops, finish), lap 1 places gained, each driver\'s position and gaps after their last stop, and optionally every driver\'s position and gap to the leader on each lap as a chart-ready series. Use for "when did X take the lead" or "how big was the gap after the last stop".',
+    schema: z.object({
+      season: z.string().describe('Season year (e.g., "2024")'),
+      round: z.string().describe('Round number (e.g., "1", "2", etc.)'),
+      driverIds: z.array(z.string()).optional().describe('Limit the drivers and chart series to these drivers (e.g., ["piastri", "norris"])'),
+      includeChart: z.boolean().optional().describe('Add the per-lap position and gap series; large, so only when lap-by-lap data is needed and ideally with driverIds')
+    })
+  }
+);
+
+// Pit stop tools
+export const getPitstopsToolLangGraph = tool(
+  async ({ season, round }) => {
+    return await raceTools.getPitstops(season, round);
+  },
+  {
+    name: 'get_pitstops',
+    description: 'Get all pit stops in a race with stop number, lap and duration',
+    schema: z.object({
+      season: z.string().describe('Season year (e.g., "2024")'),
+      round: z.string().describe('Round number (e.g., "1", "2", etc.)')
+    })
+  }
+);
+
+export const getDriverPitstopsToolLangGraph = tool(
+  async ({ season, round, driverId }) => {
+    return await raceTools.getDriverPitstops(season, round, driverId);
+  },
+  {
+    name: 'get_driver_pitstops',
+    description: 'Get the pit stops made by one driver in a race',
+    schema: z.object({
+      season: z.string().describe('Season year (e.g., "2024")'),
+      round: z.string().describe('Round number (e.g., "1", "2", etc.)'),
+      driverId: z.string().describe('Driver identifier (e.g., "norris")')
+    })
+  }
+);
+
+// Strategy tools
+export const analyzeRaceStrategyToolLangGraph = tool(
+  async ({ season, round, driverId }) => {
+    try {
+      return await raceStrategyAnalyzer.analyzeRace(season, round, { driverId });
+    } catch (error) {
+      console.error('Error analyzing race strategy:', error);
+      return { error: error.message };
+    }
+  },
+  {
+    name: 'analyze_race_strategy',
+    description:
+      'Race strategy breakdown from pit stops and lap times (2011 onwards): each driver\'s stints and pace trend, time lost per stop against their own pace, stops made under probable safety-car periods, and undercut/overcut attempts between close cars with who pitted first and whether the position changed hands.',
+    schema: z.object({
+      season: z.string().describe('Season year (e.g., "2024")'),
+      round: z.string().describe('Round number (e.g., "1", "2", etc.)'),
+      driverId: z.string().optional().describe('Focus on one driver (e.g., "norris")')
+    })
+  }
+);
+
+// Finishing status tools
+export const getStatusResultsToolLangGraph = tool(
+  async ({ statusId, limit }) => {
+    return await raceTools.getStatusResults(statusId, limit);
+  },
+  {
+    name: 'get_status_results',
+    description: 'Get race results that ended with a specific finishing status (e.g., engine failure). Use get_all_statuses to find status IDs.',
+    schema: z.object({
+      statusId: z.string().describe('Status identifier (e.g., "5" for Engine)'),
+      limit: z.number().optional().default(20).describe('Maximum number of results to return')
+    })
+  }
+);
+
+export const getAllStatusesToolLangGraph = tool(
+  async ({ season }) => {
+    const statuses = await raceTools.getAllStatuses(season);
+    return statuses.map((status) => ({ ...status, category: classifyStatus(status.status) }));
+  },
+  {
+    name: 'get_all_statuses',
+    description:
+      'Get every finishing status (Finished, +1 Lap, Engine, Collision, etc.) with its ID, count and reliability category (finished, mechanical, accident, disqualified, did_not_start, other)',
+    schema: z.object({
+      season: z.string().optional().describe('Only count results from this season (e.g., "2024")')
+    })
+  }
+);
+
+export const getReliabilityStatsToolLangGraph = tool(
+  async ({ season, fromSeason, toSeason, groupBy, driverId, constructorId, limit }) => {
+    try {
+      return await reliabilityAnalytics.analyze({ season, fromSeason, toSeason, groupBy, driverId, constructorId, limit });
+    } catch (error) {
+      console.error('Error analyzing reliability:', error);
+      return { error: error.message };
+    }
+  },
+  {
+    name: 'get_reliability_stats',
+    description:
+      'Reliability and DNF analytics: classifies every result as a classified finish, mechanical failure, accident/driver error, disqualification or non-start, and returns counts, finish/DNF/mechanical/accident rates per start and the most common failures, grouped by driver, constructor, engine supplier or season.',
+    schema: z.object({
+      season: z.string().optional().describe('Single season (e.g., "2024") or "current"; defaults to the current season'),
+      fromSeason: z.string().optional().describe('First season of a range (up to 10 seasons)'),
+      toSeason: z.string().optional().describe('Last season of a range'),
+      groupBy: z.enum(RELIABILITY_GROUPS).optional().describe('Aggregate per driver, constructor (default), engine supplier or season'),
+      driverId: z.string().optional().describe('Only this driver\'s results (e.g., "leclerc")'),
+      constructorId: z.string().optional().describe('Only this team\'s results (e.g., "ferrari")'),
+      limit: z.number().int().min(1).optional().describe('Number of groups to return')
+    })
+  }
+);
+
+export const getOvertakingStatsToolLangGraph = tool(
+  async ({ season, round, fromSeason, toSeason, groupBy, driverId, constructorId, limit }) => {
+    try {
+      if (round) {
+        return await overtakingAnalytics.analyzeRace(season, round);
+      }
+      return await overtakingAnalytics.analyze({ season, fromSeason, toSeason, groupBy, driverId, constructorId, limit });
+    } catch (error) {
+      console.error('Error analyzing overtaking:', error);
+      return { error: error.message };
+    }
+  },
+  {
+    name: 'get_overtaking_stats',
+    description:
+      'Grid-to-finish movement. With a season and round: every driver\'s grid, finish and places gained, the biggest climber and the grid-vs-finish correlation. Otherwise net and average places gained, gains from outside the top 10 and wins from outside the front row, grouped by driver, constructor, race or circuit (circuits get an overtaking difficulty index).',
+    schema: z.object({
+      season: z.string().optional().describe('Single season (e.g., "2024") or "current"; defaults to the current season'),
+      round: z.string().optional().describe('Round number for a single race (needs season)'),
+      fromSeason: z.string().optional().describe('First season of a range (up to 10 seasons)'),
+      toSeason: z.string().optional().describe('Last season of a range'),
+      groupBy: z.enum(OVERTAKING_GROUPS).optional().describe('Aggregate per driver (default), constructor, race or circuit'),
+      driverId: z.string().optional().describe('Only this driver\'s results (e.g., "perez")'),
+      constructorId: z.string().optional().describe('Only this team\'s results (e.g., "mclaren")'),
+      limit: z.number().int().min(1).optional().describe('Number of groups to return')
+    })
+  }
+);
+
 // Standings-related tools
 export const getDriverStandingsToolLangGraph = tool(
   async ({ season, round }) => {
@@ -283,11 +569,173 @@ export const compareSeasonsToolLangGraph = tool(
   }
 );
 
+// Prediction tools
+export const simulateChampionshipToolLangGraph = tool(
+  async ({ season, iterations, recentRaces }) => {
+    try {
+      return await championshipSimulator.simulateSeason(season || 'current', {
+        iterations,
+        recentRaces
+      });
+    } catch (error) {
+      console.error('Error simulating championship:', error);
+      return { error: error.message };
+    }
+  },
+  {
+    name: 'simulate_championship',
+    description:
+      'Monte Carlo simulation of the rest of a season (remaining races and sprints) from current standings and recent form. Returns title probabilities and expected points for drivers and constructors.',
+    schema: z.object({
+      season: z.string().optional().describe('Season year (e.g., "2024") or "current" (default)'),
+      iterations: z.number().int().min(100).max(20000).optional().describe('Number of simulated season completions (default 5000)'),
+      recentRaces: z.number().int().min(1).max(10).optional().describe('Completed races used for each driver\'s finishing distribution (default 5)')
+    })
+  }
+);
+
+export const getTitleScenariosToolLangGraph = tool(
+  async ({ season }) => {
+    try {
+      return await titleScenarioCalculator.calculate(season || 'current');
+    } catch (error) {
+      console.error('Error calculating title scenarios:', error);
+      return { error: error.message };
+    }
+  },
+  {
+    name: 'get_title_scenarios',
+    description:
+      'Exact title arithmetic: points still available (race, sprint, fastest-lap bonus where awarded), which drivers and constructors are mathematically eliminated, and the finishing combinations that clinch the title at the next round.',
+    schema: z.object({
+      season: z.string().optional().describe('Season year (e.g., "2024") or "current" (default)')
+    })
+  }
+);
+
+// Points system tools
+export const getPointsSystemToolLangGraph = tool(
+  async ({ season }) => {
+    if (!season) {
+      return pointsSystems;
+    }
+    return getPointsSystem(season);
+  },
+  {
+    name: 'get_points_system',
+    description:
+      'Get the championship scoring rules (race points, sprint points, fastest-lap bonus, dropped scores) for a season or system id. Omit season to list every system since 1950.',
+    schema: z.object({
+      season: z.string().optional().describe('Season year (e.g., "2008"), system id, or "current"')
+    })
+  }
+);
+
+export const rescoreSeasonToolLangGraph = tool(
+  async ({ season, system }) => {
+    try {
+      return await pointsRescorer.rescoreSeason(season, system || 'current');
+    } catch (error) {
+      console.error('Error re-scoring season:', error);
+      return { error: error.message };
+    }
+  },
+  {
+    name: 'rescore_season',
+    description:
+      'Re-score a season\'s drivers\' championship under a different points system, e.g. 2008 under today\'s system. Returns the re-scored standings next to the actual positions and whether the champion changes.',
+    schema: z.object({
+      season: z.string().describe('Season to re-score (e.g., "2008")'),
+      system: z.string().optional().describe('Points system to apply: a season year whose rules to use (e.g., "1988"), a system id, or "current" (default)')
+    })
+  }
+);
+
+// Teammate comparison tools
+export const getTeammateHeadToHeadToolLangGraph = tool(
+  async ({ season, driverId, constructorId }) => {
+    try {
+      if (!season && !driverId) {
+        return { error: 'Provide a season, a driverId, or both' };
+      }
+      if (!season) {
+        return await teammateComparison.compareCareer(driverId);
+      }
+      return await teammateComparison.compareSeason(season, { driverId, constructorId });
+    } catch (error) {
+      console.error('Error comparing teammates:', error);
+      return { error: error.message };
+    }
+  },
+  {
+    name: 'get_teammate_head_to_head',
+    description:
+      'Teammate head-to-head: qualifying H2H, race H2H (double DNFs excluded), points share and average grid gap. Give a season for every team that year, a driverId alone for their whole career, or both.',
+    schema: z.object({
+      season: z.string().optional().describe('Season year (e.g., "2021")'),
+      driverId: z.string().optional().describe('Driver ID (e.g., "hamilton"); without a season, covers the whole career'),
+      constructorId: z.string().optional().describe('Limit a season comparison to one team (e.g., "mercedes")')
+    })
+  }
+);
+
+// Rating tools
+export const getEloRatingsToolLangGraph = tool(
+  async ({ mode, metric, driverId, limit, minRaces }) => {
+    try {
+      if (driverId) {
+        return await eloRatingEngine.getDriverHistory(driverId, mode || 'all');
+      }
+      return await eloRatingEngine.getRankings({ mode, metric, limit, minRaces });
+    } catch (error) {
+      console.error('Error fetching Elo ratings:', error);
+      return { error: error.message };
+    }
+  },
+  {
+    name: 'get_elo_ratings',
+    description:
+      'All-time driver Elo ratings built from every race since 1950, each race scored as pairwise finishing contests. Ranks drivers by peak, career-average or career-end rating, or returns one driver\'s rating history. Teammates mode only compares drivers in the same car, removing car advantage.',
+    schema: z.object({
+      mode: z.enum(RATING_MODES).optional().describe('"all" compares against the whole field (default); "teammates" only against teammates'),
+      metric: z.enum(RATING_METRICS).optional().describe('Ranking metric: "peak" (default), "average" or "final" (career-end)'),
+      driverId: z.string().optional().describe('Driver ID (e.g., "senna") to get their rating history instead of the rankings'),
+      limit: z.number().int().min(1).max(100).optional().describe('Number of drivers to return (default 20)'),
+      minRaces: z.number().int().min(0).optional().describe('Minimum rated races to be ranked (default 10)')
+    })
+  }
+);
+
+// Analytics tools
+export const queryF1DatabaseToolLangGraph = tool(
+  async ({ sql, params, maxRows }) => {
+    try {
+      return await sqlAnalytics.query(sql, params || [], { maxRows });
+    } catch (error) {
+      console.error('Error running F1 database query:', error.message);
+      return { error: error.message };
+    }
+  },
+  {
+    name: 'query_f1_database',
+    description: `Run one read-only SQLite SELECT (WITH allowed) over the local F1 warehouse for exact records, counts and streaks across the whole history. Use ? placeholders with params for values. Results are capped at maxRows and queries time out after a few seconds, so aggregate in SQL. Check dataThrough in the response for how current the data is.
+
+Tables:
+${WAREHOUSE_SCHEMA}`,
+    schema: z.object({
+      sql: z.string().describe('A single SELECT statement, e.g. "SELECT driver_id, COUNT(*) AS wins FROM results WHERE position_text = \'1\' GROUP BY driver_id ORDER BY wins DESC"'),
+      params: z.array(z.union([z.string(), z.number(), z.null()])).optional().describe('Values for the ? placeholders, in order'),
+      maxRows: z.number().int().min(1).max(1000).optional().describe('Maximum rows to return (default 200)')
+    })
+  }
+);
+
 // Export all tools as an array for easy use
 export const allF1Tools = [
   getCircuitsTool,
   getCircuitDetailsTool,
   getCircuitResultsToolLangGraph,
+  getCircuitOvertakingToolLangGraph,
   getDriversToolLangGraph,
   getDriverDetailsToolLangGraph,
   getDriverResultsToolLangGraph,
@@ -297,39 +745,91 @@ export const allF1Tools = [
   getRacesToolLangGraph,
   getRaceResultsToolLangGraph,
   getQualifyingResultsToolLangGraph,
+  getSprintResultsToolLangGraph,
+  getQualifyingAnalysisToolLangGraph,
+  getPoleConversionToolLangGraph,
+  getLapTimesToolLangGraph,
+  getDriverLapsToolLangGraph,
+  getRaceProgressionToolLangGraph,
+  getPitstopsToolLangGraph,
+  getDriverPitstopsToolLangGraph,
+  analyzeRaceStrategyToolLangGraph,
+  getStatusResultsToolLangGraph,
+  getAllStatusesToolLangGraph,
+  getReliabilityStatsToolLangGraph,
+  getOvertakingStatsToolLangGraph,
   getDriverStandingsToolLangGraph,
   getConstructorStandingsToolLangGraph,
   getCurrentRaceToolLangGraph,
   getLastRaceToolLangGraph,
   getSeasonSummaryToolLangGraph,
-  compareSeasonsToolLangGraph
+  compareSeasonsToolLangGraph,
+  simulateChampionshipToolLangGraph,
+  getTitleScenariosToolLangGraph,
+  getPointsSystemToolLangGraph,
+  rescoreSeasonToolLangGraph,
+  getTeammateHeadToHeadToolLangGraph,
+  getEloRatingsToolLangGraph,
+  queryF1DatabaseToolLangGraph
 ];
 
 // Export tools by category for agent-specific use
+export const qualifyingToolsLangGraph = [
+  getQualifyingAnalysisToolLangGraph,
+  getPoleConversionToolLangGraph
+];
+
 export const circuitToolsLangGraph = [
   getCircuitsTool,
   getCircuitDetailsTool,
-  getCircuitResultsToolLangGraph
+  getCircuitResultsToolLangGraph,
+  getCircuitOvertakingToolLangGraph,
+  getOvertakingStatsToolLangGraph
 ];
 
 export const driverToolsLangGraph = [
   getDriversToolLangGraph,
   getDriverDetailsToolLangGraph,
   getDriverResultsToolLangGraph,
-  getDriverStandingsToolLangGraph
+  getDriverStandingsToolLangGraph,
+  getTeammateHeadToHeadToolLangGraph,
+  getOvertakingStatsToolLangGraph,
+  ...qualifyingToolsLangGraph
 ];
 
 export const constructorToolsLangGraph = [
   getConstructorsToolLangGraph,
   getConstructorDetailsToolLangGraph,
   getConstructorResultsToolLangGraph,
-  getConstructorStandingsToolLangGraph
+  getConstructorStandingsToolLangGraph,
+  getTeammateHeadToHeadToolLangGraph,
+  getOvertakingStatsToolLangGraph
+];
+
+export const pitstopToolsLangGraph = [
+  getPitstopsToolLangGraph,
+  getDriverPitstopsToolLangGraph
+];
+
+export const strategyToolsLangGraph = [
+  analyzeRaceStrategyToolLangGraph
 ];
 
 export const raceToolsLangGraph = [
   getRacesToolLangGraph,
   getRaceResultsToolLangGraph,
   getQualifyingResultsToolLangGraph,
+  getSprintResultsToolLangGraph,
+  ...qualifyingToolsLangGraph,
+  getLapTimesToolLangGraph,
+  getDriverLapsToolLangGraph,
+  getRaceProgressionToolLangGraph,
+  ...pitstopToolsLangGraph,
+  ...strategyToolsLangGraph,
+  getStatusResultsToolLangGraph,
+  getAllStatusesToolLangGraph,
+  getReliabilityStatsToolLangGraph,
+  getOvertakingStatsToolLangGraph,
   getCurrentRaceToolLangGraph,
   getLastRaceToolLangGraph
 ];
@@ -339,4 +839,22 @@ export const standingsToolsLangGraph = [
   getConstructorStandingsToolLangGraph,
   getSeasonSummaryToolLangGraph,
   compareSeasonsToolLangGraph
-];
\ No newline at end of file
+];
+
+export const predictionToolsLangGraph = [
+  simulateChampionshipToolLangGraph,
+  getTitleScenariosToolLangGraph
+];
+
+export const scoringToolsLangGraph = [
+  getPointsSystemToolLangGraph,
+  rescoreSeasonToolLangGraph
+];
+
+export const ratingToolsLangGraph = [
+  getEloRatingsToolLangGraph
+];
+
+export const analyticsToolsLangGraph = [
+  queryF1DatabaseToolLangGraph
+];
@@ -25,9 +25,10 @@ class RaceTools {
     }
   }
 
+  // Fields with DNQ entries or the 1950s Indy 500 run past one default page
   async getRaceResults(season, round) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/${season}/${round}/results`);
+      const response = await this.f1Client.fetchAllPages(`/${season}/${round}/results`);
       const races = this.f1Client.extractData(response, 'RaceTable')?.Races || [];
       return races[0] || null;
     } catch (error) {
@@ -68,10 +69,11 @@ class RaceTools {
     }
   }
 
+  // A full race is well over one page of timings
   async getLapTimes(season, round, lap = null) {
     try {
       const endpoint = lap ? `/${season}/${round}/laps/${lap}` : `/${season}/${round}/laps`;
-      const response = await this.f1Client.fetchWithCache(endpoint);
+      const response = await this.f1Client.fetchAllPages(endpoint);
       return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
     } catch (error) {
       console.error(`Error fetching lap times for ${season}/${round}:`, error);
@@ -81,7 +83,7 @@ class RaceTools {
 
   async getDriverLaps(season, round, driverId) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/${season}/${round}/drivers/${driverId}/laps`);
+      const response = await this.f1Client.fetchAllPages(`/${season}/${round}/drivers/${driverId}/laps`);
       return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
     } catch (error) {
       console.error(`Error fetching laps for driver ${driverId} in ${season}/${round}:`, error);
@@ -91,7 +93,7 @@ class RaceTools {
 
   async getPitstops(season, round) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/${season}/${round}/pitstops`);
+      const response = await this.f1Client.fetchAllPages(`/${season}/${round}/pitstops`);
       const races = this.f1Client.extractData(response, 'RaceTable')?.Races || [];
       return races[0] || null;
     } catch (error) {
@@ -102,7 +104,7 @@ class RaceTools {
 
   async getDriverPitstops(season, round, driverId) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/${season}/${round}/drivers/${driverId}/pitstops`);
+      const response = await this.f1Client.fetchAllPages(`/${season}/${round}/drivers/${driverId}/pitstops`);
       const races = this.f1Client.extractData(response, 'RaceTable')?.Races || [];
       return races[0] || null;
     } catch (error) {
@@ -163,6 +165,42 @@ class RaceTools {
     }
   }
 
+  // Every race started from pole, optionally at one circuit
+  async getPoleStartResults(circuitId = null) {
+    try {
+      const endpoint = circuitId ? `/circuits/${circuitId}/grid/1/results` : '/grid/1/results';
+      const response = await this.f1Client.fetchAllPages(endpoint);
+      return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
+    } catch (error) {
+      console.error(`Error fetching pole start results${circuitId ? ` at ${circuitId}` : ''}:`, error);
+      return [];
+    }
+  }
+
+  // Every qualifying pole sitter, optionally at one circuit (qualifying data starts in 1994)
+  async getPoleQualifyingResults(circuitId = null) {
+    try {
+      const endpoint = circuitId ? `/circuits/${circuitId}/qualifying/1` : '/qualifying/1';
+      const response = await this.f1Client.fetchAllPages(endpoint);
+      return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
+    } catch (error) {
+      console.error(`Error fetching pole qualifying results${circuitId ? ` at ${circuitId}` : ''}:`, error);
+      return [];
+    }
+  }
+
+  // Every race winner, optionally at one circuit
+  async getWinnerResults(circuitId = null) {
+    try {
+      const endpoint = circuitId ? `/circuits/${circuitId}/results/1` : '/results/1';
+      const response = await this.f1Client.fetchAllPages(endpoint);
+      return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
+    } catch (error) {
+      console.error(`Error fetching race winners${circuitId ? ` at ${circuitId}` : ''}:`, error);
+      return [];
+    }
+  }
+
   async getStatusResults(statusId, limit = 20) {
     try {
       const response = await this.f1Client.fetchWithCache(`/status/${statusId}/results`, { limit });
@@ -173,9 +211,11 @@ class RaceTools {
     }
   }
 
-  async getAllStatuses() {
+  // Status catalogue with result counts, optionally for one season
+  async getAllStatuses(season = null) {
     try {
-      const response = await this.f1Client.fetchWithCache('/status');
+      const endpoint = season ? `/${season}/status` : '/status';
+      const response = await this.f1Client.fetchAllPages(endpoint);
       return this.f1Client.extractData(response, 'StatusTable')?.Status || [];
     } catch (error) {
       console.error('Error fetching all statuses:', error);
@@ -39,9 +39,10 @@ class SeasonTools {
     }
   }
 
+  // Seasons before the 2000s classified far more drivers than one default page
   async getSeasonDriverStandings(season) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/${season}/driverStandings`);
+      const response = await this.f1Client.fetchAllPages(`/${season}/driverStandings`);
       const standings = this.f1Client.extractData(response, 'StandingsTable')?.StandingsLists || [];
       return standings[0] || null;
     } catch (error) {
@@ -52,7 +53,7 @@ class SeasonTools {
 
   async getSeasonConstructorStandings(season) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/${season}/constructorStandings`);
+      const response = await this.f1Client.fetchAllPages(`/${season}/constructorStandings`);
       const standings = this.f1Client.extractData(response, 'StandingsTable')?.StandingsLists || [];
       return standings[0] || null;
     } catch (error) {
@@ -61,9 +62,10 @@ class SeasonTools {
     }
   }
 
+  // Every car in every race: several pages per season
   async getSeasonResults(season) {
     try {
-      const response = await this.f1Client.fetchWithCache(`/${season}/results`);
+      const response = await this.f1Client.fetchAllPages(`/${season}/results`);
       return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
     } catch (error) {
       console.error(`Error fetching results for season ${season}:`, error);
@@ -71,6 +73,16 @@ class SeasonTools {
     }
   }
 
+  async getSeasonQualifying(season) {
+    try {
+      const response = await this.f1Client.fetchAllPages(`/${season}/qualifying`);
+      return this.f1Client.extractData(response, 'RaceTable')?.Races || [];
+    } catch (error) {
+      console.error(`Error fetching qualifying for season ${season}:`, error);
+      return [];
+    }
+  }
+
   async getSeasonWinners(season) {
     try {
       const response = await this.f1Client.fetchWithCache(`/${season}/results/1`);
@@ -0,0 +1,22 @@
+/**
+ * Ergast time strings ('1:32.456', '22.345', '1:02:03.456') to milliseconds
+ */
+export const parseRaceTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const parts = String(value).trim().split(':');
+  if (parts.some((part) => !/^\d+(\.\d+)?$/.test(part))) return null;
+
+  const seconds = parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+  return Math.round(seconds * 1000);
+};
+
+// Milliseconds to seconds, rounded for output
+export const toSeconds = (millis) => (millis === null || millis === undefined ? null : Math.round(millis) / 1000);
+
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
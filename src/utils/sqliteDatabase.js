@@ -0,0 +1,156 @@
+import sqlite3 from 'sqlite3';
+import { mkdirSync } from 'fs';
+import { dirname, resolve } from 'path';
+
+/**
+ * Promise wrapper around sqlite3 with versioned schema migrations
+ * Shared by the SQLite-backed stores
+ */
+
+// Turn 'sqlite:./file.db' style URLs into a filename sqlite3 understands
+export function resolveSqlitePath(url) {
+  const filename = (url || '').replace(/^sqlite:(\/\/)?/, '');
+  if (!filename || filename === ':memory:') return ':memory:';
+  return resolve(process.cwd(), filename);
+}
+
+class SqliteDatabase {
+  constructor(url, options = {}) {
+    this.filename = resolveSqlitePath(url);
+    this.readOnly = Boolean(options.readOnly);
+    this.db = null;
+    this.transactionQueue = Promise.resolve();
+  }
+
+  async open() {
+    if (this.db) return this;
+
+    if (this.filename !== ':memory:' && !this.readOnly) {
+      mkdirSync(dirname(this.filename), { recursive: true });
+    }
+
+    const mode = this.readOnly
+      ? sqlite3.OPEN_READONLY
+      : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+    this.db = await new Promise((resolvePromise, reject) => {
+      const db = new sqlite3.Database(this.filename, mode, (error) =>
+        error ? reject(error) : resolvePromise(db)
+      );
+    });
+
+    if (this.readOnly) {
+      // Belt and braces: the connection refuses writes even via SQL tricks
+      await this.exec('PRAGMA query_only = ON;');
+      return this;
+    }
+
+    await this.exec('PRAGMA foreign_keys = ON;');
+    if (this.filename !== ':memory:') {
+      await this.exec('PRAGMA journal_mode = WAL;');
+    }
+
+    return this;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolvePromise, reject) => {
+      this.db.run(sql, params, function (error) {
+        if (error) return reject(error);
+        resolvePromise({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolvePromise, reject) => {
+      this.db.get(sql, params, (error, row) =>
+        error ? reject(error) : resolvePromise(row || null)
+      );
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolvePromise, reject) => {
+      this.db.all(sql, params, (error, rows) =>
+        error ? reject(error) : resolvePromise(rows || [])
+      );
+    });
+  }
+
+  exec(sql) {
+    return new Promise((resolvePromise, reject) => {
+      this.db.exec(sql, (error) => (error ? reject(error) : resolvePromise()));
+    });
+  }
+
+  // Run fn inside a transaction, rolling back if it throws. SQLite cannot
+  // nest transactions on one connection, so concurrent callers are queued
+  // (fn must not start another transaction itself)
+  transaction(fn) {
+    const run = this.transactionQueue.then(async () => {
+      await this.exec('BEGIN');
+      try {
+        const result = await fn(this);
+        await this.exec('COMMIT');
+        return result;
+      } catch (error) {
+        await this.exec('ROLLBACK');
+        throw error;
+      }
+    });
+    // A failed transaction must not block the ones queued behind it
+    this.transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Apply pending migrations in version order
+   * Each migration is { version, name, up } where up is SQL text
+   */
+  async migrate(migrations, table = 'schema_migrations') {
+    await this.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      );
+    `);
+
+    const applied = await this.all(`SELECT version FROM ${table}`);
+    const appliedVersions = new Set(applied.map((row) => row.version));
+
+    const pending = [...migrations]
+      .sort((a, b) => a.version - b.version)
+      .filter((migration) => !appliedVersions.has(migration.version));
+
+    for (const migration of pending) {
+      await this.transaction(async () => {
+        await this.exec(migration.up);
+        await this.run(
+          `INSERT INTO ${table} (version, name, applied_at) VALUES (?, ?, ?)`,
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+      });
+      console.log(`🗄️  Applied migration ${migration.version}: ${migration.name}`);
+    }
+
+    return pending.length;
+  }
+
+  // Abort the statement currently running on this connection
+  interrupt() {
+    if (this.db) this.db.interrupt();
+  }
+
+  async close() {
+    if (!this.db) return;
+    const db = this.db;
+    this.db = null;
+    await new Promise((resolvePromise, reject) => {
+      db.close((error) => (error ? reject(error) : resolvePromise()));
+    });
+  }
+}
+
+export { SqliteDatabase };
+export default SqliteDatabase;
@@ -0,0 +1,33 @@
+// Rows kept per list on each pass when a tool result is over budget
+const ROW_LIMITS = [50, 20, 10, 5, 3, 1];
+
+// Cut every list to its first rows, noting how many were left out
+const trimLists = (value, limit) => {
+  if (Array.isArray(value)) {
+    const kept = value.slice(0, limit).map((item) => trimLists(item, limit));
+    return value.length > limit ? [...kept, `... ${value.length - limit} more`] : kept;
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, trimLists(item, limit)]));
+  }
+  return value;
+};
+
+/**
+ * Tool result as message text within maxChars. An oversized object keeps
+ * its shape with shorter lists, so summaries and notes after a long table
+ * still reach the model; cutting the text is the last resort.
+ */
+export const compactToolResult = (result, maxChars) => {
+  const content = typeof result === 'string' ? result : JSON.stringify(result) ?? '';
+  if (content.length <= maxChars) return { content, compacted: false };
+
+  if (result && typeof result === 'object') {
+    for (const limit of ROW_LIMITS) {
+      const trimmed = JSON.stringify(trimLists(result, limit));
+      if (trimmed.length <= maxChars) return { content: trimmed, compacted: true };
+    }
+  }
+
+  return { content: `${content.substring(0, maxChars)}... [content truncated]`, compacted: true };
+};
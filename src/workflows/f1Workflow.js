@@ -115,7 +115,7 @@ class F1Workflow {
 
     try {
       // Get conversation context from memory
-      const conversationContext = this.memory.getRelevantContext(
+      const conversationContext = await this.memory.getRelevantContext(
         state.threadId,
         state.query,
       );
@@ -170,7 +170,7 @@ class F1Workflow {
     }
   }
 
-  async processAgent(state) {
+  async processAgent(state, config = {}) {
     console.log(`[F1Workflow] Processing with ${state.selectedAgent} agent...`);
 
     try {
@@ -199,6 +199,12 @@ class F1Workflow {
         f1Data: state.f1Data,
       };
 
+      // Forward tool and token events when running under stream()
+      const onStreamEvent = config.configurable?.onStreamEvent;
+      if (state.streamingEnabled && typeof onStreamEvent === 'function') {
+        context.onStreamEvent = onStreamEvent;
+      }
+
       // Handle year clarification context
       if (state.conversationHistory?.needsYearClarification) {
         context.needsYearClarification =
@@ -237,6 +243,8 @@ class F1Workflow {
           workflowPath: [...state.metadata.workflowPath, 'process_agent'],
           agentUsed: actualAgentId,
           agentConfidence: agentResponse.confidence,
+          toolSteps: agentResponse.metadata?.toolSteps || 0,
+          toolTrace: agentResponse.metadata?.toolTrace || [],
         },
       };
     } catch (error) {
@@ -365,21 +373,77 @@ class F1Workflow {
   }
 
   // Stream execution for real-time updates
+  // Yields { type, data } events: node transitions as each graph node
+  // completes, tool_start/tool_end and token events from the agent, and a
+  // final "complete" event carrying the finished workflow state.
   async *stream(initialState) {
     console.log('[F1Workflow] Starting streaming workflow execution...');
 
-    try {
-      // For now, fall back to regular execution since StateGraph.stream() is not available
-      const result = await this.workflow.invoke(initialState);
+    const pending = [];
+    let wakeUp = null;
+    let finished = false;
+    let failure = null;
+    let finalState = { ...initialState };
+
+    const push = (type, data = {}) => {
+      pending.push({ type, data, timestamp: new Date().toISOString() });
+      if (wakeUp) {
+        wakeUp();
+        wakeUp = null;
+      }
+    };
 
-      // Simulate streaming by yielding the final result
-      yield {
-        finalize_response: result,
-      };
-    } catch (error) {
-      console.error('[F1Workflow] Streaming workflow error:', error);
-      throw error;
+    const run = (async () => {
+      try {
+        const graphStream = await this.workflow.stream(
+          { ...initialState, streamingEnabled: true },
+          {
+            streamMode: 'updates',
+            configurable: { onStreamEvent: push },
+          },
+        );
+
+        for await (const update of graphStream) {
+          for (const [node, nodeState] of Object.entries(update)) {
+            finalState = { ...finalState, ...nodeState };
+            push('node', {
+              node,
+              selectedAgent: finalState.selectedAgent || null,
+              workflowPath: finalState.metadata?.workflowPath || [],
+            });
+          }
+        }
+
+        push('complete', finalState);
+      } catch (error) {
+        console.error('[F1Workflow] Streaming workflow error:', error);
+        failure = error;
+      } finally {
+        finished = true;
+        if (wakeUp) {
+          wakeUp();
+          wakeUp = null;
+        }
+      }
+    })();
+
+    while (!finished || pending.length > 0) {
+      if (pending.length === 0) {
+        await new Promise((resolve) => {
+          wakeUp = resolve;
+        });
+        continue;
+      }
+      yield pending.shift();
     }
+
+    await run;
+
+    if (failure) {
+      throw failure;
+    }
+
+    console.log('[F1Workflow] Streaming workflow completed successfully');
   }
 
   // Get workflow visualization
@@ -3,11 +3,18 @@
 /**
  * F1 Sequential Agents Integration Test
  * Tests the compatibility with F1 Client expectations
+ *
+ * Runs against a server replaying the recorded Ergast fixtures in
+ * tests/fixtures/ergast, so results never change between runs:
+ *   LLM_PROVIDER=fake npm run start:replay
+ *   node tests/test-integration.js
+ * Pass --live to run against a server using the live API instead.
  */
 
 import axios from 'axios';
 
 const BASE_URL = 'http://localhost:8000';
+const ALLOW_LIVE = process.argv.includes('--live');
 
 async function testIntegration() {
   console.log('🧪 Testing F1 Sequential Agents Integration...\n');
@@ -18,6 +25,13 @@ async function testIntegration() {
     const healthResponse = await axios.get(`${BASE_URL}/health`, { timeout: 5000 });
     console.log('✅ Health Status:', healthResponse.data.status);
     console.log('✅ Available Agents:', healthResponse.data.agents);
+    console.log('✅ F1 API Mode:', healthResponse.data.f1Api?.mode);
+    if (healthResponse.data.f1Api?.mode !== 'replay') {
+      if (!ALLOW_LIVE) {
+        throw new Error('Server is not replaying fixtures - start it with npm run start:replay, or pass --live');
+      }
+      console.log('⚠️  Server is using live Ergast data - results may change between runs');
+    }
     console.log('');
 
     // Test 2: Agents Endpoint (F1 Client compatibility)
@@ -48,6 +62,18 @@ async function testIntegration() {
     console.log('   - metadata:', queryResponse.data.metadata ? 'present' : 'missing');
     console.log('');
 
+    // Test 4: every Ergast request was served from a fixture
+    if (!ALLOW_LIVE) {
+      console.log('4. Checking Fixture Coverage...');
+      const { data: health } = await axios.get(`${BASE_URL}/health`, { timeout: 5000 });
+      const missing = health.f1Api?.missingFixtures || [];
+      if (missing.length > 0) {
+        throw new Error(`Missing Ergast fixtures (record them with npm run start:record):\n   ${missing.join('\n   ')}`);
+      }
+      console.log('✅ All Ergast requests replayed from fixtures');
+      console.log('');
+    }
+
     console.log('🎉 All integration tests passed!');
     console.log('🔧 F1 Client can now connect to F1 Sequential Agents');
 
@@ -81,8 +107,8 @@ async function main() {
     await testIntegration();
   } else {
     console.log('\n🚀 To run this test:');
-    console.log('   1. Start the server: npm start');
-    console.log('   2. Run this test: node test-integration.js');
+    console.log('   1. Start the server: LLM_PROVIDER=fake npm run start:replay');
+    console.log('   2. Run this test: node tests/test-integration.js');
   }
 }
 
@@ -0,0 +1,129 @@
+import { tool } from '@langchain/core/tools';
+import { z } from 'zod';
+import { BaseF1Agent } from '../../src/agents/baseAgent.js';
+import { ScriptedChatModel } from '../../src/providers/index.js';
+
+// Skips the live calendar lookup in processQuery
+const context = {
+  seasonResolution: { currentSeason: '2024', lastCompletedSeason: '2023', references: [] }
+};
+
+const createAgent = (type = 'driver') => {
+  const calls = [];
+  const lookupDriver = tool(
+    async ({ name }) => {
+      calls.push(name);
+      return { driverId: name.toLowerCase(), wins: name === 'Leclerc' ? 8 : 0 };
+    },
+    {
+      name: 'lookup_driver',
+      description: 'Look up a driver',
+      schema: z.object({ name: z.string() })
+    }
+  );
+
+  const agent = new BaseF1Agent(type, [lookupDriver]);
+  return { agent, calls };
+};
+
+describe('BaseF1Agent tool loop', () => {
+  test('runs the fake provider with its tools bound', () => {
+    const { agent } = createAgent();
+
+    expect(agent.model).toBeInstanceOf(ScriptedChatModel);
+    expect(agent.model.boundTools.map((boundTool) => boundTool.name)).toEqual(['lookup_driver']);
+  });
+
+  test('feeds each tool result back until the model answers', async () => {
+    const { agent, calls } = createAgent();
+    agent.model.enqueue(
+      { tool_calls: [{ name: 'lookup_driver', args: { name: 'Leclerc' } }] },
+      { tool_calls: [{ name: 'lookup_driver', args: { name: 'Sainz' } }] },
+      'Leclerc has 8 wins, Sainz has none.'
+    );
+
+    const result = await agent.processQuery('Compare Leclerc and Sainz', context);
+
+    expect(result.success).toBe(true);
+    expect(result.response).toBe('Leclerc has 8 wins, Sainz has none.');
+    expect(calls).toEqual(['Leclerc', 'Sainz']);
+    expect(result.metadata.toolSteps).toBe(2);
+    expect(result.metadata.stopReason).toBe('answered');
+    expect(result.metadata.toolTrace.map((step) => [step.step, step.status])).toEqual([
+      [1, 'success'],
+      [2, 'success']
+    ]);
+
+    // The second step saw the first tool result
+    const secondCall = agent.model.calls[1];
+    expect(secondCall.some((message) => String(message.content).includes('"wins":8'))).toBe(true);
+  });
+
+  test('stops when the model only repeats an earlier call', async () => {
+    const { agent, calls } = createAgent();
+    const lookup = { tool_calls: [{ name: 'lookup_driver', args: { name: 'Leclerc' } }] };
+    agent.model.enqueue(lookup, lookup, 'Leclerc has 8 wins.');
+
+    const result = await agent.processQuery('How many wins does Leclerc have?', context);
+
+    expect(calls).toEqual(['Leclerc']);
+    expect(result.metadata.stopReason).toBe('repeated_calls');
+    expect(result.metadata.toolTrace.map((step) => step.status)).toEqual(['success', 'repeated']);
+    expect(result.response).toBe('Leclerc has 8 wins.');
+  });
+
+  test('stops at the configured step budget', async () => {
+    const { agent, calls } = createAgent();
+    const maxSteps = agent.config.maxToolSteps;
+    for (let step = 0; step < maxSteps; step++) {
+      agent.model.enqueue({ tool_calls: [{ name: 'lookup_driver', args: { name: `Driver ${step}` } }] });
+    }
+    agent.model.enqueue('Done.');
+
+    const result = await agent.processQuery('Look everyone up', context);
+
+    expect(calls).toHaveLength(maxSteps);
+    expect(result.metadata.toolSteps).toBe(maxSteps);
+    expect(result.metadata.stopReason).toBe('max_steps');
+    expect(result.response).toBe('Done.');
+  });
+
+  test('reports an unknown tool as an error and keeps going', async () => {
+    const { agent } = createAgent();
+    agent.model.enqueue({ tool_calls: [{ name: 'missing_tool', args: {} }] }, 'No data.');
+
+    const result = await agent.processQuery('Anything', context);
+
+    expect(result.metadata.toolTrace[0]).toMatchObject({ toolName: 'missing_tool', status: 'error' });
+    expect(result.response).toBe('No data.');
+  });
+
+  const longResult = {
+    leadChanges: [{ lap: 1, driverId: 'leclerc' }],
+    laps: Array.from({ length: 2000 }, (_, index) => ({ lap: index + 1, gap: index / 10 })),
+    notes: ['Gaps are seconds behind the leader']
+  };
+
+  test('shortens long lists in an oversized tool result but keeps what follows them', () => {
+    const { agent } = createAgent();
+
+    const content = agent.formatToolContent({ toolName: 'lookup_driver', result: longResult });
+    const parsed = JSON.parse(content);
+
+    expect(content.length).toBeLessThanOrEqual(2000);
+    expect(parsed.leadChanges).toEqual(longResult.leadChanges);
+    expect(parsed.laps[parsed.laps.length - 1]).toMatch(/more$/);
+    expect(parsed.notes).toEqual(longResult.notes);
+  });
+
+  test('gives an agent with maxToolResultChars a larger tool result budget', () => {
+    const report = 'Lap 1: leclerc leads. '.repeat(200);
+
+    const driverContent = createAgent().agent.formatToolContent({ toolName: 'lookup_driver', result: report });
+    const raceContent = createAgent('raceResults').agent.formatToolContent({ toolName: 'lookup_driver', result: report });
+
+    expect(driverContent).toMatch(/\[content truncated\]$/);
+    expect(driverContent.length).toBeLessThan(2100);
+    expect(raceContent).toBe(report);
+  });
+});
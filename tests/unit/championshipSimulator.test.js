@@ -0,0 +1,64 @@
+import { ChampionshipSimulator } from '../../src/services/championshipSimulator.js';
+import { getPointsSystemForSeason } from '../../src/config/pointsSystems.js';
+
+const simulator = new ChampionshipSimulator({ noise: 0 });
+
+const input = (overrides = {}) => ({
+  season: '2022',
+  drivers: [
+    { driverId: 'leader', name: 'Leader', constructorId: 'alpha', points: 100, wins: 3, position: 1 },
+    { driverId: 'chaser', name: 'Chaser', constructorId: 'beta', points: 100, wins: 5, position: 2 }
+  ],
+  constructors: [],
+  remainingRaces: 0,
+  remainingSprints: 0,
+  form: { leader: [1], chaser: [2] },
+  ...overrides
+});
+
+describe('ChampionshipSimulator scoring', () => {
+  test('counts the fastest-lap point in the points still available', () => {
+    const result = simulator.simulate(input({ remainingRaces: 2, remainingSprints: 1 }), { iterations: 1, seed: 1 });
+
+    expect(result.maxPointsAvailable).toBe(2 * (25 + 1) + 8);
+  });
+
+  test('awards the fastest-lap point in every simulated race', () => {
+    const result = simulator.simulate(input({ remainingRaces: 1 }), { iterations: 200, seed: 7 });
+    const expected = result.drivers.reduce((total, driver) => total + driver.expectedPoints, 0);
+
+    expect(expected).toBeCloseTo(200 + 25 + 18 + 1, 5);
+  });
+
+  test('leaves the bonus out for seasons without one', () => {
+    const result = simulator.simulate(input({ remainingRaces: 1 }), {
+      iterations: 1,
+      seed: 1,
+      pointsSystem: getPointsSystemForSeason(2015)
+    });
+
+    expect(result.maxPointsAvailable).toBe(25);
+  });
+
+  test('settles level points by countback instead of a draw', () => {
+    const result = simulator.simulate(input(), { iterations: 100, seed: 3 });
+    const chaser = result.drivers.find((driver) => driver.driverId === 'chaser');
+
+    expect(chaser.titleProbability).toBe(100);
+  });
+
+  test('counts simulated race wins in the countback', () => {
+    const level = input({
+      drivers: input().drivers.map((driver) => ({ ...driver, wins: 0 })),
+      remainingRaces: 1
+    });
+    // 100 + 25 against 107 + 18, with no fastest-lap point to split them
+    level.drivers[1].points = 107;
+
+    const result = simulator.simulate(level, { iterations: 100, seed: 11, pointsSystem: getPointsSystemForSeason(2015) });
+    const leader = result.drivers.find((driver) => driver.driverId === 'leader');
+
+    expect(leader.expectedPoints).toBe(125);
+    expect(leader.titleProbability).toBe(100);
+  });
+});
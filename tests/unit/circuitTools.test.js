@@ -0,0 +1,44 @@
+import CircuitTools from '../../src/tools/circuitTools.js';
+
+// Monza hosted every season from 1950 except 1980
+const MONZA_SEASONS = Array.from({ length: 75 }, (_, index) => String(1950 + index)).filter(
+  (season) => season !== '1980'
+);
+
+const createTools = () => {
+  const tools = new CircuitTools();
+  const requests = [];
+  tools.f1Client.fetchAllPages = async (endpoint) => {
+    requests.push(endpoint);
+    if (endpoint === '/circuits/monza/seasons') {
+      return { MRData: { SeasonTable: { Seasons: MONZA_SEASONS.map((season) => ({ season })) } } };
+    }
+    const season = endpoint.split('/')[1];
+    return { MRData: { RaceTable: { Races: [{ season, round: '16', Results: [] }] } } };
+  };
+  return { tools, requests };
+};
+
+describe('CircuitTools recent circuit results', () => {
+  test('requests only the seasons in the window', async () => {
+    const { tools, requests } = createTools();
+
+    const races = await tools.getRecentCircuitResults('monza', { races: 3 });
+
+    expect(races.map((race) => race.season)).toEqual(['2022', '2023', '2024']);
+    expect(requests).toEqual([
+      '/circuits/monza/seasons',
+      '/2022/circuits/monza/results',
+      '/2023/circuits/monza/results',
+      '/2024/circuits/monza/results'
+    ]);
+  });
+
+  test('takes the window from the end of the season range', async () => {
+    const { tools } = createTools();
+
+    const races = await tools.getRecentCircuitResults('monza', { races: 2, fromSeason: '1975', toSeason: '1981' });
+
+    expect(races.map((race) => race.season)).toEqual(['1979', '1981']);
+  });
+});
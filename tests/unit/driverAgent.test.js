@@ -0,0 +1,58 @@
+import { DriverPerformanceAgent } from '../../src/agents/driverAgent.js';
+
+const agent = new DriverPerformanceAgent();
+
+const race = (round, grid, position) => ({
+  season: '2024',
+  round: String(round),
+  Circuit: { circuitId: `circuit${round}` },
+  Results: [{ grid: String(grid), position: String(position), positionText: String(position), points: '10' }]
+});
+
+// Round 1: pole but a grid penalty; round 2: grid 1 after someone else's penalty
+const races = [race(1, 6, 3), race(2, 1, 1), race(3, 1, 2)];
+const poleRaces = [
+  { season: '2024', round: '1' },
+  { season: '2024', round: '3' }
+];
+
+describe('DriverPerformanceAgent poles', () => {
+  test('counts poles from qualifying rather than the grid', () => {
+    const summary = agent.summarizeRaceResults(races, poleRaces);
+
+    expect(summary.poles).toBe(2);
+    expect(summary.startsFromPole).toBe(2);
+  });
+
+  test('leaves poles unknown when qualifying poles were not fetched', () => {
+    expect(agent.summarizeRaceResults(races).poles).toBeNull();
+  });
+
+  test('reads poles from grid slot 1 before qualifying data is complete', () => {
+    const clark1965 = [race(1, 1, 1), race(2, 3, 1)].map((entry) => ({ ...entry, season: '1965' }));
+    const summary = agent.summarizeRaceResults(clark1965, []);
+
+    expect(summary.poles).toBe(1);
+    expect(summary.polesSource).toBe('grid slot 1 (no complete qualifying data)');
+  });
+
+  test('labels a career that spans both sources', () => {
+    const career = [{ ...race(1, 1, 1), season: '2001' }, ...races];
+    const summary = agent.summarizeRaceResults(career, poleRaces);
+
+    expect(summary.poles).toBe(3);
+    expect(summary.polesSource).toBe('qualifying from 2003, grid slot 1 before');
+  });
+
+  test('reads season poles from the qualifying results', () => {
+    const qualifying = [
+      { round: '1', QualifyingResults: [{ position: '1' }] },
+      { round: '2', QualifyingResults: [{ position: '4' }] },
+      { round: '3', QualifyingResults: [{ position: '2' }] }
+    ].map((session) => ({ season: '2024', ...session }));
+
+    const analysis = agent.generateSeasonAnalysis(races, [], qualifying);
+
+    expect(analysis.poles).toBe(1);
+  });
+});
@@ -0,0 +1,55 @@
+import { EloRatingEngine } from '../../src/services/eloRatingEngine.js';
+import RaceTools from '../../src/tools/raceTools.js';
+
+const result = (position, driverId, positionText, status) => ({
+  position: String(position),
+  positionText,
+  status,
+  Driver: { driverId, givenName: driverId, familyName: 'Driver' },
+  Constructor: { constructorId: 'team' }
+});
+
+const createEngine = () => {
+  const saved = [];
+  const engine = new EloRatingEngine({
+    store: { saveRace: async (mode, race, records) => saved.push(...records) },
+    initialRating: 1500,
+    kFactor: 32,
+    provisionalRaces: 1
+  });
+  return { engine, saved };
+};
+
+describe('EloRatingEngine race processing', () => {
+  test('leaves non-qualifiers and withdrawals out of the contests', async () => {
+    const { engine, saved } = createEngine();
+    const state = { ratings: new Map(), processed: new Set() };
+
+    await engine.processRace('all', state, { season: 1989, round: 1 }, [
+      result(1, 'winner', '1', 'Finished'),
+      result(2, 'second', '2', 'Finished'),
+      result(3, 'retired', 'R', 'Engine'),
+      result(4, 'nonQualifier', 'F', 'Did not qualify'),
+      result(5, 'withdrawn', 'W', 'Withdrew')
+    ]);
+
+    expect(saved.map((record) => record.driverId).sort()).toEqual(['retired', 'second', 'winner']);
+    expect(state.ratings.has('nonQualifier')).toBe(false);
+    expect(state.processed.has('1989-1')).toBe(true);
+  });
+
+  test('reads every results row of a race, not just the first page', async () => {
+    const raceTools = new RaceTools();
+    const endpoints = [];
+    raceTools.f1Client.fetchAllPages = async (endpoint) => {
+      endpoints.push(endpoint);
+      const Results = Array.from({ length: 33 }, (_, index) => result(index + 1, `driver${index}`, String(index + 1), 'Finished'));
+      return { MRData: { RaceTable: { Races: [{ season: '1950', round: '3', Results }] } } };
+    };
+
+    const race = await raceTools.getRaceResults('1950', '3');
+
+    expect(endpoints).toEqual(['/1950/3/results']);
+    expect(race.Results).toHaveLength(33);
+  });
+});
@@ -0,0 +1,146 @@
+import F1ApiClient from '../../src/tools/f1ApiClient.js';
+import { InMemoryApiCache } from '../../src/tools/cache/index.js';
+
+const ENDPOINT = '/2024/results';
+
+const race = (round, drivers) => ({
+  season: '2024',
+  round,
+  raceName: `Race ${round}`,
+  Results: drivers.map((driverId) => ({ Driver: { driverId } }))
+});
+
+const page = (races, offset) => ({
+  MRData: {
+    limit: '2',
+    offset: String(offset),
+    total: '5',
+    RaceTable: { season: '2024', Races: races }
+  }
+});
+
+// Round 2 is split across the first two pages
+const pages = [
+  page([race('1', ['a']), race('2', ['a'])], 0),
+  page([race('2', ['b', 'c']), race('3', ['a'])], 2),
+  page([race('3', ['b'])], 4)
+];
+
+const createClient = async () => {
+  const cache = new InMemoryApiCache();
+  for (const [index, data] of pages.entries()) {
+    const params = { limit: 2, offset: index * 2 };
+    await cache.set(`${ENDPOINT}_${JSON.stringify(params)}`, { category: 'historical', data, expiresAt: null });
+  }
+  const client = new F1ApiClient({ cache, cacheEnabled: true, mode: 'live', warehouse: false });
+  client.rateLimitDelay = 0;
+  return client;
+};
+
+const resultCounts = (response) =>
+  response.MRData.RaceTable.Races.map((item) => [item.round, item.Results.length]);
+
+describe('F1ApiClient.fetchAllPages', () => {
+  test('merges a round split across pages', async () => {
+    const client = await createClient();
+
+    const response = await client.fetchAllPages(ENDPOINT, {}, { pageSize: 2 });
+
+    expect(resultCounts(response)).toEqual([
+      ['1', 1],
+      ['2', 3],
+      ['3', 2]
+    ]);
+    expect(response.MRData.limit).toBe('5');
+  });
+
+  test('returns the same rows when repeated through the cache', async () => {
+    const client = await createClient();
+
+    const first = await client.fetchAllPages(ENDPOINT, {}, { pageSize: 2 });
+    const second = await client.fetchAllPages(ENDPOINT, {}, { pageSize: 2 });
+
+    expect(resultCounts(second)).toEqual(resultCounts(first));
+    // The cached pages themselves are untouched
+    expect(pages[0].MRData.RaceTable.Races[1].Results).toHaveLength(1);
+    expect(pages[1].MRData.RaceTable.Races[1].Results).toHaveLength(1);
+  });
+
+  test('merges laps whose timings straddle a page', async () => {
+    const lapPages = [
+      { MRData: { total: '3', RaceTable: { Races: [{ season: '2024', round: '1', Laps: [{ number: '1', Timings: [{ driverId: 'a' }, { driverId: 'b' }] }] }] } } },
+      { MRData: { total: '3', RaceTable: { Races: [{ season: '2024', round: '1', Laps: [{ number: '1', Timings: [{ driverId: 'c' }] }] }] } } }
+    ];
+    const client = new F1ApiClient({ cacheEnabled: false, mode: 'live', warehouse: false });
+    const fetchPage = async (_path, { offset }) => lapPages[offset / 2];
+
+    for (let run = 0; run < 2; run++) {
+      const response = await client.fetchAllPages('/2024/1/laps', {}, { pageSize: 2, fetchPage });
+      expect(response.MRData.RaceTable.Races[0].Laps[0].Timings).toHaveLength(3);
+    }
+    expect(lapPages[0].MRData.RaceTable.Races[0].Laps[0].Timings).toHaveLength(2);
+  });
+});
+
+describe('F1ApiClient.fetchRecentPages', () => {
+  // Two cars per race over 300 races, served the way Ergast pages result rows
+  const rows = Array.from({ length: 600 }, (_, index) => ({
+    season: String(1950 + Math.floor(index / 20)),
+    round: String(Math.floor(index / 2) % 10 + 1),
+    driverId: index % 2 ? 'b' : 'a'
+  }));
+  const createBackend = () => {
+    const requests = [];
+    const fetchPage = async (_path, { limit, offset }) => {
+      requests.push({ limit, offset });
+      const Races = [];
+      rows.slice(offset, offset + limit).forEach((row) => {
+        const last = Races[Races.length - 1];
+        if (last && last.season === row.season && last.round === row.round) {
+          last.Results.push({ Driver: { driverId: row.driverId } });
+        } else {
+          Races.push({ season: row.season, round: row.round, Results: [{ Driver: { driverId: row.driverId } }] });
+        }
+      });
+      return { MRData: { total: String(rows.length), RaceTable: { Races } } };
+    };
+    return { fetchPage, requests };
+  };
+  const client = new F1ApiClient({ cacheEnabled: false, mode: 'live', warehouse: false });
+
+  test('fetches only the tail of a long history', async () => {
+    const { fetchPage, requests } = createBackend();
+
+    const response = await client.fetchRecentPages('/constructors/ferrari/results', {}, { count: 30, pageSize: 100, fetchPage });
+    const races = response.MRData.RaceTable.Races;
+
+    expect(requests).toEqual([
+      { limit: 1, offset: 0 },
+      { limit: 100, offset: 500 }
+    ]);
+    expect(races).toHaveLength(30);
+    expect(races[races.length - 1]).toMatchObject({ season: '1979', round: '10' });
+    expect(races.every((race) => race.Results.length === 2)).toBe(true);
+  });
+
+  test('completes a race split at the page edge', async () => {
+    const { fetchPage, requests } = createBackend();
+
+    const response = await client.fetchRecentPages('/constructors/ferrari/results', {}, { count: 5, pageSize: 9, fetchPage });
+    const races = response.MRData.RaceTable.Races;
+
+    expect(requests).toHaveLength(3);
+    expect(races).toHaveLength(5);
+    expect(races.every((race) => race.Results.length === 2)).toBe(true);
+  });
+
+  test('keeps the newest rows when the page limit is reached', async () => {
+    const { fetchPage } = createBackend();
+
+    const response = await client.fetchRecentPages('/constructors/ferrari/results', {}, { count: 100, pageSize: 50, maxPages: 2, fetchPage });
+    const races = response.MRData.RaceTable.Races;
+
+    expect(races[races.length - 1]).toMatchObject({ season: '1979', round: '10' });
+    expect(races).toHaveLength(49);
+  });
+});
@@ -0,0 +1,41 @@
+import { AIMessage, HumanMessage } from '@langchain/core/messages';
+import { F1StateGraphOrchestrator } from '../../src/graph/f1StateGraph.js';
+
+const orchestrator = new F1StateGraphOrchestrator();
+
+describe('F1StateGraphOrchestrator result summary', () => {
+  test('never returns the user question as the answer', () => {
+    const result = orchestrator.summarizeResult({
+      messages: [new HumanMessage('Who won Monaco 2024?')],
+      errorState: { message: 'Agent timed out' }
+    });
+
+    expect(result.response).toBeNull();
+    expect(result.error).toBe('Agent timed out');
+  });
+
+  test('reports a missing answer when no error was recorded', () => {
+    const result = orchestrator.summarizeResult({ messages: [new HumanMessage('Who won Monaco 2024?')] });
+
+    expect(result.response).toBeNull();
+    expect(result.error).toBe('No agent produced a response');
+  });
+
+  test('falls back to the last AI message', () => {
+    const result = orchestrator.summarizeResult({
+      messages: [new HumanMessage('Who won Monaco 2024?'), new AIMessage('Charles Leclerc')]
+    });
+
+    expect(result.response).toBe('Charles Leclerc');
+    expect(result.error).toBeNull();
+  });
+
+  test('waits for confirmation without reporting an error', () => {
+    const result = orchestrator.summarizeResult({
+      messages: [new HumanMessage('Who won Monaco 2024?')],
+      awaitingConfirmation: true
+    });
+
+    expect(result.error).toBeNull();
+  });
+});
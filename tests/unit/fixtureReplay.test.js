@@ -0,0 +1,38 @@
+import F1ApiClient from '../../src/tools/f1ApiClient.js';
+import SeasonTools from '../../src/tools/seasonTools.js';
+import { SeasonResolver } from '../../src/services/seasonResolver.js';
+import { getMissingFixtures } from '../../src/tools/fixtureStore.js';
+
+const createReplayClient = () => new F1ApiClient({ mode: 'replay', cacheEnabled: false, warehouse: false });
+
+describe('F1ApiClient replay mode', () => {
+  test('serves recorded fixtures', async () => {
+    const response = await createReplayClient().fetchWithCache('/2024/races');
+
+    expect(response.MRData.RaceTable.Races).toHaveLength(24);
+  });
+
+  test('fails on a missing fixture and records the miss', async () => {
+    await expect(createReplayClient().fetchWithCache('/1950/races')).rejects.toMatchObject({
+      code: 'FIXTURE_MISSING'
+    });
+    expect(getMissingFixtures()).toEqual([expect.stringMatching(/1950[\\/]races\.json$/)]);
+  });
+
+  test('resolves the season context from the committed calendar', async () => {
+    const seasonTools = new SeasonTools();
+    seasonTools.f1Client = createReplayClient();
+    const resolver = new SeasonResolver({ seasonTools });
+
+    const context = await resolver.getSeasonContext(new Date('2024-06-01T00:00:00Z'));
+
+    expect(context).toMatchObject({
+      currentSeason: '2024',
+      lastCompletedSeason: '2023',
+      roundsCompleted: 8,
+      totalRounds: 24,
+      previousRace: { round: '8', raceName: 'Monaco Grand Prix' },
+      nextRace: { round: '9', raceName: 'Canadian Grand Prix' }
+    });
+  });
+});
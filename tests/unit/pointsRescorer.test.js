@@ -0,0 +1,22 @@
+import { PointsRescorer } from '../../src/services/pointsRescorer.js';
+import { getPointsSystemForSeason } from '../../src/config/pointsSystems.js';
+
+const rescorer = new PointsRescorer();
+
+describe('PointsRescorer dropped scores', () => {
+  test('splits 1979 after seven races, as the season was scored', () => {
+    // Four wins in the first seven races, then a win in race eight
+    const roundPoints = [9, 9, 9, 9, 0, 0, 0, 9, 0, 0, 0, 0, 0, 0, 0];
+    const { droppedScores } = getPointsSystemForSeason(1979);
+
+    expect(rescorer.applyDroppedScores(roundPoints, droppedScores)).toBe(45);
+  });
+
+  test('falls back to an even split when the first half has no race count', () => {
+    // 1977: best 8 of the first nine races and best 7 of the last eight
+    const roundPoints = [9, 9, 9, 9, 9, 9, 9, 9, 1, 6, 6, 6, 6, 6, 6, 6, 1];
+    const { droppedScores } = getPointsSystemForSeason(1977);
+
+    expect(rescorer.applyDroppedScores(roundPoints, droppedScores)).toBe(72 + 42);
+  });
+});
@@ -0,0 +1,87 @@
+import { AIMessage, HumanMessage } from '@langchain/core/messages';
+import { createChatModel, getAvailableProviders, ScriptedChatModel } from '../../src/providers/index.js';
+import { modelConfig } from '../../src/config/modelConfig.js';
+import { F1RouterAgent } from '../../src/agents/f1RouterAgent.js';
+
+describe('LLM providers', () => {
+  test('lists the registered providers', () => {
+    expect(getAvailableProviders()).toEqual(expect.arrayContaining(['openai', 'openai-compatible', 'fake']));
+  });
+
+  test('creates the scripted model for the fake provider', () => {
+    expect(createChatModel('fake')).toBeInstanceOf(ScriptedChatModel);
+  });
+
+  test('rejects an unknown provider', () => {
+    expect(() => createChatModel('nope')).toThrow('Unknown LLM provider: nope');
+  });
+
+  test('uses the fake provider by default under test', () => {
+    expect(modelConfig.getModelInstance()).toBeInstanceOf(ScriptedChatModel);
+    expect(modelConfig.getModelInstance({ provider: 'fake' })).toBeInstanceOf(ScriptedChatModel);
+  });
+});
+
+describe('ScriptedChatModel', () => {
+  test('replies from the script, then rules, then the default', async () => {
+    const model = new ScriptedChatModel({
+      script: ['first'],
+      rules: [{ match: /monaco/i, response: 'Monaco answer' }],
+      defaultResponse: 'fallback'
+    });
+
+    expect((await model.invoke([new HumanMessage('hi')])).content).toBe('first');
+    expect((await model.invoke([new HumanMessage('Tell me about Monaco')])).content).toBe('Monaco answer');
+    expect((await model.invoke([new HumanMessage('hi')])).content).toBe('fallback');
+    expect(model.calls).toHaveLength(3);
+  });
+
+  test('turns scripted tool calls into AI message tool calls', async () => {
+    const model = new ScriptedChatModel({
+      script: [{ tool_calls: [{ name: 'get_driver_details', args: { driverId: 'hamilton' } }] }]
+    });
+
+    const message = await model.invoke([new HumanMessage('Who is Hamilton?')]);
+
+    expect(message).toBeInstanceOf(AIMessage);
+    expect(message.tool_calls).toEqual([
+      expect.objectContaining({ name: 'get_driver_details', args: { driverId: 'hamilton' } })
+    ]);
+  });
+});
+
+describe('F1RouterAgent with a scripted model', () => {
+  test('routes to the agent the model picks', async () => {
+    const router = new F1RouterAgent();
+    const result = await router.processQuery('Hamilton career wins', new ScriptedChatModel({ script: ['DRIVER'] }));
+
+    expect(result.selectedAgent).toBe('driver');
+  });
+
+  test('falls back to race results for an unknown answer', async () => {
+    const router = new F1RouterAgent();
+    const result = await router.processQuery('Something', new ScriptedChatModel({ script: ['WEATHER'] }));
+
+    expect(result.selectedAgent).toBe('race_results');
+  });
+
+  test('passes off-topic rejections through', async () => {
+    const router = new F1RouterAgent();
+    const result = await router.processQuery('Best pizza?', new ScriptedChatModel({ script: ['OFF_TOPIC'] }));
+
+    expect(result.selectedAgent).toBe('off_topic');
+    expect(result.message).toMatch(/Formula 1 queries only/);
+  });
+
+  test('uses its own model when the routing provider is overridden', async () => {
+    const router = new F1RouterAgent();
+    router.provider = 'fake';
+    router.getModel().enqueue('CIRCUIT');
+    const sharedLLM = new ScriptedChatModel({ script: ['DRIVER'] });
+
+    const result = await router.processQuery('Monza lap record', sharedLLM);
+
+    expect(result.selectedAgent).toBe('circuit');
+    expect(sharedLLM.calls).toHaveLength(0);
+  });
+});
@@ -0,0 +1,109 @@
+import { QualifyingAnalytics } from '../../src/services/qualifyingAnalytics.js';
+
+const analytics = new QualifyingAnalytics();
+
+const entry = (position, driverId, constructorId, times) => ({
+  position: String(position),
+  Driver: { driverId, givenName: driverId, familyName: 'Driver' },
+  Constructor: { constructorId, name: constructorId },
+  ...times
+});
+
+const result = (position, driverId, grid, status = 'Finished') => ({
+  position: String(position),
+  positionText: String(position),
+  grid: String(grid),
+  status,
+  Driver: { driverId }
+});
+
+// Dry Q1 and Q2, wet Q3: everyone's best lap came before the rain
+const wetQ3 = {
+  season: '2024',
+  round: '1',
+  raceName: 'Test Grand Prix',
+  QualifyingResults: [
+    entry(1, 'pole', 'alpha', { Q1: '1:30.000', Q2: '1:29.800', Q3: '1:40.000' }),
+    entry(2, 'second', 'beta', { Q1: '1:30.200', Q2: '1:29.900', Q3: '1:40.500' }),
+    entry(3, 'outInQ2', 'alpha', { Q1: '1:30.300', Q2: '1:30.100' }),
+    entry(4, 'outInQ1', 'beta', { Q1: '1:30.900' })
+  ]
+};
+
+const race = {
+  Results: [
+    result(1, 'second', 2),
+    result(2, 'pole', 1),
+    result(3, 'outInQ1', 3),
+    result(4, 'outInQ2', 0)
+  ]
+};
+
+describe('QualifyingAnalytics session', () => {
+  const session = analytics.buildSession(wetQ3, race);
+  const driver = (driverId) => session.drivers.find((candidate) => candidate.driverId === driverId);
+
+  test('takes the pole lap from the final part of qualifying', () => {
+    expect(session.pole.time).toBe(100);
+  });
+
+  test('measures each driver against pole in the same part of qualifying', () => {
+    expect(driver('second')).toMatchObject({ gapSession: 'Q3', gapToPole: 0.5 });
+    expect(driver('outInQ2')).toMatchObject({ gapSession: 'Q2', gapToPole: 0.3 });
+    expect(driver('outInQ1')).toMatchObject({ gapSession: 'Q1', gapToPole: 0.9, gapToPolePercent: 1 });
+  });
+
+  test('counts a pit-lane start from the back of the grid', () => {
+    expect(driver('outInQ2').race).toMatchObject({ grid: null, pitLaneStart: true, gridChange: 1 });
+    expect(driver('outInQ1').race).toMatchObject({ grid: 3, pitLaneStart: false, gridChange: -1 });
+  });
+});
+
+describe('QualifyingAnalytics pole conversion', () => {
+  const racer = (driverId) => ({ driverId, givenName: driverId, familyName: 'Driver' });
+  const monza = { circuitId: 'monza', circuitName: 'Monza' };
+  const race = (season, list, rows) => ({ season, round: '1', raceName: 'Italian Grand Prix', Circuit: monza, [list]: rows });
+  const finish = (position, driverId, grid) => ({ ...result(position, driverId, grid), Driver: racer(driverId) });
+
+  const conversion = new QualifyingAnalytics({
+    raceTools: {
+      getPoleStartResults: async () => [
+        race('1990', 'Results', [finish(1, 'senna', 1)]),
+        race('2005', 'Results', [finish(1, 'promoted', 1)]),
+        race('2006', 'Results', [finish(2, 'polesitter', 1)])
+      ],
+      getPoleQualifyingResults: async () => [
+        race('2005', 'QualifyingResults', [entry(1, 'penalised', 'alpha', {})]),
+        race('2006', 'QualifyingResults', [entry(1, 'polesitter', 'beta', {})])
+      ],
+      getWinnerResults: async () => [
+        race('1990', 'Results', [finish(1, 'senna', 1)]),
+        race('2005', 'Results', [finish(1, 'promoted', 1)]),
+        race('2006', 'Results', [finish(1, 'winner', 3)])
+      ]
+    }
+  });
+
+  test('uses the qualifying pole where it exists and grid slot 1 before', async () => {
+    const { circuits } = await conversion.getPoleConversion({ circuitId: 'monza' });
+    const [circuit] = circuits;
+
+    const summary = circuit.history.map(({ season, poleSitter, poleSource, won }) => ({ season, poleSitter, poleSource, won }));
+
+    expect(summary).toEqual([
+      { season: '1990', poleSitter: 'senna Driver', poleSource: 'grid slot 1', won: true },
+      { season: '2005', poleSitter: 'penalised Driver', poleSource: 'qualifying', won: false },
+      { season: '2006', poleSitter: 'polesitter Driver', poleSource: 'qualifying', won: false }
+    ]);
+    expect(circuit).toMatchObject({ races: 3, poleWins: 1, poleSource: 'qualifying from 2005, grid slot 1 before' });
+  });
+
+  test('reports the finish only when the pole sitter result is known', async () => {
+    const { circuits } = await conversion.getPoleConversion({ circuitId: 'monza', fromSeason: '2005' });
+    const [penalised, polesitter] = circuits[0].history;
+
+    expect(penalised).toMatchObject({ finish: null, status: null });
+    expect(polesitter).toMatchObject({ finish: 2, status: 'Finished' });
+    expect(circuits[0].poleSource).toBe('qualifying');
+  });
+});
@@ -0,0 +1,39 @@
+import { RaceProgression } from '../../src/services/raceProgression.js';
+
+const result = (position, driverId, grid, status = 'Finished', positionText = String(position)) => ({
+  position: String(position),
+  positionText,
+  grid: String(grid),
+  status,
+  Driver: { driverId, givenName: driverId, familyName: 'Driver' }
+});
+
+const lap = (number, order) => ({
+  number: String(number),
+  Timings: order.map((driverId, index) => ({ driverId, position: String(index + 1), time: `1:3${index}.000` }))
+});
+
+describe('RaceProgression', () => {
+  const progression = new RaceProgression({
+    raceTools: {
+      getRaceResults: async () => ({
+        raceName: 'Test Grand Prix',
+        Results: [
+          result(1, 'leader', 1),
+          result(2, 'second', 2),
+          result(3, 'pitlane', 0),
+          result(4, 'withdrawn', 0, 'Withdrew', 'W')
+        ]
+      }),
+      getLapTimes: async () => [{ Laps: [lap(1, ['leader', 'pitlane', 'second']), lap(2, ['leader', 'pitlane', 'second'])] }],
+      getPitstops: async () => null
+    }
+  });
+
+  test('starts a pit-lane starter behind the cars that took the start', async () => {
+    const { drivers } = await progression.getProgression(2024, 1);
+    const pitlane = drivers.find((driver) => driver.driverId === 'pitlane');
+
+    expect(pitlane.lap1).toEqual({ position: 2, positionsGained: 1 });
+  });
+});
@@ -0,0 +1,77 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SqliteDatabase } from '../../src/utils/sqliteDatabase.js';
+import { warehouseMigrations } from '../../src/services/warehouse/migrations.js';
+import { SqlAnalytics } from '../../src/services/warehouse/sqlAnalytics.js';
+
+// Never finishes on its own; only the timeout stops it
+const RUNAWAY = 'WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n) SELECT COUNT(*) AS total FROM n';
+// Well inside the time limit when it gets the connection to itself
+const SLOW = 'WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n WHERE x < 500000) SELECT COUNT(*) AS total FROM n';
+
+describe('SqlAnalytics', () => {
+  let directory;
+  let url;
+  let analytics;
+
+  beforeAll(async () => {
+    directory = mkdtempSync(join(tmpdir(), 'f1-warehouse-'));
+    url = `sqlite:${join(directory, 'warehouse.db')}`;
+
+    const warehouse = new SqliteDatabase(url);
+    await warehouse.open();
+    await warehouse.migrate(warehouseMigrations);
+    for (let season = 2001; season <= 2010; season++) {
+      await warehouse.run('INSERT INTO seasons (season, url) VALUES (?, ?)', [season, '']);
+    }
+    await warehouse.close();
+  });
+
+  afterAll(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    analytics = new SqlAnalytics({ url, defaultRows: 3, maxRows: 5, timeoutMs: 300 });
+  });
+
+  afterEach(async () => {
+    await analytics.close();
+  });
+
+  test('rejects anything but a single SELECT', () => {
+    expect(() => analytics.validate('DELETE FROM seasons')).toThrow('Only SELECT queries');
+    expect(() => analytics.validate('SELECT 1; DROP TABLE seasons')).toThrow('Only a single statement');
+    expect(() => analytics.validate('WITH s AS (SELECT 1) DELETE FROM seasons')).toThrow('"DELETE" is not allowed');
+    expect(() => analytics.validate("SELECT 'drop; table' AS note -- update")).not.toThrow();
+  });
+
+  test('caps the rows returned and flags the cut', async () => {
+    const capped = await analytics.query('SELECT season FROM seasons ORDER BY season');
+    expect(capped.rows.map((row) => row.season)).toEqual([2001, 2002, 2003]);
+    expect(capped.truncated).toBe(true);
+
+    const widest = await analytics.query('SELECT season FROM seasons', [], { maxRows: 50 });
+    expect(widest.rowCount).toBe(5);
+    expect(widest.truncated).toBe(true);
+  });
+
+  test('runs a query that ends in a line comment', async () => {
+    const result = await analytics.query('SELECT COUNT(*) AS total FROM seasons -- every season');
+    expect(result.rows).toEqual([{ total: 10 }]);
+  });
+
+  test('interrupts a query that runs past the time limit', async () => {
+    await expect(analytics.query(RUNAWAY)).rejects.toThrow('Query exceeded the 300ms time limit');
+  });
+
+  test('a query waiting behind a runaway one still gets its full time limit', async () => {
+    const runaway = analytics.query(RUNAWAY);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const slow = analytics.query(SLOW);
+
+    await expect(runaway).rejects.toThrow('time limit');
+    await expect(slow).resolves.toMatchObject({ rows: [{ total: 500000 }] });
+  });
+});
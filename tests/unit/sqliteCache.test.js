@@ -0,0 +1,36 @@
+import { SqliteApiCache } from '../../src/tools/cache/index.js';
+
+const entry = (value) => ({ category: 'historical', data: { value }, timestamp: Date.now(), expiresAt: null });
+
+describe('SqliteApiCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new SqliteApiCache({ url: 'sqlite::memory:', maxSize: 3 });
+  });
+
+  afterEach(async () => {
+    await cache.close();
+  });
+
+  test('keeps every write made in parallel', async () => {
+    await Promise.all(['a', 'b', 'c'].map((key) => cache.set(key, entry(key))));
+
+    const values = await Promise.all(['a', 'b', 'c'].map((key) => cache.get(key)));
+    expect(values.map((cached) => cached?.data.value)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('prunes to maxSize by least recent use', async () => {
+    for (const key of ['a', 'b', 'c']) {
+      await cache.set(key, entry(key));
+      await new Promise((resolve) => setTimeout(resolve, 2));
+    }
+    await cache.get('a');
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    await cache.set('d', entry('d'));
+
+    const stats = await cache.getStats();
+    expect(stats.size).toBe(3);
+    expect(stats.keys).not.toContain('b');
+  });
+});
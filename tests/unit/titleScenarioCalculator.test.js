@@ -0,0 +1,58 @@
+import { TitleScenarioCalculator } from '../../src/services/titleScenarioCalculator.js';
+
+const calculator = new TitleScenarioCalculator();
+
+// 2022 standings before Suzuka, where Verstappen sealed the title
+const japan2022 = {
+  season: '2022',
+  drivers: [
+    { id: 'max_verstappen', name: 'Max Verstappen', points: 341 },
+    { id: 'leclerc', name: 'Charles Leclerc', points: 237 },
+    { id: 'perez', name: 'Sergio Perez', points: 235 }
+  ],
+  constructors: [],
+  remainingRounds: [
+    { round: 18, raceName: 'Japanese Grand Prix', date: '2022-10-09', sprint: false },
+    { round: 19, raceName: 'United States Grand Prix', date: '2022-10-23', sprint: false },
+    { round: 20, raceName: 'Mexico City Grand Prix', date: '2022-10-30', sprint: false },
+    { round: 21, raceName: 'São Paulo Grand Prix', date: '2022-11-13', sprint: true },
+    { round: 22, raceName: 'Abu Dhabi Grand Prix', date: '2022-11-20', sprint: false }
+  ],
+  rules: calculator.getScoringRules('2022')
+};
+
+const findScenario = (clinch, leaderPoints) =>
+  clinch.scenarios.find((scenario) => scenario.leaderPoints === leaderPoints);
+
+describe('TitleScenarioCalculator clinch scenarios', () => {
+  const clinch = calculator.analyze(japan2022).nextRound.driverClinch;
+
+  test('counts the points still available after the next round', () => {
+    expect(clinch.possible).toBe(true);
+    expect(clinch.pointsAvailableAfter).toBe(112);
+  });
+
+  test('a win with the fastest lap only needs Leclerc off the second place', () => {
+    const scenario = findScenario(clinch, 26);
+    expect(scenario.leaderResults).toEqual(['P1, fastest lap']);
+    expect(scenario.rivalConditions.map((condition) => condition.id)).toEqual(['leclerc']);
+    expect(scenario.rivalConditions[0].finishNoHigherThan).toBe(3);
+  });
+
+  test('a win without the fastest lap leaves Perez one result short', () => {
+    const scenario = findScenario(clinch, 25);
+    const [leclerc, perez] = scenario.rivalConditions;
+    expect(leclerc.finishNoHigherThan).toBe(3);
+    expect(perez.id).toBe('perez');
+    expect(perez.finishNoHigherThan).toBe(2);
+    expect(perez.finishNoHigherThanWithFastestLap).toBe(3);
+  });
+
+  test('rival maximum excludes the places and bonus the leader already holds', () => {
+    const round = japan2022.remainingRounds[0];
+    const rules = japan2022.rules;
+    expect(calculator.getRivalMaximum(round, rules, { racePosition: 1, fastestLap: true })).toBe(18);
+    expect(calculator.getRivalMaximum(round, rules, { racePosition: 1, fastestLap: false })).toBe(19);
+    expect(calculator.getRivalMaximum(round, rules, { racePosition: null, fastestLap: false })).toBe(26);
+  });
+});